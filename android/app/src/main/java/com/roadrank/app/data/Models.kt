@@ -104,8 +104,9 @@ data class Road(
     val createdAt: String? = null,
     @SerialName("rating_summary")
     val ratingSummary: RatingSummary? = null,
-    @SerialName("device_id")
-    val deviceId: String? = null
+    // Set by the API for roads submitted from this device or account (sent as X-Device-Id)
+    @SerialName("is_own")
+    val isOwn: Boolean = false
 ) {
     val displayName: String
         get() = name ?: "Unnamed Road"
@@ -169,7 +170,8 @@ data class Road(
     val formattedDistance: String
         get() = String.format("%.1f km", distanceInKm)
 
-    fun isMyRoad(myDeviceId: String): Boolean = deviceId == myDeviceId
+    val isMyRoad: Boolean
+        get() = isOwn
 
     val shareUrl: String
         get() = "roadrank://road/$id"
@@ -194,15 +196,16 @@ data class Rating(
     val visibility: Int,
     val comment: String? = null,
     val warnings: List<RoadWarning>? = null,
-    @SerialName("device_id")
-    val deviceId: String? = null,
+    @SerialName("is_own")
+    val isOwn: Boolean = false,
     @SerialName("created_at")
     val createdAt: String? = null
 ) {
     val overallRating: Double
         get() = (twistiness + surfaceCondition + funFactor + scenery + visibility) / 5.0
 
-    fun isMyRating(myDeviceId: String): Boolean = deviceId == myDeviceId
+    val isMyRating: Boolean
+        get() = isOwn
 }
 
 /**
@@ -45,6 +45,8 @@ object ApiClient {
             contentType(ContentType.Application.Json)
             accept(ContentType.Application.Json)
             header("User-Agent", "RoadRank-Android/1.0")
+            // The API marks this device's roads and ratings with is_own
+            runCatching { DeviceManager.deviceId }.getOrNull()?.let { header("X-Device-Id", it) }
         }
     }
 
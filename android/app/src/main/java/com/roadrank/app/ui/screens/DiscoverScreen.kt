@@ -28,7 +28,6 @@ import com.google.android.gms.maps.model.LatLng
 import com.google.maps.android.compose.*
 import com.roadrank.app.data.Road
 import com.roadrank.app.data.RatingCategory
-import com.roadrank.app.services.DeviceManager
 import com.roadrank.app.services.HapticManager
 import com.roadrank.app.ui.components.RatingCategoryIcon
 import com.roadrank.app.ui.theme.Theme
@@ -70,14 +69,12 @@ fun DiscoverScreen(
     var filterRating by remember { mutableFloatStateOf(0f) }
     var roadFilter by remember { mutableStateOf(RoadFilter.MY_ROADS) }
 
-    val deviceId = try { DeviceManager.deviceId } catch (e: Exception) { "" }
-
     val filteredRoads = remember(roads, searchText, sortOption, filterRating, roadFilter, userLocation) {
         var result = roads.toMutableList()
 
         // Filter by ownership
         when (roadFilter) {
-            RoadFilter.MY_ROADS -> result = result.filter { it.isMyRoad(deviceId) }.toMutableList()
+            RoadFilter.MY_ROADS -> result = result.filter { it.isMyRoad }.toMutableList()
             RoadFilter.ALL_ROADS -> { /* Show all */ }
         }
 
@@ -118,7 +115,7 @@ fun DiscoverScreen(
         result
     }
 
-    val myRoadsCount = roads.count { it.isMyRoad(deviceId) }
+    val myRoadsCount = roads.count { it.isMyRoad }
 
     val averageRating = remember(filteredRoads) {
         val ratingsWithValues = filteredRoads.filter { it.overallRating > 0 }
@@ -279,7 +276,7 @@ fun DiscoverScreen(
                 items(filteredRoads, key = { it.id }) { road ->
                     RoadCard(
                         road = road,
-                        isMyRoad = road.isMyRoad(deviceId),
+                        isMyRoad = road.isMyRoad,
                         onClick = { onRoadSelected(road) },
                         onMapClick = {
                             // When map is clicked, navigate to map via onDrawRoadClick to switch tabs
@@ -24,7 +24,6 @@ import androidx.compose.ui.unit.sp
 import android.content.Intent
 import android.net.Uri
 import com.roadrank.app.data.Road
-import com.roadrank.app.services.DeviceManager
 import com.roadrank.app.services.HapticManager
 import com.roadrank.app.ui.theme.Theme
 
@@ -41,8 +40,7 @@ fun ProfileScreen(
     var showSettings by remember { mutableStateOf(false) }
     var showAbout by remember { mutableStateOf(false) }
 
-    val deviceId = try { DeviceManager.deviceId } catch (e: Exception) { "" }
-    val myRoads = roads.filter { it.isMyRoad(deviceId) }
+    val myRoads = roads.filter { it.isMyRoad }
 
     val totalDistance = remember(myRoads) {
         val total = myRoads.sumOf { it.distanceInKm }
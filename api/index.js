@@ -0,0 +1,19 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createRoutes } = require('../server/lib/routes');
+const { createVercelHandler, parseAllowedOrigins } = require('../server/lib/adapters');
+const { createTableStore } = require('../server/lib/rateLimit');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Every /api/* request is rewritten here (see vercel.json) and dispatched
+// through the same route table the Express server mounts. Function instances
+// share no memory, so rate limits are counted in the database.
+module.exports = createVercelHandler(
+  createRoutes(supabase, {
+    adminToken: process.env.ADMIN_TOKEN,
+    rateLimitStore: createTableStore(supabase),
+  }),
+  { allowedOrigins: parseAllowedOrigins(process.env.CORS_ORIGINS) }
+);
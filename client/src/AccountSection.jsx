@@ -0,0 +1,147 @@
+import React, { useState, useSyncExternalStore } from 'react';
+import axios from 'axios';
+import { deviceHeaders } from './utils/deviceId';
+import {
+  getSession, subscribeSession, signIn, signUp, signOut, authErrorMessage,
+} from './utils/auth';
+import './AccountSection.css';
+
+// "2 roads, 1 rating"; empty when nothing was claimed
+const describeClaimed = ({ roads = 0, ratings = 0, reports = 0, rides = 0 }) => [
+  [roads, 'road'], [ratings, 'rating'], [reports, 'report'], [rides, 'ride'],
+]
+  .filter(([count]) => count > 0)
+  .map(([count, noun]) => `${count} ${noun}${count !== 1 ? 's' : ''}`)
+  .join(', ');
+
+/**
+ * Optional sign-in, so contributions follow the user to other devices.
+ * The first sign-in on a device links it: its earlier anonymous roads,
+ * ratings, reports and rides move onto the account.
+ * @param {Object} props
+ * @param {string} props.apiBase - API base URL
+ * @param {function} props.onAccountChange - Called after signing in or out, to reload lists
+ * @param {function} props.onNotify - Shows a snackbar message
+ */
+function AccountSection({ apiBase, onAccountChange, onNotify }) {
+  const session = useSyncExternalStore(subscribeSession, getSession);
+  const [formOpen, setFormOpen] = useState(false);
+  const [mode, setMode] = useState('signIn');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const claimDevice = async () => {
+    try {
+      const response = await axios.post(`${apiBase}/api/me/claim`, {}, { headers: deviceHeaders() });
+      const claimed = describeClaimed(response.data?.claimed || {});
+      onNotify?.(
+        claimed ? `Signed in. Added ${claimed} from this device to your account.` : 'Signed in.',
+        'success'
+      );
+    } catch (err) {
+      // A device is linked once, so signing in again on it gets 409
+      if (err.response?.status === 409) {
+        onNotify?.('Signed in. This device\'s history is already linked to an account.', 'info');
+        return;
+      }
+      console.error('Error linking device to account:', err);
+      onNotify?.(
+        err.response?.data?.error || 'Signed in, but this device\'s history could not be added to your account.',
+        'warning'
+      );
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const next = mode === 'signUp' ? await signUp(email.trim(), password) : await signIn(email.trim(), password);
+      if (!next) {
+        setMode('signIn');
+        setError('Check your email to confirm your account, then sign in.');
+        return;
+      }
+      setFormOpen(false);
+      setPassword('');
+      await claimDevice();
+      onAccountChange?.();
+    } catch (err) {
+      setError(authErrorMessage(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSignOut = async () => {
+    await signOut();
+    onNotify?.('Signed out. New contributions are saved to this device only.', 'info');
+    onAccountChange?.();
+  };
+
+  if (session) {
+    return (
+      <div className="account-section">
+        <span className="account-email">Signed in as <strong>{session.user?.email}</strong></span>
+        <button type="button" className="account-link" onClick={handleSignOut}>
+          Sign out
+        </button>
+      </div>
+    );
+  }
+
+  if (!formOpen) {
+    return (
+      <div className="account-section">
+        <span className="account-email">Sign in to keep your contributions on every device.</span>
+        <button type="button" className="account-link" onClick={() => setFormOpen(true)}>
+          Sign in
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="account-form" onSubmit={handleSubmit}>
+      <input
+        type="email"
+        placeholder="Email"
+        autoComplete="email"
+        value={email}
+        required
+        onChange={(e) => setEmail(e.target.value)}
+      />
+      <input
+        type="password"
+        placeholder="Password"
+        autoComplete={mode === 'signUp' ? 'new-password' : 'current-password'}
+        value={password}
+        minLength={6}
+        required
+        onChange={(e) => setPassword(e.target.value)}
+      />
+      {error && <p className="account-error">{error}</p>}
+      <div className="account-form-actions">
+        <button
+          type="button"
+          className="account-link"
+          onClick={() => setMode(mode === 'signUp' ? 'signIn' : 'signUp')}
+          disabled={busy}
+        >
+          {mode === 'signUp' ? 'I have an account' : 'Create an account'}
+        </button>
+        <button type="button" className="secondary" onClick={() => setFormOpen(false)} disabled={busy}>
+          Cancel
+        </button>
+        <button type="submit" disabled={busy}>
+          {busy ? 'Please wait…' : mode === 'signUp' ? 'Sign up' : 'Sign in'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default AccountSection;
@@ -0,0 +1,48 @@
+import React from 'react';
+import './DuplicateRoadPrompt.css';
+
+/**
+ * Asks whether a freshly drawn road is really an existing one
+ * @param {Object} props
+ * @param {Array} props.candidates - Existing roads from the server, each with a `match` score
+ * @param {function} props.onRateExisting - Called with the chosen existing road
+ * @param {function} props.onCreateNew - Continue saving the drawn road anyway
+ * @param {function} props.onCancel - Discard the drawn road
+ */
+function DuplicateRoadPrompt({ candidates, onRateExisting, onCreateNew, onCancel }) {
+  return (
+    <div className="draw-overlay" onClick={onCancel}>
+      <div className="draw-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="draw-modal-header">
+          <div className="draw-modal-badge">🔁</div>
+          <div>
+            <h2>This looks like an existing road</h2>
+            <p>Rate that instead? Ratings on one road are more useful than several copies.</p>
+          </div>
+        </div>
+
+        <ul className="duplicate-list">
+          {candidates.map((road) => (
+            <li key={road.id}>
+              <button type="button" className="duplicate-item" onClick={() => onRateExisting(road)}>
+                <span className="duplicate-name">{road.name || 'Unnamed road'}</span>
+                <span className="duplicate-meta">
+                  {Math.round(road.match.overlap * 100)}% overlap · {road.rating_summary?.rating_count || 0} ratings
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <div className="draw-modal-actions">
+          <button className="ghost" onClick={onCancel}>
+            Cancel
+          </button>
+          <button onClick={onCreateNew}>No, it's a new road</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DuplicateRoadPrompt;
@@ -1,15 +1,32 @@
 import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
-import { MapContainer, TileLayer, Polyline, Popup, useMapEvents, useMap, ZoomControl, Tooltip } from 'react-leaflet';
+import { MapContainer, TileLayer, Polyline, Popup, Marker, useMapEvents, useMap, ZoomControl, Tooltip } from 'react-leaflet';
 import L from 'leaflet';
 import axios from 'axios';
 import RatingModal from './RatingModal';
 import Snackbar from './Snackbar';
-import { validatePathDistance, snapToRoad, MAX_ROAD_DISTANCE_KM } from './utils/roadUtils';
+import TopRoadsPanel from './TopRoadsPanel';
+import DuplicateRoadPrompt from './DuplicateRoadPrompt';
+import MyContributionsPanel from './MyContributionsPanel';
+import TrackImportPanel from './TrackImportPanel';
+import OutboxStatus from './OutboxStatus';
+import useOutbox from './useOutbox';
+import { validatePathDistance, simplifyPath, snapToRoad, MAX_ROAD_DISTANCE_KM } from './utils/roadUtils';
+import { readTrackFile, IMPORT_ACCEPT } from './utils/trackImport';
+import { getDeviceId, deviceHeaders } from './utils/deviceId';
+import { isRateLimited, rateLimitMessage } from './utils/rateLimit';
+import { installAuthInterceptor } from './utils/auth';
+import { findWarningType } from './utils/warningTypes';
 import 'leaflet/dist/leaflet.css';
 import './Map.css';
 import logo from './assets/roadrank-logo.svg';
 
 const center = [54.0, -2.0]; // [lat, lng] for Leaflet
+const CLOSED_ROAD_COLOR = '#9ca3af';
+const IMPORT_PREVIEW_COLOR = '#8b5cf6';
+// Imported tracks are recorded or planned at far higher density than a drawn road needs
+const IMPORT_MAX_POINTS = 200;
+// Pages of roads (500 each) loaded for one viewport before asking the user to zoom in
+const MAX_ROAD_PAGES = 4;
 
 // Component to disable dragging when in draw mode
 function MapController({ drawing }) {
@@ -36,6 +53,53 @@ function MapController({ drawing }) {
   return null;
 }
 
+// Component that reports the visible map bounds on load and after every pan/zoom
+function ViewportWatcher({ onViewportChange }) {
+  const map = useMapEvents({
+    moveend: () => onViewportChange(map.getBounds()),
+  });
+
+  useEffect(() => {
+    onViewportChange(map.getBounds());
+  }, [map, onViewportChange]);
+
+  return null;
+}
+
+// Convert Leaflet bounds to the API's minLng,minLat,maxLng,maxLat bbox,
+// clamped because a zoomed-out or wrapped map can report out-of-range longitudes
+const toBbox = (bounds) => [
+  Math.max(bounds.getWest(), -180),
+  Math.max(bounds.getSouth(), -90),
+  Math.min(bounds.getEast(), 180),
+  Math.min(bounds.getNorth(), 90),
+].join(',');
+
+// Component that reports one map click while a warning location is being picked
+function PinPicker({ active, onPick }) {
+  useMapEvents({
+    click: (e) => {
+      if (active) onPick({ lat: e.latlng.lat, lng: e.latlng.lng });
+    },
+  });
+
+  return null;
+}
+
+// Map marker showing a warning type's icon
+const createHazardIcon = (type) => L.divIcon({
+  className: 'hazard-marker',
+  html: `<span>${type?.icon || '⚠️'}</span>`,
+  iconSize: [28, 28],
+  iconAnchor: [14, 14],
+});
+
+// Road id from a /road/:id share link, or null on any other path
+const getRoadIdFromLocation = () => {
+  const match = window.location.pathname.match(/^\/road\/([^/]+)\/?$/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
 // Component for drawing roads
 function DrawingLayer({ drawing, onDraw }) {
   const [currentPath, setCurrentPath] = useState([]);
@@ -227,12 +291,30 @@ function Map() {
   const [ratingContext, setRatingContext] = useState(null);
   const [showDrawInstructions, setShowDrawInstructions] = useState(false);
   const [selectedRoad, setSelectedRoad] = useState(null);
-  const [selectedRoadDetails, setSelectedRoadDetails] = useState({ ratings: [], summary: null, loading: false });
+  const [selectedRoadDetails, setSelectedRoadDetails] = useState({ ratings: [], summary: null, myRating: null, stats: null, warningReports: [], recentSurface: null, loading: false });
   const [hoveredRoadId, setHoveredRoadId] = useState(null);
   const [snapping, setSnapping] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', type: 'info' });
+  const [viewportBbox, setViewportBbox] = useState(null);
+  // Side panel in the top-right corner: 'top' (Top roads), 'mine' (My contributions) or null
+  const [activePanel, setActivePanel] = useState(null);
+  const [duplicatePrompt, setDuplicatePrompt] = useState(null);
+  const [warningTypes, setWarningTypes] = useState([]);
+  const [hazards, setHazards] = useState([]);
+  // Warning key whose location is being picked on the map, or null
+  const [pinningWarning, setPinningWarning] = useState(null);
+  // A GPX/KML/GeoJSON file being trimmed: { id, fileName, tracks }, and the selected section.
+  // Each file gets a new id, so the panel starts over instead of keeping the last file's selection.
+  const [trackImport, setTrackImport] = useState(null);
+  const importCount = useRef(0);
+  const [importPreview, setImportPreview] = useState([]);
+  // More roads are in view than MAX_ROAD_PAGES pages hold
+  const [roadsTruncated, setRoadsTruncated] = useState(false);
   const mapRef = useRef(null);
+  const importInputRef = useRef(null);
   const tooltipTimeoutRef = useRef(null);
+  const roadsRequestRef = useRef(0);
+  const hazardsRequestRef = useRef(0);
 
   const clearTooltipTimeout = () => {
     if (tooltipTimeoutRef.current) {
@@ -255,20 +337,73 @@ function Map() {
 
   const apiBase = useMemo(() => import.meta.env.VITE_API_BASE_URL || '', []);
 
-  useEffect(() => {
-    fetchRoads();
+  // Signed-in requests to the API carry the account's token
+  useEffect(() => installAuthInterceptor(apiBase), [apiBase]);
+
+  const handleViewportChange = useCallback((bounds) => {
+    setViewportBbox(toBbox(bounds));
   }, []);
 
-  const fetchRoads = async () => {
+  const fetchRoads = useCallback(async (bbox) => {
+    // Ignore responses for viewports the user has already moved away from
+    const requestId = ++roadsRequestRef.current;
     try {
-      const response = await axios.get(`${apiBase}/api/roads`);
-      const apiRoads = Array.isArray(response.data) ? response.data : [];
+      let apiRoads = [];
+      let cursor = null;
+      let pages = 0;
+      do {
+        const response = await axios.get(`${apiBase}/api/roads`, {
+          params: { bbox, ...(cursor ? { cursor } : {}) },
+        });
+        if (requestId !== roadsRequestRef.current) return;
+        apiRoads = apiRoads.concat(Array.isArray(response.data) ? response.data : []);
+        cursor = response.headers['x-next-cursor'] || null;
+        pages += 1;
+      } while (cursor && pages < MAX_ROAD_PAGES);
       setRoads(apiRoads);
+      setRoadsTruncated(Boolean(cursor));
     } catch (error) {
+      if (requestId !== roadsRequestRef.current) return;
       console.error('Error fetching roads:', error);
       setRoads([]);
+      setRoadsTruncated(false);
     }
-  };
+  }, [apiBase]);
+
+  useEffect(() => {
+    if (viewportBbox) fetchRoads(viewportBbox);
+  }, [viewportBbox, fetchRoads]);
+
+  const fetchHazards = useCallback(async (bbox) => {
+    const requestId = ++hazardsRequestRef.current;
+    try {
+      const response = await axios.get(`${apiBase}/api/hazards`, {
+        params: { bbox },
+      });
+      if (requestId !== hazardsRequestRef.current) return;
+      setHazards(Array.isArray(response.data) ? response.data : []);
+    } catch (error) {
+      if (requestId !== hazardsRequestRef.current) return;
+      console.error('Error fetching hazards:', error);
+      setHazards([]);
+    }
+  }, [apiBase]);
+
+  useEffect(() => {
+    if (viewportBbox) fetchHazards(viewportBbox);
+  }, [viewportBbox, fetchHazards]);
+
+  useEffect(() => {
+    axios.get(`${apiBase}/api/warning-types`)
+      .then((response) => {
+        if (Array.isArray(response.data)) setWarningTypes(response.data);
+      })
+      .catch((error) => console.error('Error fetching warning types:', error));
+  }, [apiBase]);
+
+  const hazardIcons = useMemo(() => Object.fromEntries(
+    warningTypes.map((type) => [type.key, createHazardIcon(type)])
+  ), [warningTypes]);
 
   const getRoadColor = (rating) => {
     if (rating >= 4) return '#10b981'; // Green
@@ -276,7 +411,7 @@ function Map() {
     return '#ef4444'; // Red
   };
 
-  const getRoadDisplayRating = (road) => road?.rating_summary?.avg_fun_factor || road?.fun_factor || 0;
+  const getRoadDisplayRating = (road) => road?.rating_summary?.avg_fun_factor || 0;
 
   const showSnackbar = useCallback((message, type = 'info') => {
     setSnackbar({ open: true, message, type });
@@ -299,70 +434,196 @@ function Map() {
       return;
     }
 
-    // Snap to road
+    setDrawnPath(await snapPath(path));
+  };
+
+  // Snap a path to the road network, keeping the path as given when that fails
+  const snapPath = async (path) => {
     setSnapping(true);
     try {
       const result = await snapToRoad(path);
       if (result.success) {
-        setDrawnPath(result.snappedPath);
         if (result.warning) {
           showSnackbar(result.warning, 'warning');
         }
-      } else {
-        setDrawnPath(path);
-        showSnackbar(result.error || 'Could not snap to road', 'warning');
+        return result.snappedPath;
       }
+      showSnackbar(result.error || 'Could not snap to road', 'warning');
+      return path;
     } catch (error) {
       console.error('Error snapping to road:', error);
-      setDrawnPath(path);
       showSnackbar('Road snapping failed. Using original path.', 'warning');
+      return path;
     } finally {
       setSnapping(false);
     }
   };
 
-  const handleSaveRoute = () => {
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    // Reset so choosing the same file again still fires onChange
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const tracks = await readTrackFile(file);
+      setActivePanel(null);
+      setSelectedRoad(null);
+      importCount.current += 1;
+      setTrackImport({ id: importCount.current, fileName: file.name, tracks });
+    } catch (error) {
+      console.error('Error importing track:', error);
+      showSnackbar(error.message || 'Could not read that file.', 'error');
+    }
+  };
+
+  const handleFrameImport = useCallback((path) => {
+    if (mapRef.current && path.length > 0) {
+      mapRef.current.fitBounds(path, { padding: [60, 60] });
+    }
+  }, []);
+
+  const handleCancelImport = () => {
+    setTrackImport(null);
+    setImportPreview([]);
+  };
+
+  // Same checks and snapping as a drawn road, then straight on to rating it
+  const handleImportTrack = async (section) => {
+    const validation = validatePathDistance(section);
+    if (!validation.valid) {
+      showSnackbar(
+        `Road is too long (${validation.distance}km). Please choose a section shorter than ${MAX_ROAD_DISTANCE_KM}km.`,
+        'error'
+      );
+      return;
+    }
+
+    handleCancelImport();
+    const snapped = await snapPath(simplifyPath(section, IMPORT_MAX_POINTS));
+    setDrawnPath(snapped);
+    await saveRoute(snapped);
+  };
+
+  const togglePanel = (panel) => {
+    setActivePanel((prev) => (prev === panel ? null : panel));
+  };
+
+  const saveRoute = async (path) => {
     setDrawing(false);
-    setRatingContext({ type: 'new', path: drawnPath });
+    try {
+      const response = await axios.post(`${apiBase}/api/roads/duplicates`, {
+        path: path.map(([lat, lng]) => ({ lat, lng })),
+      });
+      const candidates = response.data?.candidates || [];
+      if (candidates.length > 0) {
+        setDuplicatePrompt({ candidates });
+        return;
+      }
+    } catch (error) {
+      // The check is advisory; the create request repeats it anyway
+      console.error('Error checking for duplicate roads:', error);
+    }
+    setRatingContext({ type: 'new', path });
+  };
+
+  const handleRateExistingRoad = (road) => {
+    setDuplicatePrompt(null);
+    setDrawnPath([]);
+    focusRoad(road);
+  };
+
+  const handleCreateNewRoad = () => {
+    setDuplicatePrompt(null);
+    setRatingContext({ type: 'new', path: drawnPath, allowDuplicate: true });
+  };
+
+  const handleCancelDuplicate = () => {
+    setDuplicatePrompt(null);
+    setDrawnPath([]);
   };
 
   const handleCancelRating = () => {
+    if (ratingContext?.type === 'existing' && getRoadIdFromLocation()) {
+      window.history.replaceState(null, '', '/');
+    }
     setRatingContext(null);
+    setPinningWarning(null);
     setDrawnPath([]);
   };
 
+  const handlePickWarningLocation = (location) => {
+    setRatingContext((prev) => prev && {
+      ...prev,
+      warningPins: { ...prev.warningPins, [pinningWarning]: location },
+    });
+    setPinningWarning(null);
+  };
+
   const handleSubmitRating = async (ratings) => {
-    try {
-      if (ratingContext?.type === 'existing') {
-        await axios.post(`${apiBase}/api/roads/${ratingContext.roadId}/ratings`, ratings);
-        await fetchSelectedRoadRatings(ratingContext.roadId);
-        setRatingContext(null);
-        return;
+    const isExisting = ratingContext?.type === 'existing';
+    const submission = isExisting
+      ? {
+        type: 'rating',
+        path: `/api/roads/${ratingContext.roadId}/ratings`,
+        body: { ...ratings, device_id: getDeviceId() },
+        label: ratingContext.roadName,
+        roadId: ratingContext.roadId,
       }
-
-      const newRoad = {
-        path: drawnPath.map(([lat, lng]) => ({ lat, lng })),
-        ...ratings,
+      : {
+        type: 'road',
+        path: '/api/roads',
+        body: {
+          path: drawnPath.map(([lat, lng]) => ({ lat, lng })),
+          ...ratings,
+          device_id: getDeviceId(),
+          ...(ratingContext?.allowDuplicate ? { allow_duplicate: true } : {}),
+        },
+        label: ratings.name,
       };
-      const response = await axios.post(`${apiBase}/api/roads`, newRoad);
-      setRoads([...roads, response.data]);
+
+    try {
+      const result = await outbox.submit(submission);
+      if (result.queued && isRateLimited(result.error)) {
+        showSnackbar(`${rateLimitMessage(result.error)} Your submission is saved and will be sent then.`, 'warning');
+      } else if (result.queued) {
+        showSnackbar("Couldn't reach the server. Saved on this device and will sync automatically.", 'warning');
+      }
       setRatingContext(null);
-      setDrawnPath([]);
+      if (!isExisting) setDrawnPath([]);
     } catch (error) {
       console.error('Error saving road:', error);
-      // Still add it locally even if save fails
-      const localRoad = {
-        id: `local-${Date.now()}`,
-        path: JSON.stringify(drawnPath.map(([lat, lng]) => ({ lat, lng }))),
-        ...ratings,
-        created_at: new Date().toISOString(),
-      };
-      setRoads([...roads, localRoad]);
-      setRatingContext(null);
-      setDrawnPath([]);
+      // The server rejected the submission itself; keep the form open so it can be fixed
+      if (error.response?.status === 400) {
+        const { message, errors } = error.response.data || {};
+        showSnackbar(errors?.[0]?.message || message || 'Submission was rejected.', 'error');
+        return;
+      }
+      // Someone drew this road since the Save check; offer the existing one instead
+      if (error.response?.status === 409) {
+        setRatingContext(null);
+        setDuplicatePrompt({ candidates: error.response.data?.candidates || [] });
+        return;
+      }
+      showSnackbar('Could not save your submission. Please try again.', 'error');
+    }
+  };
+
+  // Outbox items reach the server either straight away or on a later retry
+  const handleOutboxSynced = (item, data) => {
+    if (item.type === 'road' && data?.id) {
+      setRoads((prev) => (prev.some((road) => road.id === data.id) ? prev : [...prev, data]));
+    }
+    if (item.type === 'rating' && String(selectedRoad?.id) === String(item.roadId)) {
+      fetchSelectedRoadRatings(item.roadId);
     }
+    if (viewportBbox) fetchHazards(viewportBbox);
   };
 
+  const outbox = useOutbox(apiBase, handleOutboxSynced);
+
+  const pendingRoads = outbox.items.filter((item) => item.type === 'road' && item.status !== 'synced');
+
   const handleLocationFound = (location) => {
     if (mapRef.current) {
       mapRef.current.flyTo([location.lat, location.lng], 13, {
@@ -388,15 +649,49 @@ function Map() {
   const fetchSelectedRoadRatings = async (roadId) => {
     setSelectedRoadDetails((prev) => ({ ...prev, loading: true }));
     try {
-      const response = await axios.get(`${apiBase}/api/roads/${roadId}/ratings`);
+      const [response, statsResponse] = await Promise.all([
+        axios.get(`${apiBase}/api/roads/${roadId}/ratings`, {
+          headers: deviceHeaders(),
+        }),
+        // The charts are optional; without stats the modal shows plain averages
+        axios.get(`${apiBase}/api/roads/${roadId}/stats`).catch((error) => {
+          console.error('Error fetching road stats:', error);
+          return null;
+        }),
+      ]);
       setSelectedRoadDetails({
         ratings: response.data.ratings || [],
         summary: response.data.summary,
+        myRating: response.data.my_rating || null,
+        stats: statsResponse?.data || null,
+        warningReports: response.data.warning_reports || [],
+        recentSurface: response.data.recent_surface_condition ?? null,
         loading: false,
       });
     } catch (error) {
       console.error('Error fetching road ratings:', error);
-      setSelectedRoadDetails({ ratings: [], summary: null, loading: false });
+      setSelectedRoadDetails({ ratings: [], summary: null, myRating: null, stats: null, warningReports: [], recentSurface: null, loading: false });
+    }
+  };
+
+  // Flag a rating for moderation; enough flags hide it, so reload the list when that happens
+  const handleReportRating = async (rating) => {
+    try {
+      const response = await axios.post(`${apiBase}/api/ratings/${rating.id}/report`, {}, {
+        headers: deviceHeaders(),
+      });
+      showSnackbar('Thanks, this rating has been reported for review.', 'success');
+      if (response.data?.hidden) {
+        fetchSelectedRoadRatings(rating.road_id);
+      }
+    } catch (error) {
+      console.error('Error reporting rating:', error);
+      if (isRateLimited(error)) {
+        showSnackbar(rateLimitMessage(error), 'warning');
+      } else {
+        showSnackbar(error.response?.data?.error || 'Could not report this rating. Please try again.', 'error');
+      }
+      throw error;
     }
   };
 
@@ -410,13 +705,52 @@ function Map() {
   };
 
   const handleRoadSelect = (road, positions) => {
+    // Road clicks also reach the map, where they place the warning pin
+    if (pinningWarning) return;
     const middleIndex = Math.floor(positions.length / 2);
     setSelectedRoad({ ...road, middlePosition: positions[middleIndex] });
-    setSelectedRoadDetails({ ratings: [], summary: road.rating_summary || null, loading: true });
+    setSelectedRoadDetails({ ratings: [], summary: road.rating_summary || null, myRating: null, stats: null, warningReports: [], recentSurface: null, loading: true });
     fetchSelectedRoadRatings(road.id);
     openRatingModal(road);
+    window.history.replaceState(null, '', `/road/${encodeURIComponent(road.id)}`);
+  };
+
+  // Fit the map to a road fetched outside the viewport (top roads list, share links) and open it
+  const focusRoad = (road) => {
+    const path = typeof road.path === 'string' ? JSON.parse(road.path) : road.path;
+    if (!Array.isArray(path) || path.length === 0) return;
+
+    const positions = path.map((p) => [p.lat, p.lng]);
+    if (mapRef.current) {
+      mapRef.current.fitBounds(positions, { padding: [60, 60] });
+    }
+    handleRoadSelect({ ...road, path }, positions);
   };
 
+  // Keep a ref to the latest focusRoad for the link effect below, which runs once
+  const focusRoadRef = useRef(focusRoad);
+  useEffect(() => {
+    focusRoadRef.current = focusRoad;
+  });
+
+  // Open /road/:id links (rewritten to the SPA by vercel.json) straight to the road's details.
+  // apiBase and showSnackbar never change, so only the link the page was opened with is resolved
+  useEffect(() => {
+    const roadId = getRoadIdFromLocation();
+    if (!roadId) return;
+
+    axios.get(`${apiBase}/api/roads/${encodeURIComponent(roadId)}`)
+      .then((response) => focusRoadRef.current(response.data))
+      .catch((error) => {
+        console.error('Error fetching linked road:', error);
+        window.history.replaceState(null, '', '/');
+        showSnackbar(
+          error.response?.status === 404 ? 'That road could not be found.' : 'Could not load the linked road.',
+          'error'
+        );
+      });
+  }, [apiBase, showSnackbar]);
+
   const formatDate = (value) => {
     if (!value) return 'Unknown';
     const date = new Date(value);
@@ -424,29 +758,10 @@ function Map() {
     return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
   };
 
+  // Always the community averages, so every view of a road shows the same numbers
   const selectedSummary = useMemo(() => {
     if (!selectedRoad) return null;
-    const fallback = {
-      avg_twistiness: selectedRoad.twistiness || null,
-      avg_surface_condition: selectedRoad.surface_condition || null,
-      avg_fun_factor: selectedRoad.fun_factor || null,
-      avg_scenery: selectedRoad.scenery || null,
-      avg_visibility: selectedRoad.visibility || null,
-      avg_overall:
-        selectedRoad.twistiness && selectedRoad.surface_condition && selectedRoad.fun_factor &&
-        selectedRoad.scenery && selectedRoad.visibility
-          ? (
-            selectedRoad.twistiness +
-            selectedRoad.surface_condition +
-            selectedRoad.fun_factor +
-            selectedRoad.scenery +
-            selectedRoad.visibility
-          ) / 5
-          : null,
-      rating_count: selectedRoad.rating_summary?.rating_count || (selectedRoad.twistiness ? 1 : 0),
-    };
-
-    return selectedRoadDetails.summary || selectedRoad.rating_summary || fallback;
+    return selectedRoadDetails.summary || selectedRoad.rating_summary || null;
   }, [selectedRoad, selectedRoadDetails.summary]);
 
   return (
@@ -461,8 +776,31 @@ function Map() {
           roadDetails={ratingContext.type === 'existing' ? {
             summary: selectedRoadDetails.summary || ratingContext.summary,
             ratings: selectedRoadDetails.ratings,
+            myRating: selectedRoadDetails.myRating,
+            stats: selectedRoadDetails.stats,
+            warningReports: selectedRoadDetails.warningReports,
+            recentSurface: selectedRoadDetails.recentSurface,
             loading: selectedRoadDetails.loading
           } : null}
+          warningTypes={warningTypes}
+          warningPins={ratingContext.warningPins || {}}
+          onWarningPinsChange={(warningPins) => setRatingContext((prev) => prev && { ...prev, warningPins })}
+          onPickLocation={setPinningWarning}
+          hidden={Boolean(pinningWarning)}
+          apiBase={apiBase}
+          roadId={ratingContext.type === 'existing' ? ratingContext.roadId : null}
+          onReportsChange={() => viewportBbox && fetchRoads(viewportBbox)}
+          onReportRating={handleReportRating}
+          onNotify={showSnackbar}
+        />
+      )}
+
+      {duplicatePrompt && (
+        <DuplicateRoadPrompt
+          candidates={duplicatePrompt.candidates}
+          onRateExisting={handleRateExistingRoad}
+          onCreateNew={handleCreateNewRoad}
+          onCancel={handleCancelDuplicate}
         />
       )}
 
@@ -513,6 +851,41 @@ function Map() {
         </div>
 
         <div className="topbar-actions">
+          {roadsTruncated && !drawing && !pinningWarning && (
+            <span className="zoom-hint">🔍 Zoom in to see every road here</span>
+          )}
+          {pinningWarning && (
+            <>
+              <span className="pin-hint">
+                📍 Tap the road where the {findWarningType(warningTypes, pinningWarning)?.label.toLowerCase() || 'hazard'} is
+              </span>
+              <button className="destructive" onClick={() => setPinningWarning(null)}>
+                ✕ Cancel
+              </button>
+            </>
+          )}
+          {!drawing && (
+            <button className="secondary" onClick={() => togglePanel('top')}>
+              🏆 Top roads
+            </button>
+          )}
+          {!drawing && (
+            <button className="secondary" onClick={() => togglePanel('mine')}>
+              👤 My contributions
+            </button>
+          )}
+          {!drawing && (
+            <button className="secondary" onClick={() => importInputRef.current?.click()}>
+              📂 Import
+            </button>
+          )}
+          <input
+            ref={importInputRef}
+            type="file"
+            accept={IMPORT_ACCEPT}
+            onChange={handleImportFile}
+            hidden
+          />
           {!drawing && (
             <button onClick={handleOpenDrawInstructions}>
               ✏️ Draw
@@ -521,7 +894,7 @@ function Map() {
           {drawing && (
             <>
               {drawnPath.length > 0 && (
-                <button className="secondary" onClick={handleSaveRoute}>
+                <button className="secondary" onClick={() => saveRoute(drawnPath)}>
                   ✓ Save
                 </button>
               )}
@@ -539,7 +912,7 @@ function Map() {
         zoom={6}
         className={`map-container ${drawing ? 'drawing' : ''}`}
         zoomControl={false}
-        style={{ cursor: drawing ? 'crosshair' : 'grab' }}
+        style={{ cursor: drawing || pinningWarning ? 'crosshair' : 'grab' }}
       >
         <TileLayer
           attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
@@ -549,7 +922,9 @@ function Map() {
         <ZoomControl position="bottomright" />
 
         <MapController drawing={drawing} />
+        <ViewportWatcher onViewportChange={handleViewportChange} />
         <DrawingLayer drawing={drawing} onDraw={handleDrawComplete} />
+        <PinPicker active={Boolean(pinningWarning)} onPick={handlePickWarningLocation} />
 
         {roads.map((road) => {
           try {
@@ -582,7 +957,13 @@ function Map() {
                 {/* Visible road polyline */}
                 <Polyline
                   positions={positions}
-                  pathOptions={{
+                  pathOptions={road.closed ? {
+                    // An active closure or landslip report
+                    color: CLOSED_ROAD_COLOR,
+                    opacity: 0.9,
+                    weight: 5,
+                    dashArray: '10 8',
+                  } : {
                     color: getRoadColor(getRoadDisplayRating(road)),
                     opacity: 0.8,
                     weight: 5,
@@ -611,6 +992,7 @@ function Map() {
                       onMouseLeave={hideTooltipWithDelay}
                     >
                       <span className="tooltip-road-name">{roadName}</span>
+                      {road.closed && <span className="tooltip-closed">⛔ Reported closed</span>}
                       <div className="tooltip-rating">
                         <span>Avg rating:</span>
                         <span className="tooltip-rating-value">
@@ -712,6 +1094,50 @@ function Map() {
           }
         })}
 
+        {pendingRoads.map((item) => (
+          <Polyline
+            key={item.id}
+            positions={item.body.path.map((p) => [p.lat, p.lng])}
+            pathOptions={{
+              color: item.status === 'failed' ? '#ef4444' : '#64748b',
+              opacity: 0.8,
+              weight: 5,
+              dashArray: '8 8',
+            }}
+          >
+            <Tooltip sticky>
+              {item.label || 'New road'} · {item.status === 'failed' ? 'Failed to sync' : 'Waiting to sync'}
+            </Tooltip>
+          </Polyline>
+        ))}
+
+        {hazards.map((hazard, index) => (
+          <Marker
+            key={`${hazard.road_id}-${hazard.type}-${index}`}
+            position={[hazard.lat, hazard.lng]}
+            icon={hazardIcons[hazard.type] || createHazardIcon(null)}
+          >
+            <Tooltip direction="top" offset={[0, -14]}>
+              {findWarningType(warningTypes, hazard.type)?.label || 'Hazard'} · reported {formatDate(hazard.reported_at)}
+            </Tooltip>
+          </Marker>
+        ))}
+
+        {Object.entries(ratingContext?.warningPins || {}).map(([key, pin]) => (
+          <Marker key={`pin-${key}`} position={[pin.lat, pin.lng]} icon={hazardIcons[key] || createHazardIcon(null)} />
+        ))}
+
+        {importPreview.length > 0 && (
+          <Polyline
+            positions={importPreview}
+            pathOptions={{
+              color: IMPORT_PREVIEW_COLOR,
+              opacity: 0.9,
+              weight: 5,
+            }}
+          />
+        )}
+
         {drawnPath.length > 0 && (
           <Polyline
             positions={drawnPath}
@@ -724,6 +1150,43 @@ function Map() {
         )}
       </MapContainer>
 
+      <OutboxStatus
+        items={outbox.items}
+        onRetry={outbox.retry}
+        onDiscard={outbox.discard}
+        onClearSynced={outbox.clearSynced}
+      />
+
+      {activePanel === 'top' && !drawing && (
+        <TopRoadsPanel
+          apiBase={apiBase}
+          bbox={viewportBbox}
+          onSelectRoad={focusRoad}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {trackImport && !drawing && (
+        <TrackImportPanel
+          key={trackImport.id}
+          fileName={trackImport.fileName}
+          tracks={trackImport.tracks}
+          onPreview={setImportPreview}
+          onFrame={handleFrameImport}
+          onImport={handleImportTrack}
+          onCancel={handleCancelImport}
+        />
+      )}
+
+      {activePanel === 'mine' && !drawing && (
+        <MyContributionsPanel
+          apiBase={apiBase}
+          onSelectRoad={focusRoad}
+          onClose={() => setActivePanel(null)}
+          onNotify={showSnackbar}
+        />
+      )}
+
       {snapping && (
         <div className="snapping-overlay">
           <div className="snapping-indicator">
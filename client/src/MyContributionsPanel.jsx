@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { deviceHeaders } from './utils/deviceId';
+import { isAuthConfigured } from './utils/auth';
+import AccountSection from './AccountSection';
+import './MyContributionsPanel.css';
+
+const tabs = {
+  roads: { label: 'My roads', path: '/api/me/roads' },
+  ratings: { label: 'My ratings', path: '/api/me/ratings' },
+};
+
+const formatScore = (value) => (value ? value.toFixed(1) : '—');
+
+const ratingAverage = (rating) => (
+  (rating.twistiness + rating.surface_condition + rating.fun_factor + rating.scenery + rating.visibility) / 5
+);
+
+/**
+ * Roads and ratings submitted from this browser, or from the signed-in account
+ * @param {Object} props
+ * @param {string} props.apiBase - API base URL
+ * @param {function} props.onSelectRoad - Called with the road when a row is clicked
+ * @param {function} props.onClose - Callback to hide the panel
+ * @param {function} props.onNotify - Shows a snackbar message
+ */
+function MyContributionsPanel({ apiBase, onSelectRoad, onClose, onNotify }) {
+  const [tab, setTab] = useState('roads');
+  // Bumped after signing in or out, since the lists then belong to someone else
+  const [accountVersion, setAccountVersion] = useState(0);
+  const [results, setResults] = useState({ tab: null, version: null, items: [], failed: false });
+
+  const loading = results.tab !== tab || results.version !== accountVersion;
+
+  useEffect(() => {
+    let active = true;
+    axios.get(`${apiBase}${tabs[tab].path}`, { headers: deviceHeaders() })
+      .then((response) => {
+        const items = tab === 'roads' ? response.data : response.data?.ratings;
+        if (active) {
+          setResults({ tab, version: accountVersion, items: Array.isArray(items) ? items : [], failed: false });
+        }
+      })
+      .catch((error) => {
+        console.error('Error fetching contributions:', error);
+        if (active) setResults({ tab, version: accountVersion, items: [], failed: true });
+      });
+    return () => {
+      active = false;
+    };
+  }, [apiBase, tab, accountVersion]);
+
+  const formatDate = (value) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+  };
+
+  return (
+    <aside className="contributions-panel">
+      <div className="contributions-header">
+        <div>
+          <p className="eyebrow">{isAuthConfigured() ? 'Your account or this device' : 'From this device'}</p>
+          <h3>My contributions</h3>
+        </div>
+        <button type="button" className="contributions-close" onClick={onClose} aria-label="Close my contributions">
+          ✕
+        </button>
+      </div>
+
+      {isAuthConfigured() && (
+        <AccountSection
+          apiBase={apiBase}
+          onAccountChange={() => setAccountVersion((version) => version + 1)}
+          onNotify={onNotify}
+        />
+      )}
+
+      <div className="contributions-tabs" role="tablist">
+        {Object.entries(tabs).map(([key, { label }]) => (
+          <button
+            key={key}
+            type="button"
+            role="tab"
+            aria-selected={tab === key}
+            className={`contributions-tab ${tab === key ? 'active' : ''}`}
+            onClick={() => setTab(key)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {!loading && (
+        <ul className="contributions-list">
+          {tab === 'roads' && results.items.map((road) => (
+            <li key={road.id}>
+              <button type="button" className="contributions-item" onClick={() => onSelectRoad(road)}>
+                <span className="contributions-name">{road.name || 'Unnamed road'}</span>
+                <span className="contributions-meta">
+                  <strong>{formatScore(road.rating_summary?.avg_overall)}</strong>
+                  <span>{road.rating_summary?.rating_count || 0} ratings</span>
+                </span>
+              </button>
+            </li>
+          ))}
+          {tab === 'ratings' && results.items.map((rating) => (
+            <li key={rating.id}>
+              <button
+                type="button"
+                className="contributions-item"
+                onClick={() => rating.road && onSelectRoad(rating.road)}
+                disabled={!rating.road}
+              >
+                <span className="contributions-name">{rating.road?.name || 'Unnamed road'}</span>
+                <span className="contributions-meta">
+                  <strong>{formatScore(ratingAverage(rating))}</strong>
+                  <span>{formatDate(rating.created_at)}</span>
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {loading && <p className="muted">Loading…</p>}
+      {!loading && results.failed && <p className="muted">Could not load your contributions.</p>}
+      {!loading && !results.failed && results.items.length === 0 && (
+        <p className="muted">
+          {tab === 'roads' ? "You haven't drawn any roads yet." : "You haven't rated any roads yet."}
+        </p>
+      )}
+    </aside>
+  );
+}
+
+export default MyContributionsPanel;
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import './OutboxStatus.css';
+
+const statusLabels = {
+  pending: { icon: '⏳', label: 'Pending' },
+  synced: { icon: '✓', label: 'Synced' },
+  failed: { icon: '!', label: 'Failed' },
+};
+
+const describeItem = (item) => {
+  if (item.type === 'road') return item.label || 'New road';
+  return `Rating for ${item.label || `road #${item.roadId}`}`;
+};
+
+/**
+ * Status of queued submissions from the outbox
+ * @param {Object} props
+ * @param {Array} props.items - Outbox items
+ * @param {function} props.onRetry - Called with an item id to retry it now
+ * @param {function} props.onDiscard - Called with an item id to drop it
+ * @param {function} props.onClearSynced - Remove all synced items from the list
+ */
+function OutboxStatus({ items, onRetry, onDiscard, onClearSynced }) {
+  const [expanded, setExpanded] = useState(false);
+
+  if (items.length === 0) return null;
+
+  const counts = items.reduce((totals, item) => ({
+    ...totals,
+    [item.status]: (totals[item.status] || 0) + 1,
+  }), {});
+
+  const summaryStatus = counts.failed ? 'failed' : counts.pending ? 'pending' : 'synced';
+  const summaryText = [
+    counts.pending && `${counts.pending} pending`,
+    counts.failed && `${counts.failed} failed`,
+    counts.synced && `${counts.synced} synced`,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className="outbox-status">
+      <button
+        type="button"
+        className={`outbox-summary ${summaryStatus}`}
+        onClick={() => setExpanded((prev) => !prev)}
+        aria-expanded={expanded}
+      >
+        <span className="outbox-icon">{statusLabels[summaryStatus].icon}</span>
+        <span>{summaryText}</span>
+      </button>
+
+      {expanded && (
+        <div className="outbox-panel">
+          <ul className="outbox-list">
+            {items.map((item) => (
+              <li key={item.id} className="outbox-item">
+                <div className="outbox-item-text">
+                  <span className="outbox-item-name">{describeItem(item)}</span>
+                  <span className={`outbox-pill ${item.status}`}>{statusLabels[item.status].label}</span>
+                </div>
+                {item.status !== 'synced' && item.lastError && (
+                  <p className="outbox-item-error">{item.lastError}</p>
+                )}
+                {item.status !== 'synced' && (
+                  <div className="outbox-item-actions">
+                    <button type="button" onClick={() => onRetry(item.id)}>Retry now</button>
+                    <button type="button" onClick={() => onDiscard(item.id)}>Discard</button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+          {counts.synced > 0 && (
+            <button type="button" className="outbox-clear" onClick={onClearSynced}>
+              Clear synced
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OutboxStatus;
@@ -1,4 +1,7 @@
 import React, { useState, useMemo } from 'react';
+import RatingStats from './RatingStats';
+import RoadReports from './RoadReports';
+import { findWarningType } from './utils/warningTypes';
 import './RatingModal.css';
 
 const COMMENTS_PREVIEW_COUNT = 2;
@@ -11,10 +14,15 @@ const ratingLabels = {
   visibility: { icon: '👁️', label: 'Visibility' },
 };
 
-const warningTypes = {
-  speed_camera: { icon: '📷', label: 'Speed Cameras' },
-  potholes: { icon: '⚠️', label: 'Potholes' },
-  traffic: { icon: '🚗', label: 'Traffic' },
+const relativeTime = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+
+// "today", "2 days ago", "3 weeks ago", ...
+const formatTimeAgo = (value) => {
+  const days = Math.round((Date.now() - new Date(value).getTime()) / (24 * 60 * 60 * 1000));
+  if (Number.isNaN(days)) return 'at an unknown time';
+  if (days < 14) return relativeTime.format(-days, 'day');
+  if (days < 60) return relativeTime.format(-Math.round(days / 7), 'week');
+  return relativeTime.format(-Math.round(days / 30), 'month');
 };
 
 const ratingDescriptions = [
@@ -31,7 +39,17 @@ function RatingModal({
   roadName,
   showComment = false,
   isNewRoad = false,
-  roadDetails = null // { summary, ratings, loading }
+  roadDetails = null, // { summary, ratings, myRating, stats, warningReports, recentSurface, loading }
+  warningTypes = [], // From GET /api/warning-types
+  warningPins = {}, // warning key → { lat, lng } chosen on the map
+  onWarningPinsChange,
+  onPickLocation, // Called with a warning key to pick its spot on the map
+  hidden = false, // Kept mounted but not shown while a location is being picked
+  apiBase = '',
+  roadId = null, // Existing road, for its condition reports
+  onReportsChange,
+  onNotify, // Shows a snackbar message
+  onReportRating // Called with a rating to flag it for moderation; resolves once sent
 }) {
   // For existing roads, start in 'details' view; for new roads, start in 'rate' view
   const [viewMode, setViewMode] = useState(isNewRoad ? 'rate' : 'details');
@@ -48,6 +66,7 @@ function RatingModal({
   const [name, setName] = useState('');
   const [commentsExpanded, setCommentsExpanded] = useState(false);
   const [selectedWarnings, setSelectedWarnings] = useState([]);
+  const [reportedRatingIds, setReportedRatingIds] = useState([]);
 
   const handleChange = (e) => {
     setRatings({ ...ratings, [e.target.name]: Number(e.target.value) });
@@ -59,7 +78,9 @@ function RatingModal({
       ...ratings,
       ...(showComment ? { comment } : {}),
       ...(isNewRoad ? { name: name.trim() || null } : {}),
-      ...(selectedWarnings.length > 0 ? { warnings: selectedWarnings } : {}),
+      ...(selectedWarnings.length > 0
+        ? { warnings: selectedWarnings.map((key) => (warningPins[key] ? { type: key, ...warningPins[key] } : key)) }
+        : {}),
     });
   };
 
@@ -69,6 +90,10 @@ function RatingModal({
         ? prev.filter((w) => w !== warningKey)
         : [...prev, warningKey]
     );
+    if (warningPins[warningKey]) {
+      const { [warningKey]: _removed, ...remaining } = warningPins;
+      onWarningPinsChange?.(remaining);
+    }
   };
 
   const formatDate = (value) => {
@@ -81,6 +106,25 @@ function RatingModal({
   const summary = roadDetails?.summary;
   const existingRatings = roadDetails?.ratings || [];
   const loading = roadDetails?.loading || false;
+  // This device's earlier rating of the road; submitting again replaces it
+  const myRating = roadDetails?.myRating || null;
+  const stats = roadDetails?.stats || null;
+  // Surface score weighted toward recent ratings, from the server
+  const recentSurface = roadDetails?.recentSurface ?? null;
+
+  const startRating = () => {
+    if (myRating) {
+      setRatings((prev) => Object.fromEntries(
+        Object.keys(prev).map((key) => [key, myRating[key] || prev[key]])
+      ));
+      setComment(myRating.comment || '');
+      setSelectedWarnings(myRating.warnings || []);
+      onWarningPinsChange?.(Object.fromEntries(
+        (myRating.warning_locations || []).map(({ type, lat, lng }) => [type, { lat, lng }])
+      ));
+    }
+    setViewMode('rate');
+  };
 
   // Calculate which comments to display based on expanded state
   const visibleComments = useMemo(() => {
@@ -93,21 +137,22 @@ function RatingModal({
   const hiddenCommentsCount = existingRatings.length - COMMENTS_PREVIEW_COUNT;
   const hasMoreComments = existingRatings.length > COMMENTS_PREVIEW_COUNT;
 
-  // Aggregate warnings from all ratings
-  const aggregatedWarnings = useMemo(() => {
-    const warningCounts = {};
-    existingRatings.forEach((rating) => {
-      if (rating.warnings && Array.isArray(rating.warnings)) {
-        rating.warnings.forEach((warning) => {
-          warningCounts[warning] = (warningCounts[warning] || 0) + 1;
-        });
-      }
-    });
-    return Object.entries(warningCounts)
-      .map(([key, count]) => ({ key, count, ...warningTypes[key] }))
-      .filter((w) => w.label) // Only include valid warning types
-      .sort((a, b) => b.count - a.count);
-  }, [existingRatings]);
+  // Unexpired warnings from the server, most recently and often reported first
+  const activeWarnings = useMemo(() => (roadDetails?.warningReports || [])
+    .map((report) => ({ key: report.type, ...report, ...findWarningType(warningTypes, report.type) }))
+    .filter((w) => w.label), // Only include known warning types
+  [roadDetails?.warningReports, warningTypes]);
+
+  const handleReportRating = async (rating) => {
+    try {
+      await onReportRating(rating);
+      setReportedRatingIds((prev) => [...prev, rating.id]);
+    } catch {
+      // The caller has already told the user what went wrong
+    }
+  };
+
+  if (hidden) return null;
 
   // Details view for existing roads
   if (viewMode === 'details' && !isNewRoad) {
@@ -132,33 +177,42 @@ function RatingModal({
                   <span className="overall-score">{summary.avg_overall.toFixed(1)}</span>
                   <span className="overall-label">/ 5 overall</span>
                 </div>
-                <div className="details-ratings-grid">
-                  <div className="details-rating-item">
-                    <span className="details-rating-icon">🌀</span>
-                    <span className="details-rating-label">Twistiness</span>
-                    <span className="details-rating-value">{summary.avg_twistiness?.toFixed(1) || '—'}</span>
-                  </div>
-                  <div className="details-rating-item">
-                    <span className="details-rating-icon">🛤️</span>
-                    <span className="details-rating-label">Surface</span>
-                    <span className="details-rating-value">{summary.avg_surface_condition?.toFixed(1) || '—'}</span>
-                  </div>
-                  <div className="details-rating-item">
-                    <span className="details-rating-icon">⚡</span>
-                    <span className="details-rating-label">Fun Factor</span>
-                    <span className="details-rating-value">{summary.avg_fun_factor?.toFixed(1) || '—'}</span>
+                {stats ? (
+                  <RatingStats stats={stats} labels={ratingLabels} />
+                ) : (
+                  <div className="details-ratings-grid">
+                    <div className="details-rating-item">
+                      <span className="details-rating-icon">🌀</span>
+                      <span className="details-rating-label">Twistiness</span>
+                      <span className="details-rating-value">{summary.avg_twistiness?.toFixed(1) || '—'}</span>
+                    </div>
+                    <div className="details-rating-item">
+                      <span className="details-rating-icon">🛤️</span>
+                      <span className="details-rating-label">Surface</span>
+                      <span className="details-rating-value">{summary.avg_surface_condition?.toFixed(1) || '—'}</span>
+                    </div>
+                    <div className="details-rating-item">
+                      <span className="details-rating-icon">⚡</span>
+                      <span className="details-rating-label">Fun Factor</span>
+                      <span className="details-rating-value">{summary.avg_fun_factor?.toFixed(1) || '—'}</span>
+                    </div>
+                    <div className="details-rating-item">
+                      <span className="details-rating-icon">🏞️</span>
+                      <span className="details-rating-label">Scenery</span>
+                      <span className="details-rating-value">{summary.avg_scenery?.toFixed(1) || '—'}</span>
+                    </div>
+                    <div className="details-rating-item">
+                      <span className="details-rating-icon">👁️</span>
+                      <span className="details-rating-label">Visibility</span>
+                      <span className="details-rating-value">{summary.avg_visibility?.toFixed(1) || '—'}</span>
+                    </div>
                   </div>
-                  <div className="details-rating-item">
-                    <span className="details-rating-icon">🏞️</span>
-                    <span className="details-rating-label">Scenery</span>
-                    <span className="details-rating-value">{summary.avg_scenery?.toFixed(1) || '—'}</span>
-                  </div>
-                  <div className="details-rating-item">
-                    <span className="details-rating-icon">👁️</span>
-                    <span className="details-rating-label">Visibility</span>
-                    <span className="details-rating-value">{summary.avg_visibility?.toFixed(1) || '—'}</span>
-                  </div>
-                </div>
+                )}
+                {recentSurface !== null && (
+                  <p className="details-recent-surface">
+                    🛤️ Surface lately: <strong>{recentSurface.toFixed(1)}</strong> / 5, weighted toward recent ratings
+                  </p>
+                )}
               </>
             ) : (
               <p className="no-ratings-message">No ratings yet. Be the first to rate this road!</p>
@@ -166,21 +220,29 @@ function RatingModal({
           </div>
 
           {/* Warnings Section */}
-          {aggregatedWarnings.length > 0 && (
+          {activeWarnings.length > 0 && (
             <div className="details-section">
               <h3 className="details-section-title">Warnings</h3>
               <div className="warnings-grid">
-                {aggregatedWarnings.map((warning) => (
+                {activeWarnings.map((warning) => (
                   <div key={warning.key} className="warning-badge">
                     <span className="warning-icon">{warning.icon}</span>
-                    <span className="warning-label">{warning.label}</span>
-                    <span className="warning-count">{warning.count}</span>
+                    <span className="warning-label">
+                      {warning.label}
+                      <span className="warning-freshness">
+                        reported {warning.reports} time{warning.reports !== 1 ? 's' : ''}, last {formatTimeAgo(warning.last_reported_at)}
+                      </span>
+                    </span>
                   </div>
                 ))}
               </div>
             </div>
           )}
 
+          {roadId !== null && (
+            <RoadReports apiBase={apiBase} roadId={roadId} onChange={onReportsChange} onNotify={onNotify} />
+          )}
+
           {/* Comments Section */}
           <div className="details-section">
             <div
@@ -218,6 +280,16 @@ function RatingModal({
                 <div key={rating.id} className="details-comment-card">
                   <div className="details-comment-header">
                     <span className="details-comment-date">{formatDate(rating.created_at)}</span>
+                    {onReportRating && rating.id !== myRating?.id && (
+                      <button
+                        type="button"
+                        className="details-comment-report"
+                        disabled={reportedRatingIds.includes(rating.id)}
+                        onClick={() => handleReportRating(rating)}
+                      >
+                        {reportedRatingIds.includes(rating.id) ? 'Reported' : 'Report'}
+                      </button>
+                    )}
                     <span className="details-comment-score">
                       {(((rating.twistiness + rating.surface_condition + rating.fun_factor + rating.scenery + rating.visibility) / 5) || 0).toFixed(1)}/5
                     </span>
@@ -247,12 +319,23 @@ function RatingModal({
             <button type="button" onClick={onCancel} className="button-secondary">
               Close
             </button>
+            {roadId && (
+              // The server sends it as an attachment, so the link downloads instead of navigating
+              <a
+                href={`${apiBase}/api/roads/${roadId}/export?format=gpx`}
+                className="button-secondary button-download"
+                download
+              >
+                Download GPX
+              </a>
+            )}
             <button
               type="button"
-              onClick={() => setViewMode('rate')}
+              onClick={startRating}
               className="button-primary"
+              disabled={loading}
             >
-              Add a Rating
+              {myRating ? 'Update your rating' : 'Add a Rating'}
             </button>
           </div>
         </div>
@@ -265,9 +348,15 @@ function RatingModal({
     <div className="modal-overlay" onClick={onCancel}>
       <div className="modal-container" onClick={(e) => e.stopPropagation()}>
         <div className="modal-header">
-          <h2>{isNewRoad ? 'Save your road' : `Rate ${roadName || 'this road'}`}</h2>
+          <h2>
+            {isNewRoad ? 'Save your road' : myRating ? 'Update your rating' : `Rate ${roadName || 'this road'}`}
+          </h2>
           <p className="modal-subtitle">
-            {isNewRoad ? 'Give it a name, rate your experience, and add your thoughts' : 'Share your experience with fellow riders'}
+            {isNewRoad
+              ? 'Give it a name, rate your experience, and add your thoughts'
+              : myRating
+                ? `You rated this on ${formatDate(myRating.created_at)}. Your new scores will replace it.`
+                : 'Share your experience with fellow riders'}
           </p>
         </div>
 
@@ -344,22 +433,42 @@ function RatingModal({
             </div>
           )}
 
-          <div className="warnings-field">
-            <label>Road Warnings (optional)</label>
-            <div className="warnings-selection">
-              {Object.entries(warningTypes).map(([key, { icon, label }]) => (
-                <button
-                  key={key}
-                  type="button"
-                  className={`warning-toggle ${selectedWarnings.includes(key) ? 'active' : ''}`}
-                  onClick={() => toggleWarning(key)}
-                >
-                  <span className="warning-icon">{icon}</span>
-                  <span className="warning-label">{label}</span>
-                </button>
-              ))}
+          {warningTypes.some((type) => type.active) && (
+            <div className="warnings-field">
+              <label>Road Warnings (optional)</label>
+              <div className="warnings-selection">
+                {warningTypes.filter((type) => type.active).map(({ key, icon, label }) => (
+                  <button
+                    key={key}
+                    type="button"
+                    className={`warning-toggle ${selectedWarnings.includes(key) ? 'active' : ''}`}
+                    onClick={() => toggleWarning(key)}
+                  >
+                    <span className="warning-icon">{icon}</span>
+                    <span className="warning-label">{label}</span>
+                  </button>
+                ))}
+              </div>
+              {onPickLocation && selectedWarnings.length > 0 && (
+                <div className="warning-pins">
+                  {selectedWarnings.map((key) => {
+                    const type = findWarningType(warningTypes, key);
+                    if (!type) return null;
+                    return (
+                      <button
+                        key={key}
+                        type="button"
+                        className={`warning-pin ${warningPins[key] ? 'pinned' : ''}`}
+                        onClick={() => onPickLocation(key)}
+                      >
+                        📍 {warningPins[key] ? `${type.label} pinned · Move` : `Pin ${type.label.toLowerCase()} on the map`}
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
             </div>
-          </div>
+          )}
 
           <div className="modal-actions">
             {!isNewRoad && (
@@ -373,7 +482,7 @@ function RatingModal({
               </button>
             )}
             <button type="submit" className="button-primary">
-              Submit Rating
+              {myRating ? 'Update Rating' : 'Submit Rating'}
             </button>
           </div>
         </form>
@@ -0,0 +1,82 @@
+import React from 'react';
+import './RatingStats.css';
+
+const SCORE_VALUES = [1, 2, 3, 4, 5];
+const TREND_WIDTH = 120;
+const TREND_HEIGHT = 32;
+
+// SVG polyline points for monthly averages, 1 at the bottom and 5 at the top
+const trendPoints = (values) => {
+  const step = values.length > 1 ? TREND_WIDTH / (values.length - 1) : 0;
+  return values
+    .map((value, index) => `${(index * step).toFixed(1)},${(TREND_HEIGHT - ((value - 1) / 4) * TREND_HEIGHT).toFixed(1)}`)
+    .join(' ');
+};
+
+const formatMonth = (month) => new Date(`${month}-01T00:00:00Z`)
+  .toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Per-category score histograms and monthly trend lines
+ * @param {Object} props
+ * @param {Object} props.stats - Response from GET /api/roads/:id/stats
+ * @param {Object} props.labels - Score field → { icon, label }
+ */
+function RatingStats({ stats, labels }) {
+  return (
+    <div className="rating-stats">
+      {Object.entries(labels).map(([field, { icon, label }]) => {
+        const category = stats.categories?.[field];
+        if (!category || category.average === null) return null;
+
+        const counts = SCORE_VALUES.map((score) => category.histogram?.[score] || 0);
+        const maxCount = Math.max(...counts, 1);
+        const trend = (stats.monthly || []).filter((month) => month[`avg_${field}`] !== null);
+        const first = trend[0];
+        const last = trend[trend.length - 1];
+
+        return (
+          <div key={field} className="rating-stats-row">
+            <div className="rating-stats-heading">
+              <span className="rating-stats-icon">{icon}</span>
+              <span className="rating-stats-label">{label}</span>
+              <span className="rating-stats-value">{category.average.toFixed(1)}</span>
+              <span className="rating-stats-spread">±{category.std_dev.toFixed(1)}</span>
+            </div>
+
+            <div className="rating-stats-charts">
+              <div className="rating-histogram" role="img" aria-label={`${label} ratings from 1 to 5: ${counts.join(', ')}`}>
+                {counts.map((count, index) => (
+                  <div key={SCORE_VALUES[index]} className="rating-histogram-column" title={`${count} × ${SCORE_VALUES[index]}`}>
+                    <span className="rating-histogram-track">
+                      <span className="rating-histogram-bar" style={{ height: `${(count / maxCount) * 100}%` }} />
+                    </span>
+                    <span className="rating-histogram-score">{SCORE_VALUES[index]}</span>
+                  </div>
+                ))}
+              </div>
+
+              {trend.length > 1 && (
+                <div className="rating-trend">
+                  <svg
+                    viewBox={`-2 -2 ${TREND_WIDTH + 4} ${TREND_HEIGHT + 4}`}
+                    preserveAspectRatio="none"
+                    role="img"
+                    aria-label={`${label} by month`}
+                  >
+                    <polyline points={trendPoints(trend.map((month) => month[`avg_${field}`]))} />
+                  </svg>
+                  <span className="rating-trend-caption">
+                    {first[`avg_${field}`].toFixed(1)} → {last[`avg_${field}`].toFixed(1)} since {formatMonth(first.month)}
+                  </span>
+                </div>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default RatingStats;
@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { getDeviceId, deviceHeaders } from './utils/deviceId';
+import { isRateLimited, rateLimitMessage } from './utils/rateLimit';
+import './RoadReports.css';
+
+// Mirrors REPORT_TYPES in server/lib/reports.js
+const REPORT_TYPES = [
+  { key: 'closure', icon: '⛔', label: 'Closed' },
+  { key: 'landslip', icon: '🪨', label: 'Landslip' },
+  { key: 'roadworks', icon: '🚧', label: 'Roadworks' },
+  { key: 'snow', icon: '❄️', label: 'Snow or ice' },
+  { key: 'flooding', icon: '🌊', label: 'Flooding' },
+  { key: 'other', icon: '⚠️', label: 'Other' },
+];
+
+const findReportType = (key) => REPORT_TYPES.find((type) => type.key === key) || REPORT_TYPES[REPORT_TYPES.length - 1];
+
+const formatUntil = (value) => new Date(value).toLocaleString(undefined, {
+  weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit',
+});
+
+/**
+ * Temporary conditions on a road (closures, roadworks, snow...) with voting and a report form
+ * @param {Object} props
+ * @param {string} props.apiBase - API base URL
+ * @param {number|string} props.roadId - Road the reports belong to
+ * @param {function} props.onChange - Called after a report is added, confirmed or cleared
+ * @param {function} props.onNotify - Shows a snackbar message, used for rate limits
+ */
+function RoadReports({ apiBase, roadId, onChange, onNotify }) {
+  const [reports, setReports] = useState([]);
+  const [formOpen, setFormOpen] = useState(false);
+  const [type, setType] = useState('closure');
+  const [note, setNote] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchReports = useCallback(async () => {
+    try {
+      const response = await axios.get(`${apiBase}/api/roads/${roadId}/reports`, {
+        headers: deviceHeaders(),
+      });
+      setReports(response.data.reports || []);
+    } catch (err) {
+      console.error('Error fetching road reports:', err);
+    }
+  }, [apiBase, roadId]);
+
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  // Throttling goes to the snackbar like every other rate limit; anything else is shown by the form
+  const showError = (err) => {
+    if (isRateLimited(err) && onNotify) {
+      onNotify(rateLimitMessage(err), 'warning');
+      return;
+    }
+    setError(err.response?.data?.errors?.[0]?.message
+      || err.response?.data?.message
+      || err.response?.data?.error
+      || 'Something went wrong. Please try again.');
+  };
+
+  const handleVote = async (report, vote) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await axios.post(`${apiBase}/api/roads/${roadId}/reports/${report.id}/votes`, { vote }, {
+        headers: deviceHeaders(),
+      });
+      await fetchReports();
+      onChange?.();
+    } catch (err) {
+      console.error('Error voting on report:', err);
+      showError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await axios.post(`${apiBase}/api/roads/${roadId}/reports`, {
+        type,
+        note: note.trim() || null,
+        // datetime-local values are local time; send them as an instant
+        expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+        device_id: getDeviceId(),
+      }, {
+        headers: deviceHeaders(),
+      });
+      setFormOpen(false);
+      setNote('');
+      setExpiresAt('');
+      await fetchReports();
+      onChange?.();
+    } catch (err) {
+      console.error('Error creating report:', err);
+      showError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="details-section">
+      <div className="details-section-header">
+        <h3 className="details-section-title">Current conditions</h3>
+        {!formOpen && (
+          <button type="button" className="road-reports-add" onClick={() => setFormOpen(true)}>
+            Report a condition
+          </button>
+        )}
+      </div>
+
+      {reports.length === 0 && !formOpen && (
+        <p className="road-reports-empty">Nothing reported right now.</p>
+      )}
+
+      <ul className="road-reports-list">
+        {reports.map((report) => {
+          const reportType = findReportType(report.type);
+          return (
+            <li key={report.id} className={`road-report ${report.closes_road ? 'closes-road' : ''}`}>
+              <div className="road-report-heading">
+                <span className="road-report-icon">{reportType.icon}</span>
+                <span className="road-report-label">{reportType.label}</span>
+                <span className="road-report-until">
+                  {report.active ? 'until' : 'from'} {formatUntil(report.active ? report.expires_at : report.starts_at)}
+                </span>
+              </div>
+              {report.note && <p className="road-report-note">{report.note}</p>}
+              <div className="road-report-actions">
+                <span className="road-report-votes">
+                  {report.confirmations} confirmed · {report.clears} say it&apos;s gone
+                </span>
+                <button
+                  type="button"
+                  className={report.my_vote === 'confirm' ? 'selected' : ''}
+                  disabled={busy}
+                  onClick={() => handleVote(report, 'confirm')}
+                >
+                  Still there
+                </button>
+                <button
+                  type="button"
+                  className={report.my_vote === 'clear' ? 'selected' : ''}
+                  disabled={busy}
+                  onClick={() => handleVote(report, 'clear')}
+                >
+                  No longer there
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {formOpen && (
+        <form className="road-report-form" onSubmit={handleSubmit}>
+          <div className="road-report-types">
+            {REPORT_TYPES.map((option) => (
+              <button
+                key={option.key}
+                type="button"
+                className={`road-report-type ${type === option.key ? 'selected' : ''}`}
+                onClick={() => setType(option.key)}
+              >
+                <span>{option.icon}</span>
+                <span>{option.label}</span>
+              </button>
+            ))}
+          </div>
+          <textarea
+            className="road-report-note-input"
+            placeholder="What's going on? (optional)"
+            value={note}
+            maxLength={500}
+            rows={2}
+            onChange={(e) => setNote(e.target.value)}
+          />
+          <label className="road-report-expiry">
+            Expected to last until (optional)
+            <input
+              type="datetime-local"
+              value={expiresAt}
+              onChange={(e) => setExpiresAt(e.target.value)}
+            />
+          </label>
+          <div className="road-report-form-actions">
+            <button type="button" className="secondary" onClick={() => setFormOpen(false)} disabled={busy}>
+              Cancel
+            </button>
+            <button type="submit" disabled={busy}>
+              {busy ? 'Sending…' : 'Send report'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && <p className="road-reports-error">{error}</p>}
+    </div>
+  );
+}
+
+export default RoadReports;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import './TopRoadsPanel.css';
+
+const PAGE_SIZE = 20;
+
+// Ranked sorts use the server's confidence-adjusted score, optionally with category weights
+const sortOptions = [
+  { value: 'ranked', label: 'Best overall', params: { sort: 'score' } },
+  { value: 'twisty', label: '🌀 Twisty roads', params: { sort: 'score', weights: 'twistiness:2,fun_factor:1.5,scenery:0.5' } },
+  { value: 'scenic', label: '🏞️ Scenic cruise', params: { sort: 'score', weights: 'scenery:2,surface_condition:1.5,twistiness:0.5' } },
+  { value: 'avg_overall', label: 'Average rating' },
+  { value: 'avg_twistiness', label: '🌀 Twistiness' },
+  { value: 'avg_surface_condition', label: '🛤️ Surface' },
+  { value: 'avg_fun_factor', label: '⚡ Fun Factor' },
+  { value: 'avg_scenery', label: '🏞️ Scenery' },
+  { value: 'avg_visibility', label: '👁️ Visibility' },
+  { value: 'rating_count', label: 'Most rated' },
+];
+
+const sortParams = (sort) => sortOptions.find((option) => option.value === sort)?.params || { sort };
+
+const filterOptions = {
+  established: { label: '3+ ratings', params: { min_ratings: 3 } },
+  twisty: { label: 'Twisty 4+', params: { min_twistiness: 4 } },
+  noPotholes: { label: 'No potholes', params: { exclude_warning: 'potholes' } },
+  noCameras: { label: 'No speed cameras', params: { exclude_warning: 'speed_camera' } },
+};
+
+// Merge the active filters into query params; exclude_warning values are comma-joined
+const buildFilterParams = (activeFilters) => activeFilters.reduce((params, key) => {
+  Object.entries(filterOptions[key].params).forEach(([name, value]) => {
+    params[name] = name === 'exclude_warning' && params[name] ? `${params[name]},${value}` : value;
+  });
+  return params;
+}, {});
+
+/**
+ * Ranked list of the best roads in the current map viewport
+ * @param {Object} props
+ * @param {string} props.apiBase - API base URL
+ * @param {string|null} props.bbox - Viewport as minLng,minLat,maxLng,maxLat
+ * @param {function} props.onSelectRoad - Called with the road when a row is clicked
+ * @param {function} props.onClose - Callback to hide the panel
+ */
+function TopRoadsPanel({ apiBase, bbox, onSelectRoad, onClose }) {
+  const [sort, setSort] = useState('ranked');
+  const [activeFilters, setActiveFilters] = useState([]);
+  const [results, setResults] = useState({ key: null, roads: [], nextCursor: null });
+  const [loadingMore, setLoadingMore] = useState(false);
+  const latestKeyRef = useRef(null);
+
+  // Results belong to one viewport/sort/filter combination; anything else is still loading
+  const queryKey = JSON.stringify([bbox, sort, activeFilters]);
+  const loading = results.key !== queryKey || loadingMore;
+
+  const fetchPage = useCallback(async (cursor = null) => {
+    const response = await axios.get(`${apiBase}/api/roads`, {
+      params: {
+        bbox,
+        ...sortParams(sort),
+        limit: PAGE_SIZE,
+        ...buildFilterParams(activeFilters),
+        ...(cursor ? { cursor } : {}),
+      },
+    });
+    return {
+      roads: Array.isArray(response.data) ? response.data : [],
+      nextCursor: response.headers['x-next-cursor'] || null,
+    };
+  }, [apiBase, bbox, sort, activeFilters]);
+
+  useEffect(() => {
+    if (!bbox) return;
+    latestKeyRef.current = queryKey;
+    fetchPage()
+      .then((page) => {
+        if (queryKey === latestKeyRef.current) setResults({ key: queryKey, ...page });
+      })
+      .catch((error) => {
+        console.error('Error fetching top roads:', error);
+        if (queryKey === latestKeyRef.current) setResults({ key: queryKey, roads: [], nextCursor: null });
+      });
+  }, [bbox, queryKey, fetchPage]);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const page = await fetchPage(results.nextCursor);
+      if (queryKey !== latestKeyRef.current) return;
+      setResults((prev) => ({ ...prev, roads: [...prev.roads, ...page.roads], nextCursor: page.nextCursor }));
+    } catch (error) {
+      console.error('Error fetching more top roads:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const toggleFilter = (key) => {
+    setActiveFilters((prev) =>
+      prev.includes(key) ? prev.filter((f) => f !== key) : [...prev, key]
+    );
+  };
+
+  const formatScore = (road) => {
+    const key = sortParams(sort).sort;
+    const value = key === 'score'
+      ? road.ranking_score
+      : key === 'rating_count'
+        ? road.rating_summary?.avg_overall
+        : road.rating_summary?.[key];
+    return value ? value.toFixed(1) : '—';
+  };
+
+  return (
+    <aside className="top-roads-panel">
+      <div className="top-roads-header">
+        <div>
+          <p className="eyebrow">In this area</p>
+          <h3>Top roads</h3>
+        </div>
+        <button type="button" className="top-roads-close" onClick={onClose} aria-label="Close top roads">
+          ✕
+        </button>
+      </div>
+
+      <select
+        className="top-roads-sort"
+        value={sort}
+        onChange={(e) => setSort(e.target.value)}
+      >
+        {sortOptions.map((option) => (
+          <option key={option.value} value={option.value}>
+            Sort by {option.label}
+          </option>
+        ))}
+      </select>
+
+      <div className="top-roads-filters">
+        {Object.entries(filterOptions).map(([key, { label }]) => (
+          <button
+            key={key}
+            type="button"
+            className={`top-roads-filter ${activeFilters.includes(key) ? 'active' : ''}`}
+            onClick={() => toggleFilter(key)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <ol className="top-roads-list">
+        {results.roads.map((road, index) => (
+          <li key={road.id}>
+            <button type="button" className="top-roads-item" onClick={() => onSelectRoad(road)}>
+              <span className="top-roads-rank">{index + 1}</span>
+              <span className="top-roads-name">{road.name || 'Unnamed road'}</span>
+              <span className="top-roads-meta">
+                <strong>{formatScore(road)}</strong>
+                <span>{road.rating_summary?.rating_count || 0} ratings</span>
+              </span>
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      {!loading && results.roads.length === 0 && (
+        <p className="muted">No roads match these filters here. Try zooming out.</p>
+      )}
+      {loading && <p className="muted">Loading…</p>}
+      {!loading && results.nextCursor && (
+        <button type="button" className="top-roads-more" onClick={handleLoadMore}>
+          Load more
+        </button>
+      )}
+    </aside>
+  );
+}
+
+export default TopRoadsPanel;
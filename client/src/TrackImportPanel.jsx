@@ -0,0 +1,109 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { validatePathDistance, MAX_ROAD_DISTANCE_KM } from './utils/roadUtils';
+import './TrackImportPanel.css';
+
+/**
+ * Choose one line from an imported GPX/KML/GeoJSON file and trim it to the
+ * section that should become a road. The selection is previewed on the map.
+ * @param {Object} props
+ * @param {string} props.fileName - Name of the imported file
+ * @param {Array<{ name: string, path: Array<[number, number]> }>} props.tracks - Lines found in the file
+ * @param {function} props.onPreview - Called with the selected section whenever it changes
+ * @param {function} props.onFrame - Called with a whole line when it is picked, to fit the map to it
+ * @param {function} props.onImport - Called with the selected section to snap and rate
+ * @param {function} props.onCancel - Discard the import
+ */
+function TrackImportPanel({ fileName, tracks, onPreview, onFrame, onImport, onCancel }) {
+  const [trackIndex, setTrackIndex] = useState(0);
+  const [range, setRange] = useState({ start: 0, end: tracks[0].path.length - 1 });
+
+  const track = tracks[trackIndex];
+  const lastIndex = track.path.length - 1;
+  const section = useMemo(
+    () => track.path.slice(range.start, range.end + 1),
+    [track, range]
+  );
+  const validation = validatePathDistance(section);
+  const wholeTrack = validatePathDistance(track.path);
+
+  useEffect(() => {
+    onPreview(section);
+  }, [section, onPreview]);
+
+  useEffect(() => {
+    onFrame(track.path);
+  }, [track, onFrame]);
+
+  const selectTrack = (index) => {
+    setTrackIndex(index);
+    setRange({ start: 0, end: tracks[index].path.length - 1 });
+  };
+
+  const setStart = (value) => setRange((prev) => ({ ...prev, start: Math.min(value, prev.end - 1) }));
+  const setEnd = (value) => setRange((prev) => ({ ...prev, end: Math.max(value, prev.start + 1) }));
+
+  return (
+    <aside className="track-import-panel">
+      <div className="track-import-header">
+        <div>
+          <p className="eyebrow">Import</p>
+          <h3>{fileName}</h3>
+        </div>
+        <button type="button" className="track-import-close" onClick={onCancel} aria-label="Cancel import">
+          ✕
+        </button>
+      </div>
+
+      {tracks.length > 1 && (
+        <label className="track-import-field">
+          Track
+          <select value={trackIndex} onChange={(e) => selectTrack(Number(e.target.value))}>
+            {tracks.map((option, index) => (
+              <option key={index} value={index}>
+                {option.name} ({validatePathDistance(option.path).distance} km)
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <label className="track-import-field">
+        Start
+        <input
+          type="range"
+          min={0}
+          max={lastIndex}
+          value={range.start}
+          onChange={(e) => setStart(Number(e.target.value))}
+        />
+      </label>
+      <label className="track-import-field">
+        End
+        <input
+          type="range"
+          min={0}
+          max={lastIndex}
+          value={range.end}
+          onChange={(e) => setEnd(Number(e.target.value))}
+        />
+      </label>
+
+      <p className={`track-import-distance ${validation.valid ? '' : 'invalid'}`}>
+        {validation.valid
+          ? `Selected section: ${validation.distance} km of ${wholeTrack.distance} km`
+          : `Selected section is ${validation.distance} km. Roads must be shorter than ${MAX_ROAD_DISTANCE_KM} km, so trim it with Start and End.`}
+      </p>
+
+      <div className="track-import-actions">
+        <button type="button" className="ghost" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="button" onClick={() => onImport(section)} disabled={!validation.valid}>
+          Snap and rate
+        </button>
+      </div>
+    </aside>
+  );
+}
+
+export default TrackImportPanel;
@@ -0,0 +1,162 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  MAX_ATTEMPTS,
+  listOutboxItems,
+  saveOutboxItem,
+  deleteOutboxItem,
+  createOutboxItem,
+  sendOutboxItem,
+  isRetryable,
+  retryDelay,
+  describeError,
+} from './utils/outbox';
+
+// Synced items stay listed for a while so the user sees them go through
+const SYNCED_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Queue road and rating submissions, send them now if possible and keep
+ * retrying the rest with backoff, including after reloads and when the
+ * browser comes back online.
+ * @param {string} apiBase - API base URL
+ * @param {function} onSynced - Called with (item, responseData) whenever an item is accepted
+ * @returns {{ items: Array<Object>, submit: function, retry: function, discard: function, clearSynced: function }}
+ */
+function useOutbox(apiBase, onSynced) {
+  const [items, setItems] = useState([]);
+  const onSyncedRef = useRef(onSynced);
+  const inFlightRef = useRef(new Set());
+  const timerRef = useRef(null);
+  const flushRef = useRef(null);
+
+  useEffect(() => {
+    onSyncedRef.current = onSynced;
+  }, [onSynced]);
+
+  const refresh = useCallback(async () => {
+    const stored = await listOutboxItems();
+    setItems(stored);
+    return stored;
+  }, []);
+
+  // One send; the stored item is updated with the outcome either way
+  const attempt = useCallback(async (item) => {
+    inFlightRef.current.add(item.id);
+    try {
+      const response = await sendOutboxItem(apiBase, item);
+      const synced = { ...item, status: 'synced', syncedAt: Date.now(), lastError: null };
+      await saveOutboxItem(synced);
+      onSyncedRef.current?.(synced, response.data);
+      return { item: synced, data: response.data };
+    } catch (error) {
+      const attempts = item.attempts + 1;
+      const failed = !isRetryable(error) || attempts >= MAX_ATTEMPTS;
+      const next = {
+        ...item,
+        attempts,
+        status: failed ? 'failed' : 'pending',
+        nextAttemptAt: Date.now() + retryDelay(attempts, error),
+        lastError: describeError(error),
+      };
+      await saveOutboxItem(next);
+      return { item: next, error };
+    } finally {
+      inFlightRef.current.delete(item.id);
+    }
+  }, [apiBase]);
+
+  const scheduleNext = useCallback((stored) => {
+    clearTimeout(timerRef.current);
+    const due = stored
+      .filter((item) => item.status === 'pending')
+      .map((item) => item.nextAttemptAt);
+    if (due.length === 0) return;
+    const delay = Math.max(Math.min(...due) - Date.now(), 0);
+    timerRef.current = setTimeout(() => flushRef.current?.(), delay);
+  }, []);
+
+  // Send every pending item that is due (or all of them, when forced)
+  const flush = useCallback(async (force = false) => {
+    const stored = await listOutboxItems();
+    const now = Date.now();
+    const due = stored.filter((item) => (
+      item.status === 'pending' &&
+      !inFlightRef.current.has(item.id) &&
+      (force || item.nextAttemptAt <= now)
+    ));
+
+    for (const item of due) {
+      await attempt(item);
+    }
+
+    const updated = await refresh();
+    scheduleNext(updated);
+  }, [attempt, refresh, scheduleNext]);
+
+  useEffect(() => {
+    flushRef.current = flush;
+  }, [flush]);
+
+  useEffect(() => {
+    // Drop old synced items, then pick up anything left from a previous visit
+    listOutboxItems()
+      .then((stored) => Promise.all(stored
+        .filter((item) => item.status === 'synced' && Date.now() - item.syncedAt > SYNCED_RETENTION_MS)
+        .map((item) => deleteOutboxItem(item.id))))
+      .then(() => flush())
+      .catch((error) => console.error('Error loading outbox:', error));
+
+    const handleOnline = () => flush(true);
+    window.addEventListener('online', handleOnline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      clearTimeout(timerRef.current);
+    };
+  }, [flush]);
+
+  /**
+   * Queue a submission and try to send it straight away.
+   * Resolves with { data } once accepted or { queued: true, error } when it will be retried.
+   * Rejects with the request error when the server refuses it outright; the item
+   * is then dropped so the caller can let the user fix the submission.
+   */
+  const submit = useCallback(async (fields) => {
+    const item = await saveOutboxItem(createOutboxItem(fields));
+    await refresh();
+
+    const result = await attempt(item);
+    if (result.error && !isRetryable(result.error)) {
+      await deleteOutboxItem(item.id);
+      await refresh();
+      throw result.error;
+    }
+
+    const updated = await refresh();
+    scheduleNext(updated);
+    return result.error ? { queued: true, error: result.error } : { data: result.data };
+  }, [attempt, refresh, scheduleNext]);
+
+  const retry = useCallback(async (id) => {
+    const item = (await listOutboxItems()).find((stored) => stored.id === id);
+    if (!item) return;
+    await saveOutboxItem({ ...item, status: 'pending', attempts: 0, nextAttemptAt: 0 });
+    await flush();
+  }, [flush]);
+
+  const discard = useCallback(async (id) => {
+    await deleteOutboxItem(id);
+    scheduleNext(await refresh());
+  }, [refresh, scheduleNext]);
+
+  const clearSynced = useCallback(async () => {
+    const stored = await listOutboxItems();
+    await Promise.all(stored
+      .filter((item) => item.status === 'synced')
+      .map((item) => deleteOutboxItem(item.id)));
+    await refresh();
+  }, [refresh]);
+
+  return { items, submit, retry, discard, clearSynced };
+}
+
+export default useOutbox;
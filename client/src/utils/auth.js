@@ -0,0 +1,210 @@
+/**
+ * Optional sign-in with Supabase Auth, spoken to over its REST API.
+ * Signing in is never required: without a session every request goes out
+ * with the device id alone, exactly as before. With one, API requests also
+ * carry `Authorization: Bearer <access token>` so the server can attribute
+ * them to the account.
+ */
+import axios from 'axios';
+
+const SESSION_KEY = 'roadrank_auth_session';
+// Refresh the access token when it has less than this long left
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+const supabaseUrl = (import.meta.env.VITE_SUPABASE_URL || '').replace(/\/$/, '');
+const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY || '';
+
+let session;
+let refreshing = null;
+const listeners = new Set();
+
+/**
+ * Whether sign-in is available; accounts are hidden when Supabase is not configured
+ * @returns {boolean}
+ */
+export function isAuthConfigured() {
+  return Boolean(supabaseUrl && supabaseAnonKey);
+}
+
+function readStoredSession() {
+  try {
+    return JSON.parse(window.localStorage.getItem(SESSION_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+function setSession(next) {
+  session = next;
+  try {
+    if (next) {
+      window.localStorage.setItem(SESSION_KEY, JSON.stringify(next));
+    } else {
+      window.localStorage.removeItem(SESSION_KEY);
+    }
+  } catch {
+    // Private mode: the session lasts until the page is closed
+  }
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * The signed-in session, or null. The same object is returned until it changes.
+ * @returns {{ access_token: string, refresh_token: string, expires_at: number, user: { id: string, email: string } } | null}
+ */
+export function getSession() {
+  if (session === undefined) {
+    session = isAuthConfigured() ? readStoredSession() : null;
+  }
+  return session;
+}
+
+/**
+ * Listen for sign-in and sign-out, in this tab or another one
+ * @param {function} listener
+ * @returns {function} Unsubscribe
+ */
+export function subscribeSession(listener) {
+  const onStorage = (event) => {
+    if (event.key !== SESSION_KEY) return;
+    session = readStoredSession();
+    listener();
+  };
+  listeners.add(listener);
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+// Keep only what the app needs from a Supabase token response
+function toSession(data) {
+  return {
+    access_token: data.access_token,
+    refresh_token: data.refresh_token,
+    expires_at: data.expires_at ? data.expires_at * 1000 : Date.now() + data.expires_in * 1000,
+    user: { id: data.user?.id, email: data.user?.email },
+  };
+}
+
+function authRequest(path, body, headers = {}) {
+  return axios.post(`${supabaseUrl}/auth/v1/${path}`, body, {
+    headers: { apikey: supabaseAnonKey, ...headers },
+  });
+}
+
+/**
+ * User-facing message for a failed sign-in, sign-up or refresh
+ * @param {Error} error - Axios error
+ */
+export function authErrorMessage(error) {
+  const data = error?.response?.data;
+  return data?.error_description || data?.msg || data?.message
+    || 'Could not reach the sign-in service. Please try again.';
+}
+
+/**
+ * Sign in with email and password
+ * @returns {Promise<object>} The new session
+ */
+export async function signIn(email, password) {
+  const response = await authRequest('token?grant_type=password', { email, password });
+  const next = toSession(response.data);
+  setSession(next);
+  return next;
+}
+
+/**
+ * Create an account. When the project requires email confirmation no session
+ * is returned and the user has to confirm, then sign in.
+ * @returns {Promise<object | null>} The new session, or null until the email is confirmed
+ */
+export async function signUp(email, password) {
+  const response = await authRequest('signup', { email, password });
+  if (!response.data?.access_token) return null;
+  const next = toSession(response.data);
+  setSession(next);
+  return next;
+}
+
+/**
+ * Sign out locally, and revoke the refresh token when Supabase can be reached
+ */
+export async function signOut() {
+  const current = getSession();
+  setSession(null);
+  if (!current) return;
+  try {
+    await authRequest('logout', {}, { Authorization: `Bearer ${current.access_token}` });
+  } catch (error) {
+    console.error('Error signing out:', error);
+  }
+}
+
+// Swap the refresh token for a new session; concurrent callers share one request
+function refreshSession(current) {
+  if (!refreshing) {
+    refreshing = authRequest('token?grant_type=refresh_token', { refresh_token: current.refresh_token })
+      .then((response) => {
+        const next = toSession(response.data);
+        setSession(next);
+        return next;
+      })
+      .catch((error) => {
+        // A revoked or expired refresh token ends the session; network errors keep it for later
+        if (error.response) setSession(null);
+        return error.response ? null : current;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+/**
+ * A current access token, refreshed first when it is about to expire
+ * @returns {Promise<string | null>} null when signed out
+ */
+export async function getAccessToken() {
+  let current = getSession();
+  if (!current) return null;
+  if (current.expires_at - Date.now() < REFRESH_MARGIN_MS) {
+    current = await refreshSession(current);
+  }
+  return current?.access_token || null;
+}
+
+/**
+ * Send the access token with every request to our API (and nowhere else,
+ * e.g. not to Nominatim). When the API rejects the token (401 with
+ * `WWW-Authenticate: Bearer error="invalid_token"`) the session is dropped
+ * and the app carries on anonymously.
+ * @param {string} apiBase - API base URL
+ * @returns {function} Removes the interceptors
+ */
+export function installAuthInterceptor(apiBase) {
+  const isApiRequest = (config) => (config.url || '').startsWith(`${apiBase}/api/`);
+
+  const requestId = axios.interceptors.request.use(async (config) => {
+    if (!isApiRequest(config)) return config;
+    const token = await getAccessToken();
+    if (token) config.headers.set('Authorization', `Bearer ${token}`);
+    return config;
+  });
+
+  const responseId = axios.interceptors.response.use(undefined, (error) => {
+    const rejectedToken = error.response?.status === 401
+      && /invalid_token/.test(error.response.headers?.['www-authenticate'] || '');
+    if (rejectedToken && error.config && isApiRequest(error.config)) {
+      setSession(null);
+    }
+    return Promise.reject(error);
+  });
+
+  return () => {
+    axios.interceptors.request.eject(requestId);
+    axios.interceptors.response.eject(responseId);
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * Persistent anonymous device id, the web equivalent of the mobile apps' DeviceManager.
+ * The API uses it to attribute submissions and to authorise edits.
+ */
+
+const DEVICE_ID_KEY = 'roadrank_device_id';
+
+let cachedDeviceId = null;
+
+function generateId() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `web-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Get this browser's device id, creating and storing one on first use.
+ * Falls back to an in-memory id when localStorage is unavailable (private mode).
+ * @returns {string}
+ */
+export function getDeviceId() {
+  if (cachedDeviceId) return cachedDeviceId;
+
+  try {
+    cachedDeviceId = window.localStorage.getItem(DEVICE_ID_KEY);
+    if (!cachedDeviceId) {
+      cachedDeviceId = generateId();
+      window.localStorage.setItem(DEVICE_ID_KEY, cachedDeviceId);
+    }
+  } catch {
+    cachedDeviceId = cachedDeviceId || generateId();
+  }
+
+  return cachedDeviceId;
+}
+
+/**
+ * Headers identifying this device to the /api/me and edit endpoints
+ * @returns {{ 'X-Device-Id': string }}
+ */
+export function deviceHeaders() {
+  return { 'X-Device-Id': getDeviceId() };
+}
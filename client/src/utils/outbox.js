@@ -0,0 +1,163 @@
+/**
+ * Persistent outbox for road and rating submissions, stored in IndexedDB so
+ * unsent work survives reloads. Each item's id doubles as its Idempotency-Key,
+ * so retrying a request the server already handled never creates a duplicate.
+ */
+import axios from 'axios';
+import { isRateLimited, retryAfterMs, rateLimitMessage } from './rateLimit.js';
+
+const DB_NAME = 'roadrank';
+const DB_VERSION = 1;
+const STORE = 'outbox';
+
+const BASE_RETRY_MS = 5000;
+const MAX_RETRY_MS = 10 * 60 * 1000;
+export const MAX_ATTEMPTS = 8;
+
+// Used when IndexedDB is unavailable (some private browsing modes)
+const memoryStore = new Map();
+let databasePromise = null;
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function getDatabase() {
+  if (!databasePromise) {
+    databasePromise = window.indexedDB
+      ? openDatabase().catch((error) => {
+        console.error('IndexedDB unavailable, outbox will not persist:', error);
+        return null;
+      })
+      : Promise.resolve(null);
+  }
+  return databasePromise;
+}
+
+async function withStore(mode, operation, fallback) {
+  const db = await getDatabase();
+  if (!db) return fallback();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = operation(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * All outbox items, oldest first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listOutboxItems() {
+  const items = await withStore(
+    'readonly',
+    (store) => store.getAll(),
+    () => [...memoryStore.values()]
+  );
+  return (items || []).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Insert or replace an outbox item
+ * @param {Object} item
+ */
+export async function saveOutboxItem(item) {
+  await withStore(
+    'readwrite',
+    (store) => store.put(item),
+    () => memoryStore.set(item.id, item)
+  );
+  return item;
+}
+
+/**
+ * Remove an outbox item
+ * @param {string} id
+ */
+export async function deleteOutboxItem(id) {
+  await withStore(
+    'readwrite',
+    (store) => store.delete(id),
+    () => memoryStore.delete(id)
+  );
+}
+
+/**
+ * Build a new pending item
+ * @param {Object} fields
+ * @param {'road'|'rating'} fields.type
+ * @param {string} fields.path - API path to POST to
+ * @param {Object} fields.body - Request body
+ * @param {string} [fields.label] - Human-readable name for the status list
+ * @param {string|number} [fields.roadId] - Road being rated
+ */
+export function createOutboxItem({ type, path, body, label = null, roadId = null }) {
+  return {
+    id: window.crypto?.randomUUID
+      ? window.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`,
+    type,
+    path,
+    body,
+    label,
+    roadId,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: null,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * POST an item to the API with its idempotency key
+ * @returns {Promise<import('axios').AxiosResponse>}
+ */
+export function sendOutboxItem(apiBase, item) {
+  return axios.post(`${apiBase}${item.path}`, item.body, {
+    headers: { 'Idempotency-Key': item.id },
+  });
+}
+
+/**
+ * Whether a failed send is worth retrying: network errors, server errors,
+ * rate limits and a still-in-flight earlier attempt. Validation failures and
+ * duplicate-road conflicts need the user to change something first.
+ */
+export function isRetryable(error) {
+  const response = error.response;
+  if (!response) return true;
+  if (response.status === 409) return !response.data?.candidates;
+  return response.status >= 500 || response.status === 429;
+}
+
+/**
+ * Exponential backoff with jitter, capped at MAX_RETRY_MS, but never sooner
+ * than a rate-limited response's Retry-After
+ * @param {number} attempts - Attempts made so far
+ * @param {Error} [error] - The failure being retried
+ */
+export function retryDelay(attempts, error) {
+  const delay = Math.min(BASE_RETRY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_MS);
+  return Math.max(delay / 2 + Math.random() * (delay / 2), retryAfterMs(error));
+}
+
+/**
+ * Short description of a failed send for the status list
+ */
+export function describeError(error) {
+  const data = error.response?.data;
+  if (!error.response) return 'No connection';
+  if (isRateLimited(error)) return rateLimitMessage(error);
+  return data?.errors?.[0]?.message || data?.message || data?.error || `Server error (${error.response.status})`;
+}
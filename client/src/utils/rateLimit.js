@@ -0,0 +1,45 @@
+/**
+ * Helpers for 429 responses from the API's write rate limits.
+ * The server sends Retry-After in seconds (exposed to the browser) and
+ * repeats it as retry_after in the body.
+ */
+
+/**
+ * Whether a request failed because this device or network is being throttled
+ * @param {Error} error - Axios error
+ */
+export function isRateLimited(error) {
+  return error?.response?.status === 429;
+}
+
+/**
+ * How long the server asked us to wait, in ms, or 0 when it did not say
+ * @param {Error} error - Axios error
+ */
+export function retryAfterMs(error) {
+  const response = error?.response;
+  if (!response) return 0;
+  const seconds = Number(response.headers?.['retry-after'] ?? response.data?.retry_after);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+// "30 seconds", "4 minutes", "about 1 hour"
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds} second${seconds !== 1 ? 's' : ''}`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes} minute${minutes !== 1 ? 's' : ''}`;
+  const hours = Math.round(minutes / 60);
+  return `about ${hours} hour${hours !== 1 ? 's' : ''}`;
+}
+
+/**
+ * User-facing explanation of a 429
+ * @param {Error} error - Axios error
+ */
+export function rateLimitMessage(error) {
+  const wait = retryAfterMs(error);
+  return wait > 0
+    ? `You're sending too many requests. Please try again in ${formatWait(wait)}.`
+    : "You're sending too many requests. Please try again later.";
+}
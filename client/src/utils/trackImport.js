@@ -0,0 +1,153 @@
+/**
+ * Read routes planned in other tools (GPX, KML, GeoJSON) into [lat, lng]
+ * paths, the same shape DrawingLayer produces. Parsing happens entirely in
+ * the browser; nothing is uploaded until the user saves a road.
+ */
+
+// Route files from planners are small; anything bigger is almost certainly a whole-day recording
+export const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024;
+
+export const IMPORT_ACCEPT = '.gpx,.kml,.geojson,.json,application/gpx+xml,application/vnd.google-earth.kml+xml,application/geo+json';
+
+const isCoordinate = (lat, lng) => (
+  Number.isFinite(lat) && Number.isFinite(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180
+);
+
+// Elements by local name, so GPX 1.0/1.1 and KML 2.x namespaces all match
+const byTag = (parent, tag) => Array.from(parent.getElementsByTagNameNS('*', tag));
+
+const childText = (parent, tag) => {
+  const child = Array.from(parent.children).find((element) => element.localName === tag);
+  return child?.textContent.trim() || null;
+};
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The file is not valid XML.');
+  }
+  return doc;
+}
+
+function parseGpx(text) {
+  const doc = parseXml(text);
+  const toPath = (points) => points
+    .map((point) => [Number(point.getAttribute('lat')), Number(point.getAttribute('lon'))])
+    .filter(([lat, lng]) => isCoordinate(lat, lng));
+
+  // A track with several segments (pauses in a recording) is imported as one path
+  const tracks = byTag(doc, 'trk').map((track, index) => ({
+    name: childText(track, 'name') || `Track ${index + 1}`,
+    path: toPath(byTag(track, 'trkpt')),
+  }));
+  const routes = byTag(doc, 'rte').map((route, index) => ({
+    name: childText(route, 'name') || `Route ${index + 1}`,
+    path: toPath(byTag(route, 'rtept')),
+  }));
+  return [...tracks, ...routes];
+}
+
+// KML coordinates are "lng,lat[,alt]" tuples separated by whitespace
+const parseKmlCoordinates = (text) => text
+  .trim()
+  .split(/\s+/)
+  .map((tuple) => tuple.split(',').map(Number))
+  .map(([lng, lat]) => [lat, lng])
+  .filter(([lat, lng]) => isCoordinate(lat, lng));
+
+function parseKml(text) {
+  const doc = parseXml(text);
+  const tracks = [];
+
+  byTag(doc, 'Placemark').forEach((placemark) => {
+    const name = childText(placemark, 'name');
+    byTag(placemark, 'LineString').forEach((line) => {
+      const coordinates = byTag(line, 'coordinates')[0];
+      if (coordinates) tracks.push({ name, path: parseKmlCoordinates(coordinates.textContent) });
+    });
+    // gx:Track, as written by Google Earth and many trackers: "lng lat alt" per gx:coord
+    byTag(placemark, 'Track').forEach((track) => {
+      const path = byTag(track, 'coord')
+        .map((coord) => coord.textContent.trim().split(/\s+/).map(Number))
+        .map(([lng, lat]) => [lat, lng])
+        .filter(([lat, lng]) => isCoordinate(lat, lng));
+      tracks.push({ name, path });
+    });
+  });
+
+  return tracks.map((track, index) => ({ ...track, name: track.name || `Track ${index + 1}` }));
+}
+
+function parseGeoJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  const tracks = [];
+  // GeoJSON positions are [lng, lat, alt?]
+  const toPath = (positions) => (Array.isArray(positions) ? positions : [])
+    .map(([lng, lat]) => [lat, lng])
+    .filter(([lat, lng]) => isCoordinate(lat, lng));
+
+  const visit = (geometry, name) => {
+    if (!geometry) return;
+    if (geometry.type === 'LineString') {
+      tracks.push({ name, path: toPath(geometry.coordinates) });
+    } else if (geometry.type === 'MultiLineString') {
+      (geometry.coordinates || []).forEach((line, index) => (
+        tracks.push({ name: name && `${name} (${index + 1})`, path: toPath(line) })
+      ));
+    } else if (geometry.type === 'GeometryCollection') {
+      (geometry.geometries || []).forEach((child) => visit(child, name));
+    } else if (geometry.type === 'Feature') {
+      visit(geometry.geometry, geometry.properties?.name || name);
+    } else if (geometry.type === 'FeatureCollection') {
+      (geometry.features || []).forEach((feature) => visit(feature, null));
+    }
+  };
+  visit(data, null);
+
+  return tracks.map((track, index) => ({ ...track, name: track.name || `Line ${index + 1}` }));
+}
+
+// Pick a parser from the extension, falling back to sniffing the content
+function detectFormat(fileName, text) {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (extension === 'gpx') return 'gpx';
+  if (extension === 'kml') return 'kml';
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+
+  const start = text.trimStart();
+  if (start.startsWith('{')) return 'geojson';
+  if (/<gpx[\s>]/.test(start)) return 'gpx';
+  if (/<kml[\s>]/.test(start)) return 'kml';
+  return null;
+}
+
+/**
+ * Parse an imported route file into its lines.
+ * Throws an Error with a user-facing message when nothing usable is found.
+ * @param {File} file
+ * @returns {Promise<Array<{ name: string, path: Array<[number, number]> }>>} Lines with at least two points
+ */
+export async function readTrackFile(file) {
+  if (file.size > MAX_IMPORT_FILE_BYTES) {
+    throw new Error(`The file is too large (over ${MAX_IMPORT_FILE_BYTES / 1024 / 1024} MB).`);
+  }
+
+  const text = await file.text();
+  const format = detectFormat(file.name, text);
+  if (!format) {
+    throw new Error('Unsupported file. Choose a GPX, KML or GeoJSON file.');
+  }
+
+  const parsers = { gpx: parseGpx, kml: parseKml, geojson: parseGeoJson };
+  const tracks = parsers[format](text).filter((track) => track.path.length >= 2);
+  if (tracks.length === 0) {
+    throw new Error('No tracks or routes were found in the file.');
+  }
+  return tracks;
+}
@@ -0,0 +1,14 @@
+/**
+ * Warning types are loaded from GET /api/warning-types (the server's
+ * warning_types table); nothing is offered until that request answers.
+ */
+
+/**
+ * Find a warning type by key
+ * @param {Array<Object>} types
+ * @param {string} key
+ * @returns {Object|undefined}
+ */
+export function findWarningType(types, key) {
+  return types.find((type) => type.key === key);
+}
@@ -0,0 +1,35 @@
+/**
+ * Which failed sends the outbox keeps retrying, and how long it waits.
+ * A 409 without candidates is an earlier attempt with the same
+ * Idempotency-Key still in flight, so it is retried; a 409 with candidates
+ * is a likely duplicate road the user has to confirm first.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isRetryable, retryDelay } from '../src/utils/outbox.js';
+
+const failure = (status, data = {}, headers = {}) => ({ response: { status, data, headers } });
+
+test('network errors, server errors and rate limits are retried', () => {
+  assert.equal(isRetryable(new Error('Network Error')), true);
+  assert.equal(isRetryable(failure(500)), true);
+  assert.equal(isRetryable(failure(503)), true);
+  assert.equal(isRetryable(failure(429)), true);
+});
+
+test('a 409 without candidates is retried', () => {
+  assert.equal(isRetryable(failure(409, { error: 'A request with this Idempotency-Key is still being processed' })), true);
+  assert.equal(isRetryable(failure(409)), true);
+});
+
+test('duplicate-road conflicts and validation failures wait for the user', () => {
+  assert.equal(isRetryable(failure(409, { message: 'This looks like an existing road.', candidates: [{ id: 1 }] })), false);
+  assert.equal(isRetryable(failure(400, { message: 'Invalid road submission.', errors: [] })), false);
+  assert.equal(isRetryable(failure(401)), false);
+  assert.equal(isRetryable(failure(404)), false);
+});
+
+test('a rate-limited send waits at least Retry-After', () => {
+  assert.equal(retryDelay(1, failure(429, {}, { 'retry-after': '600' })), 600 * 1000);
+  assert.ok(retryDelay(1, failure(500)) <= 5000);
+});
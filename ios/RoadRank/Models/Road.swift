@@ -56,7 +56,8 @@ struct Road: Codable, Identifiable, Equatable {
     let visibility: Int?
     let createdAt: String?
     let ratingSummary: RatingSummary?
-    var deviceId: String?
+    // Set by the API for roads submitted from this device or account (sent as X-Device-Id)
+    var isOwn: Bool
 
     enum CodingKeys: String, CodingKey {
         case id, name, path, twistiness, visibility
@@ -65,7 +66,7 @@ struct Road: Codable, Identifiable, Equatable {
         case scenery
         case createdAt = "created_at"
         case ratingSummary = "rating_summary"
-        case deviceId = "device_id"
+        case isOwn = "is_own"
     }
 
     // Custom decoder to handle id as either Int or String
@@ -88,7 +89,7 @@ struct Road: Codable, Identifiable, Equatable {
         visibility = try container.decodeIfPresent(Int.self, forKey: .visibility)
         createdAt = try container.decodeIfPresent(String.self, forKey: .createdAt)
         ratingSummary = try container.decodeIfPresent(RatingSummary.self, forKey: .ratingSummary)
-        deviceId = try container.decodeIfPresent(String.self, forKey: .deviceId)
+        isOwn = try container.decodeIfPresent(Bool.self, forKey: .isOwn) ?? false
     }
 
     // Computed properties for backwards compatibility
@@ -169,7 +170,7 @@ struct Road: Codable, Identifiable, Equatable {
     }
 
     var isMyRoad: Bool {
-        deviceId == DeviceManager.shared.deviceId
+        isOwn
     }
 
     static func == (lhs: Road, rhs: Road) -> Bool {
@@ -188,7 +189,7 @@ struct Rating: Codable, Identifiable {
     let visibility: Int
     let comment: String?
     let warnings: [RoadWarning]?
-    let deviceId: String?
+    let isOwn: Bool
     let createdAt: String?
 
     enum CodingKeys: String, CodingKey {
@@ -198,7 +199,7 @@ struct Rating: Codable, Identifiable {
         case surfaceCondition = "surface_condition"
         case funFactor = "fun_factor"
         case scenery, visibility, comment, warnings
-        case deviceId = "device_id"
+        case isOwn = "is_own"
         case createdAt = "created_at"
     }
 
@@ -227,12 +228,12 @@ struct Rating: Codable, Identifiable {
         visibility = try container.decode(Int.self, forKey: .visibility)
         comment = try container.decodeIfPresent(String.self, forKey: .comment)
         warnings = try container.decodeIfPresent([RoadWarning].self, forKey: .warnings)
-        deviceId = try container.decodeIfPresent(String.self, forKey: .deviceId)
+        isOwn = try container.decodeIfPresent(Bool.self, forKey: .isOwn) ?? false
         createdAt = try container.decodeIfPresent(String.self, forKey: .createdAt)
     }
 
     var isMyRating: Bool {
-        deviceId == DeviceManager.shared.deviceId
+        isOwn
     }
 
     var overallRating: Double {
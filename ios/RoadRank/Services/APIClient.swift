@@ -140,6 +140,8 @@ actor APIClient {
         request.setValue("application/json", forHTTPHeaderField: "Content-Type")
         request.setValue("application/json", forHTTPHeaderField: "Accept")
         request.setValue("RoadRank-iOS/1.0", forHTTPHeaderField: "User-Agent")
+        // The API marks this device's roads and ratings with is_own
+        request.setValue(DeviceManager.shared.deviceId, forHTTPHeaderField: "X-Device-Id")
 
         if let body = body {
             request.httpBody = try JSONSerialization.data(withJSONObject: body)
@@ -5,18 +5,43 @@
 CREATE TABLE IF NOT EXISTS roads (
     id SERIAL PRIMARY KEY,
     path JSONB NOT NULL,
-    twistiness INTEGER,
-    surface_condition INTEGER,
-    fun_factor INTEGER,
-    scenery INTEGER,
-    visibility INTEGER,
+    -- Scores live only in road_ratings; see road_rating_summaries for averages
     name TEXT,
     device_id TEXT,
+    -- Set when submitted while signed in, or when the device was claimed by an account
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    -- Bounding box of path, maintained by trg_roads_bounds for viewport queries
+    min_lat DOUBLE PRECISION,
+    min_lng DOUBLE PRECISION,
+    max_lat DOUBLE PRECISION,
+    max_lng DOUBLE PRECISION,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Create index on device_id for efficient "My Roads" queries
 CREATE INDEX IF NOT EXISTS idx_roads_device_id ON roads(device_id);
+CREATE INDEX IF NOT EXISTS idx_roads_user_id ON roads(user_id);
+
+-- Warning types ratings can report. Add rows here to offer new types;
+-- set active = false to stop offering one without invalidating old ratings.
+CREATE TABLE IF NOT EXISTS warning_types (
+    key TEXT PRIMARY KEY,
+    label TEXT NOT NULL,
+    icon TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    active BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+INSERT INTO warning_types (key, label, icon, sort_order) VALUES
+    ('speed_camera', 'Speed Cameras', '📷', 10),
+    ('potholes', 'Potholes', '⚠️', 20),
+    ('traffic', 'Traffic', '🚗', 30),
+    ('gravel', 'Gravel', '🪨', 40),
+    ('livestock', 'Livestock', '🐄', 50),
+    ('roadworks', 'Roadworks', '🚧', 60),
+    ('flooding', 'Flooding', '🌊', 70),
+    ('closure', 'Closures', '⛔', 80)
+ON CONFLICT (key) DO NOTHING;
 
 -- Create road_ratings table
 CREATE TABLE IF NOT EXISTS road_ratings (
@@ -28,32 +53,628 @@ CREATE TABLE IF NOT EXISTS road_ratings (
     scenery INTEGER CHECK (scenery BETWEEN 1 AND 5),
     visibility INTEGER CHECK (visibility BETWEEN 1 AND 5),
     comment TEXT,
-    warnings TEXT[], -- Array of warning types: 'speed_camera', 'potholes', 'traffic'
+    warnings TEXT[], -- Array of warning_types keys
+    -- Warnings pinned to a spot on the road: [{ type, lat, lng }], snapped onto the path
+    warning_locations JSONB,
     device_id TEXT,
-    created_at TIMESTAMPTZ DEFAULT NOW()
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    -- Last time the device submitted this rating, maintained by trg_road_ratings_updated_at
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    -- Hidden by moderation (FLAGS_TO_HIDE open flags, see server/lib/moderation.js).
+    -- Hidden ratings are kept for audit but left out of summaries and listings.
+    hidden BOOLEAN NOT NULL DEFAULT FALSE,
+    -- One rating per device per road; re-submits update it in place
+    CONSTRAINT road_ratings_road_device_key UNIQUE (road_id, device_id)
 );
 
 -- Create index on device_id for efficient "My Ratings" queries
 CREATE INDEX IF NOT EXISTS idx_road_ratings_device_id ON road_ratings(device_id);
 
+-- One rating per account per road, whichever device it was submitted from
+CREATE UNIQUE INDEX IF NOT EXISTS road_ratings_road_user_key ON road_ratings(road_id, user_id) WHERE user_id IS NOT NULL;
+
 -- Create indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_road_ratings_road_id ON road_ratings(road_id);
 CREATE INDEX IF NOT EXISTS idx_roads_created_at ON roads(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_roads_bounds ON roads(min_lat, max_lat, min_lng, max_lng);
+
+-- Keep a road's bounding box in sync with its path
+CREATE OR REPLACE FUNCTION set_road_bounds() RETURNS TRIGGER AS $$
+BEGIN
+    SELECT
+        MIN((point->>'lat')::DOUBLE PRECISION),
+        MIN((point->>'lng')::DOUBLE PRECISION),
+        MAX((point->>'lat')::DOUBLE PRECISION),
+        MAX((point->>'lng')::DOUBLE PRECISION)
+    INTO NEW.min_lat, NEW.min_lng, NEW.max_lat, NEW.max_lng
+    FROM jsonb_array_elements(
+        CASE WHEN jsonb_typeof(NEW.path) = 'array' THEN NEW.path ELSE '[]'::JSONB END
+    ) AS point;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_roads_bounds ON roads;
+CREATE TRIGGER trg_roads_bounds
+    BEFORE INSERT OR UPDATE OF path ON roads
+    FOR EACH ROW EXECUTE FUNCTION set_road_bounds();
+
+-- Materialized per-road rating summary, kept current by trg_road_ratings_summary
+CREATE TABLE IF NOT EXISTS road_rating_summaries (
+    road_id TEXT PRIMARY KEY,
+    rating_count INTEGER NOT NULL DEFAULT 0,
+    avg_twistiness DOUBLE PRECISION,
+    avg_surface_condition DOUBLE PRECISION,
+    avg_fun_factor DOUBLE PRECISION,
+    avg_scenery DOUBLE PRECISION,
+    avg_visibility DOUBLE PRECISION,
+    avg_overall DOUBLE PRECISION,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Recompute the summary row for a single road from road_ratings
+CREATE OR REPLACE FUNCTION refresh_road_rating_summary(p_road_id TEXT) RETURNS VOID AS $$
+    INSERT INTO road_rating_summaries (
+        road_id, rating_count, avg_twistiness, avg_surface_condition,
+        avg_fun_factor, avg_scenery, avg_visibility, avg_overall, updated_at
+    )
+    SELECT
+        p_road_id,
+        COUNT(*),
+        AVG(twistiness)::DOUBLE PRECISION,
+        AVG(surface_condition)::DOUBLE PRECISION,
+        AVG(fun_factor)::DOUBLE PRECISION,
+        AVG(scenery)::DOUBLE PRECISION,
+        AVG(visibility)::DOUBLE PRECISION,
+        ((AVG(twistiness) + AVG(surface_condition) + AVG(fun_factor) + AVG(scenery) + AVG(visibility)) / 5)::DOUBLE PRECISION,
+        NOW()
+    FROM road_ratings
+    WHERE road_id = p_road_id AND NOT hidden
+    ON CONFLICT (road_id) DO UPDATE SET
+        rating_count = EXCLUDED.rating_count,
+        avg_twistiness = EXCLUDED.avg_twistiness,
+        avg_surface_condition = EXCLUDED.avg_surface_condition,
+        avg_fun_factor = EXCLUDED.avg_fun_factor,
+        avg_scenery = EXCLUDED.avg_scenery,
+        avg_visibility = EXCLUDED.avg_visibility,
+        avg_overall = EXCLUDED.avg_overall,
+        updated_at = EXCLUDED.updated_at;
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION road_ratings_summary_trigger() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM refresh_road_rating_summary(OLD.road_id);
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM refresh_road_rating_summary(NEW.road_id);
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_road_ratings_summary ON road_ratings;
+CREATE TRIGGER trg_road_ratings_summary
+    AFTER INSERT OR UPDATE OR DELETE ON road_ratings
+    FOR EACH ROW EXECUTE FUNCTION road_ratings_summary_trigger();
+
+-- A re-submitted rating re-confirms its scores and warnings, so its age
+-- counts from the latest submission. Hiding or un-hiding it, or an account
+-- claiming it, is not a submission.
+CREATE OR REPLACE FUNCTION set_rating_updated_at() RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.hidden IS NOT DISTINCT FROM OLD.hidden
+       AND NEW.user_id IS NOT DISTINCT FROM OLD.user_id THEN
+        NEW.updated_at := NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_road_ratings_updated_at ON road_ratings;
+CREATE TRIGGER trg_road_ratings_updated_at
+    BEFORE UPDATE ON road_ratings
+    FOR EACH ROW EXECUTE FUNCTION set_rating_updated_at();
+
+-- Rebuild every summary from scratch (backfill, or repair after bulk edits).
+-- Called by `npm run recompute-summaries` in server/.
+CREATE OR REPLACE FUNCTION recompute_road_rating_summaries() RETURNS INTEGER AS $$
+DECLARE
+    refreshed INTEGER;
+BEGIN
+    DELETE FROM road_rating_summaries;
+    PERFORM refresh_road_rating_summary(road_id)
+    FROM (SELECT DISTINCT road_id FROM road_ratings) AS rated;
+    SELECT COUNT(*) INTO refreshed FROM road_rating_summaries;
+    RETURN refreshed;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Temporary conditions such as closures, roadworks or snow, kept apart from
+-- the permanent ratings. Each report expires on its own; confirmations extend
+-- it and "no longer present" votes clear it (see server/lib/reports.js).
+CREATE TABLE IF NOT EXISTS road_reports (
+    id SERIAL PRIMARY KEY,
+    road_id TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('closure', 'landslip', 'roadworks', 'snow', 'flooding', 'other')),
+    note TEXT,
+    starts_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    cleared_at TIMESTAMPTZ,
+    device_id TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (expires_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_road_reports_road_id ON road_reports(road_id, expires_at DESC);
+
+-- One confirm/clear vote per device per report; a device can change its vote
+CREATE TABLE IF NOT EXISTS road_report_votes (
+    report_id INTEGER NOT NULL REFERENCES road_reports(id) ON DELETE CASCADE,
+    device_id TEXT NOT NULL,
+    vote TEXT NOT NULL CHECK (vote IN ('confirm', 'clear')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (report_id, device_id)
+);
+
+-- Distinct warning types on a road's visible ratings that were submitted or
+-- re-confirmed within the last 180 days. Older warnings have expired, as in
+-- warningReports (WARNING_EXPIRY_DAYS) in server/lib/freshness.js.
+CREATE OR REPLACE FUNCTION active_road_warnings(p_road_id TEXT) RETURNS TEXT[] AS $$
+    SELECT ARRAY(
+        SELECT DISTINCT w
+        FROM road_ratings rr, unnest(rr.warnings) AS w
+        WHERE rr.road_id = p_road_id
+          AND NOT rr.hidden
+          AND COALESCE(rr.updated_at, rr.created_at) >= NOW() - INTERVAL '180 days'
+        ORDER BY w
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Roads joined with their summaries, so listings can filter, sort and
+-- paginate on rating columns in a single query
+CREATE OR REPLACE VIEW road_listings AS
+SELECT
+    r.*,
+    COALESCE(s.rating_count, 0) AS rating_count,
+    s.avg_twistiness,
+    s.avg_surface_condition,
+    s.avg_fun_factor,
+    s.avg_scenery,
+    s.avg_visibility,
+    s.avg_overall,
+    active_road_warnings(r.id::TEXT) AS warnings,
+    -- An active report of a type that closes the road (closesRoad in server/lib/reports.js)
+    EXISTS (
+        SELECT 1 FROM road_reports rep
+        WHERE rep.road_id = r.id::TEXT
+          AND rep.type IN ('closure', 'landslip')
+          AND rep.cleared_at IS NULL
+          AND rep.starts_at <= NOW()
+          AND rep.expires_at > NOW()
+    ) AS closed
+FROM roads r
+LEFT JOIN road_rating_summaries s ON s.road_id = r.id::TEXT;
+
+-- Site-wide mean of each score category, the prior that the ranking score
+-- (sort=score on GET /api/roads) shrinks sparsely rated roads towards
+CREATE OR REPLACE VIEW rating_priors AS
+SELECT
+    COUNT(*) AS rating_count,
+    AVG(twistiness)::DOUBLE PRECISION AS avg_twistiness,
+    AVG(surface_condition)::DOUBLE PRECISION AS avg_surface_condition,
+    AVG(fun_factor)::DOUBLE PRECISION AS avg_fun_factor,
+    AVG(scenery)::DOUBLE PRECISION AS avg_scenery,
+    AVG(visibility)::DOUBLE PRECISION AS avg_visibility
+FROM road_ratings
+WHERE NOT hidden;
+
+-- Distance in kilometers from a point to the closest part of a road path,
+-- computed like distanceToPath in server/lib/geo.js: each segment is
+-- projected in a local equirectangular plane, then the haversine distance
+-- to the closest projected point is taken
+CREATE OR REPLACE FUNCTION path_distance_km(
+    p_path JSONB,
+    p_lat DOUBLE PRECISION,
+    p_lng DOUBLE PRECISION
+) RETURNS DOUBLE PRECISION AS $$
+DECLARE
+    points JSONB := CASE WHEN jsonb_typeof(p_path) = 'string' THEN (p_path #>> '{}')::JSONB ELSE p_path END;
+    point_count INTEGER := jsonb_array_length(points);
+    cos_lat DOUBLE PRECISION := cos(radians(p_lat));
+    a_lat DOUBLE PRECISION;
+    a_lng DOUBLE PRECISION;
+    b_lat DOUBLE PRECISION;
+    b_lng DOUBLE PRECISION;
+    dx DOUBLE PRECISION;
+    dy DOUBLE PRECISION;
+    length_squared DOUBLE PRECISION;
+    t DOUBLE PRECISION;
+    proj_lat DOUBLE PRECISION;
+    proj_lng DOUBLE PRECISION;
+    distance DOUBLE PRECISION;
+    closest DOUBLE PRECISION;
+BEGIN
+    IF point_count = 0 THEN
+        RETURN NULL;
+    END IF;
+
+    FOR i IN 0..GREATEST(point_count - 2, 0) LOOP
+        a_lat := (points -> i ->> 'lat')::DOUBLE PRECISION;
+        a_lng := (points -> i ->> 'lng')::DOUBLE PRECISION;
+        b_lat := (points -> LEAST(i + 1, point_count - 1) ->> 'lat')::DOUBLE PRECISION;
+        b_lng := (points -> LEAST(i + 1, point_count - 1) ->> 'lng')::DOUBLE PRECISION;
+        dx := (b_lng - a_lng) * cos_lat;
+        dy := b_lat - a_lat;
+        length_squared := dx * dx + dy * dy;
+        t := CASE WHEN length_squared = 0 THEN 0
+            ELSE GREATEST(0, LEAST(1, (((p_lng - a_lng) * cos_lat) * dx + (p_lat - a_lat) * dy) / length_squared))
+        END;
+        proj_lat := a_lat + t * (b_lat - a_lat);
+        proj_lng := a_lng + t * (b_lng - a_lng);
+        distance := 2 * 6371 * asin(sqrt(LEAST(1,
+            sin(radians(proj_lat - p_lat) / 2) ^ 2 +
+            cos(radians(p_lat)) * cos(radians(proj_lat)) * sin(radians(proj_lng - p_lng) / 2) ^ 2
+        )));
+        IF closest IS NULL OR distance < closest THEN
+            closest := distance;
+        END IF;
+    END LOOP;
+
+    RETURN closest;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Road listings with the two sort keys that are not plain columns: the
+-- ranking score for sort=score and the distance from the near point. Called
+-- as an RPC and then filtered, ordered and paginated like road_listings
+-- (server/lib/listing.js), so those sorts are limited by the database too.
+-- Each category average is shrunk toward its rating_priors mean by 5 virtual
+-- ratings and the categories are combined with p_weights ({ field: weight },
+-- default 1). The tests check it against server/test/helpers/ranking.js.
+-- Keep the returned columns in step with road_listings.
+CREATE OR REPLACE FUNCTION search_road_listings(
+    p_weights JSONB DEFAULT '{}',
+    p_near_lat DOUBLE PRECISION DEFAULT NULL,
+    p_near_lng DOUBLE PRECISION DEFAULT NULL
+) RETURNS TABLE (
+    id INTEGER,
+    path JSONB,
+    name TEXT,
+    device_id TEXT,
+    user_id UUID,
+    min_lat DOUBLE PRECISION,
+    min_lng DOUBLE PRECISION,
+    max_lat DOUBLE PRECISION,
+    max_lng DOUBLE PRECISION,
+    created_at TIMESTAMPTZ,
+    rating_count INTEGER,
+    avg_twistiness DOUBLE PRECISION,
+    avg_surface_condition DOUBLE PRECISION,
+    avg_fun_factor DOUBLE PRECISION,
+    avg_scenery DOUBLE PRECISION,
+    avg_visibility DOUBLE PRECISION,
+    avg_overall DOUBLE PRECISION,
+    warnings TEXT[],
+    closed BOOLEAN,
+    score DOUBLE PRECISION,
+    distance DOUBLE PRECISION
+) AS $$
+    SELECT
+        l.*,
+        ranked.score,
+        CASE WHEN p_near_lat IS NOT NULL AND p_near_lng IS NOT NULL
+            THEN path_distance_km(l.path, p_near_lat, p_near_lng)
+        END AS distance
+    FROM road_listings l
+    CROSS JOIN rating_priors p
+    CROSS JOIN LATERAL (
+        SELECT SUM(f.weight * (5 * f.prior + l.rating_count * f.mean) / (5 + l.rating_count))
+            / NULLIF(SUM(f.weight), 0) AS score
+        FROM (VALUES
+            (COALESCE((p_weights ->> 'twistiness')::DOUBLE PRECISION, 1), l.avg_twistiness, COALESCE(p.avg_twistiness, 3)),
+            (COALESCE((p_weights ->> 'surface_condition')::DOUBLE PRECISION, 1), l.avg_surface_condition, COALESCE(p.avg_surface_condition, 3)),
+            (COALESCE((p_weights ->> 'fun_factor')::DOUBLE PRECISION, 1), l.avg_fun_factor, COALESCE(p.avg_fun_factor, 3)),
+            (COALESCE((p_weights ->> 'scenery')::DOUBLE PRECISION, 1), l.avg_scenery, COALESCE(p.avg_scenery, 3)),
+            (COALESCE((p_weights ->> 'visibility')::DOUBLE PRECISION, 1), l.avg_visibility, COALESCE(p.avg_visibility, 3))
+        ) AS f(weight, mean, prior)
+        WHERE l.rating_count > 0 AND f.mean IS NOT NULL
+    ) ranked;
+$$ LANGUAGE sql STABLE;
+
+CREATE INDEX IF NOT EXISTS idx_road_rating_summaries_avg_overall ON road_rating_summaries(avg_overall DESC);
+
+-- Insert a road and its submitter's first rating in one transaction, so a
+-- failed rating insert never leaves a road behind without ratings
+CREATE OR REPLACE FUNCTION create_road_with_rating(
+    p_path JSONB,
+    p_name TEXT,
+    p_twistiness INTEGER,
+    p_surface_condition INTEGER,
+    p_fun_factor INTEGER,
+    p_scenery INTEGER,
+    p_visibility INTEGER,
+    p_comment TEXT,
+    p_warnings TEXT[],
+    p_warning_locations JSONB,
+    p_device_id TEXT,
+    p_user_id UUID DEFAULT NULL
+) RETURNS roads AS $$
+DECLARE
+    new_road roads;
+BEGIN
+    INSERT INTO roads (path, name, device_id, user_id)
+    VALUES (p_path, p_name, p_device_id, p_user_id)
+    RETURNING * INTO new_road;
+
+    INSERT INTO road_ratings (road_id, twistiness, surface_condition, fun_factor, scenery, visibility, comment, warnings, warning_locations, device_id, user_id)
+    VALUES (new_road.id::TEXT, p_twistiness, p_surface_condition, p_fun_factor, p_scenery, p_visibility, p_comment, p_warnings, p_warning_locations, p_device_id, p_user_id);
+
+    RETURN new_road;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Previous versions of edited or deleted roads and ratings, written by the
+-- history triggers below. Only the service role reads it (no public policy).
+CREATE TABLE IF NOT EXISTS edit_history (
+    id BIGSERIAL PRIMARY KEY,
+    table_name TEXT NOT NULL,
+    row_id INTEGER NOT NULL,
+    road_id TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('update', 'delete')),
+    device_id TEXT,
+    old_row JSONB NOT NULL,
+    new_row JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_edit_history_road_id ON edit_history(road_id, created_at DESC);
+
+CREATE OR REPLACE FUNCTION record_edit_history() RETURNS TRIGGER AS $$
+DECLARE
+    v_road_id TEXT;
+BEGIN
+    -- Skip no-op updates such as the bounds backfill (UPDATE roads SET path = path)
+    IF TG_OP = 'UPDATE' AND to_jsonb(OLD) = to_jsonb(NEW) THEN
+        RETURN NULL;
+    END IF;
+
+    IF TG_TABLE_NAME = 'roads' THEN
+        v_road_id := OLD.id::TEXT;
+    ELSE
+        v_road_id := OLD.road_id;
+    END IF;
+
+    INSERT INTO edit_history (table_name, row_id, road_id, action, device_id, old_row, new_row)
+    VALUES (
+        TG_TABLE_NAME,
+        OLD.id,
+        v_road_id,
+        LOWER(TG_OP),
+        OLD.device_id,
+        to_jsonb(OLD),
+        CASE WHEN TG_OP = 'UPDATE' THEN to_jsonb(NEW) END
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_roads_history ON roads;
+CREATE TRIGGER trg_roads_history
+    AFTER UPDATE OR DELETE ON roads
+    FOR EACH ROW EXECUTE FUNCTION record_edit_history();
+
+DROP TRIGGER IF EXISTS trg_road_ratings_history ON road_ratings;
+CREATE TRIGGER trg_road_ratings_history
+    AFTER UPDATE OR DELETE ON road_ratings
+    FOR EACH ROW EXECUTE FUNCTION record_edit_history();
+
+-- Deleting a road deletes its ratings (each logged to edit_history), its summary and its reports
+CREATE OR REPLACE FUNCTION delete_road_ratings() RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM road_ratings WHERE road_id = OLD.id::TEXT;
+    DELETE FROM road_rating_summaries WHERE road_id = OLD.id::TEXT;
+    DELETE FROM road_reports WHERE road_id = OLD.id::TEXT;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_roads_delete_ratings ON roads;
+CREATE TRIGGER trg_roads_delete_ratings
+    AFTER DELETE ON roads
+    FOR EACH ROW EXECUTE FUNCTION delete_road_ratings();
+
+-- Flags raised against ratings with POST /api/ratings/:id/report, one per
+-- device. An admin approving the rating resolves its open flags; resolved
+-- flags stay for audit. Service role only (no public policy).
+CREATE TABLE IF NOT EXISTS rating_flags (
+    rating_id INTEGER NOT NULL REFERENCES road_ratings(id) ON DELETE CASCADE,
+    device_id TEXT NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ,
+    PRIMARY KEY (rating_id, device_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_flags_open ON rating_flags(rating_id) WHERE resolved_at IS NULL;
+
+-- GPS rides recorded by the mobile apps (POST /api/rides). Private: only the
+-- device or account that recorded a ride can read it through the API.
+CREATE TABLE IF NOT EXISTS rides (
+    id SERIAL PRIMARY KEY,
+    -- [{ lat, lng, time, speed, altitude, accuracy, lean }], time in epoch ms (see server/lib/rides.js)
+    points JSONB NOT NULL,
+    point_count INTEGER NOT NULL,
+    -- Distance, duration, speeds, elevation and lean, computed when the ride is uploaded
+    stats JSONB NOT NULL,
+    started_at TIMESTAMPTZ NOT NULL,
+    ended_at TIMESTAMPTZ NOT NULL,
+    min_lat DOUBLE PRECISION,
+    min_lng DOUBLE PRECISION,
+    max_lat DOUBLE PRECISION,
+    max_lng DOUBLE PRECISION,
+    device_id TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rides_device_id ON rides(device_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rides_user_id ON rides(user_id, started_at DESC);
+
+-- Devices whose anonymous history has been moved onto an account with
+-- POST /api/me/claim. A device can be claimed once, by one account.
+CREATE TABLE IF NOT EXISTS account_devices (
+    device_id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    claimed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_devices_user_id ON account_devices(user_id);
+
+-- Move a device's roads, ratings, reports and rides without an account onto p_user_id.
+-- Where the account and the device both rated a road, the more recently
+-- submitted rating is kept and the other is deleted (logged to edit_history).
+-- A device can be claimed once: claiming it again, from any account, raises
+-- unique_violation.
+CREATE OR REPLACE FUNCTION claim_device_rows(p_user_id UUID, p_device_id TEXT)
+RETURNS TABLE (claimed_roads INTEGER, claimed_ratings INTEGER, claimed_reports INTEGER, claimed_rides INTEGER) AS $$
+BEGIN
+    INSERT INTO account_devices (device_id, user_id)
+    VALUES (p_device_id, p_user_id)
+    ON CONFLICT (device_id) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Device % is already linked to an account', p_device_id
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    -- Drop whichever of two ratings of the same road is older
+    DELETE FROM road_ratings stale
+    USING road_ratings device_rating, road_ratings account_rating
+    WHERE device_rating.device_id = p_device_id
+      AND device_rating.user_id IS NULL
+      AND account_rating.user_id = p_user_id
+      AND account_rating.road_id = device_rating.road_id
+      AND stale.id = CASE
+          WHEN device_rating.updated_at > account_rating.updated_at THEN account_rating.id
+          ELSE device_rating.id
+      END;
+
+    UPDATE roads SET user_id = p_user_id
+    WHERE device_id = p_device_id AND user_id IS NULL;
+    GET DIAGNOSTICS claimed_roads = ROW_COUNT;
+
+    UPDATE road_ratings SET user_id = p_user_id
+    WHERE device_id = p_device_id AND user_id IS NULL;
+    GET DIAGNOSTICS claimed_ratings = ROW_COUNT;
+
+    UPDATE road_reports SET user_id = p_user_id
+    WHERE device_id = p_device_id AND user_id IS NULL;
+    GET DIAGNOSTICS claimed_reports = ROW_COUNT;
+
+    UPDATE rides SET user_id = p_user_id
+    WHERE device_id = p_device_id AND user_id IS NULL;
+    GET DIAGNOSTICS claimed_rides = ROW_COUNT;
+
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Responses to POST requests sent with an Idempotency-Key header, replayed
+-- when a client retries (see server/lib/idempotency.js). Service role only.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    key TEXT PRIMARY KEY, -- SHA-256 of the route, the caller and their Idempotency-Key
+    request_hash TEXT, -- SHA-256 of the route params and body; a different request with the same key gets 422
+    status INTEGER, -- NULL while the first request is still being processed; only 2xx responses are kept
+    body JSONB,
+    headers JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Keys are only honoured for 24 hours; `npm run purge-idempotency-keys` deletes older ones
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+
+-- Fixed-window request counters for the POST rate limits when they are
+-- counted in the database (the Vercel functions, see server/lib/rateLimit.js).
+-- `npm run purge-rate-limits` deletes finished windows. Service role only.
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT NOT NULL, -- policy, then ip:<address> or device:<id>
+    window_start TIMESTAMPTZ NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_window_start ON rate_limits(window_start);
+
+-- Count one request against a key in the current window, atomically, and
+-- return the new count with the time the window ends
+CREATE OR REPLACE FUNCTION hit_rate_limit(p_key TEXT, p_window_seconds INTEGER)
+RETURNS TABLE (hits INTEGER, reset_at TIMESTAMPTZ) AS $$
+DECLARE
+    v_window_start TIMESTAMPTZ := TO_TIMESTAMP(FLOOR(EXTRACT(EPOCH FROM NOW()) / p_window_seconds) * p_window_seconds);
+BEGIN
+    RETURN QUERY
+    INSERT INTO rate_limits AS rl (key, window_start, count)
+    VALUES (p_key, v_window_start, 1)
+    ON CONFLICT (key, window_start) DO UPDATE SET count = rl.count + 1
+    RETURNING rl.count, rl.window_start + MAKE_INTERVAL(secs => p_window_seconds);
+END;
+$$ LANGUAGE plpgsql;
 
 -- Enable Row Level Security (RLS)
 ALTER TABLE roads ENABLE ROW LEVEL SECURITY;
 ALTER TABLE road_ratings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE road_rating_summaries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE edit_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE warning_types ENABLE ROW LEVEL SECURITY;
+ALTER TABLE road_reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE road_report_votes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rating_flags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rate_limits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE account_devices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rides ENABLE ROW LEVEL SECURITY;
 
--- Create policies to allow public read/write access
--- (For a production app, you'd want to restrict write access to authenticated users)
+-- Public read access only. Every write goes through the API with the service
+-- role, which checks device and account ownership (server/lib/routes.js).
 CREATE POLICY "Allow public read access on roads" ON roads
     FOR SELECT USING (true);
 
-CREATE POLICY "Allow public insert access on roads" ON roads
-    FOR INSERT WITH CHECK (true);
-
 CREATE POLICY "Allow public read access on road_ratings" ON road_ratings
+    FOR SELECT USING (NOT hidden OR user_id = auth.uid());
+
+CREATE POLICY "Allow public read access on road_rating_summaries" ON road_rating_summaries
+    FOR SELECT USING (true);
+
+CREATE POLICY "Allow public read access on warning_types" ON warning_types
     FOR SELECT USING (true);
 
-CREATE POLICY "Allow public insert access on road_ratings" ON road_ratings
-    FOR INSERT WITH CHECK (true);
+CREATE POLICY "Allow public read access on road_reports" ON road_reports
+    FOR SELECT USING (true);
+
+CREATE POLICY "Allow users to read their own linked devices" ON account_devices
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Allow users to read their own rides" ON rides
+    FOR SELECT USING (user_id = auth.uid());
+
+-- device_id is what lets an anonymous client change its rows, so clients can
+-- read every column but that one. New columns need adding here to be readable.
+REVOKE SELECT ON roads, road_ratings, road_reports, road_listings FROM anon, authenticated;
+
+GRANT SELECT (id, path, name, user_id, min_lat, min_lng, max_lat, max_lng, created_at)
+    ON roads TO anon, authenticated;
+
+GRANT SELECT (id, road_id, twistiness, surface_condition, fun_factor, scenery, visibility,
+              comment, warnings, warning_locations, user_id, created_at, updated_at, hidden)
+    ON road_ratings TO anon, authenticated;
+
+GRANT SELECT (id, road_id, type, note, starts_at, expires_at, cleared_at, user_id, created_at)
+    ON road_reports TO anon, authenticated;
+
+GRANT SELECT (id, path, name, user_id, min_lat, min_lng, max_lat, max_lng, created_at,
+              rating_count, avg_twistiness, avg_surface_condition, avg_fun_factor, avg_scenery,
+              avg_visibility, avg_overall, warnings, closed)
+    ON road_listings TO anon, authenticated;
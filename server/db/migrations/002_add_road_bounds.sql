@@ -0,0 +1,33 @@
+-- Migration: Add precomputed bounding boxes to roads
+-- Run this on existing databases to enable bbox / radius queries on GET /api/roads
+
+ALTER TABLE roads ADD COLUMN IF NOT EXISTS min_lat DOUBLE PRECISION;
+ALTER TABLE roads ADD COLUMN IF NOT EXISTS min_lng DOUBLE PRECISION;
+ALTER TABLE roads ADD COLUMN IF NOT EXISTS max_lat DOUBLE PRECISION;
+ALTER TABLE roads ADD COLUMN IF NOT EXISTS max_lng DOUBLE PRECISION;
+
+-- Keep a road's bounding box in sync with its path
+CREATE OR REPLACE FUNCTION set_road_bounds() RETURNS TRIGGER AS $$
+BEGIN
+    SELECT
+        MIN((point->>'lat')::DOUBLE PRECISION),
+        MIN((point->>'lng')::DOUBLE PRECISION),
+        MAX((point->>'lat')::DOUBLE PRECISION),
+        MAX((point->>'lng')::DOUBLE PRECISION)
+    INTO NEW.min_lat, NEW.min_lng, NEW.max_lat, NEW.max_lng
+    FROM jsonb_array_elements(
+        CASE WHEN jsonb_typeof(NEW.path) = 'array' THEN NEW.path ELSE '[]'::JSONB END
+    ) AS point;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_roads_bounds ON roads;
+CREATE TRIGGER trg_roads_bounds
+    BEFORE INSERT OR UPDATE OF path ON roads
+    FOR EACH ROW EXECUTE FUNCTION set_road_bounds();
+
+-- Backfill bounds for existing roads (fires the trigger)
+UPDATE roads SET path = path WHERE min_lat IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_roads_bounds ON roads(min_lat, max_lat, min_lng, max_lng);
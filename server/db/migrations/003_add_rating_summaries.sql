@@ -0,0 +1,84 @@
+-- Migration: Materialize per-road rating summaries
+-- Run this on existing databases; it backfills summaries for all existing ratings
+
+-- Materialized per-road rating summary, kept current by trg_road_ratings_summary
+CREATE TABLE IF NOT EXISTS road_rating_summaries (
+    road_id TEXT PRIMARY KEY,
+    rating_count INTEGER NOT NULL DEFAULT 0,
+    avg_twistiness DOUBLE PRECISION,
+    avg_surface_condition DOUBLE PRECISION,
+    avg_fun_factor DOUBLE PRECISION,
+    avg_scenery DOUBLE PRECISION,
+    avg_visibility DOUBLE PRECISION,
+    avg_overall DOUBLE PRECISION,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Recompute the summary row for a single road from road_ratings
+CREATE OR REPLACE FUNCTION refresh_road_rating_summary(p_road_id TEXT) RETURNS VOID AS $$
+    INSERT INTO road_rating_summaries (
+        road_id, rating_count, avg_twistiness, avg_surface_condition,
+        avg_fun_factor, avg_scenery, avg_visibility, avg_overall, updated_at
+    )
+    SELECT
+        p_road_id,
+        COUNT(*),
+        AVG(twistiness)::DOUBLE PRECISION,
+        AVG(surface_condition)::DOUBLE PRECISION,
+        AVG(fun_factor)::DOUBLE PRECISION,
+        AVG(scenery)::DOUBLE PRECISION,
+        AVG(visibility)::DOUBLE PRECISION,
+        ((AVG(twistiness) + AVG(surface_condition) + AVG(fun_factor) + AVG(scenery) + AVG(visibility)) / 5)::DOUBLE PRECISION,
+        NOW()
+    FROM road_ratings
+    WHERE road_id = p_road_id
+    ON CONFLICT (road_id) DO UPDATE SET
+        rating_count = EXCLUDED.rating_count,
+        avg_twistiness = EXCLUDED.avg_twistiness,
+        avg_surface_condition = EXCLUDED.avg_surface_condition,
+        avg_fun_factor = EXCLUDED.avg_fun_factor,
+        avg_scenery = EXCLUDED.avg_scenery,
+        avg_visibility = EXCLUDED.avg_visibility,
+        avg_overall = EXCLUDED.avg_overall,
+        updated_at = EXCLUDED.updated_at;
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION road_ratings_summary_trigger() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM refresh_road_rating_summary(OLD.road_id);
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM refresh_road_rating_summary(NEW.road_id);
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_road_ratings_summary ON road_ratings;
+CREATE TRIGGER trg_road_ratings_summary
+    AFTER INSERT OR UPDATE OR DELETE ON road_ratings
+    FOR EACH ROW EXECUTE FUNCTION road_ratings_summary_trigger();
+
+-- Rebuild every summary from scratch (backfill, or repair after bulk edits).
+-- Called by `npm run recompute-summaries` in server/.
+CREATE OR REPLACE FUNCTION recompute_road_rating_summaries() RETURNS INTEGER AS $$
+DECLARE
+    refreshed INTEGER;
+BEGIN
+    DELETE FROM road_rating_summaries;
+    PERFORM refresh_road_rating_summary(road_id)
+    FROM (SELECT DISTINCT road_id FROM road_ratings) AS rated;
+    SELECT COUNT(*) INTO refreshed FROM road_rating_summaries;
+    RETURN refreshed;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE road_rating_summaries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow public read access on road_rating_summaries" ON road_rating_summaries;
+CREATE POLICY "Allow public read access on road_rating_summaries" ON road_rating_summaries
+    FOR SELECT USING (true);
+
+-- Backfill
+SELECT recompute_road_rating_summaries();
@@ -0,0 +1,62 @@
+-- Migration: Add aggregated warnings to rating summaries and the road_listings view
+-- Run this on existing databases to enable sorting, filtering and pagination on GET /api/roads
+
+ALTER TABLE road_rating_summaries ADD COLUMN IF NOT EXISTS warnings TEXT[] NOT NULL DEFAULT '{}';
+
+-- Recompute the summary row for a single road from road_ratings
+CREATE OR REPLACE FUNCTION refresh_road_rating_summary(p_road_id TEXT) RETURNS VOID AS $$
+    INSERT INTO road_rating_summaries (
+        road_id, rating_count, avg_twistiness, avg_surface_condition,
+        avg_fun_factor, avg_scenery, avg_visibility, avg_overall, warnings, updated_at
+    )
+    SELECT
+        p_road_id,
+        COUNT(*),
+        AVG(twistiness)::DOUBLE PRECISION,
+        AVG(surface_condition)::DOUBLE PRECISION,
+        AVG(fun_factor)::DOUBLE PRECISION,
+        AVG(scenery)::DOUBLE PRECISION,
+        AVG(visibility)::DOUBLE PRECISION,
+        ((AVG(twistiness) + AVG(surface_condition) + AVG(fun_factor) + AVG(scenery) + AVG(visibility)) / 5)::DOUBLE PRECISION,
+        ARRAY(
+            SELECT DISTINCT w
+            FROM road_ratings rr, unnest(rr.warnings) AS w
+            WHERE rr.road_id = p_road_id
+            ORDER BY w
+        ),
+        NOW()
+    FROM road_ratings
+    WHERE road_id = p_road_id
+    ON CONFLICT (road_id) DO UPDATE SET
+        rating_count = EXCLUDED.rating_count,
+        avg_twistiness = EXCLUDED.avg_twistiness,
+        avg_surface_condition = EXCLUDED.avg_surface_condition,
+        avg_fun_factor = EXCLUDED.avg_fun_factor,
+        avg_scenery = EXCLUDED.avg_scenery,
+        avg_visibility = EXCLUDED.avg_visibility,
+        avg_overall = EXCLUDED.avg_overall,
+        warnings = EXCLUDED.warnings,
+        updated_at = EXCLUDED.updated_at;
+$$ LANGUAGE sql;
+
+-- Roads joined with their summaries, so listings can filter, sort and
+-- paginate on rating columns in a single query
+CREATE OR REPLACE VIEW road_listings AS
+SELECT
+    r.*,
+    COALESCE(s.rating_count, 0) AS rating_count,
+    s.avg_twistiness,
+    s.avg_surface_condition,
+    s.avg_fun_factor,
+    s.avg_scenery,
+    s.avg_visibility,
+    s.avg_overall,
+    COALESCE(s.warnings, '{}') AS warnings
+FROM roads r
+LEFT JOIN road_rating_summaries s ON s.road_id = r.id::TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_road_rating_summaries_avg_overall ON road_rating_summaries(avg_overall DESC);
+CREATE INDEX IF NOT EXISTS idx_road_rating_summaries_warnings ON road_rating_summaries USING GIN (warnings);
+
+-- Backfill warnings on existing summaries
+SELECT recompute_road_rating_summaries();
@@ -0,0 +1,73 @@
+-- Migration: Add edit history and cascade road deletes to ratings
+-- Run this on existing databases to enable PATCH/DELETE on roads and ratings
+
+-- Previous versions of edited or deleted roads and ratings, written by the
+-- history triggers below. Only the service role reads it (no public policy).
+CREATE TABLE IF NOT EXISTS edit_history (
+    id BIGSERIAL PRIMARY KEY,
+    table_name TEXT NOT NULL,
+    row_id INTEGER NOT NULL,
+    road_id TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('update', 'delete')),
+    device_id TEXT,
+    old_row JSONB NOT NULL,
+    new_row JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_edit_history_road_id ON edit_history(road_id, created_at DESC);
+
+CREATE OR REPLACE FUNCTION record_edit_history() RETURNS TRIGGER AS $$
+DECLARE
+    v_road_id TEXT;
+BEGIN
+    -- Skip no-op updates such as the bounds backfill (UPDATE roads SET path = path)
+    IF TG_OP = 'UPDATE' AND to_jsonb(OLD) = to_jsonb(NEW) THEN
+        RETURN NULL;
+    END IF;
+
+    IF TG_TABLE_NAME = 'roads' THEN
+        v_road_id := OLD.id::TEXT;
+    ELSE
+        v_road_id := OLD.road_id;
+    END IF;
+
+    INSERT INTO edit_history (table_name, row_id, road_id, action, device_id, old_row, new_row)
+    VALUES (
+        TG_TABLE_NAME,
+        OLD.id,
+        v_road_id,
+        LOWER(TG_OP),
+        OLD.device_id,
+        to_jsonb(OLD),
+        CASE WHEN TG_OP = 'UPDATE' THEN to_jsonb(NEW) END
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_roads_history ON roads;
+CREATE TRIGGER trg_roads_history
+    AFTER UPDATE OR DELETE ON roads
+    FOR EACH ROW EXECUTE FUNCTION record_edit_history();
+
+DROP TRIGGER IF EXISTS trg_road_ratings_history ON road_ratings;
+CREATE TRIGGER trg_road_ratings_history
+    AFTER UPDATE OR DELETE ON road_ratings
+    FOR EACH ROW EXECUTE FUNCTION record_edit_history();
+
+-- Deleting a road deletes its ratings (each logged to edit_history) and its summary
+CREATE OR REPLACE FUNCTION delete_road_ratings() RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM road_ratings WHERE road_id = OLD.id::TEXT;
+    DELETE FROM road_rating_summaries WHERE road_id = OLD.id::TEXT;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_roads_delete_ratings ON roads;
+CREATE TRIGGER trg_roads_delete_ratings
+    AFTER DELETE ON roads
+    FOR EACH ROW EXECUTE FUNCTION delete_road_ratings();
+
+ALTER TABLE edit_history ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,15 @@
+-- Migration: Allow one rating per device per road
+-- Run this on existing databases after 005_add_edit_history.sql. Earlier
+-- duplicates are removed, keeping each device's latest rating; the removed
+-- rows are kept in edit_history by trg_road_ratings_history.
+
+DELETE FROM road_ratings older
+USING road_ratings newer
+WHERE older.device_id IS NOT NULL
+  AND newer.road_id = older.road_id
+  AND newer.device_id = older.device_id
+  AND newer.id > older.id;
+
+-- Ratings without a device_id (NULL) never conflict with each other
+ALTER TABLE road_ratings DROP CONSTRAINT IF EXISTS road_ratings_road_device_key;
+ALTER TABLE road_ratings ADD CONSTRAINT road_ratings_road_device_key UNIQUE (road_id, device_id);
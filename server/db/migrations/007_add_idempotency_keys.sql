@@ -0,0 +1,13 @@
+-- Migration: Store responses for Idempotency-Key retries
+-- Run this on existing databases so offline clients can safely retry POST /api/roads and ratings
+
+-- Responses to POST requests sent with an Idempotency-Key header, replayed
+-- when a client retries (see server/lib/idempotency.js). Service role only.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    key TEXT PRIMARY KEY,
+    status INTEGER, -- NULL while the first request is still being processed
+    body JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
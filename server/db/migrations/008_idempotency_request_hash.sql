@@ -0,0 +1,7 @@
+-- Migration: Fingerprint idempotent requests and index keys by age
+-- Run this on existing databases after 007_add_idempotency_keys.sql
+
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS request_hash TEXT;
+
+-- Keys are only honoured for 24 hours; `npm run purge-idempotency-keys` deletes older ones
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
@@ -0,0 +1,30 @@
+-- Migration: Create roads and their initial rating atomically
+-- Run this on existing databases; POST /api/roads calls this function over RPC
+
+-- Insert a road and its submitter's first rating in one transaction, so a
+-- failed rating insert never leaves a road behind without ratings
+CREATE OR REPLACE FUNCTION create_road_with_rating(
+    p_path JSONB,
+    p_name TEXT,
+    p_twistiness INTEGER,
+    p_surface_condition INTEGER,
+    p_fun_factor INTEGER,
+    p_scenery INTEGER,
+    p_visibility INTEGER,
+    p_comment TEXT,
+    p_warnings TEXT[],
+    p_device_id TEXT
+) RETURNS roads AS $$
+DECLARE
+    new_road roads;
+BEGIN
+    INSERT INTO roads (path, name, twistiness, surface_condition, fun_factor, scenery, visibility, device_id)
+    VALUES (p_path, p_name, p_twistiness, p_surface_condition, p_fun_factor, p_scenery, p_visibility, p_device_id)
+    RETURNING * INTO new_road;
+
+    INSERT INTO road_ratings (road_id, twistiness, surface_condition, fun_factor, scenery, visibility, comment, warnings, device_id)
+    VALUES (new_road.id::TEXT, p_twistiness, p_surface_condition, p_fun_factor, p_scenery, p_visibility, p_comment, p_warnings, p_device_id);
+
+    RETURN new_road;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,80 @@
+-- Migration: Make road_ratings the only source of road scores
+-- Run this on existing databases after 009_create_road_with_rating.sql.
+-- Roads whose original rating is missing get one rebuilt from the legacy
+-- score columns before those columns are dropped.
+
+INSERT INTO road_ratings (road_id, twistiness, surface_condition, fun_factor, scenery, visibility, comment, device_id, created_at)
+SELECT
+    r.id::TEXT,
+    r.twistiness,
+    r.surface_condition,
+    r.fun_factor,
+    r.scenery,
+    r.visibility,
+    'Original submission',
+    r.device_id,
+    r.created_at
+FROM roads r
+WHERE r.twistiness IS NOT NULL
+  AND r.surface_condition IS NOT NULL
+  AND r.fun_factor IS NOT NULL
+  AND r.scenery IS NOT NULL
+  AND r.visibility IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM road_ratings rr WHERE rr.road_id = r.id::TEXT);
+
+-- road_listings selects r.*, so it has to be rebuilt around the narrower table
+DROP VIEW IF EXISTS road_listings;
+
+ALTER TABLE roads
+    DROP COLUMN IF EXISTS twistiness,
+    DROP COLUMN IF EXISTS surface_condition,
+    DROP COLUMN IF EXISTS fun_factor,
+    DROP COLUMN IF EXISTS scenery,
+    DROP COLUMN IF EXISTS visibility;
+
+-- Roads joined with their summaries, so listings can filter, sort and
+-- paginate on rating columns in a single query
+CREATE OR REPLACE VIEW road_listings AS
+SELECT
+    r.*,
+    COALESCE(s.rating_count, 0) AS rating_count,
+    s.avg_twistiness,
+    s.avg_surface_condition,
+    s.avg_fun_factor,
+    s.avg_scenery,
+    s.avg_visibility,
+    s.avg_overall,
+    COALESCE(s.warnings, '{}') AS warnings
+FROM roads r
+LEFT JOIN road_rating_summaries s ON s.road_id = r.id::TEXT;
+
+-- Insert a road and its submitter's first rating in one transaction, so a
+-- failed rating insert never leaves a road behind without ratings
+CREATE OR REPLACE FUNCTION create_road_with_rating(
+    p_path JSONB,
+    p_name TEXT,
+    p_twistiness INTEGER,
+    p_surface_condition INTEGER,
+    p_fun_factor INTEGER,
+    p_scenery INTEGER,
+    p_visibility INTEGER,
+    p_comment TEXT,
+    p_warnings TEXT[],
+    p_device_id TEXT
+) RETURNS roads AS $$
+DECLARE
+    new_road roads;
+BEGIN
+    INSERT INTO roads (path, name, device_id)
+    VALUES (p_path, p_name, p_device_id)
+    RETURNING * INTO new_road;
+
+    INSERT INTO road_ratings (road_id, twistiness, surface_condition, fun_factor, scenery, visibility, comment, warnings, device_id)
+    VALUES (new_road.id::TEXT, p_twistiness, p_surface_condition, p_fun_factor, p_scenery, p_visibility, p_comment, p_warnings, p_device_id);
+
+    RETURN new_road;
+END;
+$$ LANGUAGE plpgsql;
+
+
+SELECT recompute_road_rating_summaries();
@@ -0,0 +1,14 @@
+-- Migration: Add site-wide rating priors for the ranking score
+-- Run this on existing databases after 010_drop_road_score_columns.sql.
+
+-- Site-wide mean of each score category, the prior that the ranking score
+-- (sort=score on GET /api/roads) shrinks sparsely rated roads towards
+CREATE OR REPLACE VIEW rating_priors AS
+SELECT
+    COUNT(*) AS rating_count,
+    AVG(twistiness)::DOUBLE PRECISION AS avg_twistiness,
+    AVG(surface_condition)::DOUBLE PRECISION AS avg_surface_condition,
+    AVG(fun_factor)::DOUBLE PRECISION AS avg_fun_factor,
+    AVG(scenery)::DOUBLE PRECISION AS avg_scenery,
+    AVG(visibility)::DOUBLE PRECISION AS avg_visibility
+FROM road_ratings;
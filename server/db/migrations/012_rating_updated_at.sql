@@ -0,0 +1,24 @@
+-- Migration: Track when each rating was last submitted
+-- Run this on existing databases after 011_add_rating_priors.sql.
+-- Existing ratings start out as old as their original submission.
+
+ALTER TABLE road_ratings ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- The backfill is not an edit, so keep it out of edit_history and the summaries
+ALTER TABLE road_ratings DISABLE TRIGGER USER;
+UPDATE road_ratings SET updated_at = created_at;
+ALTER TABLE road_ratings ENABLE TRIGGER USER;
+
+-- A re-submitted rating re-confirms its scores and warnings, so its age
+-- counts from the latest submission
+CREATE OR REPLACE FUNCTION set_rating_updated_at() RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at := NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_road_ratings_updated_at ON road_ratings;
+CREATE TRIGGER trg_road_ratings_updated_at
+    BEFORE UPDATE ON road_ratings
+    FOR EACH ROW EXECUTE FUNCTION set_rating_updated_at();
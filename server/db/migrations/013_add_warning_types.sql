@@ -0,0 +1,64 @@
+-- Migration: Move warning types into a table and let warnings carry a location
+-- Run this on existing databases after 012_rating_updated_at.sql.
+
+-- Warning types ratings can report. Add rows here to offer new types;
+-- set active = false to stop offering one without invalidating old ratings.
+CREATE TABLE IF NOT EXISTS warning_types (
+    key TEXT PRIMARY KEY,
+    label TEXT NOT NULL,
+    icon TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    active BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+INSERT INTO warning_types (key, label, icon, sort_order) VALUES
+    ('speed_camera', 'Speed Cameras', '📷', 10),
+    ('potholes', 'Potholes', '⚠️', 20),
+    ('traffic', 'Traffic', '🚗', 30),
+    ('gravel', 'Gravel', '🪨', 40),
+    ('livestock', 'Livestock', '🐄', 50),
+    ('roadworks', 'Roadworks', '🚧', 60),
+    ('flooding', 'Flooding', '🌊', 70),
+    ('closure', 'Closures', '⛔', 80)
+ON CONFLICT (key) DO NOTHING;
+
+ALTER TABLE warning_types ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow public read access on warning_types" ON warning_types;
+CREATE POLICY "Allow public read access on warning_types" ON warning_types
+    FOR SELECT USING (true);
+
+-- Warnings pinned to a spot on the road: [{ type, lat, lng }], snapped onto the path
+ALTER TABLE road_ratings ADD COLUMN IF NOT EXISTS warning_locations JSONB;
+
+-- The new parameter changes the signature, so drop the old overload first
+DROP FUNCTION IF EXISTS create_road_with_rating(JSONB, TEXT, INTEGER, INTEGER, INTEGER, INTEGER, INTEGER, TEXT, TEXT[], TEXT);
+
+-- Insert a road and its submitter's first rating in one transaction, so a
+-- failed rating insert never leaves a road behind without ratings
+CREATE OR REPLACE FUNCTION create_road_with_rating(
+    p_path JSONB,
+    p_name TEXT,
+    p_twistiness INTEGER,
+    p_surface_condition INTEGER,
+    p_fun_factor INTEGER,
+    p_scenery INTEGER,
+    p_visibility INTEGER,
+    p_comment TEXT,
+    p_warnings TEXT[],
+    p_warning_locations JSONB,
+    p_device_id TEXT
+) RETURNS roads AS $$
+DECLARE
+    new_road roads;
+BEGIN
+    INSERT INTO roads (path, name, device_id)
+    VALUES (p_path, p_name, p_device_id)
+    RETURNING * INTO new_road;
+
+    INSERT INTO road_ratings (road_id, twistiness, surface_condition, fun_factor, scenery, visibility, comment, warnings, warning_locations, device_id)
+    VALUES (new_road.id::TEXT, p_twistiness, p_surface_condition, p_fun_factor, p_scenery, p_visibility, p_comment, p_warnings, p_warning_locations, p_device_id);
+
+    RETURN new_road;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,71 @@
+-- Migration: Add temporary road condition reports and mark closed roads in listings
+-- Run this on existing databases after 013_add_warning_types.sql.
+
+-- Temporary conditions such as closures, roadworks or snow, kept apart from
+-- the permanent ratings. Each report expires on its own; confirmations extend
+-- it and "no longer present" votes clear it (see server/lib/reports.js).
+CREATE TABLE IF NOT EXISTS road_reports (
+    id SERIAL PRIMARY KEY,
+    road_id TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('closure', 'landslip', 'roadworks', 'snow', 'flooding', 'other')),
+    note TEXT,
+    starts_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    cleared_at TIMESTAMPTZ,
+    device_id TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (expires_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_road_reports_road_id ON road_reports(road_id, expires_at DESC);
+
+-- One confirm/clear vote per device per report; a device can change its vote
+CREATE TABLE IF NOT EXISTS road_report_votes (
+    report_id INTEGER NOT NULL REFERENCES road_reports(id) ON DELETE CASCADE,
+    device_id TEXT NOT NULL,
+    vote TEXT NOT NULL CHECK (vote IN ('confirm', 'clear')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (report_id, device_id)
+);
+
+ALTER TABLE road_reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE road_report_votes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow public read access on road_reports" ON road_reports;
+CREATE POLICY "Allow public read access on road_reports" ON road_reports
+    FOR SELECT USING (true);
+
+-- Roads joined with their summaries, so listings can filter, sort and
+-- paginate on rating columns in a single query
+CREATE OR REPLACE VIEW road_listings AS
+SELECT
+    r.*,
+    COALESCE(s.rating_count, 0) AS rating_count,
+    s.avg_twistiness,
+    s.avg_surface_condition,
+    s.avg_fun_factor,
+    s.avg_scenery,
+    s.avg_visibility,
+    s.avg_overall,
+    COALESCE(s.warnings, '{}') AS warnings,
+    -- An active report of a type that closes the road (closesRoad in server/lib/reports.js)
+    EXISTS (
+        SELECT 1 FROM road_reports rep
+        WHERE rep.road_id = r.id::TEXT
+          AND rep.type IN ('closure', 'landslip')
+          AND rep.cleared_at IS NULL
+          AND rep.starts_at <= NOW()
+          AND rep.expires_at > NOW()
+    ) AS closed
+FROM roads r
+LEFT JOIN road_rating_summaries s ON s.road_id = r.id::TEXT;
+
+-- Deleting a road deletes its ratings (each logged to edit_history), its summary and its reports
+CREATE OR REPLACE FUNCTION delete_road_ratings() RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM road_ratings WHERE road_id = OLD.id::TEXT;
+    DELETE FROM road_rating_summaries WHERE road_id = OLD.id::TEXT;
+    DELETE FROM road_reports WHERE road_id = OLD.id::TEXT;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,83 @@
+-- Migration: Hide flagged ratings and keep them out of summaries
+-- Run this on existing databases after 014_add_road_reports.sql.
+
+-- Hidden by moderation (FLAGS_TO_HIDE open flags, see server/lib/moderation.js).
+-- Hidden ratings are kept for audit but left out of summaries and listings.
+ALTER TABLE road_ratings ADD COLUMN IF NOT EXISTS hidden BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Flags raised against ratings with POST /api/ratings/:id/report, one per
+-- device. An admin approving the rating resolves its open flags; resolved
+-- flags stay for audit. Service role only (no public policy).
+CREATE TABLE IF NOT EXISTS rating_flags (
+    rating_id INTEGER NOT NULL REFERENCES road_ratings(id) ON DELETE CASCADE,
+    device_id TEXT NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ,
+    PRIMARY KEY (rating_id, device_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_flags_open ON rating_flags(rating_id) WHERE resolved_at IS NULL;
+
+ALTER TABLE rating_flags ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow public read access on road_ratings" ON road_ratings;
+CREATE POLICY "Allow public read access on road_ratings" ON road_ratings
+    FOR SELECT USING (NOT hidden);
+
+-- Summaries only count visible ratings
+CREATE OR REPLACE FUNCTION refresh_road_rating_summary(p_road_id TEXT) RETURNS VOID AS $$
+    INSERT INTO road_rating_summaries (
+        road_id, rating_count, avg_twistiness, avg_surface_condition,
+        avg_fun_factor, avg_scenery, avg_visibility, avg_overall, warnings, updated_at
+    )
+    SELECT
+        p_road_id,
+        COUNT(*),
+        AVG(twistiness)::DOUBLE PRECISION,
+        AVG(surface_condition)::DOUBLE PRECISION,
+        AVG(fun_factor)::DOUBLE PRECISION,
+        AVG(scenery)::DOUBLE PRECISION,
+        AVG(visibility)::DOUBLE PRECISION,
+        ((AVG(twistiness) + AVG(surface_condition) + AVG(fun_factor) + AVG(scenery) + AVG(visibility)) / 5)::DOUBLE PRECISION,
+        ARRAY(
+            SELECT DISTINCT w
+            FROM road_ratings rr, unnest(rr.warnings) AS w
+            WHERE rr.road_id = p_road_id AND NOT rr.hidden
+            ORDER BY w
+        ),
+        NOW()
+    FROM road_ratings
+    WHERE road_id = p_road_id AND NOT hidden
+    ON CONFLICT (road_id) DO UPDATE SET
+        rating_count = EXCLUDED.rating_count,
+        avg_twistiness = EXCLUDED.avg_twistiness,
+        avg_surface_condition = EXCLUDED.avg_surface_condition,
+        avg_fun_factor = EXCLUDED.avg_fun_factor,
+        avg_scenery = EXCLUDED.avg_scenery,
+        avg_visibility = EXCLUDED.avg_visibility,
+        avg_overall = EXCLUDED.avg_overall,
+        warnings = EXCLUDED.warnings,
+        updated_at = EXCLUDED.updated_at;
+$$ LANGUAGE sql;
+
+-- Hiding or un-hiding a rating is not a submission, so it keeps its age
+CREATE OR REPLACE FUNCTION set_rating_updated_at() RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.hidden IS NOT DISTINCT FROM OLD.hidden THEN
+        NEW.updated_at := NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE VIEW rating_priors AS
+SELECT
+    COUNT(*) AS rating_count,
+    AVG(twistiness)::DOUBLE PRECISION AS avg_twistiness,
+    AVG(surface_condition)::DOUBLE PRECISION AS avg_surface_condition,
+    AVG(fun_factor)::DOUBLE PRECISION AS avg_fun_factor,
+    AVG(scenery)::DOUBLE PRECISION AS avg_scenery,
+    AVG(visibility)::DOUBLE PRECISION AS avg_visibility
+FROM road_ratings
+WHERE NOT hidden;
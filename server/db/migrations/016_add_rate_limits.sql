@@ -0,0 +1,31 @@
+-- Migration: Add database-backed counters for the POST rate limits
+-- Run this on existing databases after 015_add_moderation.sql.
+
+-- Fixed-window request counters for the POST rate limits when they are
+-- counted in the database (the Vercel functions, see server/lib/rateLimit.js).
+-- `npm run purge-rate-limits` deletes finished windows. Service role only.
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT NOT NULL, -- policy, then ip:<address> or device:<id>
+    window_start TIMESTAMPTZ NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_window_start ON rate_limits(window_start);
+
+-- Count one request against a key in the current window, atomically, and
+-- return the new count with the time the window ends
+CREATE OR REPLACE FUNCTION hit_rate_limit(p_key TEXT, p_window_seconds INTEGER)
+RETURNS TABLE (hits INTEGER, reset_at TIMESTAMPTZ) AS $$
+DECLARE
+    v_window_start TIMESTAMPTZ := TO_TIMESTAMP(FLOOR(EXTRACT(EPOCH FROM NOW()) / p_window_seconds) * p_window_seconds);
+BEGIN
+    RETURN QUERY
+    INSERT INTO rate_limits AS rl (key, window_start, count)
+    VALUES (p_key, v_window_start, 1)
+    ON CONFLICT (key, window_start) DO UPDATE SET count = rl.count + 1
+    RETURNING rl.count, rl.window_start + MAKE_INTERVAL(secs => p_window_seconds);
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE rate_limits ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,157 @@
+-- Migration: Add optional accounts (Supabase Auth) that can claim a device's history
+-- Run this on existing databases after 016_add_rate_limits.sql.
+
+-- road_listings selects r.*, so it has to be rebuilt around the wider table
+DROP VIEW IF EXISTS road_listings;
+
+-- Set when submitted while signed in, or when the device was claimed by an account
+ALTER TABLE roads ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE road_ratings ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE road_reports ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_roads_user_id ON roads(user_id);
+
+-- One rating per account per road, whichever device it was submitted from
+CREATE UNIQUE INDEX IF NOT EXISTS road_ratings_road_user_key ON road_ratings(road_id, user_id) WHERE user_id IS NOT NULL;
+
+-- Roads joined with their summaries, so listings can filter, sort and
+-- paginate on rating columns in a single query
+CREATE OR REPLACE VIEW road_listings AS
+SELECT
+    r.*,
+    COALESCE(s.rating_count, 0) AS rating_count,
+    s.avg_twistiness,
+    s.avg_surface_condition,
+    s.avg_fun_factor,
+    s.avg_scenery,
+    s.avg_visibility,
+    s.avg_overall,
+    COALESCE(s.warnings, '{}') AS warnings,
+    -- An active report of a type that closes the road (closesRoad in server/lib/reports.js)
+    EXISTS (
+        SELECT 1 FROM road_reports rep
+        WHERE rep.road_id = r.id::TEXT
+          AND rep.type IN ('closure', 'landslip')
+          AND rep.cleared_at IS NULL
+          AND rep.starts_at <= NOW()
+          AND rep.expires_at > NOW()
+    ) AS closed
+FROM roads r
+LEFT JOIN road_rating_summaries s ON s.road_id = r.id::TEXT;
+
+-- A re-submitted rating re-confirms its scores and warnings, so its age
+-- counts from the latest submission. Hiding or un-hiding it, or an account
+-- claiming it, is not a submission.
+CREATE OR REPLACE FUNCTION set_rating_updated_at() RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.hidden IS NOT DISTINCT FROM OLD.hidden
+       AND NEW.user_id IS NOT DISTINCT FROM OLD.user_id THEN
+        NEW.updated_at := NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- The old signature has no p_user_id; drop it so the API's calls are not ambiguous
+DROP FUNCTION IF EXISTS create_road_with_rating(JSONB, TEXT, INTEGER, INTEGER, INTEGER, INTEGER, INTEGER, TEXT, TEXT[], JSONB, TEXT);
+
+-- Insert a road and its submitter's first rating in one transaction, so a
+-- failed rating insert never leaves a road behind without ratings
+CREATE OR REPLACE FUNCTION create_road_with_rating(
+    p_path JSONB,
+    p_name TEXT,
+    p_twistiness INTEGER,
+    p_surface_condition INTEGER,
+    p_fun_factor INTEGER,
+    p_scenery INTEGER,
+    p_visibility INTEGER,
+    p_comment TEXT,
+    p_warnings TEXT[],
+    p_warning_locations JSONB,
+    p_device_id TEXT,
+    p_user_id UUID DEFAULT NULL
+) RETURNS roads AS $$
+DECLARE
+    new_road roads;
+BEGIN
+    INSERT INTO roads (path, name, device_id, user_id)
+    VALUES (p_path, p_name, p_device_id, p_user_id)
+    RETURNING * INTO new_road;
+
+    INSERT INTO road_ratings (road_id, twistiness, surface_condition, fun_factor, scenery, visibility, comment, warnings, warning_locations, device_id, user_id)
+    VALUES (new_road.id::TEXT, p_twistiness, p_surface_condition, p_fun_factor, p_scenery, p_visibility, p_comment, p_warnings, p_warning_locations, p_device_id, p_user_id);
+
+    RETURN new_road;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Devices whose anonymous history has been moved onto an account with
+-- POST /api/me/claim. A device can be claimed by one account only.
+CREATE TABLE IF NOT EXISTS account_devices (
+    device_id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    claimed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_devices_user_id ON account_devices(user_id);
+
+-- Move a device's roads, ratings and reports without an account onto p_user_id.
+-- Where the account and the device both rated a road, the more recently
+-- submitted rating is kept and the other is deleted (logged to edit_history).
+CREATE OR REPLACE FUNCTION claim_device_rows(p_user_id UUID, p_device_id TEXT)
+RETURNS TABLE (claimed_roads INTEGER, claimed_ratings INTEGER, claimed_reports INTEGER) AS $$
+DECLARE
+    v_owner UUID;
+BEGIN
+    INSERT INTO account_devices (device_id, user_id)
+    VALUES (p_device_id, p_user_id)
+    ON CONFLICT (device_id) DO NOTHING;
+
+    SELECT user_id INTO v_owner FROM account_devices WHERE device_id = p_device_id;
+    IF v_owner <> p_user_id THEN
+        RAISE EXCEPTION 'Device % is already linked to another account', p_device_id
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    -- Drop whichever of two ratings of the same road is older
+    DELETE FROM road_ratings stale
+    USING road_ratings device_rating, road_ratings account_rating
+    WHERE device_rating.device_id = p_device_id
+      AND device_rating.user_id IS NULL
+      AND account_rating.user_id = p_user_id
+      AND account_rating.road_id = device_rating.road_id
+      AND stale.id = CASE
+          WHEN device_rating.updated_at > account_rating.updated_at THEN account_rating.id
+          ELSE device_rating.id
+      END;
+
+    UPDATE roads SET user_id = p_user_id
+    WHERE device_id = p_device_id AND user_id IS NULL;
+    GET DIAGNOSTICS claimed_roads = ROW_COUNT;
+
+    UPDATE road_ratings SET user_id = p_user_id
+    WHERE device_id = p_device_id AND user_id IS NULL;
+    GET DIAGNOSTICS claimed_ratings = ROW_COUNT;
+
+    UPDATE road_reports SET user_id = p_user_id
+    WHERE device_id = p_device_id AND user_id IS NULL;
+    GET DIAGNOSTICS claimed_reports = ROW_COUNT;
+
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE account_devices ENABLE ROW LEVEL SECURITY;
+
+-- Every write goes through the API with the service role, which checks
+-- device and account ownership, so the public insert policies go
+DROP POLICY IF EXISTS "Allow public insert access on roads" ON roads;
+DROP POLICY IF EXISTS "Allow public insert access on road_ratings" ON road_ratings;
+
+DROP POLICY IF EXISTS "Allow public read access on road_ratings" ON road_ratings;
+CREATE POLICY "Allow public read access on road_ratings" ON road_ratings
+    FOR SELECT USING (NOT hidden OR user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Allow users to read their own linked devices" ON account_devices;
+CREATE POLICY "Allow users to read their own linked devices" ON account_devices
+    FOR SELECT USING (user_id = auth.uid());
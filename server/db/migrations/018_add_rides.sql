@@ -0,0 +1,84 @@
+-- Migration: Add private GPS rides uploaded by the mobile apps
+-- Run this on existing databases after 017_add_accounts.sql.
+
+-- GPS rides recorded by the mobile apps (POST /api/rides). Private: only the
+-- device or account that recorded a ride can read it through the API.
+CREATE TABLE IF NOT EXISTS rides (
+    id SERIAL PRIMARY KEY,
+    -- [{ lat, lng, time, speed, altitude, accuracy, lean }], time in epoch ms (see server/lib/rides.js)
+    points JSONB NOT NULL,
+    point_count INTEGER NOT NULL,
+    -- Distance, duration, speeds, elevation and lean, computed when the ride is uploaded
+    stats JSONB NOT NULL,
+    started_at TIMESTAMPTZ NOT NULL,
+    ended_at TIMESTAMPTZ NOT NULL,
+    min_lat DOUBLE PRECISION,
+    min_lng DOUBLE PRECISION,
+    max_lat DOUBLE PRECISION,
+    max_lng DOUBLE PRECISION,
+    device_id TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rides_device_id ON rides(device_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rides_user_id ON rides(user_id, started_at DESC);
+
+-- claim_device_rows also claims rides now; its result gains a column, so it is recreated
+DROP FUNCTION IF EXISTS claim_device_rows(UUID, TEXT);
+
+-- Move a device's roads, ratings, reports and rides without an account onto p_user_id.
+-- Where the account and the device both rated a road, the more recently
+-- submitted rating is kept and the other is deleted (logged to edit_history).
+CREATE OR REPLACE FUNCTION claim_device_rows(p_user_id UUID, p_device_id TEXT)
+RETURNS TABLE (claimed_roads INTEGER, claimed_ratings INTEGER, claimed_reports INTEGER, claimed_rides INTEGER) AS $$
+DECLARE
+    v_owner UUID;
+BEGIN
+    INSERT INTO account_devices (device_id, user_id)
+    VALUES (p_device_id, p_user_id)
+    ON CONFLICT (device_id) DO NOTHING;
+
+    SELECT user_id INTO v_owner FROM account_devices WHERE device_id = p_device_id;
+    IF v_owner <> p_user_id THEN
+        RAISE EXCEPTION 'Device % is already linked to another account', p_device_id
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    -- Drop whichever of two ratings of the same road is older
+    DELETE FROM road_ratings stale
+    USING road_ratings device_rating, road_ratings account_rating
+    WHERE device_rating.device_id = p_device_id
+      AND device_rating.user_id IS NULL
+      AND account_rating.user_id = p_user_id
+      AND account_rating.road_id = device_rating.road_id
+      AND stale.id = CASE
+          WHEN device_rating.updated_at > account_rating.updated_at THEN account_rating.id
+          ELSE device_rating.id
+      END;
+
+    UPDATE roads SET user_id = p_user_id
+    WHERE device_id = p_device_id AND user_id IS NULL;
+    GET DIAGNOSTICS claimed_roads = ROW_COUNT;
+
+    UPDATE road_ratings SET user_id = p_user_id
+    WHERE device_id = p_device_id AND user_id IS NULL;
+    GET DIAGNOSTICS claimed_ratings = ROW_COUNT;
+
+    UPDATE road_reports SET user_id = p_user_id
+    WHERE device_id = p_device_id AND user_id IS NULL;
+    GET DIAGNOSTICS claimed_reports = ROW_COUNT;
+
+    UPDATE rides SET user_id = p_user_id
+    WHERE device_id = p_device_id AND user_id IS NULL;
+    GET DIAGNOSTICS claimed_rides = ROW_COUNT;
+
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE rides ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow users to read their own rides" ON rides;
+CREATE POLICY "Allow users to read their own rides" ON rides
+    FOR SELECT USING (user_id = auth.uid());
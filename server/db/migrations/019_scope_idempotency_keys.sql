@@ -0,0 +1,9 @@
+-- Migration: Scope idempotency keys to a route and caller, and keep response headers
+-- Run this on existing databases after 018_add_rides.sql
+
+-- Keys are now stored as a SHA-256 of the route, the caller and the client's
+-- key (see server/lib/idempotency.js), so keys stored before this migration
+-- can never match again
+DELETE FROM idempotency_keys;
+
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS headers JSONB;
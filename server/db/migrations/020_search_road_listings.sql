@@ -0,0 +1,115 @@
+-- Migration: Rank and distance-sort road listings in the database
+-- Run this on existing databases after 019_scope_idempotency_keys.sql
+
+-- Distance in kilometers from a point to the closest part of a road path,
+-- computed like distanceToPath in server/lib/geo.js: each segment is
+-- projected in a local equirectangular plane, then the haversine distance
+-- to the closest projected point is taken
+CREATE OR REPLACE FUNCTION path_distance_km(
+    p_path JSONB,
+    p_lat DOUBLE PRECISION,
+    p_lng DOUBLE PRECISION
+) RETURNS DOUBLE PRECISION AS $$
+DECLARE
+    points JSONB := CASE WHEN jsonb_typeof(p_path) = 'string' THEN (p_path #>> '{}')::JSONB ELSE p_path END;
+    point_count INTEGER := jsonb_array_length(points);
+    cos_lat DOUBLE PRECISION := cos(radians(p_lat));
+    a_lat DOUBLE PRECISION;
+    a_lng DOUBLE PRECISION;
+    b_lat DOUBLE PRECISION;
+    b_lng DOUBLE PRECISION;
+    dx DOUBLE PRECISION;
+    dy DOUBLE PRECISION;
+    length_squared DOUBLE PRECISION;
+    t DOUBLE PRECISION;
+    proj_lat DOUBLE PRECISION;
+    proj_lng DOUBLE PRECISION;
+    distance DOUBLE PRECISION;
+    closest DOUBLE PRECISION;
+BEGIN
+    IF point_count = 0 THEN
+        RETURN NULL;
+    END IF;
+
+    FOR i IN 0..GREATEST(point_count - 2, 0) LOOP
+        a_lat := (points -> i ->> 'lat')::DOUBLE PRECISION;
+        a_lng := (points -> i ->> 'lng')::DOUBLE PRECISION;
+        b_lat := (points -> LEAST(i + 1, point_count - 1) ->> 'lat')::DOUBLE PRECISION;
+        b_lng := (points -> LEAST(i + 1, point_count - 1) ->> 'lng')::DOUBLE PRECISION;
+        dx := (b_lng - a_lng) * cos_lat;
+        dy := b_lat - a_lat;
+        length_squared := dx * dx + dy * dy;
+        t := CASE WHEN length_squared = 0 THEN 0
+            ELSE GREATEST(0, LEAST(1, (((p_lng - a_lng) * cos_lat) * dx + (p_lat - a_lat) * dy) / length_squared))
+        END;
+        proj_lat := a_lat + t * (b_lat - a_lat);
+        proj_lng := a_lng + t * (b_lng - a_lng);
+        distance := 2 * 6371 * asin(sqrt(LEAST(1,
+            sin(radians(proj_lat - p_lat) / 2) ^ 2 +
+            cos(radians(p_lat)) * cos(radians(proj_lat)) * sin(radians(proj_lng - p_lng) / 2) ^ 2
+        )));
+        IF closest IS NULL OR distance < closest THEN
+            closest := distance;
+        END IF;
+    END LOOP;
+
+    RETURN closest;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Road listings with the two sort keys that are not plain columns: the
+-- ranking score for sort=score and the distance from the near point. Called
+-- as an RPC and then filtered, ordered and paginated like road_listings
+-- (server/lib/listing.js), so those sorts are limited by the database too.
+-- The score matches rankingScore in server/lib/ranking.js: each category
+-- average is shrunk toward its rating_priors mean by 5 virtual ratings and
+-- the categories are combined with p_weights ({ field: weight }, default 1).
+-- Keep the returned columns in step with road_listings.
+CREATE OR REPLACE FUNCTION search_road_listings(
+    p_weights JSONB DEFAULT '{}',
+    p_near_lat DOUBLE PRECISION DEFAULT NULL,
+    p_near_lng DOUBLE PRECISION DEFAULT NULL
+) RETURNS TABLE (
+    id INTEGER,
+    path JSONB,
+    name TEXT,
+    device_id TEXT,
+    user_id UUID,
+    min_lat DOUBLE PRECISION,
+    min_lng DOUBLE PRECISION,
+    max_lat DOUBLE PRECISION,
+    max_lng DOUBLE PRECISION,
+    created_at TIMESTAMPTZ,
+    rating_count INTEGER,
+    avg_twistiness DOUBLE PRECISION,
+    avg_surface_condition DOUBLE PRECISION,
+    avg_fun_factor DOUBLE PRECISION,
+    avg_scenery DOUBLE PRECISION,
+    avg_visibility DOUBLE PRECISION,
+    avg_overall DOUBLE PRECISION,
+    warnings TEXT[],
+    closed BOOLEAN,
+    score DOUBLE PRECISION,
+    distance DOUBLE PRECISION
+) AS $$
+    SELECT
+        l.*,
+        ranked.score,
+        CASE WHEN p_near_lat IS NOT NULL AND p_near_lng IS NOT NULL
+            THEN path_distance_km(l.path, p_near_lat, p_near_lng)
+        END AS distance
+    FROM road_listings l
+    CROSS JOIN rating_priors p
+    CROSS JOIN LATERAL (
+        SELECT SUM(f.weight * (5 * f.prior + l.rating_count * f.mean) / (5 + l.rating_count))
+            / NULLIF(SUM(f.weight), 0) AS score
+        FROM (VALUES
+            (COALESCE((p_weights ->> 'twistiness')::DOUBLE PRECISION, 1), l.avg_twistiness, COALESCE(p.avg_twistiness, 3)),
+            (COALESCE((p_weights ->> 'surface_condition')::DOUBLE PRECISION, 1), l.avg_surface_condition, COALESCE(p.avg_surface_condition, 3)),
+            (COALESCE((p_weights ->> 'fun_factor')::DOUBLE PRECISION, 1), l.avg_fun_factor, COALESCE(p.avg_fun_factor, 3)),
+            (COALESCE((p_weights ->> 'scenery')::DOUBLE PRECISION, 1), l.avg_scenery, COALESCE(p.avg_scenery, 3)),
+            (COALESCE((p_weights ->> 'visibility')::DOUBLE PRECISION, 1), l.avg_visibility, COALESCE(p.avg_visibility, 3))
+        ) AS f(weight, mean, prior)
+        WHERE l.rating_count > 0 AND f.mean IS NOT NULL
+    ) ranked;
+$$ LANGUAGE sql STABLE;
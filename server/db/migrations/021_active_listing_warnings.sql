@@ -0,0 +1,71 @@
+-- Migration: List only unexpired warnings on roads
+-- Run this on existing databases after 020_search_road_listings.sql
+
+-- road_rating_summaries.warnings held every warning ever reported, so
+-- has_warning/exclude_warning, map styling and exports showed expired ones.
+-- road_listings now works them out when read, with the same 180-day expiry
+-- as warningReports in server/lib/freshness.js.
+CREATE OR REPLACE FUNCTION active_road_warnings(p_road_id TEXT) RETURNS TEXT[] AS $$
+    SELECT ARRAY(
+        SELECT DISTINCT w
+        FROM road_ratings rr, unnest(rr.warnings) AS w
+        WHERE rr.road_id = p_road_id
+          AND NOT rr.hidden
+          AND COALESCE(rr.updated_at, rr.created_at) >= NOW() - INTERVAL '180 days'
+        ORDER BY w
+    );
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE VIEW road_listings AS
+SELECT
+    r.*,
+    COALESCE(s.rating_count, 0) AS rating_count,
+    s.avg_twistiness,
+    s.avg_surface_condition,
+    s.avg_fun_factor,
+    s.avg_scenery,
+    s.avg_visibility,
+    s.avg_overall,
+    active_road_warnings(r.id::TEXT) AS warnings,
+    -- An active report of a type that closes the road (closesRoad in server/lib/reports.js)
+    EXISTS (
+        SELECT 1 FROM road_reports rep
+        WHERE rep.road_id = r.id::TEXT
+          AND rep.type IN ('closure', 'landslip')
+          AND rep.cleared_at IS NULL
+          AND rep.starts_at <= NOW()
+          AND rep.expires_at > NOW()
+    ) AS closed
+FROM roads r
+LEFT JOIN road_rating_summaries s ON s.road_id = r.id::TEXT;
+
+CREATE OR REPLACE FUNCTION refresh_road_rating_summary(p_road_id TEXT) RETURNS VOID AS $$
+    INSERT INTO road_rating_summaries (
+        road_id, rating_count, avg_twistiness, avg_surface_condition,
+        avg_fun_factor, avg_scenery, avg_visibility, avg_overall, updated_at
+    )
+    SELECT
+        p_road_id,
+        COUNT(*),
+        AVG(twistiness)::DOUBLE PRECISION,
+        AVG(surface_condition)::DOUBLE PRECISION,
+        AVG(fun_factor)::DOUBLE PRECISION,
+        AVG(scenery)::DOUBLE PRECISION,
+        AVG(visibility)::DOUBLE PRECISION,
+        ((AVG(twistiness) + AVG(surface_condition) + AVG(fun_factor) + AVG(scenery) + AVG(visibility)) / 5)::DOUBLE PRECISION,
+        NOW()
+    FROM road_ratings
+    WHERE road_id = p_road_id AND NOT hidden
+    ON CONFLICT (road_id) DO UPDATE SET
+        rating_count = EXCLUDED.rating_count,
+        avg_twistiness = EXCLUDED.avg_twistiness,
+        avg_surface_condition = EXCLUDED.avg_surface_condition,
+        avg_fun_factor = EXCLUDED.avg_fun_factor,
+        avg_scenery = EXCLUDED.avg_scenery,
+        avg_visibility = EXCLUDED.avg_visibility,
+        avg_overall = EXCLUDED.avg_overall,
+        updated_at = EXCLUDED.updated_at;
+$$ LANGUAGE sql;
+
+DROP INDEX IF EXISTS idx_road_rating_summaries_warnings;
+ALTER TABLE road_rating_summaries DROP COLUMN IF EXISTS warnings;
@@ -0,0 +1,68 @@
+-- Migration: Claim only unlinked devices, and stop publishing device ids
+-- Run this on existing databases after 021_active_listing_warnings.sql
+
+-- A device id is what lets an anonymous client change its rows, and claiming
+-- one moves them onto an account for good. A device that has been claimed
+-- once cannot be claimed again, by another account or the same one.
+CREATE OR REPLACE FUNCTION claim_device_rows(p_user_id UUID, p_device_id TEXT)
+RETURNS TABLE (claimed_roads INTEGER, claimed_ratings INTEGER, claimed_reports INTEGER, claimed_rides INTEGER) AS $$
+BEGIN
+    INSERT INTO account_devices (device_id, user_id)
+    VALUES (p_device_id, p_user_id)
+    ON CONFLICT (device_id) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Device % is already linked to an account', p_device_id
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    -- Drop whichever of two ratings of the same road is older
+    DELETE FROM road_ratings stale
+    USING road_ratings device_rating, road_ratings account_rating
+    WHERE device_rating.device_id = p_device_id
+      AND device_rating.user_id IS NULL
+      AND account_rating.user_id = p_user_id
+      AND account_rating.road_id = device_rating.road_id
+      AND stale.id = CASE
+          WHEN device_rating.updated_at > account_rating.updated_at THEN account_rating.id
+          ELSE device_rating.id
+      END;
+
+    UPDATE roads SET user_id = p_user_id
+    WHERE device_id = p_device_id AND user_id IS NULL;
+    GET DIAGNOSTICS claimed_roads = ROW_COUNT;
+
+    UPDATE road_ratings SET user_id = p_user_id
+    WHERE device_id = p_device_id AND user_id IS NULL;
+    GET DIAGNOSTICS claimed_ratings = ROW_COUNT;
+
+    UPDATE road_reports SET user_id = p_user_id
+    WHERE device_id = p_device_id AND user_id IS NULL;
+    GET DIAGNOSTICS claimed_reports = ROW_COUNT;
+
+    UPDATE rides SET user_id = p_user_id
+    WHERE device_id = p_device_id AND user_id IS NULL;
+    GET DIAGNOSTICS claimed_rides = ROW_COUNT;
+
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql;
+
+-- The public read policies let anyone select device_id, which is all it takes
+-- to edit or claim a device's rows. Clients read every column but that one.
+REVOKE SELECT ON roads, road_ratings, road_reports, road_listings FROM anon, authenticated;
+
+GRANT SELECT (id, path, name, user_id, min_lat, min_lng, max_lat, max_lng, created_at)
+    ON roads TO anon, authenticated;
+
+GRANT SELECT (id, road_id, twistiness, surface_condition, fun_factor, scenery, visibility,
+              comment, warnings, warning_locations, user_id, created_at, updated_at, hidden)
+    ON road_ratings TO anon, authenticated;
+
+GRANT SELECT (id, road_id, type, note, starts_at, expires_at, cleared_at, user_id, created_at)
+    ON road_reports TO anon, authenticated;
+
+GRANT SELECT (id, path, name, user_id, min_lat, min_lng, max_lat, max_lng, created_at,
+              rating_count, avg_twistiness, avg_surface_condition, avg_fun_factor, avg_scenery,
+              avg_visibility, avg_overall, warnings, closed)
+    ON road_listings TO anon, authenticated;
@@ -1,8 +1,9 @@
 -- RoadRank Seed Data
 -- Run this after init.sql to add some classic UK driving roads
 
--- Insert classic UK roads
-INSERT INTO roads (path, twistiness, surface_condition, fun_factor, scenery, visibility, name) VALUES
+-- Insert classic UK roads, each with an original submission rating.
+-- Scores live only in road_ratings; roads hold the path and name.
+WITH seed (path, twistiness, surface_condition, fun_factor, scenery, visibility, name) AS (VALUES
 (
   '[{"lat": 53.4040, "lng": -1.8186}, {"lat": 53.4050, "lng": -1.8300}, {"lat": 53.4070, "lng": -1.8450}, {"lat": 53.4100, "lng": -1.8600}, {"lat": 53.4120, "lng": -1.8750}]',
   5, 3, 5, 5, 4, 'Snake Pass (A57)'
@@ -42,16 +43,20 @@ INSERT INTO roads (path, twistiness, surface_condition, fun_factor, scenery, vis
 (
   '[{"lat": 53.0900, "lng": -3.5200}, {"lat": 53.0950, "lng": -3.5100}, {"lat": 53.1000, "lng": -3.5000}, {"lat": 53.1050, "lng": -3.4900}, {"lat": 53.1100, "lng": -3.4800}]',
   5, 4, 5, 4, 4, 'Evo Triangle (B4391/B5105/A543)'
-);
-
--- Insert initial ratings for each road (Original submissions)
+)),
+inserted AS (
+  INSERT INTO roads (path, name)
+  SELECT path::JSONB, name FROM seed
+  RETURNING id, name
+)
 INSERT INTO road_ratings (road_id, twistiness, surface_condition, fun_factor, scenery, visibility, comment)
 SELECT
-  id::text,
-  twistiness,
-  surface_condition,
-  fun_factor,
-  scenery,
-  visibility,
+  inserted.id::text,
+  seed.twistiness,
+  seed.surface_condition,
+  seed.fun_factor,
+  seed.scenery,
+  seed.visibility,
   'Original submission'
-FROM roads;
+FROM inserted
+JOIN seed ON seed.name = inserted.name;
@@ -0,0 +1,256 @@
+/**
+ * Runtime adapters for the shared route table in ./routes.
+ * Both adapters translate the runtime request into { params, query, body, headers, ip },
+ * run the route handler and write its { status, body } back as JSON (or as-is
+ * for string bodies, such as road exports, whose route sets Content-Type), so
+ * the Express server and the Vercel functions answer every route identically.
+ */
+
+const compilePath = (path) => {
+  const keys = [];
+  const pattern = path.replace(/:([A-Za-z_]+)/g, (_, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  return { keys, regex: new RegExp(`^${pattern}/?$`) };
+};
+
+// Thrown by decodeURIComponent for escapes like %E0 that are not valid UTF-8
+const MALFORMED_PATH = { status: 400, body: { message: 'Request path is not a valid URL.' } };
+
+const matchPath = (path, pathname) => {
+  const { keys, regex } = compilePath(path);
+  const match = regex.exec(pathname);
+  if (!match) return null;
+
+  return keys.reduce((params, key, index) => ({
+    ...params,
+    [key]: decodeURIComponent(match[index + 1]),
+  }), {});
+};
+
+/**
+ * Query parameters as a plain object. A repeated parameter becomes an array
+ * of its values, in order; both adapters parse the query string with this so
+ * handlers see the same shape on either runtime.
+ * @param {URLSearchParams} searchParams
+ * @returns {Object<string, string | Array<string>>}
+ */
+const parseQuery = (searchParams) => {
+  const query = {};
+  searchParams.forEach((value, key) => {
+    if (!Object.prototype.hasOwnProperty.call(query, key)) {
+      query[key] = value;
+    } else {
+      query[key] = [].concat(query[key], value);
+    }
+  });
+  return query;
+};
+
+/**
+ * Find the route for a method and pathname.
+ * @returns {{ route: object, params: object } | { status: number, body: object }}
+ */
+const resolveRoute = (routes, method, pathname) => {
+  let pathMatched = false;
+
+  for (const route of routes) {
+    let params;
+    try {
+      params = matchPath(route.path, pathname);
+    } catch (err) {
+      if (err instanceof URIError) return MALFORMED_PATH;
+      throw err;
+    }
+    if (!params) continue;
+    pathMatched = true;
+    if (route.method === method) {
+      return { route, params };
+    }
+  }
+
+  return pathMatched
+    ? { status: 405, body: { error: 'Method not allowed' } }
+    : { status: 404, body: { error: 'Not found' } };
+};
+
+const runHandler = async (route, request) => {
+  try {
+    return await route.handler(request);
+  } catch (err) {
+    console.error(err.message);
+    return { status: 500, body: { error: 'Server error' } };
+  }
+};
+
+// Route results may carry extra headers (e.g. X-Next-Cursor); browsers only
+// let the client read them when they are listed in Access-Control-Expose-Headers.
+const writeHeaders = (res, headers) => {
+  if (!headers) return;
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  res.setHeader('Access-Control-Expose-Headers', Object.keys(headers).join(', '));
+};
+
+// String bodies are already serialized (GPX, KML...) and go out unchanged
+const writeBody = (res, { status, body }) => (
+  typeof body === 'string' ? res.status(status).send(body) : res.status(status).json(body)
+);
+
+// Vercel functions accept request bodies up to 4.5 MB; the Express server
+// is given the same limit so recorded rides fit through either
+const MAX_BODY_BYTES = 4.5 * 1024 * 1024;
+
+const INVALID_JSON = { status: 400, body: { message: 'Request body must be valid JSON.' } };
+const BODY_TOO_LARGE = { status: 413, body: { error: 'Request body is too large' } };
+
+const isJsonRequest = (req) => /^application\/json\b/i.test(req.headers?.['content-type'] || '');
+
+// Vercel parses the body lazily and throws on malformed JSON when it is read.
+// As with express.json(), only an object or array is a JSON body, and bodies
+// of other content types are ignored.
+const readVercelBody = (req) => {
+  if (Number(req.headers?.['content-length']) > MAX_BODY_BYTES) {
+    return { error: BODY_TOO_LARGE };
+  }
+
+  let body;
+  try {
+    body = req.body;
+  } catch {
+    return { error: INVALID_JSON };
+  }
+
+  if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+    return { body };
+  }
+  if (isJsonRequest(req) && body !== undefined && body !== '') {
+    return { error: INVALID_JSON };
+  }
+  return { body: {} };
+};
+
+// Vercel's edge sets X-Forwarded-For with the client address first
+const vercelClientIp = (req) => {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  const first = typeof forwarded === 'string' ? forwarded.split(',')[0].trim() : '';
+  return first || req.socket?.remoteAddress || null;
+};
+
+/**
+ * Parse a comma-separated list of allowed CORS origins (CORS_ORIGINS).
+ * @returns {Array<string> | null} null when unset, meaning any origin
+ */
+const parseAllowedOrigins = (value) => {
+  const origins = String(value || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+  return origins.length > 0 ? origins : null;
+};
+
+// Allow any origin, or echo the request's origin when it is in the list
+const writeCorsOrigin = (req, res, allowedOrigins) => {
+  if (!allowedOrigins) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    return;
+  }
+  res.setHeader('Vary', 'Origin');
+  if (allowedOrigins.includes(req.headers?.origin)) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+  }
+};
+
+const allowedMethods = (routes) => [...new Set(routes.map((route) => route.method)), 'OPTIONS'].join(',');
+
+/**
+ * Mount the route table on an Express app.
+ * @param {import('express').Application} app
+ * @param {Array<{ method: string, path: string, handler: Function }>} routes
+ */
+const mountExpress = (app, routes) => {
+  routes.forEach((route) => {
+    app[route.method.toLowerCase()](route.path, async (req, res) => {
+      const result = await runHandler(route, {
+        params: req.params,
+        query: parseQuery(new URL(req.originalUrl, 'http://localhost').searchParams),
+        body: req.body || {},
+        headers: req.headers,
+        ip: req.ip || null,
+      });
+      writeHeaders(res, result.headers);
+      writeBody(res, result);
+    });
+  });
+
+  // Unmatched /api requests get the same 404/405 bodies as the Vercel adapter
+  app.use('/api', (req, res) => {
+    const { pathname } = new URL(req.originalUrl, 'http://localhost');
+    const result = resolveRoute(routes, req.method, pathname);
+    res.status(result.status || 404).json(result.body || { error: 'Not found' });
+  });
+
+  // express.json() rejects malformed bodies before any route runs, and the
+  // router rejects path parameters that do not decode
+  app.use((err, req, res, next) => {
+    if (err instanceof URIError) {
+      return res.status(MALFORMED_PATH.status).json(MALFORMED_PATH.body);
+    }
+    if (err.type === 'entity.parse.failed') {
+      return res.status(INVALID_JSON.status).json(INVALID_JSON.body);
+    }
+    if (err.type === 'entity.too.large') {
+      return res.status(BODY_TOO_LARGE.status).json(BODY_TOO_LARGE.body);
+    }
+    return next(err);
+  });
+};
+
+/**
+ * Create a Vercel serverless handler that serves the whole route table.
+ * @param {Array<{ method: string, path: string, handler: Function }>} routes
+ * @param {object} [options]
+ * @param {Array<string> | null} [options.allowedOrigins] - CORS origins to allow; any origin when null
+ * @returns {(req: object, res: object) => Promise<void>}
+ */
+const createVercelHandler = (routes, { allowedOrigins = null } = {}) => async (req, res) => {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  writeCorsOrigin(req, res, allowedOrigins);
+  res.setHeader('Access-Control-Allow-Methods', allowedMethods(routes));
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Device-Id, Idempotency-Key, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const resolved = resolveRoute(routes, req.method, pathname);
+
+  if (!resolved.route) {
+    return res.status(resolved.status).json(resolved.body);
+  }
+
+  const { body, error } = readVercelBody(req);
+  if (error) {
+    return res.status(error.status).json(error.body);
+  }
+
+  const result = await runHandler(resolved.route, {
+    params: resolved.params,
+    query: parseQuery(searchParams),
+    body,
+    headers: req.headers,
+    ip: vercelClientIp(req),
+  });
+
+  writeHeaders(res, result.headers);
+  return writeBody(res, result);
+};
+
+module.exports = {
+  MAX_BODY_BYTES,
+  parseAllowedOrigins,
+  parseQuery,
+  matchPath,
+  resolveRoute,
+  mountExpress,
+  createVercelHandler,
+};
@@ -0,0 +1,60 @@
+/**
+ * Optional sign-in with Supabase Auth. Signed-in clients send their access
+ * token as `Authorization: Bearer <jwt>` alongside X-Device-Id; anonymous
+ * clients keep using the device id alone. Tokens are checked with Supabase
+ * (supabase.auth.getUser), so both server variants verify them the same way.
+ */
+
+// Verified tokens are trusted for this long before Supabase is asked again
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHED_TOKENS = 1000;
+
+// WWW-Authenticate (RFC 6750) tells clients to drop the session rather than retry with it
+const INVALID_SESSION = {
+  status: 401,
+  body: { error: 'Session is invalid or has expired. Please sign in again.' },
+  headers: { 'WWW-Authenticate': 'Bearer error="invalid_token"' },
+};
+const SIGN_IN_REQUIRED = { status: 401, body: { error: 'Sign in to use this endpoint' } };
+
+// The bearer token from the Authorization header, or null when there is none
+const bearerToken = (headers = {}) => {
+  const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Build a token verifier with a small in-memory cache.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @returns {(token: string) => Promise<{ id: string, email: string | null } | null>} null for a bad token
+ */
+const createAuthVerifier = (supabase) => {
+  const cache = new Map();
+
+  return async (token) => {
+    const cached = cache.get(token);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.user;
+    }
+
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) {
+      cache.delete(token);
+      return null;
+    }
+
+    if (cache.size >= MAX_CACHED_TOKENS) {
+      cache.delete(cache.keys().next().value);
+    }
+    const user = { id: data.user.id, email: data.user.email || null };
+    cache.set(token, { user, expiresAt: Date.now() + CACHE_TTL_MS });
+    return user;
+  };
+};
+
+module.exports = {
+  INVALID_SESSION,
+  SIGN_IN_REQUIRED,
+  bearerToken,
+  createAuthVerifier,
+};
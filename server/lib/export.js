@@ -0,0 +1,228 @@
+/**
+ * Road files for sat-navs and route planners: GPX 1.1, KML 2.2 and GeoJSON
+ * (RFC 7946). Each road carries its name, community scores and reported
+ * warnings; GeoJSON properties and KML ExtendedData hold them as fields,
+ * GPX only has room for a text description.
+ */
+const { SCORE_FIELDS } = require('./ratings');
+const { normalizePath } = require('./geo');
+
+const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+};
+
+const SCORE_LABELS = {
+  twistiness: 'Twistiness',
+  surface_condition: 'Surface',
+  fun_factor: 'Fun',
+  scenery: 'Scenery',
+  visibility: 'Visibility',
+};
+
+const round = (value, places) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+// Characters XML 1.0 does not allow at all, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXml = (value) => String(value)
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Parse the `format` query parameter; GPX when absent.
+ * @returns {{ format?: string, error?: string }}
+ */
+const parseExportFormat = (value) => {
+  const format = value === undefined ? 'gpx' : String(value).toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}.` };
+  }
+  return { format };
+};
+
+/**
+ * Reduce a road with its rating_summary (see toRoadWithSummary) to what the
+ * files carry. Warning keys are paired with their labels for display.
+ * @param {object} road
+ * @param {Map<string, string>} warningLabels - Label by warning type key
+ */
+const toExportRoad = (road, warningLabels) => ({
+  id: road.id,
+  name: road.name || `Road ${road.id}`,
+  path: normalizePath(road.path)
+    .filter((point) => Number.isFinite(point?.lat) && Number.isFinite(point?.lng)),
+  summary: road.rating_summary,
+  warnings: (road.warnings || []).map((key) => ({ key, label: warningLabels.get(key) || key })),
+  closed: Boolean(road.closed),
+});
+
+// "Overall 4.2/5 from 3 ratings. Twistiness 4.5, Surface 3.0, ... Warnings: Potholes."
+const describeRoad = ({ summary, warnings, closed }) => {
+  const parts = [];
+  if (summary.rating_count > 0) {
+    const scores = SCORE_FIELDS
+      .filter((field) => summary[`avg_${field}`] !== null && summary[`avg_${field}`] !== undefined)
+      .map((field) => `${SCORE_LABELS[field]} ${summary[`avg_${field}`].toFixed(1)}`);
+    const count = `${summary.rating_count} rating${summary.rating_count !== 1 ? 's' : ''}`;
+    parts.push(`Overall ${summary.avg_overall.toFixed(1)}/5 from ${count}.`);
+    if (scores.length > 0) parts.push(`${scores.join(', ')}.`);
+  } else {
+    parts.push('Not rated yet.');
+  }
+  if (warnings.length > 0) {
+    parts.push(`Warnings: ${warnings.map((warning) => warning.label).join(', ')}.`);
+  }
+  if (closed) {
+    parts.push('Currently reported closed.');
+  }
+  return parts.join(' ');
+};
+
+// Score fields as plain numbers, rounded for display; null when unrated
+const summaryFields = (summary) => ({
+  rating_count: summary.rating_count,
+  ...Object.fromEntries(['overall', ...SCORE_FIELDS].map((field) => {
+    const average = summary[`avg_${field}`];
+    return [`avg_${field}`, average === null || average === undefined ? null : round(average, 2)];
+  })),
+});
+
+// GPX longitudes run from -180 up to but not including 180; the same meridian is -180
+const gpxLongitude = (lng) => {
+  const rounded = round(lng, 6);
+  return rounded >= 180 ? rounded - 360 : rounded;
+};
+
+// Roads go out as tracks, not routes: a sat-nav follows a track as drawn,
+// while it recalculates a route between its points and may leave the road
+const toGpx = (roads, title) => {
+  const tracks = roads.map((road) => [
+    '  <trk>',
+    `    <name>${escapeXml(road.name)}</name>`,
+    `    <desc>${escapeXml(describeRoad(road))}</desc>`,
+    '    <src>RoadRank</src>',
+    '    <trkseg>',
+    ...road.path.map((point) => `      <trkpt lat="${round(point.lat, 6)}" lon="${gpxLongitude(point.lng)}"/>`),
+    '    </trkseg>',
+    '  </trk>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="RoadRank" xmlns="http://www.topografix.com/GPX/1/1"'
+      + ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"'
+      + ' xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+    '  <metadata>',
+    `    <name>${escapeXml(title)}</name>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    '  </metadata>',
+    ...tracks,
+    '</gpx>',
+    '',
+  ].join('\n');
+};
+
+const toKml = (roads, title) => {
+  const placemarks = roads.map((road) => {
+    const data = {
+      road_id: road.id,
+      ...summaryFields(road.summary),
+      warnings: road.warnings.map((warning) => warning.key).join(','),
+      closed: road.closed,
+    };
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(road.name)}</name>`,
+      `      <description>${escapeXml(describeRoad(road))}</description>`,
+      '      <ExtendedData>',
+      ...Object.entries(data).map(([name, value]) => (
+        `        <Data name="${name}"><value>${escapeXml(value ?? '')}</value></Data>`
+      )),
+      '      </ExtendedData>',
+      '      <LineString>',
+      '        <tessellate>1</tessellate>',
+      `        <coordinates>${road.path.map((point) => `${round(point.lng, 6)},${round(point.lat, 6)}`).join(' ')}</coordinates>`,
+      '      </LineString>',
+      '    </Placemark>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(title)}</name>`,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+};
+
+const toGeoJson = (roads) => `${JSON.stringify({
+  type: 'FeatureCollection',
+  features: roads.map((road) => ({
+    type: 'Feature',
+    id: road.id,
+    geometry: {
+      type: 'LineString',
+      coordinates: road.path.map((point) => [round(point.lng, 6), round(point.lat, 6)]),
+    },
+    properties: {
+      name: road.name,
+      description: describeRoad(road),
+      ...summaryFields(road.summary),
+      warnings: road.warnings.map((warning) => warning.key),
+      warning_labels: road.warnings.map((warning) => warning.label),
+      closed: road.closed,
+    },
+  })),
+}, null, 2)}\n`;
+
+const RENDERERS = { gpx: toGpx, kml: toKml, geojson: toGeoJson };
+
+// Lowercase ASCII words for a download file name, e.g. "Col de Turini" -> "col-de-turini"
+const slugify = (value) => String(value)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60);
+
+/**
+ * Render roads as a downloadable file.
+ * @param {Array<object>} roads - Roads from toExportRoad; those without a usable path are left out
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @param {string} title - Document name; also used for the file name
+ * @returns {{ body: string, headers: object }} Body and Content-Type/Content-Disposition headers
+ */
+const renderExport = (roads, format, title) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const body = RENDERERS[format](roads.filter((road) => road.path.length >= 2), title);
+  const fileName = `${slugify(title) || 'roadrank-roads'}.${extension}`;
+
+  return {
+    body,
+    headers: {
+      'Content-Type': `${contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+    },
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportFormat,
+  toExportRoad,
+  renderExport,
+};
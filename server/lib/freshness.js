@@ -0,0 +1,103 @@
+/**
+ * Recency weighting for conditions that change over time. Surface scores and
+ * hazard warnings count for less as they age, and a warning nobody has
+ * re-confirmed within WARNING_EXPIRY_DAYS is dropped. A rating's age runs
+ * from its latest submission (updated_at), since re-submitting confirms it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WARNING_HALF_LIFE_DAYS = 30;
+// Also the expiry of road_listings.warnings (active_road_warnings in db/init.sql)
+const WARNING_EXPIRY_DAYS = 180;
+const SURFACE_HALF_LIFE_DAYS = 180;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// When the rating was last submitted, in ms, or null when unknown
+const reportedAt = (rating) => {
+  const time = Date.parse(rating.updated_at || rating.created_at);
+  return Number.isNaN(time) ? null : time;
+};
+
+// 1 for a report made now, 0.5 after one half-life, and so on
+const decayWeight = (time, now, halfLifeDays) => 0.5 ** (Math.max(now - time, 0) / (halfLifeDays * DAY_MS));
+
+/**
+ * Unexpired warnings with their report count, decayed weight and latest report,
+ * most pressing first.
+ * @param {Array<object>} ratings - Rows with warnings and created_at/updated_at
+ * @returns {Array<{ type: string, reports: number, weight: number, last_reported_at: string }>}
+ */
+const warningReports = (ratings, now = Date.now()) => {
+  const cutoff = now - WARNING_EXPIRY_DAYS * DAY_MS;
+  const byType = new Map();
+
+  (ratings || []).forEach((rating) => {
+    const time = reportedAt(rating);
+    if (time === null || time < cutoff) return;
+
+    (rating.warnings || []).forEach((type) => {
+      const report = byType.get(type) || { type, reports: 0, weight: 0, last: 0 };
+      report.reports += 1;
+      report.weight += decayWeight(time, now, WARNING_HALF_LIFE_DAYS);
+      report.last = Math.max(report.last, time);
+      byType.set(type, report);
+    });
+  });
+
+  return [...byType.values()]
+    .sort((a, b) => b.weight - a.weight)
+    .map(({ type, reports, weight, last }) => ({
+      type,
+      reports,
+      weight: round(weight),
+      last_reported_at: new Date(last).toISOString(),
+    }));
+};
+
+/**
+ * Unexpired warnings that were pinned to a spot on the road, newest first.
+ * @param {Array<object>} ratings - Rows with road_id, warning_locations and created_at/updated_at
+ * @returns {Array<{ road_id: string, type: string, lat: number, lng: number, reported_at: string }>}
+ */
+const activeHazards = (ratings, now = Date.now()) => {
+  const cutoff = now - WARNING_EXPIRY_DAYS * DAY_MS;
+
+  return (ratings || [])
+    .map((rating) => ({ rating, time: reportedAt(rating) }))
+    .filter(({ time }) => time !== null && time >= cutoff)
+    .sort((a, b) => b.time - a.time)
+    .flatMap(({ rating, time }) => (rating.warning_locations || []).map(({ type, lat, lng }) => ({
+      road_id: String(rating.road_id),
+      type,
+      lat,
+      lng,
+      reported_at: new Date(time).toISOString(),
+    })));
+};
+
+/**
+ * Average of one score field where newer ratings count for more.
+ * @returns {number|null} Null when no rating has the field
+ */
+const recencyWeightedScore = (ratings, field, now = Date.now(), halfLifeDays = SURFACE_HALF_LIFE_DAYS) => {
+  let weighted = 0;
+  let totalWeight = 0;
+
+  (ratings || []).forEach((rating) => {
+    const time = reportedAt(rating);
+    if (time === null || !Number.isInteger(rating[field])) return;
+    const weight = decayWeight(time, now, halfLifeDays);
+    weighted += weight * rating[field];
+    totalWeight += weight;
+  });
+
+  return totalWeight > 0 ? round(weighted / totalWeight) : null;
+};
+
+module.exports = {
+  warningReports,
+  activeHazards,
+  recencyWeightedScore,
+};
@@ -0,0 +1,200 @@
+/**
+ * Geometry helpers for road paths stored as JSONB arrays of { lat, lng }.
+ * Distances mirror the haversine logic in client/src/utils/roadUtils.js.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+const MAX_RADIUS_KM = 200;
+// Same limit the web client enforces while drawing (roadUtils.js)
+const MAX_ROAD_DISTANCE_KM = 20;
+
+const toRad = (deg) => deg * (Math.PI / 180);
+
+/**
+ * Calculate the distance between two points using the Haversine formula
+ * @returns {number} Distance in kilometers
+ */
+const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+};
+
+/**
+ * Road paths may come back from Postgres as a JSON string (seed data) or an array.
+ * @returns {Array<{ lat: number, lng: number }>}
+ */
+const normalizePath = (path) => {
+  if (typeof path === 'string') {
+    try {
+      return normalizePath(JSON.parse(path));
+    } catch {
+      return [];
+    }
+  }
+  return Array.isArray(path) ? path : [];
+};
+
+/**
+ * Total length of a path in kilometers
+ * @param {Array<{ lat: number, lng: number }>} path
+ */
+const calculatePathDistance = (path) => {
+  const points = normalizePath(path);
+  let total = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    total += haversineDistance(points[i].lat, points[i].lng, points[i + 1].lat, points[i + 1].lng);
+  }
+  return total;
+};
+
+/**
+ * Bounding box of a path, in the column layout stored on the roads table.
+ * @returns {{ min_lat: number, min_lng: number, max_lat: number, max_lng: number } | null}
+ */
+const computeBounds = (path) => {
+  const points = normalizePath(path);
+  if (points.length === 0) return null;
+
+  return points.reduce((bounds, { lat, lng }) => ({
+    min_lat: Math.min(bounds.min_lat, lat),
+    min_lng: Math.min(bounds.min_lng, lng),
+    max_lat: Math.max(bounds.max_lat, lat),
+    max_lng: Math.max(bounds.max_lng, lng),
+  }), {
+    min_lat: Infinity,
+    min_lng: Infinity,
+    max_lat: -Infinity,
+    max_lng: -Infinity,
+  });
+};
+
+const isLat = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLng = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+
+/**
+ * Parse a `minLng,minLat,maxLng,maxLat` query value.
+ * @returns {{ min_lat: number, min_lng: number, max_lat: number, max_lng: number } | null}
+ */
+const parseBbox = (value) => {
+  if (typeof value !== 'string') return null;
+  const parts = value.split(',').map((part) => Number(part.trim()));
+  if (parts.length !== 4) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (![minLng, maxLng].every(isLng) || ![minLat, maxLat].every(isLat)) return null;
+  if (minLng > maxLng || minLat > maxLat) return null;
+
+  return { min_lat: minLat, min_lng: minLng, max_lat: maxLat, max_lng: maxLng };
+};
+
+/**
+ * Parse a `lat,lng` query value.
+ * @returns {{ lat: number, lng: number } | null}
+ */
+const parsePoint = (value) => {
+  if (typeof value !== 'string') return null;
+  const parts = value.split(',').map((part) => Number(part.trim()));
+  if (parts.length !== 2) return null;
+
+  const [lat, lng] = parts;
+  if (!isLat(lat) || !isLng(lng)) return null;
+  return { lat, lng };
+};
+
+/**
+ * Box that fully contains the circle around a point, used to pre-filter on
+ * the indexed bounds columns before the exact distance check.
+ */
+const radiusBounds = ({ lat, lng }, radiusKm) => {
+  const dLat = radiusKm / KM_PER_DEGREE_LAT;
+  const dLng = radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos(toRad(lat)), 0.01));
+
+  return {
+    min_lat: Math.max(lat - dLat, -90),
+    min_lng: Math.max(lng - dLng, -180),
+    max_lat: Math.min(lat + dLat, 90),
+    max_lng: Math.min(lng + dLng, 180),
+  };
+};
+
+/**
+ * Grow a bounding box by a margin in kilometers on every side.
+ */
+const expandBounds = (bounds, marginKm) => {
+  const dLat = marginKm / KM_PER_DEGREE_LAT;
+  const midLat = (bounds.min_lat + bounds.max_lat) / 2;
+  const dLng = marginKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos(toRad(midLat)), 0.01));
+
+  return {
+    min_lat: Math.max(bounds.min_lat - dLat, -90),
+    min_lng: Math.max(bounds.min_lng - dLng, -180),
+    max_lat: Math.min(bounds.max_lat + dLat, 90),
+    max_lng: Math.min(bounds.max_lng + dLng, 180),
+  };
+};
+
+/**
+ * Closest point on a path to the given point, with the distance to it in kilometers.
+ * Segments are projected in a local equirectangular plane, which is accurate
+ * enough at road scale.
+ * @returns {{ lat: number, lng: number, distanceKm: number } | null} Null for an empty path
+ */
+const snapToPath = (point, path) => {
+  const points = normalizePath(path);
+  if (points.length === 0) return null;
+  if (points.length === 1) {
+    return { ...points[0], distanceKm: haversineDistance(point.lat, point.lng, points[0].lat, points[0].lng) };
+  }
+
+  const cosLat = Math.cos(toRad(point.lat));
+  let closest = null;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const dx = (b.lng - a.lng) * cosLat;
+    const dy = b.lat - a.lat;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, (((point.lng - a.lng) * cosLat) * dx + (point.lat - a.lat) * dy) / lengthSquared));
+    const projLat = a.lat + t * (b.lat - a.lat);
+    const projLng = a.lng + t * (b.lng - a.lng);
+    const distanceKm = haversineDistance(point.lat, point.lng, projLat, projLng);
+    if (!closest || distanceKm < closest.distanceKm) {
+      closest = { lat: projLat, lng: projLng, distanceKm };
+    }
+  }
+
+  return closest;
+};
+
+/**
+ * Distance in kilometers from a point to the closest part of a path.
+ */
+const distanceToPath = (point, path) => {
+  const snapped = snapToPath(point, path);
+  return snapped ? snapped.distanceKm : Infinity;
+};
+
+module.exports = {
+  MAX_RADIUS_KM,
+  MAX_ROAD_DISTANCE_KM,
+  haversineDistance,
+  normalizePath,
+  calculatePathDistance,
+  computeBounds,
+  parseBbox,
+  parsePoint,
+  radiusBounds,
+  expandBounds,
+  snapToPath,
+  distanceToPath,
+};
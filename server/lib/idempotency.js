@@ -0,0 +1,177 @@
+/**
+ * Idempotency-Key support for POST routes. A client that retries a request
+ * with the same key within RETENTION_MS gets the first response back instead
+ * of creating a second road or rating; reusing a key for a different request
+ * is rejected with 422. Keys belong to one route and one caller, so the same
+ * key sent by another device or to another route is a new request. Only
+ * successful responses are kept, in the idempotency_keys table; a refused
+ * request can be corrected and retried with the same key.
+ */
+const crypto = require('crypto');
+const { UNIQUE_VIOLATION } = require('./postgres');
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+// A claim with no response after this long belongs to a request that died mid-way
+const ABANDONED_CLAIM_MS = 60 * 1000;
+
+const IN_PROGRESS = {
+  status: 409,
+  body: { error: 'A request with this Idempotency-Key is still being processed' },
+};
+
+const KEY_REUSED = {
+  status: 422,
+  body: { message: 'Idempotency-Key was already used for a different request.' },
+};
+
+// JSON with object keys sorted, so equal bodies hash equally whatever their key order
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(canonicalJson(value)).digest('hex');
+
+/**
+ * Fingerprint of what a request asks for: its route params and body.
+ */
+const requestHash = ({ params = {}, body = {} }) => sha256({ params, body });
+
+// What a key is stored under: the caller's key, scoped to the route and the caller
+const storedKey = (scope, owner, key) => sha256([scope, owner, key]);
+
+const isSuccess = (result) => result.status >= 200 && result.status < 300;
+
+const ageOf = (row) => Date.now() - new Date(row.created_at).getTime();
+
+const isExpired = (stored) => (
+  ageOf(stored) > RETENTION_MS ||
+  (stored.status === null && ageOf(stored) > ABANDONED_CLAIM_MS)
+);
+
+// Answer for a repeat of a key that is still within its retention window
+const answerForStored = (stored, hash) => {
+  // Keys stored before fingerprints were recorded have no hash to compare
+  if (stored.request_hash && stored.request_hash !== hash) {
+    return KEY_REUSED;
+  }
+  if (stored.status === null) {
+    return IN_PROGRESS;
+  }
+  return {
+    status: stored.status,
+    body: stored.body,
+    headers: { ...stored.headers, 'Idempotent-Replayed': 'true' },
+  };
+};
+
+/**
+ * Build a wrapper that makes a route handler run at most once per
+ * Idempotency-Key. Requests without the header are passed straight through,
+ * and so are requests whose caller cannot be told (owner resolves to null);
+ * the handler refuses those itself.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {object} options
+ * @param {(request: object) => Promise<string | null>} options.owner - Who is calling, e.g. user:<id> or device:<id>
+ * @returns {(scope: string, handler: Function) => Function}
+ */
+const createIdempotency = (supabase, { owner: resolveOwner }) => (scope, handler) => async (request) => {
+  const clientKey = request.headers?.[IDEMPOTENCY_HEADER];
+  if (clientKey === undefined) {
+    return handler(request);
+  }
+  if (typeof clientKey !== 'string' || !clientKey.trim() || clientKey.length > MAX_KEY_LENGTH) {
+    return {
+      status: 400,
+      body: { message: `Idempotency-Key must be a non-empty string of at most ${MAX_KEY_LENGTH} characters.` },
+    };
+  }
+
+  const owner = await resolveOwner(request);
+  if (!owner) {
+    return handler(request);
+  }
+
+  const key = storedKey(scope, owner, clientKey);
+  const hash = requestHash(request);
+  const claim = () => supabase
+    .from('idempotency_keys')
+    .insert([{ key, request_hash: hash }]);
+
+  // Claim the key first so two concurrent retries cannot both run the handler
+  let { error: claimError } = await claim();
+
+  if (claimError) {
+    if (claimError.code !== UNIQUE_VIOLATION) {
+      console.error('Error claiming idempotency key:', claimError.message);
+      return { status: 500, body: { error: 'Failed to process request' } };
+    }
+
+    const { data: stored, error } = await supabase
+      .from('idempotency_keys')
+      .select('status, body, headers, request_hash, created_at')
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error reading idempotency key:', error.message);
+      return { status: 500, body: { error: 'Failed to process request' } };
+    }
+
+    if (!stored) {
+      return IN_PROGRESS;
+    }
+    if (!isExpired(stored)) {
+      return answerForStored(stored, hash);
+    }
+
+    // Past the retention window the key is free to be used again
+    await supabase.from('idempotency_keys').delete().eq('key', key);
+    ({ error: claimError } = await claim());
+    if (claimError) {
+      // Another retry re-claimed it first
+      if (claimError.code === UNIQUE_VIOLATION) return IN_PROGRESS;
+      console.error('Error claiming idempotency key:', claimError.message);
+      return { status: 500, body: { error: 'Failed to process request' } };
+    }
+  }
+
+  // Anything but a success releases the key so the client's retry runs the request again
+  const release = () => supabase.from('idempotency_keys').delete().eq('key', key);
+
+  let result;
+  try {
+    result = await handler(request);
+  } catch (err) {
+    await release();
+    throw err;
+  }
+
+  if (!isSuccess(result)) {
+    await release();
+    return result;
+  }
+
+  const { error: saveError } = await supabase
+    .from('idempotency_keys')
+    .update({ status: result.status, body: result.body, headers: result.headers || null })
+    .eq('key', key);
+
+  if (saveError) {
+    console.error('Error saving idempotent response:', saveError.message);
+  }
+
+  return result;
+};
+
+module.exports = {
+  RETENTION_MS,
+  createIdempotency,
+};
@@ -0,0 +1,194 @@
+/**
+ * Sorting, filtering and cursor pagination for GET /api/roads.
+ * Listings are read through the search_road_listings function (the
+ * road_listings view of roads joined with their rating summaries, plus
+ * `distance` from the `near` point and the `score` of ./ranking), so every
+ * filter and sort key is a column the database can order and limit by.
+ */
+const { SCORE_FIELDS, parseNumeric } = require('./ratings');
+const { parseWeights } = require('./ranking');
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 500;
+
+const SORT_KEYS = [
+  'created_at',
+  'avg_overall',
+  ...SCORE_FIELDS.map((field) => `avg_${field}`),
+  'rating_count',
+  'distance',
+  'score',
+];
+
+// Comma-separated, repeated (has_warning=a&has_warning=b) or both
+const parseList = (value) => [].concat(value)
+  .flatMap((item) => String(item).split(','))
+  .map((item) => item.trim())
+  .filter(Boolean);
+
+const encodeCursor = (sort, row) => Buffer
+  .from(JSON.stringify({ k: sort, v: row[sort] ?? null, id: row.id }))
+  .toString('base64url');
+
+// created_at as the database returns it, e.g. 2025-01-01T10:00:00.123456+00:00
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Cursor values go into a PostgREST filter string, so only a row id and a
+// value of the sort column's type are accepted
+const isCursorValue = (sort, value) => (
+  value === null
+  || (sort === 'created_at' ? typeof value === 'string' && TIMESTAMP.test(value) : Number.isFinite(value))
+);
+
+const decodeCursor = (sort, value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const cursorValue = cursor?.v ?? null;
+    if (cursor?.k !== sort || !Number.isInteger(cursor.id) || !isCursorValue(sort, cursorValue)) return null;
+    return { value: cursorValue, id: cursor.id };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parse sort, order, limit, cursor, weights and filter parameters.
+ * `warningTypes` lists the warning keys has_warning/exclude_warning accept.
+ * @returns {{ error?: string, sort?: string, ascending?: boolean, limit?: number, cursor?: object, weights?: object, filters?: object }}
+ */
+const parseListQuery = (query, { hasNear = false, warningTypes = [] } = {}) => {
+  const sort = query.sort || (hasNear ? 'distance' : 'created_at');
+  if (!SORT_KEYS.includes(sort)) {
+    return { error: `sort must be one of ${SORT_KEYS.join(', ')}.` };
+  }
+  if (sort === 'distance' && !hasNear) {
+    return { error: 'sort=distance requires near and radius_km.' };
+  }
+
+  if (query.weights !== undefined && sort !== 'score') {
+    return { error: 'weights can only be used with sort=score.' };
+  }
+  const { weights, error: weightsError } = parseWeights(query.weights);
+  if (weightsError) {
+    return { error: weightsError };
+  }
+
+  const order = query.order || (sort === 'distance' ? 'asc' : 'desc');
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc.' };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseNumeric(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}.` };
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    cursor = decodeCursor(sort, query.cursor);
+    if (!cursor) {
+      return { error: 'cursor is invalid for this sort.' };
+    }
+  }
+
+  const minimums = {};
+  for (const field of [...SCORE_FIELDS, 'overall']) {
+    const value = query[`min_${field}`];
+    if (value === undefined) continue;
+    const parsed = parseNumeric(value);
+    if (parsed === null || parsed < 1 || parsed > 5) {
+      return { error: `min_${field} must be a number between 1 and 5.` };
+    }
+    minimums[`avg_${field}`] = parsed;
+  }
+
+  let minRatings = null;
+  if (query.min_ratings !== undefined) {
+    minRatings = parseNumeric(query.min_ratings);
+    if (!Number.isInteger(minRatings) || minRatings < 0) {
+      return { error: 'min_ratings must be a non-negative integer.' };
+    }
+  }
+
+  const hasWarning = query.has_warning === undefined ? [] : parseList(query.has_warning);
+  const excludeWarning = query.exclude_warning === undefined ? [] : parseList(query.exclude_warning);
+  const invalidWarning = [...hasWarning, ...excludeWarning].find((w) => !warningTypes.includes(w));
+  if (invalidWarning) {
+    return { error: `Unknown warning type: ${invalidWarning}. Expected one of ${warningTypes.join(', ')}.` };
+  }
+
+  return {
+    sort,
+    ascending: order === 'asc',
+    limit,
+    cursor,
+    weights,
+    filters: { minimums, minRatings, hasWarning, excludeWarning },
+  };
+};
+
+/**
+ * Apply the parsed filters to a listings query.
+ */
+const applyListFilters = (request, filters) => {
+  let filtered = request;
+
+  Object.entries(filters.minimums).forEach(([column, minimum]) => {
+    filtered = filtered.gte(column, minimum);
+  });
+  if (filters.minRatings !== null) {
+    filtered = filtered.gte('rating_count', filters.minRatings);
+  }
+  if (filters.hasWarning.length > 0) {
+    filtered = filtered.contains('warnings', filters.hasWarning);
+  }
+  if (filters.excludeWarning.length > 0) {
+    filtered = filtered.not('warnings', 'ov', `{${filters.excludeWarning.join(',')}}`);
+  }
+
+  return filtered;
+};
+
+/**
+ * Order a listings query and resume after the cursor (keyset pagination).
+ * Rows with no value for the sort column (unrated roads) always sort last.
+ */
+const applyListOrder = (request, { sort, ascending, limit, cursor }) => {
+  let ordered = request;
+
+  if (cursor) {
+    const op = ascending ? 'gt' : 'lt';
+    if (cursor.value === null) {
+      ordered = ordered.is(sort, null)[op]('id', cursor.id);
+    } else {
+      const value = JSON.stringify(cursor.value);
+      ordered = ordered.or(`${sort}.${op}.${value},and(${sort}.eq.${value},id.${op}.${cursor.id}),${sort}.is.null`);
+    }
+  }
+
+  return ordered
+    .order(sort, { ascending, nullsFirst: false })
+    .order('id', { ascending })
+    .limit(limit + 1);
+};
+
+/**
+ * Split a page fetched with limit + 1 rows into the page and the next cursor.
+ * @returns {{ rows: Array<object>, nextCursor: string | null }}
+ */
+const takePage = (rows, { sort, limit }) => {
+  if (rows.length <= limit) {
+    return { rows, nextCursor: null };
+  }
+  const page = rows.slice(0, limit);
+  return { rows: page, nextCursor: encodeCursor(sort, page[page.length - 1]) };
+};
+
+module.exports = {
+  SORT_KEYS,
+  MAX_LIMIT,
+  parseListQuery,
+  applyListFilters,
+  applyListOrder,
+  takePage,
+};
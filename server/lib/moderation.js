@@ -0,0 +1,104 @@
+/**
+ * Moderation for user-written text (comments, road names, report notes).
+ * Obvious profanity and spam is refused at submit time. A rating that gets
+ * through can be flagged by other devices, and with FLAGS_TO_HIDE open flags
+ * it is hidden until an admin approves or deletes it. Hidden ratings stay in
+ * road_ratings for audit but are left out of summaries and listings.
+ * Roads cannot be flagged yet: a name that gets past screenText has to be
+ * corrected in the database.
+ */
+const crypto = require('crypto');
+
+// Open flags from different devices that hide a rating automatically
+const FLAGS_TO_HIDE = 3;
+const MAX_FLAG_REASON_LENGTH = 200;
+
+// Matched as whole words after undoing common character swaps (see normalize).
+// Kept short on purpose: place names such as Cock Bridge must still get through.
+const BLOCKED_WORDS = [
+  'arsehole',
+  'asshole',
+  'bastard',
+  'bitch',
+  'bollocks',
+  'cunt',
+  'dickhead',
+  'faggot',
+  'fuck',
+  'fucker',
+  'fucking',
+  'motherfucker',
+  'nigger',
+  'retard',
+  'shit',
+  'slut',
+  'twat',
+  'wanker',
+  'whore',
+];
+
+const MAX_LINKS = 1;
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|ru|xyz|top|info|biz)\b/gi;
+// The same character typed ten or more times in a row
+const REPEATED_CHARACTER_PATTERN = /(.)\1{9,}/;
+
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+// Lower-case, undo l33t-speak and drop separators used to dodge the word list ("f.u.c.k")
+const normalize = (text) => text
+  .toLowerCase()
+  .replace(/[013457@$!]/g, (char) => LOOKALIKES[char])
+  .replace(/(\b\w)[.\-_*](?=\w\b)/g, '$1');
+
+const blockedWordPattern = new RegExp(`\\b(?:${BLOCKED_WORDS.join('|')})s?\\b`);
+
+/**
+ * Why a piece of text would be refused, or null when it is acceptable.
+ * @param {string} text
+ * @returns {'profanity' | 'spam' | null}
+ */
+const screenText = (text) => {
+  if (!text) return null;
+  if (blockedWordPattern.test(normalize(text))) return 'profanity';
+  if ((text.match(LINK_PATTERN) || []).length > MAX_LINKS) return 'spam';
+  if (REPEATED_CHARACTER_PATTERN.test(text)) return 'spam';
+  return null;
+};
+
+const SCREEN_MESSAGES = {
+  profanity: 'contains language that is not allowed.',
+  spam: 'looks like spam (too many links or repeated characters).',
+};
+
+/**
+ * Screen an already validated text field, adding a { field, message } error when it is refused.
+ * @returns {string | null} The text, or null when it was refused
+ */
+const screenField = (field, text, errors) => {
+  const reason = screenText(text);
+  if (!reason) return text;
+  errors.push({ field, message: `${field} ${SCREEN_MESSAGES[reason]}` });
+  return null;
+};
+
+/**
+ * Whether the request carries the admin token as `Authorization: Bearer <token>`.
+ * Always false when no token is configured.
+ */
+const isAdminRequest = (headers = {}, adminToken) => {
+  if (!adminToken) return false;
+  const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+  if (!match) return false;
+
+  // Compare digests so the comparison takes the same time whatever the input length
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1].trim()), digest(adminToken));
+};
+
+module.exports = {
+  FLAGS_TO_HIDE,
+  MAX_FLAG_REASON_LENGTH,
+  screenText,
+  screenField,
+  isAdminRequest,
+};
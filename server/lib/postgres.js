@@ -0,0 +1,8 @@
+/**
+ * Postgres error codes surfaced by Supabase in `error.code`.
+ */
+
+// A row already exists for a unique constraint or primary key
+const UNIQUE_VIOLATION = '23505';
+
+module.exports = { UNIQUE_VIOLATION };
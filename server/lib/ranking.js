@@ -0,0 +1,46 @@
+/**
+ * Ranking score for sort=score on road listings. Each category average is
+ * shrunk toward the site-wide mean (a Bayesian average), so a road with one
+ * 5/5 rating does not outrank one with forty ratings averaging 4.8, and the
+ * categories are then combined with optional user-supplied weights.
+ * The score is calculated by the search_road_listings function in
+ * db/init.sql; this module parses the weights it is given.
+ */
+const { SCORE_FIELDS, parseNumeric } = require('./ratings');
+
+const MAX_WEIGHT = 10;
+
+const DEFAULT_WEIGHTS = Object.fromEntries(SCORE_FIELDS.map((field) => [field, 1]));
+
+/**
+ * Parse a `field:weight,field:weight` query value. Fields left out keep weight 1.
+ * @returns {{ weights?: object, error?: string }}
+ */
+const parseWeights = (value) => {
+  if (value === undefined) return { weights: DEFAULT_WEIGHTS };
+
+  const weights = { ...DEFAULT_WEIGHTS };
+  const pairs = String(value).split(',').map((pair) => pair.trim()).filter(Boolean);
+
+  for (const pair of pairs) {
+    const [field, raw, ...rest] = pair.split(':').map((part) => part.trim());
+    if (!SCORE_FIELDS.includes(field)) {
+      return { error: `weights must use the fields ${SCORE_FIELDS.join(', ')}.` };
+    }
+    const weight = rest.length === 0 && raw !== '' ? parseNumeric(raw) : null;
+    if (weight === null || weight < 0 || weight > MAX_WEIGHT) {
+      return { error: `weight for ${field} must be a number between 0 and ${MAX_WEIGHT}.` };
+    }
+    weights[field] = weight;
+  }
+
+  if (Object.values(weights).every((weight) => weight === 0)) {
+    return { error: 'At least one weight must be greater than 0.' };
+  }
+  return { weights };
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  parseWeights,
+};
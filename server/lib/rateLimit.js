@@ -0,0 +1,120 @@
+/**
+ * Fixed-window rate limits for the write routes, counted per client IP and
+ * per device id. Counters live in a pluggable store: createMemoryStore for
+ * the long-running Express server, createTableStore (the rate_limits table)
+ * for the Vercel functions, whose instances share no memory.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Requests allowed per window; a request over either limit gets a 429
+const RATE_LIMITS = {
+  // New roads are what a flooding script would create
+  roads: { windowMs: HOUR_MS, perIp: 30, perDevice: 15 },
+  // Ratings, reports, votes, flags and duplicate checks
+  writes: { windowMs: 10 * MINUTE_MS, perIp: 120, perDevice: 60 },
+};
+
+// Start of the fixed window `now` falls in, aligned so every store agrees on it
+const windowStart = (now, windowMs) => Math.floor(now / windowMs) * windowMs;
+
+/**
+ * In-process counters. Expired windows are swept once the map grows past
+ * SWEEP_SIZE, so memory stays bounded by the number of active clients.
+ * @returns {{ hit: (key: string, windowMs: number) => Promise<{ count: number, resetAt: number }> }}
+ */
+const createMemoryStore = () => {
+  const SWEEP_SIZE = 10000;
+  const counters = new Map();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      const resetAt = windowStart(now, windowMs) + windowMs;
+
+      if (counters.size > SWEEP_SIZE) {
+        counters.forEach((counter, storedKey) => {
+          if (counter.resetAt <= now) counters.delete(storedKey);
+        });
+      }
+
+      const counter = counters.get(key);
+      const next = counter && counter.resetAt === resetAt
+        ? { count: counter.count + 1, resetAt }
+        : { count: 1, resetAt };
+      counters.set(key, next);
+      return next;
+    },
+  };
+};
+
+/**
+ * Counters in the rate_limits table, incremented atomically by the
+ * hit_rate_limit function so concurrent function instances share them.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ */
+const createTableStore = (supabase) => ({
+  async hit(key, windowMs) {
+    const { data, error } = await supabase.rpc('hit_rate_limit', {
+      p_key: key,
+      p_window_seconds: Math.round(windowMs / 1000),
+    });
+    if (error) throw new Error(error.message);
+
+    const row = Array.isArray(data) ? data[0] : data;
+    return { count: row.hits, resetAt: new Date(row.reset_at).getTime() };
+  },
+});
+
+const tooManyRequests = (resetAt) => {
+  const seconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+  return {
+    status: 429,
+    body: { error: `Too many requests. Try again in ${seconds} seconds.`, retry_after: seconds },
+    headers: { 'Retry-After': String(seconds) },
+  };
+};
+
+/**
+ * Build a wrapper that applies one of RATE_LIMITS to a route handler.
+ * The store failing never blocks a request; the error is logged and the
+ * request goes through.
+ * @param {{ hit: Function }} store
+ * @param {object} options
+ * @param {(request: object) => string | null} options.deviceId - Reads the caller's device id
+ * @returns {(policy: string, handler: Function) => Function}
+ */
+const createRateLimiter = (store, { deviceId }) => (policy, handler) => {
+  const { windowMs, perIp, perDevice } = RATE_LIMITS[policy];
+
+  return async (request) => {
+    const device = deviceId(request);
+    const checks = [
+      request.ip && { key: `${policy}:ip:${request.ip}`, limit: perIp },
+      device && { key: `${policy}:device:${device}`, limit: perDevice },
+    ].filter(Boolean);
+
+    let counts;
+    try {
+      counts = await Promise.all(checks.map(({ key }) => store.hit(key, windowMs)));
+    } catch (err) {
+      console.error('Error checking rate limit:', err.message);
+      return handler(request);
+    }
+
+    const exceeded = counts.filter((count, index) => count.count > checks[index].limit);
+    if (exceeded.length > 0) {
+      return tooManyRequests(Math.max(...exceeded.map((count) => count.resetAt)));
+    }
+
+    return handler(request);
+  };
+};
+
+module.exports = {
+  RATE_LIMITS,
+  createMemoryStore,
+  createTableStore,
+  createRateLimiter,
+};
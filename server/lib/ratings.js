@@ -0,0 +1,94 @@
+const SCORE_FIELDS = ['twistiness', 'surface_condition', 'fun_factor', 'scenery', 'visibility'];
+
+const parseNumeric = (value) => {
+  const parsed = Number(value);
+  if (Number.isNaN(parsed)) return null;
+  return parsed;
+};
+
+const emptySummary = () => ({
+  rating_count: 0,
+  avg_twistiness: null,
+  avg_surface_condition: null,
+  avg_fun_factor: null,
+  avg_scenery: null,
+  avg_visibility: null,
+  avg_overall: null,
+});
+
+const SUMMARY_COLUMNS = [
+  'road_id',
+  'rating_count',
+  'avg_twistiness',
+  'avg_surface_condition',
+  'avg_fun_factor',
+  'avg_scenery',
+  'avg_visibility',
+  'avg_overall',
+].join(', ');
+
+// Strip a road_rating_summaries row down to the public summary shape
+const toSummary = (row) => (row
+  ? {
+    rating_count: row.rating_count,
+    avg_twistiness: row.avg_twistiness,
+    avg_surface_condition: row.avg_surface_condition,
+    avg_fun_factor: row.avg_fun_factor,
+    avg_scenery: row.avg_scenery,
+    avg_visibility: row.avg_visibility,
+    avg_overall: row.avg_overall,
+  }
+  : emptySummary());
+
+/**
+ * Attach a summary to a road. Roads no longer store scores of their own, but
+ * the mobile Road models still read integer `twistiness`…`visibility`, so
+ * those are filled with the rounded community averages (null when unrated).
+ */
+const withRatingSummary = (road, summary) => ({
+  ...road,
+  ...Object.fromEntries(SCORE_FIELDS.map((field) => {
+    const average = summary[`avg_${field}`];
+    return [field, average === null || average === undefined ? null : Math.round(average)];
+  })),
+  rating_summary: summary,
+});
+
+/**
+ * Read the materialized summaries for a set of roads in a single query.
+ * Roads without ratings are absent from the table and get an empty summary.
+ * @returns {Promise<Map<string, object>>} summaries keyed by road id
+ */
+const getRatingSummaries = async (supabase, roadIds) => {
+  const ids = [...new Set(roadIds.map(String))];
+  const summaries = new Map(ids.map((id) => [id, emptySummary()]));
+  if (ids.length === 0) return summaries;
+
+  const { data: rows, error } = await supabase
+    .from('road_rating_summaries')
+    .select(SUMMARY_COLUMNS)
+    .in('road_id', ids);
+
+  if (error) {
+    console.error('Error fetching rating summaries:', error.message);
+    return summaries;
+  }
+
+  (rows || []).forEach((row) => summaries.set(String(row.road_id), toSummary(row)));
+  return summaries;
+};
+
+const getRatingSummary = async (supabase, roadId) => {
+  const summaries = await getRatingSummaries(supabase, [roadId]);
+  return summaries.get(String(roadId));
+};
+
+module.exports = {
+  SCORE_FIELDS,
+  parseNumeric,
+  emptySummary,
+  toSummary,
+  withRatingSummary,
+  getRatingSummaries,
+  getRatingSummary,
+};
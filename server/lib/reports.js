@@ -0,0 +1,92 @@
+/**
+ * Temporary road conditions (closures, roadworks, snow...) reported
+ * separately from the permanent 1-5 ratings. Every report expires on its
+ * own; confirmations from other devices keep it alive and "no longer
+ * present" votes clear it early.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long each type lasts unless the reporter gives an expiry, and whether it
+// closes the road (the road_listings view repeats the closing types in SQL)
+const REPORT_TYPES = {
+  closure: { hours: 48, closesRoad: true },
+  landslip: { hours: 7 * 24, closesRoad: true },
+  roadworks: { hours: 14 * 24, closesRoad: false },
+  snow: { hours: 24, closesRoad: false },
+  flooding: { hours: 24, closesRoad: false },
+  other: { hours: 24, closesRoad: false },
+};
+
+// Confirmations from other devices needed before each further confirmation extends the expiry
+const CONFIRMATIONS_TO_EXTEND = 2;
+// "No longer present" votes needed to clear a report, when they also outnumber confirmations
+const CLEARS_TO_RESOLVE = 2;
+
+const MAX_START_DELAY_MS = 30 * 24 * HOUR_MS;
+const MAX_DURATION_MS = 90 * 24 * HOUR_MS;
+
+const defaultExpiry = (type, from) => new Date(from.getTime() + REPORT_TYPES[type].hours * HOUR_MS);
+
+/**
+ * Work out what a new vote does to a report.
+ * @param {object} report - road_reports row
+ * @param {Array<{ device_id: string, vote: string }>} votes - All votes, the new one included
+ * @param {{ device_id: string, vote: string }} vote - The vote just cast
+ * @param {Date} now
+ * @returns {object} Columns to update on the report (empty when nothing changes)
+ */
+const applyVote = (report, votes, vote, now = new Date()) => {
+  const others = votes.filter((v) => v.device_id !== report.device_id);
+  const confirmations = others.filter((v) => v.vote === 'confirm').length;
+  const clears = others.filter((v) => v.vote === 'clear').length;
+
+  // The reporter can withdraw their own report straight away
+  if (vote.vote === 'clear' && vote.device_id === report.device_id) {
+    return { cleared_at: now.toISOString() };
+  }
+  if (vote.vote === 'clear' && clears >= CLEARS_TO_RESOLVE && clears > confirmations) {
+    return { cleared_at: now.toISOString() };
+  }
+  if (vote.vote === 'confirm' && vote.device_id !== report.device_id && confirmations >= CONFIRMATIONS_TO_EXTEND) {
+    const extended = defaultExpiry(report.type, now);
+    if (extended > new Date(report.expires_at)) {
+      return { expires_at: extended.toISOString() };
+    }
+  }
+  return {};
+};
+
+/**
+ * Public shape of a report with its vote counts.
+ * A report is active between starts_at and expires_at unless it was cleared.
+ */
+const toReport = (report, votes = [], now = new Date()) => {
+  const others = votes.filter((v) => v.device_id !== report.device_id);
+  const startsAt = new Date(report.starts_at);
+  const expiresAt = new Date(report.expires_at);
+
+  return {
+    id: report.id,
+    road_id: report.road_id,
+    type: report.type,
+    note: report.note,
+    starts_at: report.starts_at,
+    expires_at: report.expires_at,
+    cleared_at: report.cleared_at,
+    created_at: report.created_at,
+    closes_road: REPORT_TYPES[report.type]?.closesRoad || false,
+    active: !report.cleared_at && startsAt <= now && expiresAt > now,
+    confirmations: others.filter((v) => v.vote === 'confirm').length,
+    clears: others.filter((v) => v.vote === 'clear').length,
+  };
+};
+
+module.exports = {
+  REPORT_TYPES,
+  MAX_START_DELAY_MS,
+  MAX_DURATION_MS,
+  defaultExpiry,
+  applyVote,
+  toReport,
+};
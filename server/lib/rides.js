@@ -0,0 +1,278 @@
+/**
+ * Recorded GPS rides: summary stats, and the stretches of a ride that follow
+ * roads already on the map so the rider can rate what they actually rode.
+ * Points are { lat, lng, time, speed, altitude, accuracy, lean } after
+ * validation (see validateRideSubmission); time is epoch milliseconds and
+ * speed is metres per second, as recorded by the phone's location service.
+ */
+const { haversineDistance, normalizePath, computeBounds, expandBounds, distanceToPath } = require('./geo');
+const { pathCoverage } = require('./similarity');
+
+const MAX_RIDE_POINTS = 20000;
+const MAX_RIDE_DURATION_MS = 24 * 60 * 60 * 1000;
+
+// Fixes less accurate than this (metres) are left out of the stats
+const MAX_ACCURACY_M = 50;
+// Below this speed (m/s) the rider counts as stopped
+const MOVING_SPEED_MS = 1;
+// Altitude changes smaller than this (metres) are treated as GPS noise
+const ELEVATION_NOISE_M = 3;
+
+const GRAVITY_MS2 = 9.81;
+// Lean is only estimated above this speed (m/s) and between fixes this far apart (metres),
+// since slow or closely spaced fixes turn GPS jitter into impossible angles
+const MIN_LEAN_SPEED_MS = 5;
+const MIN_LEAN_LEG_M = 5;
+const MAX_LEAN_DEG = 60;
+
+// A ride point within this distance of a road counts as riding it
+const SEGMENT_BUFFER_KM = 0.04;
+// Consecutive off-road points tolerated inside one stretch (GPS dropouts, junctions)
+const MAX_SEGMENT_GAP_POINTS = 3;
+// Share of a road a stretch must cover before it is suggested for rating
+const MIN_ROAD_COVERAGE = 0.6;
+// Matching looks at one point every MATCH_SPACING_M at most, and at no more
+// than MAX_MATCH_POINTS, so a long, dense ride costs the same as a sparse one
+const MATCH_SPACING_M = 15;
+const MAX_MATCH_POINTS = 2000;
+
+const round = (value, places) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const toRad = (deg) => deg * (Math.PI / 180);
+
+// Initial bearing from a to b, in radians
+const bearing = (a, b) => {
+  const dLng = toRad(b.lng - a.lng);
+  const y = Math.sin(dLng) * Math.cos(toRad(b.lat));
+  const x = Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat))
+    - Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(dLng);
+  return Math.atan2(y, x);
+};
+
+// Smallest signed difference between two angles, in radians
+const angleBetween = (from, to) => {
+  const delta = to - from;
+  return Math.atan2(Math.sin(delta), Math.cos(delta));
+};
+
+const distanceMetres = (a, b) => haversineDistance(a.lat, a.lng, b.lat, b.lng) * 1000;
+
+/**
+ * Total climb and descent, ignoring changes below ELEVATION_NOISE_M.
+ * @returns {{ gain: number, loss: number, min: number, max: number } | null} Null without altitudes
+ */
+const elevationStats = (points) => {
+  const altitudes = points.map((point) => point.altitude).filter((altitude) => altitude !== null);
+  if (altitudes.length < 2) return null;
+
+  let gain = 0;
+  let loss = 0;
+  let reference = altitudes[0];
+  altitudes.forEach((altitude) => {
+    const change = altitude - reference;
+    if (Math.abs(change) < ELEVATION_NOISE_M) return;
+    if (change > 0) gain += change;
+    else loss -= change;
+    reference = altitude;
+  });
+
+  return { gain, loss, min: Math.min(...altitudes), max: Math.max(...altitudes) };
+};
+
+/**
+ * Greatest lean angle in degrees. Recorded lean angles win; otherwise it is
+ * estimated from speed and rate of turn (tan(lean) = v * omega / g).
+ * @returns {{ degrees: number, source: 'recorded' | 'estimated' } | null}
+ */
+const maxLean = (points) => {
+  const recorded = points.map((point) => point.lean).filter((lean) => lean !== null);
+  if (recorded.length > 0) {
+    return { degrees: Math.max(...recorded.map(Math.abs)), source: 'recorded' };
+  }
+
+  let greatest = null;
+  for (let i = 1; i < points.length - 1; i++) {
+    const [before, point, after] = [points[i - 1], points[i], points[i + 1]];
+    const elapsedSeconds = (after.time - before.time) / 2000;
+    const speed = point.speed ?? distanceMetres(before, after) / (elapsedSeconds * 2);
+    if (elapsedSeconds <= 0 || speed < MIN_LEAN_SPEED_MS) continue;
+    if (distanceMetres(before, point) < MIN_LEAN_LEG_M || distanceMetres(point, after) < MIN_LEAN_LEG_M) continue;
+
+    const turnRate = Math.abs(angleBetween(bearing(before, point), bearing(point, after))) / elapsedSeconds;
+    const lean = Math.min(Math.atan((speed * turnRate) / GRAVITY_MS2) * (180 / Math.PI), MAX_LEAN_DEG);
+    greatest = Math.max(greatest ?? 0, lean);
+  }
+
+  return greatest === null ? null : { degrees: greatest, source: 'estimated' };
+};
+
+/**
+ * Distance, timing, speed, elevation and lean for a ride.
+ * Elevation fields are null when the points carry no altitude.
+ * @param {Array<object>} points - Validated ride points, in time order
+ * @returns {object}
+ */
+const computeRideStats = (points) => {
+  const usable = points.filter((point) => point.accuracy === null || point.accuracy <= MAX_ACCURACY_M);
+  const track = usable.length >= 2 ? usable : points;
+
+  let distanceKm = 0;
+  let movingMs = 0;
+  let fastestLeg = 0;
+  for (let i = 0; i < track.length - 1; i++) {
+    const legKm = haversineDistance(track[i].lat, track[i].lng, track[i + 1].lat, track[i + 1].lng);
+    const legMs = track[i + 1].time - track[i].time;
+    distanceKm += legKm;
+    if (legMs > 0) {
+      const legSpeed = (legKm * 1000) / (legMs / 1000);
+      if (legSpeed >= MOVING_SPEED_MS) movingMs += legMs;
+      fastestLeg = Math.max(fastestLeg, legSpeed);
+    }
+  }
+
+  const durationMs = track[track.length - 1].time - track[0].time;
+  const recordedSpeeds = track.map((point) => point.speed).filter((speed) => speed !== null);
+  // Recorded speeds are Doppler-based and far less noisy than speeds derived from positions
+  const maxSpeed = recordedSpeeds.length > 0 ? Math.max(...recordedSpeeds) : fastestLeg;
+  const elevation = elevationStats(track);
+  const lean = maxLean(track);
+
+  return {
+    distance_km: round(distanceKm, 3),
+    duration_s: Math.round(durationMs / 1000),
+    moving_duration_s: Math.round(movingMs / 1000),
+    avg_speed_kmh: durationMs > 0 ? round(distanceKm / (durationMs / 3600000), 1) : 0,
+    moving_avg_speed_kmh: movingMs > 0 ? round(distanceKm / (movingMs / 3600000), 1) : 0,
+    max_speed_kmh: round(maxSpeed * 3.6, 1),
+    elevation_gain_m: elevation ? Math.round(elevation.gain) : null,
+    elevation_loss_m: elevation ? Math.round(elevation.loss) : null,
+    min_altitude_m: elevation ? Math.round(elevation.min) : null,
+    max_altitude_m: elevation ? Math.round(elevation.max) : null,
+    max_lean_deg: lean ? round(lean.degrees, 1) : null,
+    lean_source: lean ? lean.source : null,
+  };
+};
+
+/**
+ * Indexes of the ride points segment matching looks at: the first and last,
+ * and in between points at least MATCH_SPACING_M apart, thinned evenly down
+ * to MAX_MATCH_POINTS. Far inside SEGMENT_BUFFER_KM, so no stretch is lost.
+ * @returns {Array<number>}
+ */
+const matchingSample = (points) => {
+  const spaced = [0];
+  for (let i = 1; i < points.length - 1; i++) {
+    if (distanceMetres(points[spaced[spaced.length - 1]], points[i]) >= MATCH_SPACING_M) spaced.push(i);
+  }
+  if (points.length > 1) spaced.push(points.length - 1);
+
+  const stride = Math.ceil(spaced.length / MAX_MATCH_POINTS);
+  return stride > 1
+    ? spaced.filter((_, i) => i % stride === 0 || i === spaced.length - 1)
+    : spaced;
+};
+
+/**
+ * Index ranges of the ride that stay on a road, allowing short gaps.
+ * @returns {Array<[number, number]>} Inclusive [start, end] index pairs
+ */
+const onRoadRuns = (points, roadPath) => {
+  const bounds = expandBounds(computeBounds(roadPath), SEGMENT_BUFFER_KM);
+  const runs = [];
+  let start = null;
+  let lastOn = null;
+
+  points.forEach((point, index) => {
+    const inBounds = point.lat >= bounds.min_lat && point.lat <= bounds.max_lat
+      && point.lng >= bounds.min_lng && point.lng <= bounds.max_lng;
+    const onRoad = inBounds && distanceToPath(point, roadPath) <= SEGMENT_BUFFER_KM;
+    if (!onRoad) return;
+
+    if (start !== null && index - lastOn - 1 > MAX_SEGMENT_GAP_POINTS) {
+      runs.push([start, lastOn]);
+      start = null;
+    }
+    if (start === null) start = index;
+    lastOn = index;
+  });
+
+  if (start !== null) runs.push([start, lastOn]);
+  return runs.filter(([from, to]) => to > from);
+};
+
+/**
+ * Stretches of the ride that follow existing roads, in ride order. A road
+ * ridden more than once is suggested once, for its best-covered pass.
+ * Matching runs on a sample of the points (see matchingSample); the indexes
+ * returned are into the full ride.
+ * @param {Array<object>} points - Ride points
+ * @param {Array<object>} roads - Candidate roads near the ride, each with a path
+ * @returns {Array<{ road: object, start_index: number, end_index: number, coverage: number, distance_km: number }>}
+ */
+const matchRideSegments = (points, roads) => {
+  const sample = matchingSample(points);
+  const sampled = sample.map((index) => points[index]);
+
+  return roads
+    .map((road) => {
+      const roadPath = normalizePath(road.path);
+      if (roadPath.length < 2) return null;
+
+      const best = onRoadRuns(sampled, roadPath)
+        .map(([from, to]) => ({ from, to, coverage: pathCoverage(roadPath, sampled.slice(from, to + 1), SEGMENT_BUFFER_KM) }))
+        .sort((a, b) => b.coverage - a.coverage)[0];
+      if (!best || best.coverage < MIN_ROAD_COVERAGE) return null;
+
+      const [start, end] = [sample[best.from], sample[best.to]];
+      let distanceKm = 0;
+      for (let i = start; i < end; i++) {
+        distanceKm += haversineDistance(points[i].lat, points[i].lng, points[i + 1].lat, points[i + 1].lng);
+      }
+
+      return {
+        road,
+        start_index: start,
+        end_index: end,
+        coverage: round(best.coverage, 2),
+        distance_km: round(distanceKm, 3),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start_index - b.start_index);
+};
+
+// Stored points are kept compact; the API speaks the field names clients send
+const toRidePoint = ({ lat, lng, time, speed, altitude, accuracy, lean }) => ({
+  lat,
+  lng,
+  timestamp: new Date(time).toISOString(),
+  speed,
+  altitude,
+  horizontal_accuracy: accuracy,
+  lean_angle: lean,
+});
+
+/**
+ * Shape a rides row for the API. Points are only included when loaded.
+ */
+const toRide = (row) => ({
+  id: row.id,
+  started_at: row.started_at,
+  ended_at: row.ended_at,
+  point_count: row.point_count,
+  stats: row.stats,
+  created_at: row.created_at,
+  ...(row.points ? { points: row.points.map(toRidePoint) } : {}),
+});
+
+module.exports = {
+  MAX_RIDE_POINTS,
+  MAX_RIDE_DURATION_MS,
+  SEGMENT_BUFFER_KM,
+  computeRideStats,
+  matchRideSegments,
+  toRide,
+};
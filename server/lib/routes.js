@@ -0,0 +1,1724 @@
+const {
+  SCORE_FIELDS,
+  parseNumeric,
+  getRatingSummary,
+  toSummary,
+  withRatingSummary,
+} = require('./ratings');
+const {
+  MAX_RADIUS_KM,
+  calculatePathDistance,
+  computeBounds,
+  parseBbox,
+  parsePoint,
+  radiusBounds,
+  expandBounds,
+  snapToPath,
+} = require('./geo');
+const { BUFFER_KM, findSimilarRoads } = require('./similarity');
+const {
+  MAX_LIMIT,
+  parseListQuery,
+  applyListFilters,
+  applyListOrder,
+  takePage,
+} = require('./listing');
+const {
+  validateRoadSubmission,
+  validatePathSubmission,
+  validateRatingSubmission,
+  validateRoadUpdate,
+  validateRatingUpdate,
+  validateReportSubmission,
+  validateReportVote,
+  validateFlag,
+  validateRideSubmission,
+  validationFailure,
+} = require('./validation');
+const { UNIQUE_VIOLATION } = require('./postgres');
+const { createIdempotency } = require('./idempotency');
+const { ratingStats } = require('./stats');
+const { warningReports, activeHazards, recencyWeightedScore } = require('./freshness');
+const { createWarningTypeCache, activeKeys } = require('./warningTypes');
+const { applyVote, toReport } = require('./reports');
+const { FLAGS_TO_HIDE, isAdminRequest } = require('./moderation');
+const { createMemoryStore, createRateLimiter } = require('./rateLimit');
+const { INVALID_SESSION, SIGN_IN_REQUIRED, bearerToken, createAuthVerifier } = require('./auth');
+const { SEGMENT_BUFFER_KM, computeRideStats, matchRideSegments, toRide } = require('./rides');
+const { parseExportFormat, toExportRoad, renderExport } = require('./export');
+
+const RATING_COLUMNS = ['id', 'road_id', ...SCORE_FIELDS, 'comment', 'warnings', 'warning_locations', 'hidden', 'created_at', 'updated_at'].join(', ');
+// Selected alongside a row's own columns to work out is_own; never sent to clients (see toPublicRow)
+const OWNER_COLUMNS = 'device_id, user_id';
+
+/**
+ * Parse the optional `bbox` / `near` + `radius_km` area filters on GET /api/roads.
+ * @returns {{ bounds?: object, near?: { lat: number, lng: number }, radiusKm?: number, error?: string }}
+ */
+const parseAreaQuery = (query) => {
+  if (query.bbox !== undefined) {
+    const bounds = parseBbox(query.bbox);
+    if (!bounds) {
+      return { error: 'bbox must be minLng,minLat,maxLng,maxLat with valid coordinates.' };
+    }
+    return { bounds };
+  }
+
+  if (query.near !== undefined) {
+    const near = parsePoint(query.near);
+    if (!near) {
+      return { error: 'near must be lat,lng with valid coordinates.' };
+    }
+    const radiusKm = parseNumeric(query.radius_km);
+    if (!radiusKm || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return { error: `radius_km must be a number between 0 and ${MAX_RADIUS_KM}.` };
+    }
+    return { near, radiusKm, bounds: radiusBounds(near, radiusKm) };
+  }
+
+  return {};
+};
+
+const LISTING_ONLY_COLUMNS = [
+  'rating_count',
+  'avg_twistiness',
+  'avg_surface_condition',
+  'avg_fun_factor',
+  'avg_scenery',
+  'avg_visibility',
+  'avg_overall',
+  'warnings',
+  'distance',
+  'score',
+];
+
+/**
+ * Whether a row belongs to the caller: the account it has been claimed by,
+ * or else the device that submitted it.
+ * @param {{ device_id?: string | null, user_id?: string | null }} row
+ * @param {{ userId: string | null, deviceId: string | null }} identity
+ */
+const isOwnedBy = (row, { userId, deviceId }) => (
+  row.user_id ? row.user_id === userId : Boolean(row.device_id) && row.device_id === deviceId
+);
+
+/**
+ * A road or rating as clients see it. The device id is what lets an
+ * anonymous client change its own rows, so it is never sent back; neither
+ * is the account id. Clients are told whether the row is theirs instead.
+ */
+const toPublicRow = (row, identity) => {
+  const { device_id: deviceId, user_id: userId, ...rest } = row;
+  return { ...rest, is_own: isOwnedBy({ device_id: deviceId, user_id: userId }, identity) };
+};
+
+// Identity of a caller that sent neither a device id nor a session
+const ANONYMOUS = { userId: null, deviceId: null };
+
+// Turn a road_listings row back into the public road shape with a nested rating_summary
+const toRoadWithSummary = (row, identity, distanceKm) => {
+  const road = Object.fromEntries(
+    Object.entries(row).filter(([key]) => !LISTING_ONLY_COLUMNS.includes(key))
+  );
+
+  return {
+    ...withRatingSummary(toPublicRow(road, identity), toSummary(row)),
+    ...(distanceKm !== undefined ? { distance_km: distanceKm } : {}),
+    ...(row.score !== undefined ? { ranking_score: row.score } : {}),
+  };
+};
+
+const MAX_DUPLICATE_CANDIDATES = 5;
+// Nearby roads compared with a new path, at most, so a dense area cannot make a submission slow
+const DUPLICATE_CANDIDATE_ROADS = 200;
+
+// Located warnings must be on the road; GPS and map taps get this much slack
+const MAX_HAZARD_OFFSET_KM = 0.25;
+
+const roundCoordinate = (value) => Math.round(value * 1e6) / 1e6;
+
+// Bounds overlap: the road's box intersects the requested box
+const whereBoundsIntersect = (request, bounds) => request
+  .lte('min_lat', bounds.max_lat)
+  .gte('max_lat', bounds.min_lat)
+  .lte('min_lng', bounds.max_lng)
+  .gte('max_lng', bounds.min_lng);
+
+// Time-sensitive conditions: unexpired warnings and a surface score that favours recent ratings
+const conditionReports = (ratings) => ({
+  warning_reports: warningReports(ratings),
+  recent_surface_condition: recencyWeightedScore(ratings, 'surface_condition'),
+});
+
+const ROAD_NOT_FOUND = { status: 404, body: { error: 'Road not found' } };
+const RATING_NOT_FOUND = { status: 404, body: { error: 'Rating not found' } };
+const REPORT_NOT_FOUND = { status: 404, body: { error: 'Report not found' } };
+const RIDE_NOT_FOUND = { status: 404, body: { error: 'Ride not found' } };
+const DEVICE_ID_REQUIRED = { status: 401, body: { error: 'X-Device-Id header is required' } };
+const MY_RATINGS_LIMIT = 500;
+const FLAGGED_RATINGS_LIMIT = 200;
+const MY_RIDES_LIMIT = 200;
+// Roads checked against one ride when suggesting segments to rate
+const RIDE_CANDIDATE_ROADS = 500;
+// Everything about a ride except its points, for listings
+const RIDE_SUMMARY_COLUMNS = 'id, device_id, user_id, started_at, ended_at, point_count, stats, created_at';
+
+const isRowId = (value) => /^\d+$/.test(value);
+
+// The caller's device id, from the X-Device-Id header or a device_id field
+const requestDeviceId = ({ headers = {}, body = {}, query = {} }) => {
+  const value = headers['x-device-id'] || body.device_id || query.device_id;
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+};
+
+/**
+ * Rows can only be changed by whoever created them: the account a row has
+ * been claimed by, or else the device that submitted it.
+ * @param {object} row
+ * @param {{ userId: string | null, deviceId: string | null }} identity
+ * @returns {{ status: number, body: object } | null} A failure result, or null when allowed
+ */
+const checkOwnership = (row, identity, noun) => {
+  if (!identity.userId && !identity.deviceId) {
+    return DEVICE_ID_REQUIRED;
+  }
+  if (!isOwnedBy(row, identity)) {
+    return { status: 403, body: { error: `Only the account or device that submitted this ${noun} can change it` } };
+  }
+  return null;
+};
+
+// Rows owned by the caller, matching checkOwnership: the account's rows when
+// signed in, else the device's rows that no account has claimed
+const whereOwnedBy = (request, { userId, deviceId }) => (
+  userId ? request.eq('user_id', userId) : request.eq('device_id', deviceId).is('user_id', null)
+);
+
+/**
+ * Build the API route table. Every route is runtime-agnostic: handlers take
+ * a plain request ({ params, query, body, headers }) and resolve to
+ * { status, body }, so the Express server and the Vercel functions can both
+ * mount the same list through the adapters in ./adapters.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {object} [options]
+ * @param {string} [options.adminToken] - Bearer token for the /api/admin routes; they answer 503 without one
+ * @param {{ hit: Function }} [options.rateLimitStore] - Counters for the POST rate limits (see ./rateLimit)
+ * @returns {Array<{ method: string, path: string, handler: Function }>}
+ */
+const createRoutes = (supabase, { adminToken, rateLimitStore = createMemoryStore() } = {}) => {
+  const rateLimited = createRateLimiter(rateLimitStore, { deviceId: requestDeviceId });
+  const getWarningTypes = createWarningTypeCache(supabase);
+  const allWarningKeys = async () => (await getWarningTypes()).map((type) => type.key);
+  const verifyToken = createAuthVerifier(supabase);
+
+  /**
+   * Who is calling: the signed-in account, when a bearer token is sent, and
+   * the device id. A token that does not verify fails the request instead of
+   * quietly falling back to anonymous use.
+   * @returns {Promise<{ identity: { userId: string | null, deviceId: string | null } } | { failure: object }>}
+   */
+  const resolveIdentity = async (request) => {
+    const deviceId = requestDeviceId(request);
+    const token = bearerToken(request.headers);
+    if (!token) {
+      return { identity: { userId: null, deviceId } };
+    }
+
+    const user = await verifyToken(token);
+    return user ? { identity: { userId: user.id, deviceId } } : { failure: INVALID_SESSION };
+  };
+
+  /**
+   * Who is reading, for public routes that only use it to mark the caller's
+   * own rows (is_own). A token that does not verify counts as no token, so
+   * an expired session never stops the map from loading.
+   */
+  const resolveViewer = async (request) => {
+    const { identity } = await resolveIdentity(request);
+    return identity || { userId: null, deviceId: requestDeviceId(request) };
+  };
+
+  // Whose Idempotency-Keys a request uses: the account when signed in, else
+  // the device, else the address. Null for a session that does not verify.
+  const idempotent = createIdempotency(supabase, {
+    owner: async (request) => {
+      const { identity } = await resolveIdentity(request);
+      if (!identity) return null;
+      if (identity.userId) return `user:${identity.userId}`;
+      return identity.deviceId ? `device:${identity.deviceId}` : `ip:${request.ip}`;
+    },
+  });
+
+  /**
+   * Load a road or rating and check the caller owns it.
+   * @returns {Promise<{ row: object } | { failure: { status: number, body: object } }>}
+   */
+  const findOwnedRow = async ({ table, match, noun, notFound, identity }) => {
+    const { data: row, error } = await Object.entries(match)
+      .reduce((request, [column, value]) => request.eq(column, value), supabase.from(table).select('*'))
+      .maybeSingle();
+
+    if (error) {
+      console.error(`Error fetching ${noun}:`, error.message);
+      return { failure: { status: 500, body: { error: `Failed to fetch ${noun}` } } };
+    }
+    if (!row) {
+      return { failure: notFound };
+    }
+
+    const forbidden = checkOwnership(row, identity, noun);
+    return forbidden ? { failure: forbidden } : { row };
+  };
+
+  /**
+   * Snap located warnings onto the road's path. The path is loaded from the
+   * road when not given. Warnings too far from the road fail validation.
+   * @returns {Promise<{ locations: Array<object> | null } | { failure: { status: number, body: object } }>}
+   */
+  const snapWarningLocations = async (roadId, locations, path = null) => {
+    if (!locations) return { locations };
+
+    let roadPath = path;
+    if (!roadPath) {
+      const { data: road, error } = await supabase
+        .from('roads')
+        .select('path')
+        .eq('id', roadId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching road path:', error.message);
+        return { failure: { status: 500, body: { error: 'Failed to fetch road' } } };
+      }
+      if (!road) {
+        return { failure: ROAD_NOT_FOUND };
+      }
+      roadPath = road.path;
+    }
+
+    const errors = [];
+    const snapped = locations.flatMap((location) => {
+      const point = snapToPath(location, roadPath);
+      if (!point || point.distanceKm > MAX_HAZARD_OFFSET_KM) {
+        errors.push({
+          field: 'warnings',
+          message: `The ${location.type} location must be within ${MAX_HAZARD_OFFSET_KM * 1000} m of the road.`,
+        });
+        return [];
+      }
+      return [{ type: location.type, lat: roundCoordinate(point.lat), lng: roundCoordinate(point.lng) }];
+    });
+
+    if (errors.length > 0) {
+      return { failure: validationFailure('Invalid warning locations.', errors) };
+    }
+    return { locations: snapped };
+  };
+
+  /**
+   * Existing roads that a new path mostly lies on, best match first.
+   * Lookup failures are logged and treated as "no duplicates" so they never block a submission.
+   */
+  const findDuplicateRoads = async (path, identity) => {
+    const { data: nearby, error } = await whereBoundsIntersect(
+      supabase.from('road_listings').select('*'),
+      expandBounds(computeBounds(path), BUFFER_KM)
+    ).limit(DUPLICATE_CANDIDATE_ROADS);
+
+    if (error) {
+      console.error('Error checking for duplicate roads:', error.message);
+      return [];
+    }
+
+    return findSimilarRoads(path, nearby || [])
+      .slice(0, MAX_DUPLICATE_CANDIDATES)
+      .map(({ road, overlap, existing_overlap, hausdorff_km }) => ({
+        ...toRoadWithSummary(road, identity),
+        match: {
+          overlap: Math.round(overlap * 100) / 100,
+          existing_overlap: Math.round(existing_overlap * 100) / 100,
+          hausdorff_km: Math.round(hausdorff_km * 1000) / 1000,
+        },
+      }));
+  };
+
+  /**
+   * Listing rows with their ranking score and distance from `near`, ready
+   * for applyListFilters and applyListOrder (search_road_listings in db/init.sql).
+   */
+  const searchListings = (listing, near) => supabase
+    .rpc('search_road_listings', {
+      p_weights: listing.weights,
+      p_near_lat: near ? near.lat : null,
+      p_near_lng: near ? near.lng : null,
+    })
+    .select('*');
+
+  // Drop the computed columns a listing did not ask for, so ranking_score
+  // and distance_km are only sent for sort=score and near queries
+  const withRequestedColumns = (rows, listing, near) => rows.map(({ score, distance, ...row }) => ({
+    ...row,
+    ...(listing.sort === 'score' ? { score } : {}),
+    ...(near ? { distance } : {}),
+  }));
+
+  /**
+   * One page of the listing rows matching the GET /api/roads area,
+   * filter, sort and cursor parameters.
+   * @returns {Promise<{ rows: Array<object>, nextCursor: string | null, area: object } | { failure: object }>}
+   */
+  const findListedRoads = async (query) => {
+    const area = parseAreaQuery(query);
+    if (area.error) {
+      return { failure: { status: 400, body: { message: area.error } } };
+    }
+
+    const listing = parseListQuery(query, {
+      hasNear: Boolean(area.near),
+      warningTypes: await allWarningKeys(),
+    });
+    if (listing.error) {
+      return { failure: { status: 400, body: { message: listing.error } } };
+    }
+
+    let request = applyListFilters(searchListings(listing, area.near), listing.filters);
+
+    if (area.bounds) {
+      request = whereBoundsIntersect(request, area.bounds);
+    }
+    if (area.near) {
+      request = request.lte('distance', area.radiusKm);
+    }
+
+    const { data: rows, error } = await applyListOrder(request, listing);
+
+    if (error) {
+      console.error('Error fetching roads:', error.message);
+      return { failure: { status: 500, body: { error: 'Failed to fetch roads' } } };
+    }
+
+    const { rows: page, nextCursor } = takePage(withRequestedColumns(rows || [], listing, area.near), listing);
+    return { rows: page, nextCursor, area };
+  };
+
+  const listRoads = async (request) => {
+    const { rows, nextCursor, area, failure } = await findListedRoads(request.query);
+    if (failure) return failure;
+
+    const viewer = await resolveViewer(request);
+    return {
+      status: 200,
+      body: rows.map((row) => toRoadWithSummary(row, viewer, area.near ? row.distance : undefined)),
+      headers: nextCursor ? { 'X-Next-Cursor': nextCursor } : undefined,
+    };
+  };
+
+  const warningLabels = async () => new Map(
+    (await getWarningTypes()).map((type) => [type.key, type.label])
+  );
+
+  // A listing row as a road for export: summary fields nested, warnings and closed kept
+  const toExportListing = (row, labels) => toExportRoad(
+    { ...toRoadWithSummary(row, ANONYMOUS), warnings: row.warnings, closed: row.closed },
+    labels
+  );
+
+  const exportRoad = async ({ params, query }) => {
+    const { format, error: formatError } = parseExportFormat(query.format);
+    if (formatError) {
+      return { status: 400, body: { message: formatError } };
+    }
+    if (!isRowId(params.id)) {
+      return ROAD_NOT_FOUND;
+    }
+
+    const { data: row, error } = await supabase
+      .from('road_listings')
+      .select('*')
+      .eq('id', params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching road for export:', error.message);
+      return { status: 500, body: { error: 'Failed to fetch road' } };
+    }
+    if (!row) {
+      return ROAD_NOT_FOUND;
+    }
+
+    const road = toExportListing(row, await warningLabels());
+    return { status: 200, ...renderExport([road], format, road.name) };
+  };
+
+  // Takes the same area, filter, sort and cursor parameters as GET /api/roads
+  const exportRoads = async ({ query }) => {
+    const { format, error: formatError } = parseExportFormat(query.format);
+    if (formatError) {
+      return { status: 400, body: { message: formatError } };
+    }
+
+    const { rows, nextCursor, failure } = await findListedRoads(query);
+    if (failure) return failure;
+
+    const labels = await warningLabels();
+    const { body, headers } = renderExport(rows.map((row) => toExportListing(row, labels)), format, 'RoadRank roads');
+    return {
+      status: 200,
+      body,
+      headers: nextCursor ? { ...headers, 'X-Next-Cursor': nextCursor } : headers,
+    };
+  };
+
+  const getRoad = async (request) => {
+    const roadId = request.params.id;
+    if (!isRowId(roadId)) {
+      return ROAD_NOT_FOUND;
+    }
+
+    const { data: road, error } = await supabase
+      .from('roads')
+      .select('*')
+      .eq('id', roadId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching road:', error.message);
+      return { status: 500, body: { error: 'Failed to fetch road' } };
+    }
+    if (!road) {
+      return ROAD_NOT_FOUND;
+    }
+
+    const [viewer, summary, { data: warningRows, error: warningsError }] = await Promise.all([
+      resolveViewer(request),
+      getRatingSummary(supabase, roadId),
+      supabase
+        .from('road_ratings')
+        .select('warnings, surface_condition, created_at, updated_at')
+        .eq('road_id', roadId)
+        .eq('hidden', false),
+    ]);
+
+    if (warningsError) {
+      console.error('Error fetching road warnings:', warningsError.message);
+    }
+
+    const conditions = conditionReports(warningRows);
+
+    return {
+      status: 200,
+      body: {
+        ...withRatingSummary(toPublicRow(road, viewer), summary),
+        // Only warnings reported or re-confirmed recently enough to still count
+        warning_counts: Object.fromEntries(
+          conditions.warning_reports.map(({ type, reports }) => [type, reports])
+        ),
+        ...conditions,
+        length_km: Math.round(calculatePathDistance(road.path) * 100) / 100,
+        bounds: computeBounds(road.path),
+      },
+    };
+  };
+
+  const createRoad = async (request) => {
+    const { body } = request;
+    const { identity, failure: authFailure } = await resolveIdentity(request);
+    if (authFailure) return authFailure;
+
+    const { errors, value } = validateRoadSubmission(body, activeKeys(await getWarningTypes()));
+    if (errors.length > 0) {
+      return validationFailure('Invalid road submission.', errors);
+    }
+    const { path, twistiness, surface_condition, fun_factor, scenery, visibility, name, comment, warnings } = value;
+
+    const { locations, failure } = await snapWarningLocations(null, value.warning_locations, path);
+    if (failure) return failure;
+
+    // Clients confirm with allow_duplicate once the user has seen the candidates
+    if (body.allow_duplicate !== true) {
+      const candidates = await findDuplicateRoads(path, identity);
+      if (candidates.length > 0) {
+        return {
+          status: 409,
+          body: { message: 'This looks like an existing road.', candidates },
+        };
+      }
+    }
+
+    // The road and its first rating are inserted in one transaction
+    const { data: newRoad, error: roadError } = await supabase.rpc('create_road_with_rating', {
+      p_path: path,
+      p_name: name,
+      p_twistiness: twistiness,
+      p_surface_condition: surface_condition,
+      p_fun_factor: fun_factor,
+      p_scenery: scenery,
+      p_visibility: visibility,
+      p_comment: comment || 'Original submission',
+      p_warnings: warnings,
+      p_warning_locations: locations,
+      p_device_id: identity.deviceId,
+      p_user_id: identity.userId,
+    });
+
+    if (roadError) {
+      console.error('Error creating road:', roadError.message);
+      return { status: 500, body: { error: 'Failed to create road' } };
+    }
+
+    const roadId = String(newRoad.id);
+
+    const summary = await getRatingSummary(supabase, roadId);
+
+    return {
+      status: 200,
+      body: withRatingSummary(toPublicRow(newRoad, identity), summary),
+    };
+  };
+
+  const updateRoad = async (request) => {
+    const roadId = request.params.id;
+    if (!isRowId(roadId)) {
+      return ROAD_NOT_FOUND;
+    }
+
+    const { identity, failure: authFailure } = await resolveIdentity(request);
+    if (authFailure) return authFailure;
+
+    const { errors, value } = validateRoadUpdate(request.body);
+    if (errors.length > 0) {
+      return validationFailure('Invalid road update.', errors);
+    }
+
+    const { failure } = await findOwnedRow({
+      table: 'roads',
+      match: { id: roadId },
+      noun: 'road',
+      notFound: ROAD_NOT_FOUND,
+      identity,
+    });
+    if (failure) return failure;
+
+    // The previous version is kept in edit_history by trg_roads_history
+    const { data: road, error } = await supabase
+      .from('roads')
+      .update(value)
+      .eq('id', roadId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating road:', error.message);
+      return { status: 500, body: { error: 'Failed to update road' } };
+    }
+
+    const summary = await getRatingSummary(supabase, roadId);
+
+    return {
+      status: 200,
+      body: withRatingSummary(toPublicRow(road, identity), summary),
+    };
+  };
+
+  const deleteRoad = async (request) => {
+    const roadId = request.params.id;
+    if (!isRowId(roadId)) {
+      return ROAD_NOT_FOUND;
+    }
+
+    const { identity, failure: authFailure } = await resolveIdentity(request);
+    if (authFailure) return authFailure;
+
+    const { failure } = await findOwnedRow({
+      table: 'roads',
+      match: { id: roadId },
+      noun: 'road',
+      notFound: ROAD_NOT_FOUND,
+      identity,
+    });
+    if (failure) return failure;
+
+    // trg_roads_delete_ratings removes the road's ratings and summary with it
+    const { error } = await supabase
+      .from('roads')
+      .delete()
+      .eq('id', roadId);
+
+    if (error) {
+      console.error('Error deleting road:', error.message);
+      return { status: 500, body: { error: 'Failed to delete road' } };
+    }
+
+    return { status: 200, body: { id: Number(roadId), deleted: true } };
+  };
+
+  const checkDuplicates = async (request) => {
+    const { errors, value } = validatePathSubmission(request.body);
+    if (errors.length > 0) {
+      return validationFailure('Invalid path.', errors);
+    }
+
+    const candidates = await findDuplicateRoads(value.path, await resolveViewer(request));
+    return { status: 200, body: { candidates } };
+  };
+
+  const roadExists = async (roadId) => {
+    const { data: road, error } = await supabase
+      .from('roads')
+      .select('id')
+      .eq('id', roadId)
+      .maybeSingle();
+    return { exists: Boolean(road), error };
+  };
+
+  const listRatings = async (request) => {
+    const roadId = request.params.id;
+    if (!isRowId(roadId)) {
+      return ROAD_NOT_FOUND;
+    }
+
+    const { identity, failure: authFailure } = await resolveIdentity(request);
+    if (authFailure) return authFailure;
+    const hasOwner = Boolean(identity.userId || identity.deviceId);
+
+    const [{ exists, error: roadError }, { data: ratings, error }, { data: myRating, error: myRatingError }] = await Promise.all([
+      roadExists(roadId),
+      supabase
+        .from('road_ratings')
+        .select(`${RATING_COLUMNS}, ${OWNER_COLUMNS}`)
+        .eq('road_id', roadId)
+        .eq('hidden', false)
+        .order('created_at', { ascending: false }),
+      // With a device id or session, also return the caller's own rating so clients can offer to update it
+      hasOwner
+        ? whereOwnedBy(supabase.from('road_ratings').select(`${RATING_COLUMNS}, ${OWNER_COLUMNS}`).eq('road_id', roadId), identity)
+          .maybeSingle()
+        : { data: null, error: null },
+    ]);
+
+    if (roadError || error) {
+      console.error('Error fetching ratings:', (roadError || error).message);
+      return { status: 500, body: { error: 'Failed to fetch ratings' } };
+    }
+    if (!exists) {
+      return ROAD_NOT_FOUND;
+    }
+    if (myRatingError) {
+      console.error('Error fetching device rating:', myRatingError.message);
+    }
+
+    const summary = await getRatingSummary(supabase, roadId);
+
+    return {
+      status: 200,
+      body: {
+        ratings: (ratings || []).map((rating) => toPublicRow(rating, identity)),
+        summary,
+        ...conditionReports(ratings),
+        ...(hasOwner ? { my_rating: myRating ? toPublicRow(myRating, identity) : null } : {}),
+      },
+    };
+  };
+
+  // Score distributions and monthly trends for one road
+  const getRoadStats = async ({ params }) => {
+    const roadId = params.id;
+    if (!isRowId(roadId)) {
+      return ROAD_NOT_FOUND;
+    }
+
+    const [{ data: road, error: roadError }, { data: ratings, error }] = await Promise.all([
+      supabase.from('roads').select('id').eq('id', roadId).maybeSingle(),
+      supabase
+        .from('road_ratings')
+        .select([...SCORE_FIELDS, 'created_at', 'updated_at'].join(', '))
+        .eq('road_id', roadId)
+        .eq('hidden', false),
+    ]);
+
+    if (roadError || error) {
+      console.error('Error fetching rating stats:', (roadError || error).message);
+      return { status: 500, body: { error: 'Failed to fetch rating stats' } };
+    }
+    if (!road) {
+      return ROAD_NOT_FOUND;
+    }
+
+    return { status: 200, body: ratingStats(ratings || []) };
+  };
+
+  /**
+   * Insert a rating, or replace the caller's existing rating on the road.
+   * One rating per device per road (road_ratings_road_device_key) and per
+   * account per road (road_ratings_road_user_key); a signed-in caller's own
+   * rating is found by account first, then by device. The replaced version
+   * is kept in edit_history by its trigger.
+   * @returns {Promise<{ data: object | null, error: object | null, updated: boolean, failure?: object }>}
+   */
+  const saveOwnRating = async (roadId, { userId, deviceId }, fields) => {
+    const insert = () => supabase
+      .from('road_ratings')
+      .insert([{ road_id: roadId, ...fields, device_id: deviceId, user_id: userId }])
+      .select()
+      .single();
+    const update = (id) => supabase
+      .from('road_ratings')
+      .update(fields)
+      .eq('id', id)
+      .select()
+      .single();
+    const findExisting = async () => {
+      const lookups = [userId && ['user_id', userId], deviceId && ['device_id', deviceId]].filter(Boolean);
+      for (const [column, value] of lookups) {
+        const { data, error } = await supabase
+          .from('road_ratings')
+          .select('id, user_id, device_id')
+          .eq('road_id', roadId)
+          .eq(column, value)
+          .maybeSingle();
+        if (error || data) return { existing: data, error };
+      }
+      return { existing: null, error: null };
+    };
+
+    if (!userId && !deviceId) {
+      const { data, error } = await insert();
+      return { data, error, updated: false };
+    }
+
+    let { existing, error: lookupError } = await findExisting();
+    if (lookupError) {
+      return { data: null, error: lookupError, updated: false };
+    }
+
+    if (!existing) {
+      const { data, error } = await insert();
+      // A concurrent submit from the same caller won the insert; fall through to an update
+      if (error?.code !== UNIQUE_VIOLATION) {
+        return { data, error, updated: false };
+      }
+      ({ existing, error: lookupError } = await findExisting());
+      if (lookupError || !existing) {
+        return { data: null, error: lookupError || error, updated: false };
+      }
+    }
+
+    // The device's rating may have been claimed by an account the caller is not signed in to
+    const forbidden = checkOwnership(existing, { userId, deviceId }, 'rating');
+    if (forbidden) {
+      return { data: null, error: null, updated: false, failure: forbidden };
+    }
+
+    const { data, error } = await update(existing.id);
+    return { data, error, updated: true };
+  };
+
+  const createRating = async (request) => {
+    const { params, body } = request;
+    const roadId = params.id;
+    if (!isRowId(roadId)) {
+      return ROAD_NOT_FOUND;
+    }
+
+    const { identity, failure: authFailure } = await resolveIdentity(request);
+    if (authFailure) return authFailure;
+
+    const { errors, value } = validateRatingSubmission(body, activeKeys(await getWarningTypes()));
+    if (errors.length > 0) {
+      return validationFailure('Invalid rating submission.', errors);
+    }
+
+    const { exists, error: roadError } = await roadExists(roadId);
+    if (roadError) {
+      console.error('Error fetching road:', roadError.message);
+      return { status: 500, body: { error: 'Failed to fetch road' } };
+    }
+    if (!exists) {
+      return ROAD_NOT_FOUND;
+    }
+
+    const { twistiness, surface_condition, fun_factor, scenery, visibility, comment, warnings } = value;
+
+    const { locations, failure } = await snapWarningLocations(roadId, value.warning_locations);
+    if (failure) return failure;
+
+    const { data: saved, error, updated, failure: saveFailure } = await saveOwnRating(roadId, identity, {
+      twistiness,
+      surface_condition,
+      fun_factor,
+      scenery,
+      visibility,
+      comment,
+      warnings,
+      warning_locations: locations,
+    });
+
+    if (saveFailure) return saveFailure;
+    if (error) {
+      console.error('Error creating rating:', error.message);
+      return { status: 500, body: { error: 'Failed to create rating' } };
+    }
+
+    const summary = await getRatingSummary(supabase, roadId);
+
+    return {
+      status: 200,
+      body: {
+        rating: toPublicRow(saved, identity),
+        summary,
+        updated,
+      },
+    };
+  };
+
+  const updateRating = async (request) => {
+    const { id: roadId, ratingId } = request.params;
+    if (!isRowId(ratingId)) {
+      return RATING_NOT_FOUND;
+    }
+
+    const { identity, failure: authFailure } = await resolveIdentity(request);
+    if (authFailure) return authFailure;
+
+    const { errors, value } = validateRatingUpdate(request.body, activeKeys(await getWarningTypes()));
+    if (errors.length > 0) {
+      return validationFailure('Invalid rating update.', errors);
+    }
+
+    const { failure } = await findOwnedRow({
+      table: 'road_ratings',
+      match: { id: ratingId, road_id: roadId },
+      noun: 'rating',
+      notFound: RATING_NOT_FOUND,
+      identity,
+    });
+    if (failure) return failure;
+
+    if (value.warning_locations) {
+      const snapped = await snapWarningLocations(roadId, value.warning_locations);
+      if (snapped.failure) return snapped.failure;
+      value.warning_locations = snapped.locations;
+    }
+
+    // trg_road_ratings_history keeps the previous version; the summary trigger re-averages the road
+    const { data: rating, error } = await supabase
+      .from('road_ratings')
+      .update(value)
+      .eq('id', ratingId)
+      .select(`${RATING_COLUMNS}, ${OWNER_COLUMNS}`)
+      .single();
+
+    if (error) {
+      console.error('Error updating rating:', error.message);
+      return { status: 500, body: { error: 'Failed to update rating' } };
+    }
+
+    const summary = await getRatingSummary(supabase, roadId);
+
+    return {
+      status: 200,
+      body: {
+        rating: toPublicRow(rating, identity),
+        summary,
+      },
+    };
+  };
+
+  const deleteRating = async (request) => {
+    const { id: roadId, ratingId } = request.params;
+    if (!isRowId(ratingId)) {
+      return RATING_NOT_FOUND;
+    }
+
+    const { identity, failure: authFailure } = await resolveIdentity(request);
+    if (authFailure) return authFailure;
+
+    const { failure } = await findOwnedRow({
+      table: 'road_ratings',
+      match: { id: ratingId, road_id: roadId },
+      noun: 'rating',
+      notFound: RATING_NOT_FOUND,
+      identity,
+    });
+    if (failure) return failure;
+
+    const { error } = await supabase
+      .from('road_ratings')
+      .delete()
+      .eq('id', ratingId);
+
+    if (error) {
+      console.error('Error deleting rating:', error.message);
+      return { status: 500, body: { error: 'Failed to delete rating' } };
+    }
+
+    const summary = await getRatingSummary(supabase, roadId);
+
+    return {
+      status: 200,
+      body: {
+        id: Number(ratingId),
+        deleted: true,
+        summary,
+      },
+    };
+  };
+
+  // Current and upcoming condition reports for a road, soonest first
+  const listReports = async (request) => {
+    const roadId = request.params.id;
+    if (!isRowId(roadId)) {
+      return ROAD_NOT_FOUND;
+    }
+
+    const [{ exists, error: roadError }, { data: reports, error }] = await Promise.all([
+      roadExists(roadId),
+      supabase
+        .from('road_reports')
+        .select('*')
+        .eq('road_id', roadId)
+        .is('cleared_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('starts_at', { ascending: true }),
+    ]);
+
+    if (roadError || error) {
+      console.error('Error fetching reports:', (roadError || error).message);
+      return { status: 500, body: { error: 'Failed to fetch reports' } };
+    }
+    if (!exists) {
+      return ROAD_NOT_FOUND;
+    }
+
+    const reportIds = (reports || []).map((report) => report.id);
+    const { data: votes, error: votesError } = reportIds.length > 0
+      ? await supabase.from('road_report_votes').select('report_id, device_id, vote').in('report_id', reportIds)
+      : { data: [], error: null };
+
+    if (votesError) {
+      console.error('Error fetching report votes:', votesError.message);
+      return { status: 500, body: { error: 'Failed to fetch reports' } };
+    }
+
+    // With a device id, each report also says how that device voted
+    const deviceId = requestDeviceId(request);
+    return {
+      status: 200,
+      body: {
+        reports: (reports || []).map((report) => {
+          const reportVotes = (votes || []).filter((vote) => vote.report_id === report.id);
+          return {
+            ...toReport(report, reportVotes),
+            ...(deviceId ? { my_vote: reportVotes.find((vote) => vote.device_id === deviceId)?.vote || null } : {}),
+          };
+        }),
+      },
+    };
+  };
+
+  const createReport = async (request) => {
+    const { params, body } = request;
+    const roadId = params.id;
+    if (!isRowId(roadId)) {
+      return ROAD_NOT_FOUND;
+    }
+
+    const { identity, failure: authFailure } = await resolveIdentity(request);
+    if (authFailure) return authFailure;
+    // The reporter's device is what lets them withdraw the report, and keeps
+    // their own confirmations from counting
+    if (!identity.userId && !identity.deviceId) {
+      return DEVICE_ID_REQUIRED;
+    }
+
+    const { errors, value } = validateReportSubmission(body);
+    if (errors.length > 0) {
+      return validationFailure('Invalid report.', errors);
+    }
+
+    const { exists, error: roadError } = await roadExists(roadId);
+    if (roadError) {
+      console.error('Error fetching road:', roadError.message);
+      return { status: 500, body: { error: 'Failed to fetch road' } };
+    }
+    if (!exists) {
+      return ROAD_NOT_FOUND;
+    }
+
+    const { data: report, error } = await supabase
+      .from('road_reports')
+      .insert([{ road_id: roadId, ...value, device_id: identity.deviceId, user_id: identity.userId }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating report:', error.message);
+      return { status: 500, body: { error: 'Failed to create report' } };
+    }
+
+    return { status: 200, body: { report: toReport(report) } };
+  };
+
+  /**
+   * Confirm a report ("still there") or vote to clear it ("no longer present").
+   * One vote per device; voting again replaces the earlier vote.
+   */
+  const voteOnReport = async (request) => {
+    const { id: roadId, reportId } = request.params;
+    if (!isRowId(reportId)) {
+      return REPORT_NOT_FOUND;
+    }
+
+    const deviceId = requestDeviceId(request);
+    if (!deviceId) {
+      return DEVICE_ID_REQUIRED;
+    }
+
+    const { errors, value } = validateReportVote(request.body);
+    if (errors.length > 0) {
+      return validationFailure('Invalid vote.', errors);
+    }
+
+    const { data: report, error: reportError } = await supabase
+      .from('road_reports')
+      .select('*')
+      .eq('id', reportId)
+      .eq('road_id', roadId)
+      .maybeSingle();
+
+    if (reportError) {
+      console.error('Error fetching report:', reportError.message);
+      return { status: 500, body: { error: 'Failed to fetch report' } };
+    }
+    if (!report) {
+      return REPORT_NOT_FOUND;
+    }
+    if (report.cleared_at || new Date(report.expires_at) <= new Date()) {
+      return { status: 409, body: { error: 'This report is no longer active' } };
+    }
+
+    const vote = { report_id: report.id, device_id: deviceId, vote: value.vote };
+    const { error: voteError } = await supabase
+      .from('road_report_votes')
+      .upsert([vote], { onConflict: 'report_id,device_id' });
+
+    if (voteError) {
+      console.error('Error saving report vote:', voteError.message);
+      return { status: 500, body: { error: 'Failed to save vote' } };
+    }
+
+    const { data: votes, error: votesError } = await supabase
+      .from('road_report_votes')
+      .select('report_id, device_id, vote')
+      .eq('report_id', report.id);
+
+    if (votesError) {
+      console.error('Error fetching report votes:', votesError.message);
+      return { status: 500, body: { error: 'Failed to save vote' } };
+    }
+
+    let updated = report;
+    const changes = applyVote(report, votes || [], vote);
+    if (Object.keys(changes).length > 0) {
+      const { data, error } = await supabase
+        .from('road_reports')
+        .update(changes)
+        .eq('id', report.id)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error updating report:', error.message);
+        return { status: 500, body: { error: 'Failed to update report' } };
+      }
+      updated = data;
+    }
+
+    return {
+      status: 200,
+      body: { report: { ...toReport(updated, votes || []), my_vote: vote.vote } },
+    };
+  };
+
+  /**
+   * Flag a rating as abusive or spam. Each device can flag a rating once; with
+   * FLAGS_TO_HIDE open flags the rating is hidden until an admin reviews it.
+   */
+  const flagRating = async (request) => {
+    const ratingId = request.params.id;
+    if (!isRowId(ratingId)) {
+      return RATING_NOT_FOUND;
+    }
+
+    const { identity, failure: authFailure } = await resolveIdentity(request);
+    if (authFailure) return authFailure;
+    const { userId, deviceId } = identity;
+    if (!deviceId) {
+      return DEVICE_ID_REQUIRED;
+    }
+
+    const { errors, value } = validateFlag(request.body);
+    if (errors.length > 0) {
+      return validationFailure('Invalid report.', errors);
+    }
+
+    const { data: rating, error: ratingError } = await supabase
+      .from('road_ratings')
+      .select('id, device_id, user_id, hidden')
+      .eq('id', ratingId)
+      .maybeSingle();
+
+    if (ratingError) {
+      console.error('Error fetching rating:', ratingError.message);
+      return { status: 500, body: { error: 'Failed to fetch rating' } };
+    }
+    if (!rating) {
+      return RATING_NOT_FOUND;
+    }
+    if (rating.device_id === deviceId || (userId && rating.user_id === userId)) {
+      return { status: 403, body: { error: 'You cannot report your own rating' } };
+    }
+
+    // A device that already flagged the rating keeps its first flag
+    const { error: flagError } = await supabase
+      .from('rating_flags')
+      .upsert([{ rating_id: rating.id, device_id: deviceId, reason: value.reason }], {
+        onConflict: 'rating_id,device_id',
+        ignoreDuplicates: true,
+      });
+
+    if (flagError) {
+      console.error('Error flagging rating:', flagError.message);
+      return { status: 500, body: { error: 'Failed to report rating' } };
+    }
+
+    const { data: openFlags, error: countError } = await supabase
+      .from('rating_flags')
+      .select('device_id')
+      .eq('rating_id', rating.id)
+      .is('resolved_at', null);
+
+    if (countError) {
+      console.error('Error counting rating flags:', countError.message);
+      return { status: 500, body: { error: 'Failed to report rating' } };
+    }
+
+    let { hidden } = rating;
+    if (!hidden && (openFlags || []).length >= FLAGS_TO_HIDE) {
+      const { error } = await supabase
+        .from('road_ratings')
+        .update({ hidden: true })
+        .eq('id', rating.id);
+
+      if (error) {
+        console.error('Error hiding rating:', error.message);
+        return { status: 500, body: { error: 'Failed to report rating' } };
+      }
+      hidden = true;
+    }
+
+    return { status: 200, body: { id: rating.id, flagged: true, hidden } };
+  };
+
+  // Admin routes need the configured token; without one they are switched off
+  const checkAdmin = ({ headers }) => {
+    if (!adminToken) {
+      return { status: 503, body: { error: 'Moderation is not configured' } };
+    }
+    if (!isAdminRequest(headers, adminToken)) {
+      return { status: 401, body: { error: 'Admin token required' } };
+    }
+    return null;
+  };
+
+  /**
+   * Ratings waiting for review: every rating with open flags plus every hidden
+   * one, most flagged first, with the flags and the road they belong to.
+   */
+  const listFlaggedRatings = async (request) => {
+    const failure = checkAdmin(request);
+    if (failure) return failure;
+
+    const [{ data: flags, error: flagsError }, { data: hiddenRatings, error: hiddenError }] = await Promise.all([
+      supabase
+        .from('rating_flags')
+        .select('rating_id, device_id, reason, created_at')
+        .is('resolved_at', null)
+        .order('created_at', { ascending: false }),
+      supabase
+        .from('road_ratings')
+        .select('id')
+        .eq('hidden', true)
+        .limit(FLAGGED_RATINGS_LIMIT),
+    ]);
+
+    if (flagsError || hiddenError) {
+      console.error('Error fetching flagged ratings:', (flagsError || hiddenError).message);
+      return { status: 500, body: { error: 'Failed to fetch flagged ratings' } };
+    }
+
+    const flagsByRating = new Map();
+    (flags || []).forEach(({ rating_id: ratingId, ...flag }) => {
+      flagsByRating.set(ratingId, [...(flagsByRating.get(ratingId) || []), flag]);
+    });
+    const ratingIds = [...new Set([
+      ...flagsByRating.keys(),
+      ...(hiddenRatings || []).map((rating) => rating.id),
+    ])].slice(0, FLAGGED_RATINGS_LIMIT);
+
+    if (ratingIds.length === 0) {
+      return { status: 200, body: { ratings: [] } };
+    }
+
+    const { data: ratings, error } = await supabase
+      .from('road_ratings')
+      .select(`${RATING_COLUMNS}, device_id`)
+      .in('id', ratingIds);
+
+    if (error) {
+      console.error('Error fetching flagged ratings:', error.message);
+      return { status: 500, body: { error: 'Failed to fetch flagged ratings' } };
+    }
+
+    const roadIds = [...new Set((ratings || []).map((rating) => String(rating.road_id)))];
+    const { data: roads, error: roadsError } = await supabase
+      .from('roads')
+      .select('id, name')
+      .in('id', roadIds);
+
+    if (roadsError) {
+      console.error('Error fetching flagged roads:', roadsError.message);
+    }
+    const roadNames = new Map((roads || []).map((road) => [String(road.id), road.name]));
+
+    return {
+      status: 200,
+      body: {
+        ratings: (ratings || [])
+          .map((rating) => ({
+            ...rating,
+            road_name: roadNames.get(String(rating.road_id)) ?? null,
+            flags: flagsByRating.get(rating.id) || [],
+          }))
+          .sort((a, b) => b.flags.length - a.flags.length || b.id - a.id),
+      },
+    };
+  };
+
+  // Un-hide a rating and resolve its open flags; later flags count afresh
+  const approveRating = async (request) => {
+    const failure = checkAdmin(request);
+    if (failure) return failure;
+
+    const ratingId = request.params.id;
+    if (!isRowId(ratingId)) {
+      return RATING_NOT_FOUND;
+    }
+
+    const { data: rating, error } = await supabase
+      .from('road_ratings')
+      .update({ hidden: false })
+      .eq('id', ratingId)
+      .select(RATING_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error approving rating:', error.message);
+      return { status: 500, body: { error: 'Failed to approve rating' } };
+    }
+    if (!rating) {
+      return RATING_NOT_FOUND;
+    }
+
+    const { error: flagsError } = await supabase
+      .from('rating_flags')
+      .update({ resolved_at: new Date().toISOString() })
+      .eq('rating_id', rating.id)
+      .is('resolved_at', null);
+
+    if (flagsError) {
+      console.error('Error resolving rating flags:', flagsError.message);
+      return { status: 500, body: { error: 'Failed to approve rating' } };
+    }
+
+    return { status: 200, body: { rating } };
+  };
+
+  // Remove a rating for good; the history trigger keeps a copy in edit_history
+  const removeRating = async (request) => {
+    const failure = checkAdmin(request);
+    if (failure) return failure;
+
+    const ratingId = request.params.id;
+    if (!isRowId(ratingId)) {
+      return RATING_NOT_FOUND;
+    }
+
+    const { data: deleted, error } = await supabase
+      .from('road_ratings')
+      .delete()
+      .eq('id', ratingId)
+      .select('id, road_id');
+
+    if (error) {
+      console.error('Error deleting rating:', error.message);
+      return { status: 500, body: { error: 'Failed to delete rating' } };
+    }
+    if (!deleted || deleted.length === 0) {
+      return RATING_NOT_FOUND;
+    }
+
+    return { status: 200, body: { id: Number(ratingId), deleted: true } };
+  };
+
+  // All warning types, including retired ones (active: false) so old ratings can still be labelled
+  const listWarningTypes = async () => {
+    try {
+      return { status: 200, body: await getWarningTypes() };
+    } catch {
+      return { status: 500, body: { error: 'Failed to fetch warning types' } };
+    }
+  };
+
+  // Unexpired located warnings on the roads in a bbox, for drawing hazard markers
+  const listHazards = async ({ query }) => {
+    const bounds = query.bbox === undefined ? null : parseBbox(query.bbox);
+    if (!bounds) {
+      return { status: 400, body: { message: 'bbox is required as minLng,minLat,maxLng,maxLat with valid coordinates.' } };
+    }
+
+    const { data: roads, error: roadsError } = await whereBoundsIntersect(
+      supabase.from('roads').select('id'),
+      bounds
+    ).limit(MAX_LIMIT);
+
+    if (roadsError) {
+      console.error('Error fetching hazard roads:', roadsError.message);
+      return { status: 500, body: { error: 'Failed to fetch hazards' } };
+    }
+
+    const roadIds = (roads || []).map((road) => String(road.id));
+    if (roadIds.length === 0) {
+      return { status: 200, body: [] };
+    }
+
+    const { data: ratings, error } = await supabase
+      .from('road_ratings')
+      .select('road_id, warning_locations, created_at, updated_at')
+      .in('road_id', roadIds)
+      .eq('hidden', false)
+      .not('warning_locations', 'is', null);
+
+    if (error) {
+      console.error('Error fetching hazards:', error.message);
+      return { status: 500, body: { error: 'Failed to fetch hazards' } };
+    }
+
+    return { status: 200, body: activeHazards(ratings) };
+  };
+
+  // Roads submitted by the caller's account or device, with the same sort/filter/cursor params as GET /api/roads
+  const listMyRoads = async (request) => {
+    const { identity, failure: authFailure } = await resolveIdentity(request);
+    if (authFailure) return authFailure;
+    if (!identity.userId && !identity.deviceId) {
+      return DEVICE_ID_REQUIRED;
+    }
+
+    const listing = parseListQuery(request.query, { warningTypes: await allWarningKeys() });
+    if (listing.error) {
+      return { status: 400, body: { message: listing.error } };
+    }
+
+    const filtered = applyListFilters(whereOwnedBy(searchListings(listing), identity), listing.filters);
+    const { data: rows, error } = await applyListOrder(filtered, listing);
+
+    if (error) {
+      console.error('Error fetching device roads:', error.message);
+      return { status: 500, body: { error: 'Failed to fetch roads' } };
+    }
+
+    const { rows: page, nextCursor } = takePage(withRequestedColumns(rows || [], listing), listing);
+
+    return {
+      status: 200,
+      body: page.map((row) => toRoadWithSummary(row, identity)),
+      headers: nextCursor ? { 'X-Next-Cursor': nextCursor } : undefined,
+    };
+  };
+
+  // Ratings submitted by the caller's account or device, newest first, each with the road it rates
+  const listMyRatings = async (request) => {
+    const { identity, failure: authFailure } = await resolveIdentity(request);
+    if (authFailure) return authFailure;
+    if (!identity.userId && !identity.deviceId) {
+      return DEVICE_ID_REQUIRED;
+    }
+
+    const { data: ratings, error } = await whereOwnedBy(
+      supabase.from('road_ratings').select(`${RATING_COLUMNS}, ${OWNER_COLUMNS}`),
+      identity
+    )
+      .order('created_at', { ascending: false })
+      .limit(MY_RATINGS_LIMIT);
+
+    if (error) {
+      console.error('Error fetching device ratings:', error.message);
+      return { status: 500, body: { error: 'Failed to fetch ratings' } };
+    }
+
+    const roadIds = [...new Set((ratings || []).map((rating) => String(rating.road_id)))];
+    const roadsById = new Map();
+
+    if (roadIds.length > 0) {
+      const { data: roads, error: roadsError } = await supabase
+        .from('road_listings')
+        .select('*')
+        .in('id', roadIds);
+
+      if (roadsError) {
+        console.error('Error fetching rated roads:', roadsError.message);
+      }
+      (roads || []).forEach((row) => roadsById.set(String(row.id), toRoadWithSummary(row, identity)));
+    }
+
+    return {
+      status: 200,
+      body: {
+        ratings: (ratings || []).map((rating) => ({
+          ...toPublicRow(rating, identity),
+          road: roadsById.get(String(rating.road_id)) || null,
+        })),
+      },
+    };
+  };
+
+  /**
+   * Move this device's anonymous roads, ratings, reports and rides onto the signed-in
+   * account. Where both already rated the same road the newer rating is kept.
+   * Only the device sending the request can be claimed: its X-Device-Id, the
+   * same secret that authorises its edits, not a device_id in the body or
+   * query. A device can be claimed once; claiming it again gets 409.
+   */
+  const claimDevice = async (request) => {
+    const { identity, failure: authFailure } = await resolveIdentity(request);
+    if (authFailure) return authFailure;
+    if (!identity.userId) {
+      return SIGN_IN_REQUIRED;
+    }
+    const deviceId = requestDeviceId({ headers: request.headers });
+    if (!deviceId) {
+      return DEVICE_ID_REQUIRED;
+    }
+
+    const { data, error } = await supabase.rpc('claim_device_rows', {
+      p_user_id: identity.userId,
+      p_device_id: deviceId,
+    });
+
+    if (error?.code === UNIQUE_VIOLATION) {
+      return { status: 409, body: { error: 'This device is already linked to an account' } };
+    }
+    if (error) {
+      console.error('Error claiming device history:', error.message);
+      return { status: 500, body: { error: 'Failed to link device to account' } };
+    }
+
+    const counts = (Array.isArray(data) ? data[0] : data) || {};
+    return {
+      status: 200,
+      body: {
+        claimed: {
+          roads: counts.claimed_roads || 0,
+          ratings: counts.claimed_ratings || 0,
+          reports: counts.claimed_reports || 0,
+          rides: counts.claimed_rides || 0,
+        },
+      },
+    };
+  };
+
+  /**
+   * Roads on the map that the ride followed, each with the ride points that
+   * cover it, so the rider can pick which to rate.
+   */
+  const suggestRideSegments = async (points, identity) => {
+    const { data: nearby, error } = await whereBoundsIntersect(
+      supabase.from('road_listings').select('*'),
+      expandBounds(computeBounds(points), SEGMENT_BUFFER_KM)
+    ).limit(RIDE_CANDIDATE_ROADS);
+
+    if (error) {
+      console.error('Error matching ride to roads:', error.message);
+      return { error };
+    }
+
+    return {
+      segments: matchRideSegments(points, nearby || []).map(({ road, ...segment }) => ({
+        road: toRoadWithSummary(road, identity),
+        ...segment,
+      })),
+    };
+  };
+
+  /**
+   * Load a ride the caller recorded. Rides are private, so someone else's
+   * ride is reported as not found rather than forbidden.
+   * @returns {Promise<{ ride: object, identity: object } | { failure: { status: number, body: object } }>}
+   */
+  const findOwnRide = async (request) => {
+    const rideId = request.params.id;
+    if (!isRowId(rideId)) {
+      return { failure: RIDE_NOT_FOUND };
+    }
+
+    const { identity, failure: authFailure } = await resolveIdentity(request);
+    if (authFailure) return { failure: authFailure };
+
+    const { row, failure } = await findOwnedRow({
+      table: 'rides',
+      match: { id: rideId },
+      noun: 'ride',
+      notFound: RIDE_NOT_FOUND,
+      identity,
+    });
+    if (failure) {
+      return { failure: failure.status === 403 ? RIDE_NOT_FOUND : failure };
+    }
+    return { ride: row, identity };
+  };
+
+  // Store a recorded ride with its stats, and suggest the roads it covered for rating.
+  // A ride recorded while signed in belongs to the account, like roads and ratings.
+  const createRide = async (request) => {
+    const { identity, failure: authFailure } = await resolveIdentity(request);
+    if (authFailure) return authFailure;
+
+    const { errors, value } = validateRideSubmission(request.body);
+    if (errors.length > 0) {
+      return validationFailure('Invalid ride.', errors);
+    }
+
+    if (!identity.userId && !identity.deviceId) {
+      return DEVICE_ID_REQUIRED;
+    }
+
+    const { points } = value;
+    const { data: ride, error } = await supabase
+      .from('rides')
+      .insert([{
+        points,
+        point_count: points.length,
+        stats: computeRideStats(points),
+        started_at: new Date(points[0].time).toISOString(),
+        ended_at: new Date(points[points.length - 1].time).toISOString(),
+        ...computeBounds(points),
+        device_id: identity.deviceId,
+        user_id: identity.userId,
+      }])
+      .select(RIDE_SUMMARY_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Error creating ride:', error.message);
+      return { status: 500, body: { error: 'Failed to save ride' } };
+    }
+
+    // The ride is saved either way; suggestions can be fetched again later
+    const { segments } = await suggestRideSegments(points, identity);
+    return { status: 200, body: { ride: toRide(ride), segments: segments || [] } };
+  };
+
+  // The caller's rides, newest first, without their points
+  const listRides = async (request) => {
+    const { identity, failure: authFailure } = await resolveIdentity(request);
+    if (authFailure) return authFailure;
+    if (!identity.userId && !identity.deviceId) {
+      return DEVICE_ID_REQUIRED;
+    }
+
+    const { data: rides, error } = await whereOwnedBy(
+      supabase.from('rides').select(RIDE_SUMMARY_COLUMNS),
+      identity
+    )
+      .order('started_at', { ascending: false })
+      .limit(MY_RIDES_LIMIT);
+
+    if (error) {
+      console.error('Error fetching rides:', error.message);
+      return { status: 500, body: { error: 'Failed to fetch rides' } };
+    }
+
+    return { status: 200, body: { rides: (rides || []).map(toRide) } };
+  };
+
+  const getRide = async (request) => {
+    const { ride, failure } = await findOwnRide(request);
+    if (failure) return failure;
+    return { status: 200, body: toRide(ride) };
+  };
+
+  // Re-run segment matching, e.g. after roads the ride followed have been added to the map
+  const getRideSegments = async (request) => {
+    const { ride, identity, failure } = await findOwnRide(request);
+    if (failure) return failure;
+
+    const { segments, error } = await suggestRideSegments(ride.points, identity);
+    if (error) {
+      return { status: 500, body: { error: 'Failed to match ride to roads' } };
+    }
+    return { status: 200, body: { segments } };
+  };
+
+  const deleteRide = async (request) => {
+    const { ride, failure } = await findOwnRide(request);
+    if (failure) return failure;
+
+    const { error } = await supabase
+      .from('rides')
+      .delete()
+      .eq('id', ride.id);
+
+    if (error) {
+      console.error('Error deleting ride:', error.message);
+      return { status: 500, body: { error: 'Failed to delete ride' } };
+    }
+
+    return { status: 200, body: { id: ride.id, deleted: true } };
+  };
+
+  return [
+    { method: 'GET', path: '/api/me/roads', handler: listMyRoads },
+    { method: 'GET', path: '/api/me/ratings', handler: listMyRatings },
+    { method: 'POST', path: '/api/me/claim', handler: rateLimited('writes', claimDevice) },
+    { method: 'GET', path: '/api/rides', handler: listRides },
+    { method: 'POST', path: '/api/rides', handler: rateLimited('writes', idempotent('rides', createRide)) },
+    { method: 'GET', path: '/api/rides/:id', handler: getRide },
+    { method: 'DELETE', path: '/api/rides/:id', handler: deleteRide },
+    { method: 'GET', path: '/api/rides/:id/segments', handler: getRideSegments },
+    { method: 'GET', path: '/api/warning-types', handler: listWarningTypes },
+    { method: 'GET', path: '/api/hazards', handler: listHazards },
+    { method: 'GET', path: '/api/roads', handler: listRoads },
+    { method: 'POST', path: '/api/roads', handler: rateLimited('roads', idempotent('roads', createRoad)) },
+    { method: 'POST', path: '/api/roads/duplicates', handler: rateLimited('writes', checkDuplicates) },
+    { method: 'GET', path: '/api/roads/export', handler: exportRoads },
+    { method: 'GET', path: '/api/roads/:id', handler: getRoad },
+    { method: 'PATCH', path: '/api/roads/:id', handler: updateRoad },
+    { method: 'DELETE', path: '/api/roads/:id', handler: deleteRoad },
+    { method: 'GET', path: '/api/roads/:id/ratings', handler: listRatings },
+    { method: 'GET', path: '/api/roads/:id/stats', handler: getRoadStats },
+    { method: 'GET', path: '/api/roads/:id/export', handler: exportRoad },
+    { method: 'POST', path: '/api/roads/:id/ratings', handler: rateLimited('writes', idempotent('ratings', createRating)) },
+    { method: 'PATCH', path: '/api/roads/:id/ratings/:ratingId', handler: updateRating },
+    { method: 'POST', path: '/api/ratings/:id/report', handler: rateLimited('writes', flagRating) },
+    { method: 'GET', path: '/api/admin/ratings', handler: listFlaggedRatings },
+    { method: 'POST', path: '/api/admin/ratings/:id/approve', handler: approveRating },
+    { method: 'DELETE', path: '/api/admin/ratings/:id', handler: removeRating },
+    { method: 'GET', path: '/api/roads/:id/reports', handler: listReports },
+    { method: 'POST', path: '/api/roads/:id/reports', handler: rateLimited('writes', idempotent('reports', createReport)) },
+    { method: 'POST', path: '/api/roads/:id/reports/:reportId/votes', handler: rateLimited('writes', voteOnReport) },
+    { method: 'DELETE', path: '/api/roads/:id/ratings/:ratingId', handler: deleteRating },
+  ];
+};
+
+module.exports = { createRoutes };
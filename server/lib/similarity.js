@@ -0,0 +1,78 @@
+/**
+ * Geometric similarity between road paths, used to spot roads that have
+ * already been drawn. Paths are resampled at a fixed spacing so long, sparse
+ * segments count as much as dense hand-drawn ones.
+ */
+const { haversineDistance, normalizePath, distanceToPath } = require('./geo');
+
+const SAMPLE_SPACING_KM = 0.05;
+// A point within this distance of another road is considered "on" it
+const BUFFER_KM = 0.05;
+// Share of a new path lying on an existing road before it counts as a duplicate
+const DUPLICATE_OVERLAP = 0.8;
+
+/**
+ * Resample a path so consecutive points are at most spacingKm apart.
+ * @returns {Array<{ lat: number, lng: number }>}
+ */
+const densifyPath = (path, spacingKm = SAMPLE_SPACING_KM) => {
+  const points = normalizePath(path);
+  if (points.length < 2) return points;
+
+  const samples = [points[0]];
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const steps = Math.ceil(haversineDistance(a.lat, a.lng, b.lat, b.lng) / spacingKm);
+    for (let step = 1; step <= steps; step++) {
+      const t = step / steps;
+      samples.push({ lat: a.lat + (b.lat - a.lat) * t, lng: a.lng + (b.lng - a.lng) * t });
+    }
+  }
+  return samples;
+};
+
+/**
+ * Share (0-1) of path a that lies within bufferKm of path b.
+ */
+const pathCoverage = (a, b, bufferKm = BUFFER_KM) => {
+  const samples = densifyPath(a);
+  if (samples.length === 0) return 0;
+  const covered = samples.filter((point) => distanceToPath(point, b) <= bufferKm).length;
+  return covered / samples.length;
+};
+
+/**
+ * Discrete Hausdorff distance in kilometers: the furthest either path strays from the other.
+ */
+const hausdorffDistance = (a, b) => {
+  const directed = (from, to) => densifyPath(from)
+    .reduce((furthest, point) => Math.max(furthest, distanceToPath(point, to)), 0);
+  return Math.max(directed(a, b), directed(b, a));
+};
+
+/**
+ * Compare a new path against existing roads.
+ * @param {Array<{ lat: number, lng: number }>} path - The submitted path
+ * @param {Array<object>} roads - Nearby roads, each with a path
+ * @returns {Array<{ road: object, overlap: number, existing_overlap: number, hausdorff_km: number }>}
+ *   Roads the new path mostly lies on, best match first
+ */
+const findSimilarRoads = (path, roads) => roads
+  .map((road) => ({
+    road,
+    overlap: pathCoverage(path, road.path),
+    existing_overlap: pathCoverage(road.path, path),
+  }))
+  .filter((match) => match.overlap >= DUPLICATE_OVERLAP)
+  .map((match) => ({ ...match, hausdorff_km: hausdorffDistance(path, match.road.path) }))
+  .sort((a, b) => b.overlap - a.overlap || a.hausdorff_km - b.hausdorff_km);
+
+module.exports = {
+  BUFFER_KM,
+  DUPLICATE_OVERLAP,
+  densifyPath,
+  pathCoverage,
+  hausdorffDistance,
+  findSimilarRoads,
+};
@@ -0,0 +1,85 @@
+/**
+ * Per-road rating statistics for GET /api/roads/:id/stats: how each score
+ * is spread across 1-5 and how the averages move from month to month.
+ */
+const { SCORE_FIELDS } = require('./ratings');
+
+const SCORE_VALUES = [1, 2, 3, 4, 5];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+// Population standard deviation; 0 for a single rating
+const standardDeviation = (values) => {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map((value) => (value - average) ** 2)));
+};
+
+/**
+ * Average, spread and 1-5 histogram of one score field.
+ * @param {Array<number|null>} scores
+ */
+const categoryStats = (scores) => {
+  const values = scores.filter((value) => Number.isInteger(value));
+  const histogram = Object.fromEntries(SCORE_VALUES.map((score) => [score, 0]));
+  values.forEach((value) => {
+    histogram[value] += 1;
+  });
+
+  return {
+    average: values.length > 0 ? round(mean(values)) : null,
+    std_dev: values.length > 0 ? round(standardDeviation(values)) : null,
+    histogram,
+  };
+};
+
+// Calendar month (UTC) of a timestamp, as YYYY-MM
+const monthOf = (timestamp) => {
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 7);
+};
+
+/**
+ * Monthly averages per score field, oldest month first. A rating counts in
+ * the month its current scores were submitted (updated_at), since a
+ * re-submission replaces the scores given when it was created. Months
+ * without ratings are left out rather than reported as zero.
+ */
+const monthlyTrend = (ratings) => {
+  const byMonth = new Map();
+  ratings.forEach((rating) => {
+    const month = monthOf(rating.updated_at || rating.created_at);
+    if (!month) return;
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(rating);
+  });
+
+  return [...byMonth.keys()].sort().map((month) => {
+    const monthRatings = byMonth.get(month);
+    return {
+      month,
+      rating_count: monthRatings.length,
+      ...Object.fromEntries(SCORE_FIELDS.map((field) => [
+        `avg_${field}`,
+        categoryStats(monthRatings.map((rating) => rating[field])).average,
+      ])),
+    };
+  });
+};
+
+/**
+ * Full statistics for a road's ratings.
+ * @param {Array<object>} ratings - road_ratings rows with score fields, created_at and updated_at
+ * @returns {{ rating_count: number, categories: object, monthly: Array<object> }}
+ */
+const ratingStats = (ratings) => ({
+  rating_count: ratings.length,
+  categories: Object.fromEntries(SCORE_FIELDS.map((field) => [
+    field,
+    categoryStats(ratings.map((rating) => rating[field])),
+  ])),
+  monthly: monthlyTrend(ratings),
+});
+
+module.exports = { ratingStats };
@@ -0,0 +1,404 @@
+/**
+ * Validation for road and rating submissions.
+ * Each validator returns { errors, value }: errors is a list of { field, message }
+ * suitable for a structured 400 response, value is the normalized payload.
+ */
+const { SCORE_FIELDS, parseNumeric } = require('./ratings');
+const { MAX_ROAD_DISTANCE_KM, calculatePathDistance } = require('./geo');
+const { REPORT_TYPES, MAX_START_DELAY_MS, MAX_DURATION_MS, defaultExpiry } = require('./reports');
+const { MAX_FLAG_REASON_LENGTH, screenField } = require('./moderation');
+const { MAX_RIDE_POINTS, MAX_RIDE_DURATION_MS } = require('./rides');
+
+const MIN_PATH_POINTS = 2;
+const MAX_PATH_POINTS = 2000;
+const MAX_NAME_LENGTH = 100;
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_DEVICE_ID_LENGTH = 100;
+const MAX_WARNING_LOCATIONS = 20;
+const MAX_NOTE_LENGTH = 500;
+const REPORT_VOTES = ['confirm', 'clear'];
+
+const isBlank = (value) => value === undefined || value === null;
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const validatePath = (path, errors) => {
+  if (!Array.isArray(path)) {
+    errors.push({ field: 'path', message: 'path must be an array of { lat, lng } points.' });
+    return null;
+  }
+  if (path.length < MIN_PATH_POINTS || path.length > MAX_PATH_POINTS) {
+    errors.push({
+      field: 'path',
+      message: `path must have between ${MIN_PATH_POINTS} and ${MAX_PATH_POINTS} points.`,
+    });
+    return null;
+  }
+
+  const points = [];
+  for (let i = 0; i < path.length; i++) {
+    const point = path[i];
+    if (point === null || typeof point !== 'object' || isBlank(point.lat) || isBlank(point.lng)) {
+      errors.push({ field: `path[${i}]`, message: `path[${i}] must be an object with lat and lng.` });
+      return null;
+    }
+
+    const { lat, lng } = point;
+    if (!isFiniteNumber(lat) || lat < -90 || lat > 90) {
+      errors.push({ field: `path[${i}].lat`, message: `path[${i}].lat must be a number between -90 and 90.` });
+      return null;
+    }
+    if (!isFiniteNumber(lng) || lng < -180 || lng > 180) {
+      errors.push({ field: `path[${i}].lng`, message: `path[${i}].lng must be a number between -180 and 180.` });
+      return null;
+    }
+    points.push({ lat, lng });
+  }
+
+  const distance = calculatePathDistance(points);
+  if (distance === 0) {
+    errors.push({ field: 'path', message: 'path must cover some distance, not a single point.' });
+    return null;
+  }
+  if (distance > MAX_ROAD_DISTANCE_KM) {
+    errors.push({
+      field: 'path',
+      message: `Road is too long (${Math.round(distance * 100) / 100}km). Roads must be shorter than ${MAX_ROAD_DISTANCE_KM}km.`,
+    });
+    return null;
+  }
+
+  return points;
+};
+
+const hasField = (body, field) => Object.prototype.hasOwnProperty.call(body, field);
+
+// Validate the score fields named in `fields`
+const validateScores = (body, errors, fields = SCORE_FIELDS) => fields.reduce((scores, field) => {
+  const raw = body[field];
+  const parsed = ['number', 'string'].includes(typeof raw) ? parseNumeric(raw) : null;
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > 5) {
+    errors.push({ field, message: `${field} must be a whole number between 1 and 5.` });
+    return scores;
+  }
+  return { ...scores, [field]: parsed };
+}, {});
+
+const validateOptionalText = (body, field, maxLength, errors) => {
+  const value = body[field];
+  if (isBlank(value)) return null;
+  if (typeof value !== 'string') {
+    errors.push({ field, message: `${field} must be a string.` });
+    return null;
+  }
+  const trimmed = value.trim();
+  if (trimmed.length > maxLength) {
+    errors.push({ field, message: `${field} must be at most ${maxLength} characters.` });
+    return null;
+  }
+  return trimmed || null;
+};
+
+// Free text other people will read, also run through the moderation filter
+const validatePublicText = (body, field, maxLength, errors) => (
+  screenField(field, validateOptionalText(body, field, maxLength, errors), errors)
+);
+
+const isLocation = ({ lat, lng }) => (
+  isFiniteNumber(lat) && lat >= -90 && lat <= 90 && isFiniteNumber(lng) && lng >= -180 && lng <= 180
+);
+
+/**
+ * Warnings are warning type keys, or { type, lat, lng } objects for a hazard
+ * at a particular spot. Types not in `warningTypes` are dropped rather than
+ * rejected, so clients with an older list of types can still submit.
+ * @returns {{ warnings: Array<string> | null, warning_locations: Array<object> | null }}
+ */
+const validateWarnings = (warnings, errors, warningTypes) => {
+  if (isBlank(warnings)) return { warnings: null, warning_locations: null };
+  if (!Array.isArray(warnings)) {
+    errors.push({ field: 'warnings', message: 'warnings must be an array.' });
+    return { warnings: null, warning_locations: null };
+  }
+
+  const types = [];
+  const locations = [];
+  warnings.forEach((warning, i) => {
+    const located = warning !== null && typeof warning === 'object';
+    const type = located ? warning.type : warning;
+    if (!warningTypes.includes(type)) return;
+
+    if (located) {
+      if (!isLocation(warning)) {
+        errors.push({ field: `warnings[${i}]`, message: `warnings[${i}] must have a valid lat and lng.` });
+        return;
+      }
+      locations.push({ type, lat: warning.lat, lng: warning.lng });
+    }
+    if (!types.includes(type)) types.push(type);
+  });
+
+  if (locations.length > MAX_WARNING_LOCATIONS) {
+    errors.push({ field: 'warnings', message: `At most ${MAX_WARNING_LOCATIONS} warnings can have a location.` });
+  }
+
+  return { warnings: types, warning_locations: locations.length > 0 ? locations : null };
+};
+
+/**
+ * Validate the body of POST /api/roads.
+ * @param {object} body
+ * @param {Array<string>} warningTypes - Warning type keys that may be reported
+ * @returns {{ errors: Array<{ field: string, message: string }>, value: object }}
+ */
+const validateRoadSubmission = (body = {}, warningTypes = []) => {
+  const errors = [];
+  const value = {
+    path: validatePath(body.path, errors),
+    name: validatePublicText(body, 'name', MAX_NAME_LENGTH, errors),
+    ...validateScores(body, errors),
+    comment: validatePublicText(body, 'comment', MAX_COMMENT_LENGTH, errors),
+    ...validateWarnings(body.warnings, errors, warningTypes),
+    device_id: validateOptionalText(body, 'device_id', MAX_DEVICE_ID_LENGTH, errors),
+  };
+  return { errors, value };
+};
+
+/**
+ * Validate a body that only carries a path (POST /api/roads/duplicates).
+ * @returns {{ errors: Array<{ field: string, message: string }>, value: object }}
+ */
+const validatePathSubmission = (body = {}) => {
+  const errors = [];
+  const value = { path: validatePath(body.path, errors) };
+  return { errors, value };
+};
+
+/**
+ * Validate the body of POST /api/roads/:id/ratings.
+ * @param {object} body
+ * @param {Array<string>} warningTypes - Warning type keys that may be reported
+ * @returns {{ errors: Array<{ field: string, message: string }>, value: object }}
+ */
+const validateRatingSubmission = (body = {}, warningTypes = []) => {
+  const errors = [];
+  const value = {
+    ...validateScores(body, errors),
+    comment: validatePublicText(body, 'comment', MAX_COMMENT_LENGTH, errors),
+    ...validateWarnings(body.warnings, errors, warningTypes),
+    device_id: validateOptionalText(body, 'device_id', MAX_DEVICE_ID_LENGTH, errors),
+  };
+  return { errors, value };
+};
+
+/**
+ * Validate the body of PATCH /api/roads/:id. Only the fields present are
+ * checked and returned; at least one editable field is required.
+ * @returns {{ errors: Array<{ field: string, message: string }>, value: object }}
+ */
+const validateRoadUpdate = (body = {}) => {
+  const errors = [];
+  const value = {};
+  if (hasField(body, 'path')) value.path = validatePath(body.path, errors);
+  if (hasField(body, 'name')) value.name = validatePublicText(body, 'name', MAX_NAME_LENGTH, errors);
+
+  if (Object.keys(value).length === 0 && errors.length === 0) {
+    errors.push({ field: 'body', message: 'Provide at least one of: name, path.' });
+  }
+  return { errors, value };
+};
+
+/**
+ * Validate the body of PATCH /api/roads/:id/ratings/:ratingId, with the same
+ * partial semantics as validateRoadUpdate. New warnings replace the old ones,
+ * locations included.
+ * @param {object} body
+ * @param {Array<string>} warningTypes - Warning type keys that may be reported
+ * @returns {{ errors: Array<{ field: string, message: string }>, value: object }}
+ */
+const validateRatingUpdate = (body = {}, warningTypes = []) => {
+  const errors = [];
+  const value = validateScores(body, errors, SCORE_FIELDS.filter((field) => hasField(body, field)));
+  if (hasField(body, 'comment')) value.comment = validatePublicText(body, 'comment', MAX_COMMENT_LENGTH, errors);
+  if (hasField(body, 'warnings')) Object.assign(value, validateWarnings(body.warnings, errors, warningTypes));
+
+  if (Object.keys(value).length === 0 && errors.length === 0) {
+    errors.push({
+      field: 'body',
+      message: `Provide at least one of: ${[...SCORE_FIELDS, 'comment', 'warnings'].join(', ')}.`,
+    });
+  }
+  return { errors, value };
+};
+
+const validateOptionalTime = (body, field, errors) => {
+  const value = body[field];
+  if (isBlank(value)) return null;
+  const time = typeof value === 'string' ? new Date(value) : null;
+  if (!time || Number.isNaN(time.getTime())) {
+    errors.push({ field, message: `${field} must be an ISO 8601 date-time.` });
+    return null;
+  }
+  return time;
+};
+
+/**
+ * Validate the body of POST /api/roads/:id/reports. starts_at defaults to
+ * now and expires_at to the type's usual duration from starts_at.
+ * @returns {{ errors: Array<{ field: string, message: string }>, value: object }}
+ */
+const validateReportSubmission = (body = {}, now = new Date()) => {
+  const errors = [];
+
+  const { type } = body;
+  if (!Object.prototype.hasOwnProperty.call(REPORT_TYPES, type)) {
+    errors.push({ field: 'type', message: `type must be one of ${Object.keys(REPORT_TYPES).join(', ')}.` });
+  }
+
+  const startsAt = validateOptionalTime(body, 'starts_at', errors) || now;
+  if (startsAt.getTime() - now.getTime() > MAX_START_DELAY_MS) {
+    errors.push({ field: 'starts_at', message: 'starts_at can be at most 30 days from now.' });
+  }
+
+  let expiresAt = validateOptionalTime(body, 'expires_at', errors);
+  if (!expiresAt && errors.length === 0) {
+    expiresAt = defaultExpiry(type, startsAt);
+  }
+  if (expiresAt) {
+    if (expiresAt <= startsAt || expiresAt <= now) {
+      errors.push({ field: 'expires_at', message: 'expires_at must be in the future and after starts_at.' });
+    } else if (expiresAt.getTime() - startsAt.getTime() > MAX_DURATION_MS) {
+      errors.push({ field: 'expires_at', message: 'A report can last at most 90 days.' });
+    }
+  }
+
+  const value = {
+    type,
+    note: validatePublicText(body, 'note', MAX_NOTE_LENGTH, errors),
+    starts_at: startsAt.toISOString(),
+    expires_at: expiresAt ? expiresAt.toISOString() : null,
+    device_id: validateOptionalText(body, 'device_id', MAX_DEVICE_ID_LENGTH, errors),
+  };
+  return { errors, value };
+};
+
+/**
+ * Validate the body of POST /api/roads/:id/reports/:reportId/votes.
+ * @returns {{ errors: Array<{ field: string, message: string }>, value: object }}
+ */
+const validateReportVote = (body = {}) => {
+  const errors = [];
+  if (!REPORT_VOTES.includes(body.vote)) {
+    errors.push({ field: 'vote', message: `vote must be one of ${REPORT_VOTES.join(', ')}.` });
+  }
+  return { errors, value: { vote: body.vote } };
+};
+
+/**
+ * Validate the body of POST /api/ratings/:id/report.
+ * @returns {{ errors: Array<{ field: string, message: string }>, value: object }}
+ */
+const validateFlag = (body = {}) => {
+  const errors = [];
+  const value = { reason: validateOptionalText(body, 'reason', MAX_FLAG_REASON_LENGTH, errors) };
+  return { errors, value };
+};
+
+// Optional numeric reading on a ride point; out-of-range values mean "not measured"
+const optionalReading = (value, min, max) => (
+  isFiniteNumber(value) && value >= min && value <= max ? value : null
+);
+
+// Epoch milliseconds from an ISO 8601 string or an epoch-milliseconds number
+const parseTimestamp = (value) => {
+  if (isFiniteNumber(value)) return value;
+  if (typeof value !== 'string') return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Validate the body of POST /api/rides. Each point needs lat, lng and a
+ * timestamp, in time order; speed (m/s), altitude (m), horizontal_accuracy
+ * (m) and lean_angle (degrees) are optional. Negative speeds and accuracies,
+ * which phones report for "unknown", are stored as null.
+ * @returns {{ errors: Array<{ field: string, message: string }>, value: object }}
+ */
+const validateRideSubmission = (body = {}) => {
+  const errors = [];
+  const value = {
+    points: null,
+    device_id: validateOptionalText(body, 'device_id', MAX_DEVICE_ID_LENGTH, errors),
+  };
+
+  const { points } = body;
+  if (!Array.isArray(points) || points.length < MIN_PATH_POINTS || points.length > MAX_RIDE_POINTS) {
+    errors.push({
+      field: 'points',
+      message: `points must be an array of between ${MIN_PATH_POINTS} and ${MAX_RIDE_POINTS} points.`,
+    });
+    return { errors, value };
+  }
+
+  const normalized = [];
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+    if (point === null || typeof point !== 'object' || !isLocation(point)) {
+      errors.push({ field: `points[${i}]`, message: `points[${i}] must have lat and lng in range.` });
+      return { errors, value };
+    }
+
+    const time = parseTimestamp(point.timestamp);
+    if (time === null) {
+      errors.push({
+        field: `points[${i}].timestamp`,
+        message: `points[${i}].timestamp must be an ISO 8601 date-time or epoch milliseconds.`,
+      });
+      return { errors, value };
+    }
+    if (i > 0 && time < normalized[i - 1].time) {
+      errors.push({ field: `points[${i}].timestamp`, message: 'points must be in time order.' });
+      return { errors, value };
+    }
+
+    normalized.push({
+      lat: point.lat,
+      lng: point.lng,
+      time,
+      speed: optionalReading(point.speed, 0, 150),
+      altitude: optionalReading(point.altitude, -500, 9000),
+      accuracy: optionalReading(point.horizontal_accuracy, 0, 10000),
+      lean: optionalReading(point.lean_angle, -90, 90),
+    });
+  }
+
+  if (normalized[normalized.length - 1].time - normalized[0].time > MAX_RIDE_DURATION_MS) {
+    errors.push({ field: 'points', message: 'A ride can last at most 24 hours.' });
+    return { errors, value };
+  }
+
+  value.points = normalized;
+  return { errors, value };
+};
+
+// Shape a failed validation as a route result
+const validationFailure = (message, errors) => ({
+  status: 400,
+  body: { message, errors },
+});
+
+module.exports = {
+  MIN_PATH_POINTS,
+  MAX_PATH_POINTS,
+  MAX_NAME_LENGTH,
+  MAX_COMMENT_LENGTH,
+  validateRoadSubmission,
+  validatePathSubmission,
+  validateRatingSubmission,
+  validateRoadUpdate,
+  validateRatingUpdate,
+  validateReportSubmission,
+  validateReportVote,
+  validateFlag,
+  validateRideSubmission,
+  validationFailure,
+};
@@ -0,0 +1,47 @@
+/**
+ * Warning types are rows in the warning_types table, so new hazards can be
+ * offered without a deploy. The table is the only list of them: routes read
+ * it through a short-lived cache and clients load it from
+ * GET /api/warning-types.
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Build a cached reader for the warning types, including inactive ones.
+ * A failed read is logged and answered with the last good list without
+ * being cached, so the next call tries again. With no good list yet it
+ * throws, and the request fails with a 500.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @returns {() => Promise<Array<{ key: string, label: string, icon: string, sort_order: number, active: boolean }>>}
+ */
+const createWarningTypeCache = (supabase) => {
+  let cached = null;
+  let fetchedAt = 0;
+
+  return async () => {
+    if (cached && Date.now() - fetchedAt < CACHE_TTL_MS) {
+      return cached;
+    }
+
+    const { data, error } = await supabase
+      .from('warning_types')
+      .select('key, label, icon, sort_order, active')
+      .order('sort_order', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching warning types:', error.message);
+      if (cached) return cached;
+      throw new Error(`Warning types are unavailable: ${error.message}`);
+    }
+
+    cached = data || [];
+    fetchedAt = Date.now();
+    return cached;
+  };
+};
+
+// Keys new ratings may report
+const activeKeys = (types) => types.filter((type) => type.active).map((type) => type.key);
+
+module.exports = { createWarningTypeCache, activeKeys };
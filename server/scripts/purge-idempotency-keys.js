@@ -0,0 +1,24 @@
+/**
+ * Delete idempotency keys older than the retention window.
+ * Usage: npm run purge-idempotency-keys
+ */
+const { supabase } = require('../db');
+const { RETENTION_MS } = require('../lib/idempotency');
+
+const run = async () => {
+  const cutoff = new Date(Date.now() - RETENTION_MS).toISOString();
+  const { data: purged, error } = await supabase
+    .from('idempotency_keys')
+    .delete()
+    .lt('created_at', cutoff)
+    .select('key');
+
+  if (error) {
+    console.error('Error purging idempotency keys:', error.message);
+    process.exit(1);
+  }
+
+  console.log(`Purged ${purged.length} idempotency keys older than ${cutoff}`);
+};
+
+run();
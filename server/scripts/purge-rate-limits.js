@@ -0,0 +1,26 @@
+/**
+ * Delete rate limit counters whose windows have ended.
+ * Usage: npm run purge-rate-limits
+ */
+const { supabase } = require('../db');
+const { RATE_LIMITS } = require('../lib/rateLimit');
+
+const run = async () => {
+  // A window can be purged once even the longest policy has moved past it
+  const longestWindowMs = Math.max(...Object.values(RATE_LIMITS).map((policy) => policy.windowMs));
+  const cutoff = new Date(Date.now() - longestWindowMs).toISOString();
+  const { data: purged, error } = await supabase
+    .from('rate_limits')
+    .delete()
+    .lt('window_start', cutoff)
+    .select('key');
+
+  if (error) {
+    console.error('Error purging rate limits:', error.message);
+    process.exit(1);
+  }
+
+  console.log(`Purged ${purged.length} rate limit counters older than ${cutoff}`);
+};
+
+run();
@@ -0,0 +1,18 @@
+/**
+ * Rebuild road_rating_summaries from road_ratings.
+ * Usage: npm run recompute-summaries
+ */
+const { supabase } = require('../db');
+
+const run = async () => {
+  const { data: refreshed, error } = await supabase.rpc('recompute_road_rating_summaries');
+
+  if (error) {
+    console.error('Error recomputing rating summaries:', error.message);
+    process.exit(1);
+  }
+
+  console.log(`Recomputed rating summaries for ${refreshed} roads`);
+};
+
+run();
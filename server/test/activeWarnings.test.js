@@ -0,0 +1,84 @@
+/**
+ * Road listings carry only warnings that have not expired, so the warning
+ * filters, the map and exports agree with the road detail's warning_reports.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase, insertRows } = require('./helpers/database');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { scores, createSeed } = require('./helpers/fixtures');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+// Road 1 has a fresh potholes warning and a gravel warning from 200 days ago;
+// road 2's only warning (gravel, in the fixtures) expired long ago
+const seedWithAges = () => {
+  const seed = createSeed();
+  seed.road_ratings[0] = { ...seed.road_ratings[0], warnings: ['potholes'], updated_at: daysAgo(10) };
+  seed.road_ratings[1] = { ...seed.road_ratings[1], warnings: ['gravel'], updated_at: daysAgo(200) };
+  return seed;
+};
+
+const names = (body) => body.map((road) => road.name).sort();
+
+test('has_warning and exclude_warning only see unexpired warnings', async () => {
+  const call = createCaller(createFakeSupabase(seedWithAges()));
+
+  assert.deepEqual(names((await call('GET', '/api/roads?has_warning=potholes')).body), ['Hill Road']);
+  assert.deepEqual(names((await call('GET', '/api/roads?has_warning=gravel')).body), []);
+  assert.deepEqual(names((await call('GET', '/api/roads?exclude_warning=gravel')).body), ['Hill Road', 'River Road', 'Valley Lane']);
+});
+
+test('exports list only unexpired warnings', async () => {
+  const call = createCaller(createFakeSupabase(seedWithAges()));
+
+  const { body } = await call('GET', '/api/roads/export?format=geojson');
+  const byName = Object.fromEntries(JSON.parse(body).features.map((feature) => [feature.properties.name, feature.properties.warnings]));
+  assert.deepEqual(byName['Hill Road'], ['potholes']);
+  assert.deepEqual(byName['River Road'], []);
+
+  const single = await call('GET', '/api/roads/1/export?format=geojson');
+  assert.deepEqual(JSON.parse(single.body).features[0].properties.warnings, ['potholes']);
+});
+
+test('re-confirming an old warning brings it back', async () => {
+  const call = createCaller(createFakeSupabase(seedWithAges()));
+
+  await call('PATCH', '/api/roads/1/ratings/2', { headers: { 'X-Device-Id': 'device-b' }, body: { comment: 'Still loose' } });
+  assert.deepEqual(names((await call('GET', '/api/roads?has_warning=gravel')).body), ['Hill Road']);
+});
+
+test.describe('road_listings in Postgres', () => {
+  let db;
+
+  before(async () => {
+    db = await createDatabase();
+    const seed = seedWithAges();
+    await insertRows(db, 'roads', seed.roads);
+    await insertRows(db, 'road_ratings', [
+      ...seed.road_ratings,
+      { id: 5, road_id: '3', ...scores(3), warnings: ['livestock'], hidden: true, device_id: 'device-c', updated_at: daysAgo(1) },
+    ]);
+  });
+
+  after(() => db.close());
+
+  test('lists warnings from visible ratings of the last 180 days', async () => {
+    const { rows } = await db.query('SELECT id, warnings FROM road_listings ORDER BY id');
+    assert.deepEqual(rows, [
+      { id: 1, warnings: ['potholes'] },
+      { id: 2, warnings: [] },
+      { id: 3, warnings: [] },
+    ]);
+  });
+
+  test('filters on them like has_warning and exclude_warning do', async () => {
+    const { rows: having } = await db.query("SELECT id FROM road_listings WHERE warnings @> '{gravel}' ORDER BY id");
+    const { rows: excluding } = await db.query("SELECT id FROM road_listings WHERE NOT warnings && '{potholes}' ORDER BY id");
+
+    assert.deepEqual(having, []);
+    assert.deepEqual(excluding.map((row) => row.id), [2, 3]);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Every route answers the same through the Express server and the Vercel
+ * handler: the same status, body and route headers for the same request.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoutes } = require('../lib/routes');
+const { resolveRoute } = require('../lib/adapters');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { ADMIN_TOKEN, startAdapters } = require('./helpers/adapters');
+const { HILL_ROAD, RIDE_POINTS, scores, createSeed } = require('./helpers/fixtures');
+
+const device = (id) => ({ 'X-Device-Id': id });
+const ADMIN = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+const NEW_ROAD = [
+  { lat: 53.0, lng: -2.0 },
+  { lat: 53.01, lng: -2.01 },
+  { lat: 53.02, lng: -2.02 },
+];
+
+// Run in order against both adapters; later requests see earlier writes
+const REQUESTS = [
+  { path: '/api/warning-types', status: 200 },
+  { path: '/api/roads', status: 200 },
+  { path: '/api/roads?sort=avg_overall&order=asc&limit=2', status: 200 },
+  { path: '/api/roads?sort=score&weights=twistiness:3', status: 200 },
+  { path: '/api/roads?has_warning=potholes&has_warning=gravel', status: 200 },
+  { path: '/api/roads?exclude_warning=potholes,gravel', status: 200 },
+  { path: '/api/roads?near=51.5,-0.1&radius_km=5', status: 200 },
+  { path: '/api/roads?bbox=-0.2,51.4,0,51.6&min_ratings=2', status: 200 },
+  { path: '/api/roads?sort=nope', status: 400 },
+  { path: '/api/roads/export?format=geojson', status: 200 },
+  { path: '/api/roads/export?format=kml&bbox=-0.2,51.4,0,51.6', status: 200 },
+  { path: '/api/roads/1', status: 200 },
+  { path: '/api/roads/99', status: 404 },
+  { path: '/api/roads/%E0', status: 400 },
+  { path: '/api/roads/%E0/ratings', status: 400 },
+  { path: '/api/roads/1/ratings', headers: device('device-a'), status: 200 },
+  { path: '/api/roads/99/ratings', status: 404 },
+  { path: '/api/roads/1/stats', status: 200 },
+  { path: '/api/roads/1/export', status: 200 },
+  { path: '/api/roads/1/export?format=svg', status: 400 },
+  { path: '/api/roads/1/reports', headers: device('device-a'), status: 200 },
+  { path: '/api/hazards?bbox=-2,51,0,53', status: 200 },
+  { path: '/api/hazards', status: 400 },
+  { path: '/api/me/roads', headers: device('device-b'), status: 200 },
+  { path: '/api/me/roads', status: 401 },
+  { path: '/api/me/ratings', headers: device('device-b'), status: 200 },
+  { path: '/api/rides', headers: device('device-a'), status: 200 },
+  { path: '/api/rides/1', headers: device('device-a'), status: 200 },
+  { path: '/api/rides/1', headers: device('device-b'), status: 404 },
+  { path: '/api/rides/1/segments', headers: device('device-a'), status: 200 },
+  { method: 'POST', path: '/api/roads/duplicates', body: { path: HILL_ROAD }, status: 200 },
+  {
+    method: 'POST',
+    path: '/api/roads',
+    headers: { ...device('device-d'), 'Idempotency-Key': 'new-road-1' },
+    body: { path: NEW_ROAD, name: 'Moor Road', ...scores(4), device_id: 'device-d' },
+    status: 200,
+  },
+  {
+    method: 'POST',
+    path: '/api/roads',
+    headers: { ...device('device-d'), 'Idempotency-Key': 'new-road-1' },
+    body: { path: NEW_ROAD, name: 'Moor Road', ...scores(4), device_id: 'device-d' },
+    status: 200,
+  },
+  { method: 'POST', path: '/api/roads', body: { path: HILL_ROAD, ...scores(3) }, status: 409 },
+  { method: 'POST', path: '/api/roads', rawBody: '{"path": [', status: 400 },
+  { method: 'POST', path: '/api/roads/99/ratings', headers: device('device-c'), body: scores(5), status: 404 },
+  {
+    method: 'POST',
+    path: '/api/roads/1/ratings',
+    headers: device('device-c'),
+    body: { ...scores(5), warnings: ['gravel'], device_id: 'device-c' },
+    status: 200,
+  },
+  {
+    method: 'PATCH',
+    path: '/api/roads/1/ratings/1',
+    headers: device('device-a'),
+    body: { comment: 'Resurfaced last spring' },
+    status: 200,
+  },
+  { method: 'PATCH', path: '/api/roads/1/ratings/1', headers: device('device-b'), body: { scenery: 1 }, status: 403 },
+  { method: 'POST', path: '/api/ratings/3/report', headers: device('device-d'), body: { reason: 'spam' }, status: 200 },
+  { method: 'POST', path: '/api/roads/1/reports', headers: device('device-a'), body: { type: 'flooding' }, status: 200 },
+  { method: 'POST', path: '/api/roads/1/reports/1/votes', headers: device('device-a'), body: { vote: 'confirm' }, status: 200 },
+  { method: 'PATCH', path: '/api/roads/1', headers: device('device-a'), body: { name: 'Hill Road North' }, status: 200 },
+  {
+    method: 'POST',
+    path: '/api/rides',
+    headers: device('device-a'),
+    body: { points: RIDE_POINTS.map(({ lat, lng, time }) => ({ lat, lng, timestamp: time })) },
+    status: 200,
+  },
+  { path: '/api/admin/ratings', headers: ADMIN, status: 200 },
+  { path: '/api/admin/ratings', status: 401 },
+  { method: 'POST', path: '/api/admin/ratings/2/approve', headers: ADMIN, status: 200 },
+  { method: 'DELETE', path: '/api/admin/ratings/4', headers: ADMIN, status: 200 },
+  { method: 'DELETE', path: '/api/roads/1/ratings/2', headers: device('device-b'), status: 200 },
+  { method: 'DELETE', path: '/api/rides/1', headers: device('device-a'), status: 200 },
+  { method: 'DELETE', path: '/api/roads/3', headers: device('device-b'), status: 200 },
+  { method: 'POST', path: '/api/me/claim', headers: device('device-a'), status: 401 },
+  { method: 'POST', path: '/api/me/claim', headers: { ...device('device-a'), Authorization: 'Bearer user-u1' }, status: 200 },
+  { path: '/api/me/roads', headers: { Authorization: 'Bearer expired' }, status: 401 },
+  { method: 'PUT', path: '/api/roads', status: 405 },
+  { path: '/api/nothing-here', status: 404 },
+];
+
+const ISO_TIME = /\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(?:\.\d+)?Z/g;
+
+// Timestamps taken while the suite runs differ by a few milliseconds between the two runs
+const maskNow = (value, since) => {
+  if (typeof value === 'string') {
+    return value.replace(ISO_TIME, (time) => (Date.parse(time) >= since ? '<now>' : time));
+  }
+  if (Array.isArray(value)) return value.map((item) => maskNow(item, since));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskNow(item, since)]));
+  }
+  return value;
+};
+
+const describeRequest = ({ method = 'GET', path }) => `${method} ${path}`;
+
+let adapters;
+const startedAt = Date.now() - 1000;
+
+before(async () => {
+  adapters = await startAdapters(createSeed());
+});
+
+after(() => adapters.close());
+
+test('every route has a contract request', () => {
+  const routes = createRoutes(createFakeSupabase());
+  const covered = new Set(REQUESTS.map((request) => {
+    const { pathname } = new URL(request.path, 'http://localhost');
+    return resolveRoute(routes, request.method || 'GET', pathname).route;
+  }).filter(Boolean));
+
+  const missing = routes.filter((route) => !covered.has(route)).map(describeRequest);
+  assert.deepEqual(missing, []);
+});
+
+test('Express and Vercel answer every request identically', async (t) => {
+  for (const request of REQUESTS) {
+    await t.test(describeRequest(request), async () => {
+      const fromExpress = await adapters.express(request);
+      const fromVercel = await adapters.vercel(request);
+
+      assert.equal(fromExpress.status, request.status);
+      assert.deepEqual(maskNow(fromVercel, startedAt), maskNow(fromExpress, startedAt));
+    });
+  }
+});
+
+test('repeated query parameters reach handlers as arrays on both runtimes', async () => {
+  const request = { path: '/api/roads?has_warning=potholes&has_warning=gravel' };
+  const [fromExpress, fromVercel] = [await adapters.express(request), await adapters.vercel(request)];
+
+  assert.deepEqual(fromExpress.body.map((road) => road.name), ['Hill Road North']);
+  assert.deepEqual(fromVercel.body, fromExpress.body);
+});
@@ -0,0 +1,91 @@
+/**
+ * A new road and its first rating are written together: if the rating
+ * cannot be saved, the road is not left behind without one.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase } = require('./helpers/database');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { scores, createSeed } = require('./helpers/fixtures');
+
+const NEW_ROAD = [
+  { lat: 53.0, lng: -2.0 },
+  { lat: 53.01, lng: -2.01 },
+];
+
+const CREATE = `
+  SELECT * FROM create_road_with_rating(
+    $1::JSONB, 'Moor Road', $2, 4, 4, 4, 4, 'Original submission', NULL, NULL, 'device-a'
+  )
+`;
+
+const countRows = async (db) => {
+  const { rows } = await db.query(`
+    SELECT
+      (SELECT COUNT(*)::INT FROM roads) AS roads,
+      (SELECT COUNT(*)::INT FROM road_ratings) AS ratings,
+      (SELECT COUNT(*)::INT FROM road_rating_summaries) AS summaries
+  `);
+  return rows[0];
+};
+
+let db;
+
+before(async () => {
+  db = await createDatabase();
+});
+
+after(() => db.close());
+
+test('creates the road, its rating and its summary', async () => {
+  await db.query('BEGIN');
+  try {
+    const { rows: [road] } = await db.query(CREATE, [JSON.stringify(NEW_ROAD), 4]);
+    assert.equal(road.name, 'Moor Road');
+    assert.deepEqual(await countRows(db), { roads: 1, ratings: 1, summaries: 1 });
+  } finally {
+    await db.query('ROLLBACK');
+  }
+});
+
+test('a rating that breaks a constraint leaves no road behind', async () => {
+  await assert.rejects(db.query(CREATE, [JSON.stringify(NEW_ROAD), 6]), /twistiness_check/);
+  assert.deepEqual(await countRows(db), { roads: 0, ratings: 0, summaries: 0 });
+});
+
+test('a rating insert that fails in a trigger leaves no road behind', async () => {
+  await db.exec(`
+    CREATE FUNCTION fail_rating_insert() RETURNS TRIGGER AS $$
+    BEGIN
+      RAISE EXCEPTION 'simulated rating insert failure';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER fail_rating_insert BEFORE INSERT ON road_ratings
+      FOR EACH ROW EXECUTE FUNCTION fail_rating_insert();
+  `);
+  try {
+    await assert.rejects(db.query(CREATE, [JSON.stringify(NEW_ROAD), 4]), /simulated rating insert failure/);
+    assert.deepEqual(await countRows(db), { roads: 0, ratings: 0, summaries: 0 });
+  } finally {
+    await db.exec('DROP TRIGGER fail_rating_insert ON road_ratings; DROP FUNCTION fail_rating_insert();');
+  }
+});
+
+test('POST /api/roads answers 500 and adds no road when the rating insert fails', async () => {
+  const supabase = createFakeSupabase(createSeed());
+  const call = createCaller(supabase);
+  const roadsBefore = supabase.db.roads.length;
+  supabase.failNext('road_ratings', { op: 'insert' });
+
+  const { status, body } = await call('POST', '/api/roads', {
+    headers: { 'X-Device-Id': 'device-d' },
+    body: { path: NEW_ROAD, name: 'Moor Road', ...scores(4), device_id: 'device-d' },
+  });
+
+  assert.equal(status, 500);
+  assert.deepEqual(body, { error: 'Failed to create road' });
+  assert.equal(supabase.db.roads.length, roadsBefore);
+  assert.ok(!supabase.db.roads.some((road) => road.name === 'Moor Road'));
+});
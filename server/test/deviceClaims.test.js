@@ -0,0 +1,96 @@
+/**
+ * Signing in claims the history of the device sending the request, once, and
+ * device ids are never readable by clients, so they cannot be used to claim
+ * or change another device's rows.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase, insertRows } = require('./helpers/database');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { createSeed } = require('./helpers/fixtures');
+
+const signedIn = (userId, deviceId) => ({ Authorization: `Bearer user-${userId}`, 'X-Device-Id': deviceId });
+
+test('claims the device in X-Device-Id, not a device_id in the body or query', async () => {
+  const supabase = createFakeSupabase(createSeed());
+  const call = createCaller(supabase);
+
+  const { status, body } = await call('POST', '/api/me/claim?device_id=device-b', {
+    headers: signedIn('u1', 'device-a'),
+    body: { device_id: 'device-b' },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.claimed.roads, 1);
+  assert.deepEqual(supabase.db.roads.map((road) => road.user_id), ['u1', null, null]);
+
+  const withoutHeader = await call('POST', '/api/me/claim', {
+    headers: { Authorization: 'Bearer user-u2' },
+    body: { device_id: 'device-b' },
+  });
+  assert.equal(withoutHeader.status, 401);
+  assert.equal(supabase.db.account_devices.length, 1);
+});
+
+test('a device can only be claimed once', async () => {
+  const supabase = createFakeSupabase(createSeed());
+  const call = createCaller(supabase);
+
+  assert.equal((await call('POST', '/api/me/claim', { headers: signedIn('u1', 'device-a') })).status, 200);
+
+  const again = await call('POST', '/api/me/claim', { headers: signedIn('u1', 'device-a') });
+  const otherAccount = await call('POST', '/api/me/claim', { headers: signedIn('u2', 'device-a') });
+
+  assert.equal(again.status, 409);
+  assert.equal(otherAccount.status, 409);
+  assert.deepEqual(supabase.db.account_devices.map((link) => link.user_id), ['u1']);
+});
+
+test.describe('device claims and device ids in Postgres', () => {
+  const USER_1 = '00000000-0000-0000-0000-000000000001';
+  const USER_2 = '00000000-0000-0000-0000-000000000002';
+  let db;
+
+  before(async () => {
+    db = await createDatabase();
+    const seed = createSeed();
+    await db.query('INSERT INTO auth.users (id) VALUES ($1), ($2)', [USER_1, USER_2]);
+    await insertRows(db, 'roads', seed.roads);
+    await insertRows(db, 'road_ratings', seed.road_ratings);
+    await insertRows(db, 'road_reports', seed.road_reports);
+  });
+
+  after(() => db.close());
+
+  test('claim_device_rows refuses a device that is already linked', async () => {
+    const { rows: [claimed] } = await db.query('SELECT * FROM claim_device_rows($1, $2)', [USER_1, 'device-a']);
+    assert.equal(claimed.claimed_roads, 1);
+
+    for (const userId of [USER_1, USER_2]) {
+      await assert.rejects(
+        db.query('SELECT * FROM claim_device_rows($1, $2)', [userId, 'device-a']),
+        (err) => err.code === '23505'
+      );
+    }
+    const { rows } = await db.query("SELECT user_id FROM account_devices WHERE device_id = 'device-a'");
+    assert.deepEqual(rows, [{ user_id: USER_1 }]);
+  });
+
+  for (const role of ['anon', 'authenticated']) {
+    test(`${role} can read everything but device_id`, async () => {
+      await db.exec(`SET ROLE ${role}`);
+      try {
+        for (const table of ['roads', 'road_ratings', 'road_reports', 'road_listings']) {
+          await assert.rejects(db.query(`SELECT device_id FROM ${table}`), /permission denied/, table);
+          await assert.rejects(db.query(`SELECT * FROM ${table}`), /permission denied/, table);
+        }
+        const { rows } = await db.query('SELECT id, name, warnings, closed FROM road_listings ORDER BY id');
+        assert.deepEqual(rows.map((row) => row.name), ['Hill Road', 'River Road', 'Valley Lane']);
+        assert.equal((await db.query('SELECT id, comment FROM road_ratings')).rows.length, 4);
+      } finally {
+        await db.exec('RESET ROLE');
+      }
+    });
+  }
+});
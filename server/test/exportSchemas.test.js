@@ -0,0 +1,250 @@
+/**
+ * Exported files must open in sat-navs and route planners, so each format is
+ * checked against its schema: the GPX 1.1 and KML 2.2 content models of the
+ * elements RoadRank writes, and the GeoJSON rules of RFC 7946. Warnings in
+ * every format are the unexpired ones only.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DOMParser } = require('@xmldom/xmldom');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { scores, createSeed } = require('./helpers/fixtures');
+
+const GPX_NS = 'http://www.topografix.com/GPX/1/1';
+const KML_NS = 'http://www.opengis.net/kml/2.2';
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+const anyText = () => true;
+const nonEmpty = (value) => typeof value === 'string' && value.trim() !== '';
+const decimalIn = (min, max, { maxExclusive = false } = {}) => (value) => (
+  /^-?\d+(\.\d+)?$/.test(value ?? '')
+  && Number(value) >= min
+  && (maxExclusive ? Number(value) < max : Number(value) <= max)
+);
+const isDateTime = (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value);
+
+// Child elements in schema order as [name, minOccurs, maxOccurs], or text for simple types
+const GPX_SCHEMA = {
+  gpx: {
+    attributes: { version: (value) => value === '1.1', creator: nonEmpty },
+    children: [['metadata', 0, 1], ['wpt', 0, Infinity], ['rte', 0, Infinity], ['trk', 0, Infinity], ['extensions', 0, 1]],
+  },
+  metadata: {
+    children: [
+      ['name', 0, 1], ['desc', 0, 1], ['author', 0, 1], ['copyright', 0, 1], ['link', 0, Infinity],
+      ['time', 0, 1], ['keywords', 0, 1], ['bounds', 0, 1], ['extensions', 0, 1],
+    ],
+  },
+  trk: {
+    children: [
+      ['name', 0, 1], ['cmt', 0, 1], ['desc', 0, 1], ['src', 0, 1], ['link', 0, Infinity],
+      ['number', 0, 1], ['type', 0, 1], ['extensions', 0, 1], ['trkseg', 0, Infinity],
+    ],
+  },
+  trkseg: { children: [['trkpt', 0, Infinity], ['extensions', 0, 1]] },
+  trkpt: {
+    attributes: { lat: decimalIn(-90, 90), lon: decimalIn(-180, 180, { maxExclusive: true }) },
+    children: [],
+  },
+  name: { text: anyText },
+  desc: { text: anyText },
+  src: { text: anyText },
+  time: { text: isDateTime },
+};
+
+const KML_SCHEMA = {
+  kml: { children: [['NetworkLinkControl', 0, 1], ['Document', 0, 1]] },
+  Document: { children: [['name', 0, 1], ['description', 0, 1], ['ExtendedData', 0, 1], ['Placemark', 0, Infinity]] },
+  Placemark: { children: [['name', 0, 1], ['description', 0, 1], ['ExtendedData', 0, 1], ['LineString', 0, 1]] },
+  ExtendedData: { children: [['Data', 0, Infinity]] },
+  Data: { attributes: { name: nonEmpty }, children: [['displayName', 0, 1], ['value', 1, 1]] },
+  LineString: { children: [['extrude', 0, 1], ['tessellate', 0, 1], ['altitudeMode', 0, 1], ['coordinates', 0, 1]] },
+  name: { text: anyText },
+  description: { text: anyText },
+  value: { text: anyText },
+  tessellate: { text: (value) => ['0', '1', 'true', 'false'].includes(value) },
+  // Space-separated lon,lat[,alt] tuples
+  coordinates: {
+    text: (value) => value.trim().split(/\s+/).every((tuple) => {
+      const [lng, lat, ...rest] = tuple.split(',');
+      return decimalIn(-180, 180)(lng) && decimalIn(-90, 90)(lat) && rest.length <= 1;
+    }),
+  },
+};
+
+/**
+ * Parse an XML document, failing on anything a strict parser would reject.
+ * @returns {Document}
+ */
+const parseXml = (xml) => {
+  const problems = [];
+  const document = new DOMParser({ onError: (level, message) => problems.push(`${level}: ${message}`) })
+    .parseFromString(xml, 'text/xml');
+  assert.deepEqual(problems, []);
+  return document;
+};
+
+/**
+ * Everything about an element and its descendants that the schema does not allow.
+ * @returns {Array<string>}
+ */
+const schemaProblems = (element, namespace, schema, path = element.localName) => {
+  const rule = schema[element.localName];
+  if (element.namespaceURI !== namespace) return [`${path}: in namespace ${element.namespaceURI}`];
+  if (!rule) return [`${path}: not allowed`];
+
+  const problems = Object.entries(rule.attributes || {})
+    .filter(([name, valid]) => !valid(element.getAttribute(name)))
+    .map(([name]) => `${path}@${name}: ${JSON.stringify(element.getAttribute(name))}`);
+  const nodes = Array.from(element.childNodes);
+  const children = nodes.filter((node) => node.nodeType === ELEMENT_NODE);
+
+  if (rule.text) {
+    if (children.length > 0) problems.push(`${path}: holds elements`);
+    if (!rule.text(element.textContent)) problems.push(`${path}: ${JSON.stringify(element.textContent)}`);
+    return problems;
+  }
+
+  if (nodes.some((node) => node.nodeType === TEXT_NODE && node.data.trim() !== '')) {
+    problems.push(`${path}: holds text`);
+  }
+  let index = 0;
+  rule.children.forEach(([name, min, max]) => {
+    let count = 0;
+    while (index < children.length && children[index].localName === name && count < max) {
+      count += 1;
+      index += 1;
+    }
+    if (count < min) problems.push(`${path}: missing ${name}`);
+  });
+  if (index < children.length) problems.push(`${path}: ${children[index].localName} out of order`);
+
+  return children.reduce(
+    (found, child, position) => [...found, ...schemaProblems(child, namespace, schema, `${path}/${child.localName}[${position}]`)],
+    problems
+  );
+};
+
+const isPosition = (position) => Array.isArray(position)
+  && (position.length === 2 || position.length === 3)
+  && position.every(Number.isFinite)
+  && position[0] >= -180 && position[0] <= 180
+  && position[1] >= -90 && position[1] <= 90;
+
+/**
+ * Everything about a GeoJSON text that RFC 7946 does not allow, for the
+ * object types RoadRank writes.
+ * @returns {Array<string>}
+ */
+const geoJsonProblems = (text) => {
+  const collection = JSON.parse(text);
+  const problems = [];
+  if (collection.type !== 'FeatureCollection') problems.push(`type: ${collection.type}`);
+  if ('crs' in collection) problems.push('crs is not part of RFC 7946');
+  if (!Array.isArray(collection.features)) return [...problems, 'features: not an array'];
+
+  collection.features.forEach((feature, index) => {
+    const path = `features[${index}]`;
+    if (feature.type !== 'Feature') problems.push(`${path}.type: ${feature.type}`);
+    if ('id' in feature && !['string', 'number'].includes(typeof feature.id)) problems.push(`${path}.id: ${feature.id}`);
+    if (!('properties' in feature) || (feature.properties !== null && typeof feature.properties !== 'object')) {
+      problems.push(`${path}.properties: ${feature.properties}`);
+    }
+    const { geometry } = feature;
+    if (geometry?.type !== 'LineString') {
+      problems.push(`${path}.geometry.type: ${geometry?.type}`);
+    } else if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length < 2 || !geometry.coordinates.every(isPosition)) {
+      problems.push(`${path}.geometry.coordinates: ${JSON.stringify(geometry.coordinates)}`);
+    }
+  });
+  return problems;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The fixtures plus a road on the antimeridian with a name full of markup,
+// a fresh potholes warning on Hill Road and long-expired gravel on River Road
+const exportSeed = () => {
+  const seed = createSeed();
+  seed.roads.push({
+    id: 4,
+    path: [{ lat: -16.5, lng: 179.99 }, { lat: -16.49, lng: 180 }],
+    name: 'Fish & Chips <Run> "Côte\u0001" 🏍',
+    device_id: 'device-c',
+    user_id: null,
+    created_at: '2025-01-04T10:00:00.000Z',
+  });
+  seed.road_ratings[0] = { ...seed.road_ratings[0], updated_at: new Date(Date.now() - 10 * DAY_MS).toISOString() };
+  seed.road_ratings.push({ id: 5, road_id: '4', ...scores(4), warnings: null, device_id: 'device-c', user_id: null, hidden: false });
+  return seed;
+};
+
+const exportOf = async (url) => {
+  const call = createCaller(createFakeSupabase(exportSeed()));
+  const { status, body } = await call('GET', url);
+  assert.equal(status, 200);
+  return body;
+};
+
+for (const url of ['/api/roads/export?format=gpx', '/api/roads/1/export?format=gpx', '/api/roads/4/export']) {
+  test(`${url} is valid GPX 1.1`, async () => {
+    const { documentElement } = parseXml(await exportOf(url));
+    assert.deepEqual(schemaProblems(documentElement, GPX_NS, GPX_SCHEMA), []);
+  });
+}
+
+for (const url of ['/api/roads/export?format=kml', '/api/roads/4/export?format=kml']) {
+  test(`${url} is valid KML 2.2`, async () => {
+    const { documentElement } = parseXml(await exportOf(url));
+    assert.deepEqual(schemaProblems(documentElement, KML_NS, KML_SCHEMA), []);
+  });
+}
+
+for (const url of ['/api/roads/export?format=geojson', '/api/roads/4/export?format=geojson']) {
+  test(`${url} is valid GeoJSON`, async () => {
+    assert.deepEqual(geoJsonProblems(await exportOf(url)), []);
+  });
+}
+
+test('the checks catch what a sat-nav would reject', () => {
+  const gpx = parseXml(`<gpx version="1.1" creator="RoadRank" xmlns="${GPX_NS}"><trk><trkseg><trkpt lat="51.5" lon="180"/></trkseg><name>Late</name></trk></gpx>`);
+  const kml = parseXml(`<kml xmlns="${KML_NS}"><Document><Placemark><LineString><coordinates>-0.1,51.5 0,91</coordinates></LineString></Placemark></Document></kml>`);
+
+  assert.deepEqual(schemaProblems(gpx.documentElement, GPX_NS, GPX_SCHEMA), [
+    'gpx/trk[0]: name out of order',
+    'gpx/trk[0]/trkseg[0]/trkpt[0]@lon: "180"',
+  ]);
+  assert.deepEqual(schemaProblems(kml.documentElement, KML_NS, KML_SCHEMA), [
+    'kml/Document[0]/Placemark[0]/LineString[0]/coordinates[0]: "-0.1,51.5 0,91"',
+  ]);
+  assert.throws(() => parseXml('<gpx><trk></gpx>'));
+  assert.deepEqual(geoJsonProblems('{"type":"FeatureCollection","features":[{"type":"Feature","geometry":{"type":"LineString","coordinates":[[0,95],[0,1]]}}]}'), [
+    'features[0].properties: undefined',
+    'features[0].geometry.coordinates: [[0,95],[0,1]]',
+  ]);
+});
+
+test('every format lists unexpired warnings only', async () => {
+  const gpx = parseXml(await exportOf('/api/roads/export?format=gpx'));
+  const descriptions = Object.fromEntries(Array.from(gpx.getElementsByTagName('trk')).map((track) => [
+    track.getElementsByTagName('name')[0].textContent,
+    track.getElementsByTagName('desc')[0].textContent,
+  ]));
+  assert.match(descriptions['Hill Road'], /Warnings: Potholes\.$/);
+  assert.doesNotMatch(descriptions['River Road'], /Warnings|Gravel/);
+
+  const kml = parseXml(await exportOf('/api/roads/export?format=kml'));
+  const kmlWarnings = Object.fromEntries(Array.from(kml.getElementsByTagName('Placemark')).map((placemark) => [
+    placemark.getElementsByTagName('name')[0].textContent,
+    Array.from(placemark.getElementsByTagName('Data')).find((data) => data.getAttribute('name') === 'warnings').textContent,
+  ]));
+  assert.equal(kmlWarnings['Hill Road'], 'potholes');
+  assert.equal(kmlWarnings['River Road'], '');
+
+  const { features } = JSON.parse(await exportOf('/api/roads/export?format=geojson'));
+  const geoJsonWarnings = Object.fromEntries(features.map((feature) => [feature.properties.name, feature.properties.warnings]));
+  assert.deepEqual(geoJsonWarnings['Hill Road'], ['potholes']);
+  assert.deepEqual(geoJsonWarnings['River Road'], []);
+});
@@ -0,0 +1,165 @@
+/**
+ * Run requests through both runtime adapters: the Express app the way
+ * index.js builds it, over a real socket, and the Vercel handler with the
+ * request and response objects Vercel's Node runtime passes it. Each
+ * adapter gets its own fake database from the same seed, so a sequence of
+ * requests leaves both in the same state.
+ */
+const express = require('express');
+const cors = require('cors');
+const { createRoutes } = require('../../lib/routes');
+const { MAX_BODY_BYTES, mountExpress, createVercelHandler } = require('../../lib/adapters');
+const { createMemoryStore } = require('../../lib/rateLimit');
+const { createFakeSupabase } = require('./fakeSupabase');
+
+const ADMIN_TOKEN = 'admin-secret';
+
+const startExpress = (routes) => new Promise((resolve) => {
+  const app = express();
+  app.use(cors({ origin: '*' }));
+  app.use(express.json({ limit: MAX_BODY_BYTES }));
+  mountExpress(app, routes);
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const responseBody = (contentType, text) => (
+  /json/.test(contentType || '') && text ? JSON.parse(text) : text
+);
+
+// Headers a route set, as listed in Access-Control-Expose-Headers, plus Content-Type
+const routeHeaders = (get) => {
+  const exposed = (get('access-control-expose-headers') || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  return Object.fromEntries(['content-type', ...exposed].map((name) => [name, get(name) ?? null]));
+};
+
+const lowerCaseHeaders = (headers) => Object.fromEntries(
+  Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+);
+
+const callExpress = async (baseUrl, { method = 'GET', path, headers = {}, body, rawBody }) => {
+  const payload = rawBody !== undefined ? rawBody : body !== undefined ? JSON.stringify(body) : undefined;
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: payload !== undefined ? { 'content-type': 'application/json', ...lowerCaseHeaders(headers) } : headers,
+    body: payload,
+  });
+  const text = await response.text();
+  const result = {
+    status: response.status,
+    headers: routeHeaders((name) => response.headers.get(name)),
+  };
+  return { ...result, body: responseBody(result.headers['content-type'], text) };
+};
+
+// Vercel's req.body parses JSON lazily and throws when it is malformed; other content types come through as text
+const vercelRequest = ({ method = 'GET', path, headers = {}, body, rawBody }) => {
+  const payload = rawBody !== undefined ? rawBody : body !== undefined ? JSON.stringify(body) : undefined;
+  const lowerHeaders = lowerCaseHeaders(headers);
+  if (payload !== undefined) {
+    lowerHeaders['content-type'] = lowerHeaders['content-type'] || 'application/json';
+    lowerHeaders['content-length'] = String(Buffer.byteLength(payload));
+  }
+  return {
+    method,
+    url: path,
+    headers: lowerHeaders,
+    socket: { remoteAddress: '127.0.0.1' },
+    get body() {
+      if (payload === undefined || payload === '') return undefined;
+      if (!/^application\/json\b/i.test(lowerHeaders['content-type'])) return payload;
+      try {
+        return JSON.parse(payload);
+      } catch {
+        throw new Error('Invalid JSON');
+      }
+    },
+  };
+};
+
+const vercelResponse = () => {
+  const headers = {};
+  let statusCode = 200;
+  let text = '';
+  let finished;
+  const done = new Promise((resolve) => {
+    finished = resolve;
+  });
+
+  const res = {
+    setHeader(name, value) {
+      headers[name.toLowerCase()] = String(value);
+      return res;
+    },
+    getHeader: (name) => headers[name.toLowerCase()],
+    status(code) {
+      statusCode = code;
+      return res;
+    },
+    json(value) {
+      headers['content-type'] = 'application/json; charset=utf-8';
+      return res.end(JSON.stringify(value));
+    },
+    send(value) {
+      if (typeof value !== 'string') return res.json(value);
+      headers['content-type'] = headers['content-type'] || 'text/html; charset=utf-8';
+      return res.end(value);
+    },
+    end(value = '') {
+      text = value;
+      finished();
+      return res;
+    },
+  };
+
+  return {
+    res,
+    result: async () => {
+      await done;
+      const result = { status: statusCode, headers: routeHeaders((name) => headers[name]) };
+      return { ...result, body: responseBody(result.headers['content-type'], text) };
+    },
+  };
+};
+
+const callVercel = async (handler, request) => {
+  const { res, result } = vercelResponse();
+  await handler(vercelRequest(request), res);
+  return result();
+};
+
+/**
+ * Start both adapters over fake databases seeded alike.
+ * @param {object} [seed] - Initial rows by table name
+ * @param {object} [options] - Passed to createFakeSupabase
+ * @returns {Promise<{ express: Function, vercel: Function, fakes: object, close: Function }>}
+ *   express and vercel take { method, path, headers, body, rawBody } and resolve to { status, headers, body }
+ */
+const startAdapters = async (seed = {}, options = {}) => {
+  const fakes = {
+    express: createFakeSupabase(seed, options),
+    vercel: createFakeSupabase(seed, options),
+  };
+  const routesFor = (supabase) => createRoutes(supabase, {
+    adminToken: ADMIN_TOKEN,
+    rateLimitStore: createMemoryStore(),
+  });
+
+  const server = await startExpress(routesFor(fakes.express));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const vercelHandler = createVercelHandler(routesFor(fakes.vercel));
+
+  return {
+    fakes,
+    express: (request) => callExpress(baseUrl, request),
+    vercel: (request) => callVercel(vercelHandler, request),
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    }),
+  };
+};
+
+module.exports = { ADMIN_TOKEN, startAdapters };
@@ -0,0 +1,58 @@
+/**
+ * A throwaway Postgres (PGlite, in process) with db/init.sql applied, for
+ * tests of the SQL functions, triggers and policies themselves.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const INIT_SQL = path.join(__dirname, '../../db/init.sql');
+
+// What Supabase provides before init.sql runs
+const SUPABASE_BOOTSTRAP = `
+  CREATE SCHEMA auth;
+  CREATE TABLE auth.users (id UUID PRIMARY KEY);
+  CREATE FUNCTION auth.uid() RETURNS UUID LANGUAGE sql STABLE
+    AS $$ SELECT NULLIF(current_setting('request.jwt.claim.sub', true), '')::UUID $$;
+  CREATE ROLE anon;
+  CREATE ROLE authenticated;
+  CREATE ROLE service_role;
+  GRANT USAGE ON SCHEMA public TO anon, authenticated, service_role;
+  ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON TABLES TO anon, authenticated, service_role;
+`;
+
+/**
+ * @returns {Promise<import('@electric-sql/pglite').PGlite>}
+ */
+const createDatabase = async () => {
+  const { PGlite } = await import('@electric-sql/pglite');
+  const db = new PGlite();
+  await db.exec(SUPABASE_BOOTSTRAP);
+  await db.exec(fs.readFileSync(INIT_SQL, 'utf8'));
+  return db;
+};
+
+// Objects and arrays of objects go in as JSONB; arrays of strings as TEXT[]
+const toParameter = (value) => (
+  value !== null && typeof value === 'object' && !(Array.isArray(value) && value.every((item) => typeof item === 'string'))
+    ? JSON.stringify(value)
+    : value
+);
+
+/**
+ * Insert fixture rows (e.g. from ./fixtures) as they are, ids included,
+ * then move the table's id sequence past them.
+ */
+const insertRows = async (db, table, rows) => {
+  for (const row of rows) {
+    const columns = Object.keys(row);
+    await db.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})`,
+      columns.map((column) => toParameter(row[column]))
+    );
+  }
+  if (rows.some((row) => row.id !== undefined)) {
+    await db.query(`SELECT setval(pg_get_serial_sequence('${table}', 'id'), (SELECT MAX(id) FROM ${table}))`);
+  }
+};
+
+module.exports = { createDatabase, insertRows };
@@ -0,0 +1,599 @@
+/**
+ * In-memory stand-in for the Supabase client, for route tests. It keeps
+ * tables as arrays and mirrors what the schema in db/init.sql does around
+ * them: the road_listings and rating_priors views, the bounds, summary,
+ * updated_at and cascade triggers, unique constraints and the RPCs the
+ * routes call. Query builders support the PostgREST filters the routes use.
+ */
+const { SCORE_FIELDS } = require('../../lib/ratings');
+const { distanceToPath } = require('../../lib/geo');
+const { DEFAULT_WEIGHTS } = require('../../lib/ranking');
+const { rankingScore } = require('./ranking');
+const { warningReports } = require('../../lib/freshness');
+const { UNIQUE_VIOLATION } = require('../../lib/postgres');
+
+const UNIQUE_KEYS = {
+  idempotency_keys: [['key']],
+  road_ratings: [['road_id', 'device_id'], ['road_id', 'user_id']],
+  road_report_votes: [['report_id', 'device_id']],
+  rating_flags: [['rating_id', 'device_id']],
+  road_rating_summaries: [['road_id']],
+  account_devices: [['device_id']],
+};
+
+// Columns filled in on insert when not given
+const DEFAULTS = {
+  roads: (now) => ({ name: null, device_id: null, user_id: null, created_at: now }),
+  road_ratings: (now) => ({
+    comment: null,
+    warnings: null,
+    warning_locations: null,
+    device_id: null,
+    user_id: null,
+    hidden: false,
+    created_at: now,
+    updated_at: now,
+  }),
+  road_reports: (now) => ({ note: null, cleared_at: null, device_id: null, user_id: null, starts_at: now, created_at: now }),
+  road_report_votes: (now) => ({ created_at: now }),
+  rating_flags: (now) => ({ reason: null, resolved_at: null, created_at: now }),
+  rides: (now) => ({ device_id: null, user_id: null, created_at: now }),
+  idempotency_keys: (now) => ({ request_hash: null, status: null, body: null, headers: null, created_at: now }),
+};
+
+// Tables whose rows have no SERIAL id
+const NO_ID = new Set(['idempotency_keys', 'road_report_votes', 'rating_flags', 'road_rating_summaries', 'account_devices', 'warning_types']);
+
+const CLOSING_REPORT_TYPES = ['closure', 'landslip'];
+
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const average = (rows, field) => (
+  rows.length > 0 ? rows.reduce((total, row) => total + row[field], 0) / rows.length : null
+);
+
+// PostgREST compares in the column's type; numbers and ISO timestamps both order correctly like this
+const compareValues = (a, b) => {
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+};
+
+const OPERATORS = {
+  eq: (value, target) => value !== null && value !== undefined && String(value) === String(target),
+  neq: (value, target) => value !== null && value !== undefined && String(value) !== String(target),
+  gt: (value, target) => value !== null && value !== undefined && compareValues(value, target) > 0,
+  gte: (value, target) => value !== null && value !== undefined && compareValues(value, target) >= 0,
+  lt: (value, target) => value !== null && value !== undefined && compareValues(value, target) < 0,
+  lte: (value, target) => value !== null && value !== undefined && compareValues(value, target) <= 0,
+  is: (value, target) => (value ?? null) === target,
+};
+
+// Split on commas that are not inside parentheses or quotes
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+const parseFilterValue = (raw) => {
+  if (raw === 'null') return null;
+  if (raw.startsWith('"') && raw.endsWith('"')) return JSON.parse(raw);
+  return raw;
+};
+
+/**
+ * Compile a PostgREST logic filter such as `a.gt.1,and(a.eq.1,id.gt.2)`
+ * (the body of .or()) into a row predicate.
+ */
+const compileLogic = (text, combine) => {
+  const terms = splitTopLevel(text).map((term) => {
+    const nested = /^(and|or)\((.*)\)$/.exec(term);
+    if (nested) return compileLogic(nested[2], nested[1]);
+
+    const [column, op, ...rest] = term.split('.');
+    const target = parseFilterValue(rest.join('.'));
+    return (row) => OPERATORS[op](row[column], target);
+  });
+  return combine === 'and'
+    ? (row) => terms.every((test) => test(row))
+    : (row) => terms.some((test) => test(row));
+};
+
+// select('id, name') keeps only those columns; '*' or no argument keeps all
+const project = (row, columns) => {
+  if (!columns || columns.trim() === '*') return row;
+  const names = columns.split(',').map((name) => name.trim()).filter(Boolean);
+  if (names.includes('*')) return row;
+  return Object.fromEntries(names.map((name) => [name, row[name] ?? null]));
+};
+
+/**
+ * @param {object} [seed] - Initial rows by table name
+ * @param {object} [options]
+ * @param {() => Date} [options.now] - Clock for defaults and triggers; fixed in contract tests
+ * @param {object} [options.rpcs] - Extra or replacement RPC implementations, (args, fake) => { data, error }
+ * @param {number} [options.maxRows] - Cap on rows per read, like PostgREST's db-max-rows
+ */
+const createFakeSupabase = (seed = {}, { now = () => new Date(), rpcs: extraRpcs = {}, maxRows = null } = {}) => {
+  const db = copy(seed);
+  const nextIds = {};
+  const failures = [];
+  let queries = 0;
+
+  const table = (name) => {
+    db[name] = db[name] || [];
+    return db[name];
+  };
+
+  const nextId = (name) => {
+    if (nextIds[name] === undefined) {
+      nextIds[name] = table(name).reduce((max, row) => Math.max(max, Number(row.id) || 0), 0);
+    }
+    nextIds[name] += 1;
+    return nextIds[name];
+  };
+
+  // One-shot failure for the next matching query, to exercise error paths
+  const takeFailure = (target, op) => {
+    const index = failures.findIndex((failure) => failure.target === target && (!failure.op || failure.op === op));
+    if (index === -1) return null;
+    return failures.splice(index, 1)[0].error;
+  };
+
+  const refreshSummary = (roadId) => {
+    const summaries = table('road_rating_summaries');
+    const ratings = table('road_ratings').filter((rating) => String(rating.road_id) === String(roadId) && !rating.hidden);
+    const index = summaries.findIndex((summary) => String(summary.road_id) === String(roadId));
+    const summary = {
+      road_id: String(roadId),
+      rating_count: ratings.length,
+      ...Object.fromEntries(SCORE_FIELDS.map((field) => [`avg_${field}`, average(ratings, field)])),
+      avg_overall: ratings.length > 0
+        ? SCORE_FIELDS.reduce((total, field) => total + average(ratings, field), 0) / SCORE_FIELDS.length
+        : null,
+      updated_at: now().toISOString(),
+    };
+    if (index === -1) summaries.push(summary);
+    else summaries[index] = summary;
+  };
+
+  const setBounds = (road) => {
+    const points = Array.isArray(road.path) ? road.path : [];
+    if (points.length === 0) return;
+    Object.assign(road, {
+      min_lat: Math.min(...points.map((point) => point.lat)),
+      min_lng: Math.min(...points.map((point) => point.lng)),
+      max_lat: Math.max(...points.map((point) => point.lat)),
+      max_lng: Math.max(...points.map((point) => point.lng)),
+    });
+  };
+
+  // AFTER triggers: summaries follow ratings; deleting a road deletes what hangs off it
+  const afterWrite = (name, op, rows) => {
+    if (name === 'road_ratings') {
+      new Set(rows.map((row) => String(row.road_id))).forEach(refreshSummary);
+    }
+    if (name === 'roads' && op === 'delete') {
+      const roadIds = new Set(rows.map((row) => String(row.id)));
+      const keep = (row) => !roadIds.has(String(row.road_id));
+      db.road_ratings = table('road_ratings').filter(keep);
+      db.road_rating_summaries = table('road_rating_summaries').filter(keep);
+      db.road_reports = table('road_reports').filter(keep);
+    }
+  };
+
+  const violatesUnique = (name, row, ignore = null) => (UNIQUE_KEYS[name] || []).some((columns) => (
+    columns.every((column) => row[column] !== null && row[column] !== undefined) &&
+    table(name).some((existing) => existing !== ignore && columns.every((column) => String(existing[column]) === String(row[column])))
+  ));
+
+  const insertRows = (name, rows) => {
+    const stamp = now().toISOString();
+    const prepared = rows.map((row) => {
+      const full = { ...(DEFAULTS[name] ? DEFAULTS[name](stamp) : {}), ...copy(row) };
+      if (!NO_ID.has(name) && full.id === undefined) full.id = nextId(name);
+      if (name === 'roads' || name === 'rides') setBounds(full);
+      return full;
+    });
+
+    const pending = [];
+    for (const row of prepared) {
+      if (violatesUnique(name, row) || pending.some((other) => (UNIQUE_KEYS[name] || []).some((columns) => (
+        columns.every((column) => row[column] !== null && row[column] !== undefined && String(other[column]) === String(row[column]))
+      )))) {
+        return { error: { code: UNIQUE_VIOLATION, message: `duplicate key value violates unique constraint on ${name}` } };
+      }
+      pending.push(row);
+    }
+
+    table(name).push(...pending);
+    afterWrite(name, 'insert', pending);
+    return { rows: pending };
+  };
+
+  const updateRows = (name, rows, patch) => {
+    for (const row of rows) {
+      const next = { ...row, ...copy(patch) };
+      if (violatesUnique(name, next, row)) {
+        return { error: { code: UNIQUE_VIOLATION, message: `duplicate key value violates unique constraint on ${name}` } };
+      }
+    }
+    const stamp = now().toISOString();
+    rows.forEach((row) => {
+      const before = { ...row };
+      Object.assign(row, copy(patch));
+      if (name === 'roads' && patch.path) setBounds(row);
+      // trg_road_ratings_updated_at: hiding and claiming are not re-submissions
+      if (name === 'road_ratings' && row.hidden === before.hidden && row.user_id === before.user_id) {
+        row.updated_at = stamp;
+      }
+    });
+    afterWrite(name, 'update', rows);
+    return { rows };
+  };
+
+  const deleteRows = (name, rows) => {
+    db[name] = table(name).filter((row) => !rows.includes(row));
+    afterWrite(name, 'delete', rows);
+    return { rows };
+  };
+
+  // Views are rebuilt from the tables whenever they are read
+  const views = {
+    road_listings: () => {
+      const stamp = now().toISOString();
+      return table('roads').map((road) => {
+        const summary = table('road_rating_summaries').find((row) => String(row.road_id) === String(road.id)) || {};
+        return {
+          ...road,
+          rating_count: summary.rating_count || 0,
+          ...Object.fromEntries(['overall', ...SCORE_FIELDS].map((field) => [`avg_${field}`, summary[`avg_${field}`] ?? null])),
+          // active_road_warnings: unexpired warnings on visible ratings
+          warnings: warningReports(
+            table('road_ratings').filter((rating) => String(rating.road_id) === String(road.id) && !rating.hidden),
+            now().getTime()
+          ).map((report) => report.type).sort(),
+          closed: table('road_reports').some((report) => (
+            String(report.road_id) === String(road.id) &&
+            CLOSING_REPORT_TYPES.includes(report.type) &&
+            !report.cleared_at &&
+            report.starts_at <= stamp &&
+            report.expires_at > stamp
+          )),
+        };
+      });
+    },
+    rating_priors: () => {
+      const ratings = table('road_ratings').filter((rating) => !rating.hidden);
+      return [{
+        rating_count: ratings.length,
+        ...Object.fromEntries(SCORE_FIELDS.map((field) => [`avg_${field}`, average(ratings, field)])),
+      }];
+    },
+  };
+
+  /**
+   * A thenable query builder. `source` produces the rows to filter, or a
+   * complete { data, error } result for writes and scalar RPCs.
+   */
+  const createBuilder = (target, source) => {
+    const state = {
+      op: 'select',
+      filters: [],
+      orders: [],
+      limit: null,
+      columns: null,
+      returning: false,
+      single: false,
+      maybeSingle: false,
+    };
+
+    const run = () => {
+      queries++;
+      const injected = takeFailure(target, state.op);
+      if (injected) return { data: null, error: injected };
+
+      const matches = (row) => state.filters.every((test) => test(row));
+      let rows;
+
+      if (state.op === 'select') {
+        const sourced = source();
+        if (sourced.error || !Array.isArray(sourced.data)) return sourced;
+        rows = sourced.data.filter(matches);
+      } else if (state.op === 'insert' || state.op === 'upsert') {
+        const result = state.op === 'insert' ? insertRows(target, state.rows) : upsertRows(target, state.rows, state.upsert);
+        if (result.error) return { data: null, error: result.error };
+        rows = result.rows;
+      } else {
+        const targetRows = table(target).filter(matches);
+        const result = state.op === 'update' ? updateRows(target, targetRows, state.patch) : deleteRows(target, targetRows);
+        if (result.error) return { data: null, error: result.error };
+        rows = result.rows;
+      }
+
+      if (state.op !== 'select' && !state.returning) {
+        return { data: null, error: null };
+      }
+
+      state.orders.slice().reverse().forEach(({ column, ascending, nullsFirst }) => {
+        rows = [...rows].sort((a, b) => {
+          const av = a[column] ?? null;
+          const bv = b[column] ?? null;
+          if (av === null || bv === null) {
+            if (av === bv) return 0;
+            return (av === null) === nullsFirst ? -1 : 1;
+          }
+          return compareValues(av, bv) * (ascending ? 1 : -1);
+        });
+      });
+      if (state.limit !== null) rows = rows.slice(0, state.limit);
+      if (maxRows !== null && state.op === 'select') rows = rows.slice(0, maxRows);
+      rows = rows.map((row) => project(copy(row), state.columns));
+
+      if (state.single) {
+        return rows.length === 1
+          ? { data: rows[0], error: null }
+          : { data: null, error: { code: 'PGRST116', message: `Expected 1 row, got ${rows.length}` } };
+      }
+      if (state.maybeSingle) {
+        return rows.length <= 1
+          ? { data: rows[0] || null, error: null }
+          : { data: null, error: { code: 'PGRST116', message: `Expected at most 1 row, got ${rows.length}` } };
+      }
+      return { data: rows, error: null };
+    };
+
+    const filter = (test) => {
+      state.filters.push(test);
+      return builder;
+    };
+
+    const builder = {
+      select(columns) {
+        state.columns = columns || null;
+        if (state.op !== 'select') state.returning = true;
+        return builder;
+      },
+      insert(rows) {
+        Object.assign(state, { op: 'insert', rows: [].concat(rows) });
+        return builder;
+      },
+      upsert(rows, options = {}) {
+        Object.assign(state, { op: 'upsert', rows: [].concat(rows), upsert: options });
+        return builder;
+      },
+      update(patch) {
+        Object.assign(state, { op: 'update', patch });
+        return builder;
+      },
+      delete() {
+        state.op = 'delete';
+        return builder;
+      },
+      eq: (column, value) => filter((row) => OPERATORS.eq(row[column], value)),
+      neq: (column, value) => filter((row) => OPERATORS.neq(row[column], value)),
+      gt: (column, value) => filter((row) => OPERATORS.gt(row[column], value)),
+      gte: (column, value) => filter((row) => OPERATORS.gte(row[column], value)),
+      lt: (column, value) => filter((row) => OPERATORS.lt(row[column], value)),
+      lte: (column, value) => filter((row) => OPERATORS.lte(row[column], value)),
+      is: (column, value) => filter((row) => OPERATORS.is(row[column], value)),
+      in: (column, values) => filter((row) => values.map(String).includes(String(row[column]))),
+      contains: (column, values) => filter((row) => Array.isArray(row[column]) && values.every((value) => row[column].includes(value))),
+      not(column, op, value) {
+        if (op === 'is') return filter((row) => !OPERATORS.is(row[column], value));
+        if (op === 'ov') {
+          const excluded = String(value).replace(/^\{|\}$/g, '').split(',');
+          return filter((row) => !(row[column] || []).some((item) => excluded.includes(item)));
+        }
+        return filter((row) => !OPERATORS[op](row[column], value));
+      },
+      or: (logic) => filter(compileLogic(logic, 'or')),
+      order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+        state.orders.push({ column, ascending, nullsFirst });
+        return builder;
+      },
+      limit(count) {
+        state.limit = count;
+        return builder;
+      },
+      single() {
+        state.single = true;
+        return builder;
+      },
+      maybeSingle() {
+        state.maybeSingle = true;
+        return builder;
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(run).then(resolve, reject);
+      },
+    };
+    return builder;
+  };
+
+  function upsertRows(name, rows, { onConflict, ignoreDuplicates = false }) {
+    const columns = onConflict.split(',');
+    const inserted = [];
+    for (const row of rows) {
+      const existing = table(name).find((current) => columns.every((column) => String(current[column]) === String(row[column])));
+      if (existing) {
+        if (!ignoreDuplicates) {
+          const result = updateRows(name, [existing], row);
+          if (result.error) return result;
+          inserted.push(existing);
+        }
+        continue;
+      }
+      const result = insertRows(name, [row]);
+      if (result.error) return result;
+      inserted.push(...result.rows);
+    }
+    return { rows: inserted };
+  }
+
+  const from = (name) => createBuilder(name, () => ({
+    data: views[name] ? views[name]() : table(name),
+    error: null,
+  }));
+
+  // Run fn as one transaction: any error restores every table as it was
+  const transaction = (fn) => {
+    const snapshot = copy(db);
+    const result = fn();
+    if (result.error) {
+      Object.keys(db).forEach((name) => delete db[name]);
+      Object.assign(db, snapshot);
+    }
+    return result;
+  };
+
+  const claimDeviceRows = ({ p_user_id: userId, p_device_id: deviceId }) => transaction(() => {
+    const links = table('account_devices');
+    if (links.some((row) => row.device_id === deviceId)) {
+      return { data: null, error: { code: UNIQUE_VIOLATION, message: `Device ${deviceId} is already linked to an account` } };
+    }
+    links.push({ device_id: deviceId, user_id: userId, claimed_at: now().toISOString() });
+
+    const ratings = table('road_ratings');
+    const stale = ratings.filter((rating) => rating.device_id === deviceId && !rating.user_id).flatMap((deviceRating) => {
+      const accountRating = ratings.find((rating) => rating.user_id === userId && String(rating.road_id) === String(deviceRating.road_id));
+      if (!accountRating) return [];
+      return [deviceRating.updated_at > accountRating.updated_at ? accountRating : deviceRating];
+    });
+    if (stale.length > 0) deleteRows('road_ratings', stale);
+
+    const claim = (name) => {
+      const rows = table(name).filter((row) => row.device_id === deviceId && !row.user_id);
+      updateRows(name, rows, { user_id: userId });
+      return rows.length;
+    };
+    return {
+      data: [{
+        claimed_roads: claim('roads'),
+        claimed_ratings: claim('road_ratings'),
+        claimed_reports: claim('road_reports'),
+        claimed_rides: claim('rides'),
+      }],
+      error: null,
+    };
+  });
+
+  const createRoadWithRating = (args) => transaction(() => {
+    const road = insertRows('roads', [{ path: args.p_path, name: args.p_name, device_id: args.p_device_id, user_id: args.p_user_id ?? null }]);
+    if (road.error) return { data: null, error: road.error };
+
+    const injected = takeFailure('road_ratings', 'insert');
+    const rating = injected ? { error: injected } : insertRows('road_ratings', [{
+      road_id: String(road.rows[0].id),
+      twistiness: args.p_twistiness,
+      surface_condition: args.p_surface_condition,
+      fun_factor: args.p_fun_factor,
+      scenery: args.p_scenery,
+      visibility: args.p_visibility,
+      comment: args.p_comment,
+      warnings: args.p_warnings,
+      warning_locations: args.p_warning_locations,
+      device_id: args.p_device_id,
+      user_id: args.p_user_id ?? null,
+    }]);
+    if (rating.error) return { data: null, error: rating.error };
+
+    return { data: copy(road.rows[0]), error: null };
+  });
+
+  const hitRateLimit = ({ p_key: key, p_window_seconds: windowSeconds }) => {
+    const windowStart = Math.floor(now().getTime() / 1000 / windowSeconds) * windowSeconds;
+    const counters = table('rate_limits');
+    let counter = counters.find((row) => row.key === key && row.window_start === windowStart);
+    if (!counter) {
+      counter = { key, window_start: windowStart, count: 0 };
+      counters.push(counter);
+    }
+    counter.count += 1;
+    return {
+      data: [{ hits: counter.count, reset_at: new Date((windowStart + windowSeconds) * 1000).toISOString() }],
+      error: null,
+    };
+  };
+
+  const searchRoadListings = ({ p_weights: weights = {}, p_near_lat: lat = null, p_near_lng: lng = null }) => {
+    const [priors] = views.rating_priors();
+    const near = lat !== null && lng !== null ? { lat, lng } : null;
+    return {
+      data: views.road_listings().map((row) => ({
+        ...row,
+        score: rankingScore(row, priors, { ...DEFAULT_WEIGHTS, ...weights }),
+        distance: near ? distanceToPath(near, row.path) : null,
+      })),
+      error: null,
+    };
+  };
+
+  const rpcs = {
+    claim_device_rows: claimDeviceRows,
+    create_road_with_rating: createRoadWithRating,
+    hit_rate_limit: hitRateLimit,
+    search_road_listings: searchRoadListings,
+  };
+
+  // Seeded rows get what the triggers would have given them
+  ['roads', 'rides'].forEach((name) => table(name).forEach((row) => {
+    if (row.min_lat === undefined) setBounds(row);
+  }));
+  new Set(table('road_ratings').map((rating) => String(rating.road_id))).forEach(refreshSummary);
+
+  const fake = {
+    db,
+    from,
+    rpc: (name, args = {}) => createBuilder(name, () => {
+      const implementation = extraRpcs[name] || rpcs[name];
+      if (!implementation) {
+        return { data: null, error: { code: 'PGRST202', message: `Could not find the function ${name}` } };
+      }
+      return implementation(args, fake);
+    }),
+    auth: {
+      // Tokens of the form "user-<id>" belong to user <id>; anything else is rejected
+      async getUser(token) {
+        queries++;
+        const match = /^user-(.+)$/.exec(token);
+        return match
+          ? { data: { user: { id: match[1], email: `${match[1]}@example.com` } }, error: null }
+          : { data: { user: null }, error: { message: 'invalid JWT' } };
+      },
+    },
+    /**
+     * Make the next query against a table or RPC fail.
+     * @param {string} target - Table, view or RPC name
+     * @param {object} [options]
+     * @param {string} [options.op] - Only fail this operation (select, insert, update, delete, upsert)
+     * @param {object} [options.error]
+     */
+    failNext(target, { op = null, error = { message: `simulated ${target} failure` } } = {}) {
+      failures.push({ target, op, error });
+    },
+    get queries() {
+      return queries;
+    },
+    resetQueries() {
+      queries = 0;
+    },
+  };
+  return fake;
+};
+
+module.exports = { createFakeSupabase };
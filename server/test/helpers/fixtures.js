@@ -0,0 +1,119 @@
+/**
+ * A small map for route tests: two roads near London and one in the
+ * Midlands, their ratings, an open roadworks report, a flagged rating and a
+ * recorded ride. Timestamps are fixed in the past so they never look fresh.
+ */
+
+const WARNING_TYPES = [
+  { key: 'speed_camera', label: 'Speed Cameras', icon: '📷', sort_order: 10, active: true },
+  { key: 'potholes', label: 'Potholes', icon: '⚠️', sort_order: 20, active: true },
+  { key: 'gravel', label: 'Gravel', icon: '🪨', sort_order: 40, active: true },
+  { key: 'closure', label: 'Closures', icon: '⛔', sort_order: 80, active: false },
+];
+
+const HILL_ROAD = [
+  { lat: 51.5, lng: -0.1 },
+  { lat: 51.505, lng: -0.1 },
+  { lat: 51.51, lng: -0.1 },
+];
+
+const RIVER_ROAD = [
+  { lat: 51.52, lng: -0.12 },
+  { lat: 51.525, lng: -0.125 },
+  { lat: 51.53, lng: -0.13 },
+];
+
+const VALLEY_LANE = [
+  { lat: 52.4, lng: -1.5 },
+  { lat: 52.41, lng: -1.51 },
+];
+
+const scores = (score) => ({
+  twistiness: score,
+  surface_condition: score,
+  fun_factor: score,
+  scenery: score,
+  visibility: score,
+});
+
+const rating = (id, roadId, deviceId, score, fields = {}) => ({
+  id,
+  road_id: String(roadId),
+  ...scores(score),
+  comment: null,
+  warnings: null,
+  warning_locations: null,
+  device_id: deviceId,
+  user_id: null,
+  hidden: false,
+  created_at: '2025-03-01T10:00:00.000Z',
+  updated_at: '2025-03-01T10:00:00.000Z',
+  ...fields,
+});
+
+// A ride along Hill Road, one point every 10 seconds
+const RIDE_POINTS = HILL_ROAD.map((point, index) => ({
+  ...point,
+  time: Date.parse('2025-04-01T09:00:00.000Z') + index * 10000,
+  speed: 12,
+  altitude: null,
+  accuracy: 5,
+  lean: null,
+}));
+
+const createSeed = () => ({
+  warning_types: WARNING_TYPES,
+  roads: [
+    { id: 1, path: HILL_ROAD, name: 'Hill Road', device_id: 'device-a', user_id: null, created_at: '2025-01-01T10:00:00.000Z' },
+    { id: 2, path: RIVER_ROAD, name: 'River Road', device_id: 'device-b', user_id: null, created_at: '2025-01-02T10:00:00.000Z' },
+    { id: 3, path: VALLEY_LANE, name: 'Valley Lane', device_id: 'device-b', user_id: null, created_at: '2025-01-03T10:00:00.000Z' },
+  ],
+  road_ratings: [
+    rating(1, 1, 'device-a', 4, { comment: 'Original submission', warnings: ['potholes'] }),
+    rating(2, 1, 'device-b', 3),
+    rating(3, 2, 'device-b', 5, { warnings: ['gravel'] }),
+    rating(4, 3, 'device-b', 2),
+  ],
+  road_reports: [
+    {
+      id: 1,
+      road_id: '1',
+      type: 'roadworks',
+      note: 'Lane closed',
+      starts_at: '2025-01-01T00:00:00.000Z',
+      expires_at: '2099-01-01T00:00:00.000Z',
+      cleared_at: null,
+      device_id: 'device-b',
+      user_id: null,
+      created_at: '2025-01-01T00:00:00.000Z',
+    },
+  ],
+  road_report_votes: [],
+  rating_flags: [
+    { rating_id: 2, device_id: 'device-c', reason: 'spam', created_at: '2025-03-02T10:00:00.000Z', resolved_at: null },
+  ],
+  rides: [
+    {
+      id: 1,
+      points: RIDE_POINTS,
+      point_count: RIDE_POINTS.length,
+      stats: { distance_km: 1.11 },
+      started_at: '2025-04-01T09:00:00.000Z',
+      ended_at: '2025-04-01T09:00:20.000Z',
+      device_id: 'device-a',
+      user_id: null,
+      created_at: '2025-04-01T09:05:00.000Z',
+    },
+  ],
+  account_devices: [],
+  idempotency_keys: [],
+});
+
+module.exports = {
+  HILL_ROAD,
+  RIVER_ROAD,
+  VALLEY_LANE,
+  RIDE_POINTS,
+  scores,
+  createSeed,
+};
@@ -0,0 +1,46 @@
+/**
+ * The ranking score of search_road_listings (db/init.sql) in JavaScript, for
+ * the fake database and for checking the SQL against. Each category average
+ * is shrunk toward the site-wide mean (a Bayesian average), then the
+ * categories are combined with the requested weights.
+ */
+const { SCORE_FIELDS } = require('../../lib/ratings');
+const { DEFAULT_WEIGHTS } = require('../../lib/ranking');
+
+// How many ratings' worth of confidence the prior carries
+const PRIOR_WEIGHT = 5;
+// Used for a category before anything has been rated at all
+const FALLBACK_PRIOR = 3;
+
+/**
+ * Average of `count` ratings with mean `mean`, blended with `priorWeight`
+ * virtual ratings at `priorMean`.
+ */
+const bayesianAverage = (mean, count, priorMean, priorWeight = PRIOR_WEIGHT) => (
+  (priorWeight * priorMean + count * mean) / (priorWeight + count)
+);
+
+/**
+ * Ranking score for one road_listings row, or null when the road is unrated.
+ * @param {object} row - Row with rating_count and avg_<field> columns
+ * @param {object} priors - Site-wide avg_<field> means (rating_priors view)
+ * @param {object} weights - Weight per score field
+ */
+const rankingScore = (row, priors, weights = DEFAULT_WEIGHTS) => {
+  const count = row.rating_count || 0;
+  if (count === 0) return null;
+
+  let weighted = 0;
+  let totalWeight = 0;
+  SCORE_FIELDS.forEach((field) => {
+    const mean = row[`avg_${field}`];
+    if (mean === null || mean === undefined) return;
+    const prior = priors?.[`avg_${field}`] ?? FALLBACK_PRIOR;
+    weighted += weights[field] * bayesianAverage(mean, count, prior);
+    totalWeight += weights[field];
+  });
+
+  return totalWeight > 0 ? weighted / totalWeight : null;
+};
+
+module.exports = { rankingScore };
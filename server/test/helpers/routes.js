@@ -0,0 +1,32 @@
+/**
+ * Call the route table directly, without an HTTP adapter, for tests that
+ * are about what a handler does rather than how a runtime carries it.
+ */
+const { createRoutes } = require('../../lib/routes');
+const { parseQuery, resolveRoute } = require('../../lib/adapters');
+const { createMemoryStore } = require('../../lib/rateLimit');
+
+/**
+ * @param {object} supabase - A fake from ./fakeSupabase
+ * @param {object} [options] - Passed to createRoutes
+ * @returns {(method: string, url: string, request?: { headers?: object, body?: object }) => Promise<{ status: number, body: any, headers?: object }>}
+ */
+const createCaller = (supabase, options = {}) => {
+  const routes = createRoutes(supabase, { rateLimitStore: createMemoryStore(), ...options });
+
+  return async (method, url, { headers = {}, body = {} } = {}) => {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    const resolved = resolveRoute(routes, method, pathname);
+    if (!resolved.route) return resolved;
+
+    return resolved.route.handler({
+      params: resolved.params,
+      query: parseQuery(searchParams),
+      body,
+      headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+      ip: '127.0.0.1',
+    });
+  };
+};
+
+module.exports = { createCaller };
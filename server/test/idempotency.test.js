@@ -0,0 +1,111 @@
+/**
+ * An Idempotency-Key replays a response only for the same route and caller,
+ * and only once the request has succeeded.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createIdempotency } = require('../lib/idempotency');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { scores, createSeed } = require('./helpers/fixtures');
+
+const NEW_ROAD = [
+  { lat: 53.0, lng: -2.0 },
+  { lat: 53.01, lng: -2.01 },
+];
+
+const withKey = (key, headers = {}) => ({ 'Idempotency-Key': key, ...headers });
+
+test('the same key from another device is a new request', async () => {
+  const supabase = createFakeSupabase(createSeed());
+  const call = createCaller(supabase);
+  const body = { ...scores(4), comment: 'Fresh tarmac' };
+
+  const first = await call('POST', '/api/roads/2/ratings', { headers: withKey('k1', { 'X-Device-Id': 'device-c' }), body });
+  const second = await call('POST', '/api/roads/2/ratings', { headers: withKey('k1', { 'X-Device-Id': 'device-d' }), body });
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.equal(second.headers?.['Idempotent-Replayed'], undefined);
+  assert.notEqual(second.body.rating.id, first.body.rating.id);
+});
+
+test('the same key sent to another route is a new request', async () => {
+  const call = createCaller(createFakeSupabase(createSeed()));
+  const headers = withKey('k1', { 'X-Device-Id': 'device-c' });
+
+  const rating = await call('POST', '/api/roads/2/ratings', { headers, body: scores(4) });
+  const report = await call('POST', '/api/roads/2/reports', { headers, body: { type: 'flooding' } });
+
+  assert.equal(rating.status, 200);
+  assert.equal(report.status, 200);
+  assert.equal(report.body.report.type, 'flooding');
+});
+
+test('a signed-in account keeps its keys across devices', async () => {
+  const call = createCaller(createFakeSupabase(createSeed()));
+  const body = { path: NEW_ROAD, name: 'Moor Road', ...scores(4) };
+
+  const first = await call('POST', '/api/roads', {
+    headers: withKey('k1', { 'X-Device-Id': 'phone', Authorization: 'Bearer user-u1' }),
+    body,
+  });
+  const retry = await call('POST', '/api/roads', {
+    headers: withKey('k1', { 'X-Device-Id': 'laptop', Authorization: 'Bearer user-u1' }),
+    body,
+  });
+
+  assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+  assert.deepEqual(retry.body, first.body);
+});
+
+test('a refused request is not stored, so the corrected retry runs', async () => {
+  const supabase = createFakeSupabase(createSeed());
+  const call = createCaller(supabase);
+  const headers = withKey('k1', { 'X-Device-Id': 'device-c' });
+
+  const refused = await call('POST', '/api/roads/2/ratings', { headers, body: { ...scores(4), scenery: 6 } });
+  assert.equal(refused.status, 400);
+  assert.equal(supabase.db.idempotency_keys.length, 0);
+
+  const corrected = await call('POST', '/api/roads/2/ratings', { headers, body: scores(4) });
+  assert.equal(corrected.status, 200);
+  assert.equal(corrected.headers?.['Idempotent-Replayed'], undefined);
+});
+
+test('a replay carries the headers of the first response', async () => {
+  const supabase = createFakeSupabase({ idempotency_keys: [] });
+  let runs = 0;
+  const handler = async () => {
+    runs += 1;
+    return { status: 201, body: { id: runs }, headers: { Location: '/things/1' } };
+  };
+  const idempotent = createIdempotency(supabase, { owner: async () => 'device:device-a' });
+  const request = { params: {}, body: { name: 'thing' }, headers: { 'idempotency-key': 'k1' } };
+
+  const first = await idempotent('things', handler)(request);
+  const replay = await idempotent('things', handler)(request);
+
+  assert.equal(runs, 1);
+  assert.equal(replay.status, 201);
+  assert.deepEqual(replay.body, first.body);
+  assert.deepEqual(replay.headers, { Location: '/things/1', 'Idempotent-Replayed': 'true' });
+});
+
+test('a caller that cannot be identified is not given a stored response', async () => {
+  const supabase = createFakeSupabase({ idempotency_keys: [] });
+  let runs = 0;
+  const handler = async () => {
+    runs += 1;
+    return { status: 401, body: { error: 'Session expired' }, headers: { 'WWW-Authenticate': 'Bearer' } };
+  };
+  const idempotent = createIdempotency(supabase, { owner: async () => null });
+  const request = { params: {}, body: {}, headers: { 'idempotency-key': 'k1' } };
+
+  const first = await idempotent('things', handler)(request);
+  await idempotent('things', handler)(request);
+
+  assert.equal(runs, 2);
+  assert.equal(first.headers['WWW-Authenticate'], 'Bearer');
+  assert.equal(supabase.db.idempotency_keys.length, 0);
+});
@@ -0,0 +1,181 @@
+/**
+ * sort=score and sort=distance are ordered and limited by the database
+ * (search_road_listings), so they rank every matching road even when
+ * PostgREST caps how many rows one read returns.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { distanceToPath } = require('../lib/geo');
+const { parseWeights } = require('../lib/ranking');
+const { createDatabase, insertRows } = require('./helpers/database');
+const { rankingScore } = require('./helpers/ranking');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { scores, createSeed } = require('./helpers/fixtures');
+
+// Road n (1 to 8) runs north from 51.0n and has n ratings of 5; Dull Lane
+// (9) has ten ratings of 1. Best first by score: 8, 7, ... 1, then 9.
+const rankedSeed = () => {
+  const roads = Array.from({ length: 9 }, (_, index) => ({
+    id: index + 1,
+    path: [{ lat: 51 + index * 0.1, lng: -1 }, { lat: 51.01 + index * 0.1, lng: -1 }],
+    name: index === 8 ? 'Dull Lane' : `Road ${index + 1}`,
+    device_id: 'device-a',
+    user_id: null,
+    created_at: new Date(Date.UTC(2025, 0, 1 + index)).toISOString(),
+  }));
+  const ratingsFor = (roadId, count, score) => Array.from({ length: count }, (_, index) => ({
+    road_id: String(roadId),
+    ...scores(score),
+    device_id: `device-${roadId}-${index}`,
+    user_id: null,
+    hidden: false,
+    created_at: '2025-03-01T10:00:00.000Z',
+    updated_at: '2025-03-01T10:00:00.000Z',
+  }));
+  const ratings = [...roads.slice(0, 8).flatMap((road) => ratingsFor(road.id, road.id, 5)), ...ratingsFor(9, 10, 1)];
+  return { roads, road_ratings: ratings.map((rating, index) => ({ id: index + 1, ...rating })) };
+};
+
+const BY_SCORE = [8, 7, 6, 5, 4, 3, 2, 1, 9];
+
+// Follow X-Next-Cursor through every page, collecting road ids
+const collectIds = async (call, url, headers = {}) => {
+  const ids = [];
+  let cursor = null;
+  do {
+    const separator = url.includes('?') ? '&' : '?';
+    const { status, body, headers: responseHeaders } = await call(
+      'GET',
+      cursor ? `${url}${separator}cursor=${cursor}` : url,
+      { headers }
+    );
+    assert.equal(status, 200);
+    ids.push(...body.map((road) => road.id));
+    cursor = responseHeaders?.['X-Next-Cursor'] || null;
+  } while (cursor);
+  return ids;
+};
+
+test('sort=score ranks every road although a read returns at most 3 rows', async () => {
+  const call = createCaller(createFakeSupabase(rankedSeed(), { maxRows: 3 }));
+
+  assert.deepEqual(await collectIds(call, '/api/roads?sort=score&limit=2'), BY_SCORE);
+  assert.deepEqual(await collectIds(call, '/api/roads?sort=score&order=asc&limit=2'), [...BY_SCORE].reverse());
+});
+
+test('sort=distance ranks every road in the radius although a read returns at most 3 rows', async () => {
+  const call = createCaller(createFakeSupabase(rankedSeed(), { maxRows: 3 }));
+
+  // Standing at the north end, Dull Lane is closest and Road 1 furthest
+  assert.deepEqual(await collectIds(call, '/api/roads?near=51.81,-1&radius_km=100&limit=2'), [9, 8, 7, 6, 5, 4, 3, 2, 1]);
+  assert.deepEqual(await collectIds(call, '/api/roads?near=51.81,-1&radius_km=25&limit=2'), [9, 8, 7]);
+});
+
+test('my roads sorted by score are ranked by the database too', async () => {
+  const call = createCaller(createFakeSupabase(rankedSeed(), { maxRows: 3 }));
+
+  assert.deepEqual(await collectIds(call, '/api/me/roads?sort=score&limit=2', { 'X-Device-Id': 'device-a' }), BY_SCORE);
+});
+
+test('ranking_score and distance_km are only sent when asked for', async () => {
+  const call = createCaller(createFakeSupabase(rankedSeed()));
+
+  const [plain] = (await call('GET', '/api/roads?limit=1')).body;
+  const [ranked] = (await call('GET', '/api/roads?sort=score&limit=1')).body;
+  const [near] = (await call('GET', '/api/roads?near=51.81,-1&radius_km=5&limit=1')).body;
+
+  assert.ok(!('ranking_score' in plain) && !('distance_km' in plain));
+  assert.equal(typeof ranked.ranking_score, 'number');
+  assert.ok(!('distance_km' in ranked));
+  assert.equal(typeof near.distance_km, 'number');
+  assert.ok(!('ranking_score' in near));
+});
+
+test.describe('search_road_listings in Postgres', () => {
+  let db;
+
+  before(async () => {
+    db = await createDatabase();
+    const seed = createSeed();
+    await insertRows(db, 'roads', [
+      ...seed.roads,
+      { id: 4, path: [{ lat: 51.6, lng: -0.2 }], name: 'Unrated Spur', device_id: 'device-c', user_id: null },
+    ]);
+    await insertRows(db, 'road_ratings', [
+      ...seed.road_ratings,
+      { id: 5, road_id: '2', ...scores(4), scenery: 2, device_id: 'device-c' },
+    ]);
+  });
+
+  after(() => db.close());
+
+  const search = async (weights, near = null) => {
+    const { rows } = await db.query(
+      'SELECT * FROM search_road_listings($1::JSONB, $2, $3) ORDER BY id',
+      [JSON.stringify(weights), near?.lat ?? null, near?.lng ?? null]
+    );
+    return rows;
+  };
+
+  test('scores roads as rankingScore does', async () => {
+    const { rows: [priors] } = await db.query('SELECT * FROM rating_priors');
+
+    for (const query of [undefined, 'twistiness:3', 'scenery:0,visibility:10']) {
+      const { weights } = parseWeights(query);
+      const rows = await search(weights);
+      assert.equal(rows.length, 4);
+      rows.forEach((row) => {
+        const expected = rankingScore(row, priors, weights);
+        if (expected === null) {
+          assert.equal(row.score, null, `road ${row.id}`);
+        } else {
+          assert.ok(Math.abs(row.score - expected) < 1e-9, `road ${row.id}: ${row.score} != ${expected}`);
+        }
+      });
+    }
+  });
+
+  test('measures distance as distanceToPath does', async () => {
+    const near = { lat: 51.515, lng: -0.11 };
+    const rows = await search({}, near);
+
+    rows.forEach((row) => {
+      assert.ok(Math.abs(row.distance - distanceToPath(near, row.path)) < 1e-6, `road ${row.id}`);
+    });
+    assert.ok(rows.every((row) => row.distance !== null));
+    assert.ok((await search({})).every((row) => row.distance === null));
+  });
+
+  test('orders and limits by score in the query', async () => {
+    const { rows } = await db.query(`
+      SELECT id FROM search_road_listings('{}'::JSONB)
+      ORDER BY score DESC NULLS LAST, id DESC
+      LIMIT 3
+    `);
+    assert.deepEqual(rows.map((row) => row.id), [2, 1, 3]);
+  });
+});
+
+test('a tampered cursor is refused instead of reaching the filter', async () => {
+  const call = createCaller(createFakeSupabase(rankedSeed()));
+  const cursorOf = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const tampered = [
+    { k: 'avg_overall', v: 1, id: '0),id.gt.0' },
+    { k: 'avg_overall', v: '1),id.gt.(0', id: 3 },
+    { k: 'avg_overall', v: { eq: 1 }, id: 3 },
+    { k: 'avg_overall', v: 1, id: [3] },
+    { k: 'created_at', v: '2025-01-01,id.gt.0', id: 3 },
+  ];
+
+  for (const cursor of tampered) {
+    const sort = cursor.k;
+    for (const url of [`/api/roads?sort=${sort}`, `/api/me/roads?sort=${sort}`]) {
+      const { status } = await call('GET', `${url}&cursor=${cursorOf(cursor)}`, { headers: { 'X-Device-Id': 'device-a' } });
+      assert.equal(status, 400, `${url} ${JSON.stringify(cursor)}`);
+    }
+  }
+
+  const { headers } = await call('GET', '/api/roads?sort=created_at&limit=2');
+  assert.equal((await call('GET', `/api/roads?sort=created_at&limit=2&cursor=${headers['X-Next-Cursor']}`)).status, 200);
+});
@@ -0,0 +1,114 @@
+/**
+ * Malformed submissions are refused with the same structured error through
+ * the Express server and the Vercel handler, and nothing is written.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_BODY_BYTES } = require('../lib/adapters');
+const { startAdapters } = require('./helpers/adapters');
+const { HILL_ROAD, scores, createSeed } = require('./helpers/fixtures');
+
+const NEW_ROAD = [
+  { lat: 53.0, lng: -2.0 },
+  { lat: 53.01, lng: -2.01 },
+];
+
+const road = (fields = {}) => ({ path: NEW_ROAD, name: 'Moor Road', ...scores(4), ...fields });
+
+// 0.01° of latitude is about 1.1 km, so this is about 22 km long
+const TOO_LONG = Array.from({ length: 21 }, (_, index) => ({ lat: 53 + index * 0.01, lng: -2 }));
+
+const INVALID_JSON = { status: 400, message: 'Request body must be valid JSON.' };
+
+// [description, request, expected status, fields expected in `errors`]
+const CASES = [
+  ['truncated JSON', { path: '/api/roads', rawBody: '{"path": [' }, INVALID_JSON],
+  ['JSON with a trailing comma', { path: '/api/roads/1/ratings', rawBody: '{"twistiness": 4,}' }, INVALID_JSON],
+  ['a bare JSON string', { path: '/api/roads', rawBody: '"road"' }, INVALID_JSON],
+  ['JSON null', { path: '/api/roads/1/reports', rawBody: 'null' }, INVALID_JSON],
+  ['an empty object', { path: '/api/roads', body: {} }, { status: 400, fields: ['path', 'twistiness', 'surface_condition', 'fun_factor', 'scenery', 'visibility'] }],
+  ['an array body', { path: '/api/roads', body: [road()] }, { status: 400, fields: ['path', 'twistiness', 'surface_condition', 'fun_factor', 'scenery', 'visibility'] }],
+  ['a path that is a string', { path: '/api/roads', body: road({ path: '53,-2;53.01,-2.01' }) }, { status: 400, fields: ['path'] }],
+  ['a path with one point', { path: '/api/roads', body: road({ path: NEW_ROAD.slice(0, 1) }) }, { status: 400, fields: ['path'] }],
+  ['a path with too many points', { path: '/api/roads', body: road({ path: Array.from({ length: 2001 }, (_, i) => ({ lat: 53 + i * 1e-6, lng: -2 })) }) }, { status: 400, fields: ['path'] }],
+  ['a point without lng', { path: '/api/roads', body: road({ path: [NEW_ROAD[0], { lat: 53.01 }] }) }, { status: 400, fields: ['path[1]'] }],
+  ['a latitude as a string', { path: '/api/roads', body: road({ path: [NEW_ROAD[0], { lat: '53.01', lng: -2.01 }] }) }, { status: 400, fields: ['path[1].lat'] }],
+  ['a latitude out of range', { path: '/api/roads', body: road({ path: [{ lat: 91, lng: -2 }, NEW_ROAD[1]] }) }, { status: 400, fields: ['path[0].lat'] }],
+  ['a longitude out of range', { path: '/api/roads', body: road({ path: [NEW_ROAD[0], { lat: 53.01, lng: 180.5 }] }) }, { status: 400, fields: ['path[1].lng'] }],
+  ['a path that stays on one spot', { path: '/api/roads', body: road({ path: [NEW_ROAD[0], NEW_ROAD[0]] }) }, { status: 400, fields: ['path'] }],
+  ['a road over the length limit', { path: '/api/roads', body: road({ path: TOO_LONG }) }, { status: 400, fields: ['path'] }],
+  ['a score of 0', { path: '/api/roads', body: road({ twistiness: 0 }) }, { status: 400, fields: ['twistiness'] }],
+  ['a score of 6', { path: '/api/roads/1/ratings', body: { ...scores(4), scenery: 6 } }, { status: 400, fields: ['scenery'] }],
+  ['a fractional score', { path: '/api/roads/1/ratings', body: { ...scores(4), fun_factor: 3.5 } }, { status: 400, fields: ['fun_factor'] }],
+  ['a score as an object', { path: '/api/roads', body: road({ visibility: { value: 4 } }) }, { status: 400, fields: ['visibility'] }],
+  ['a name that is a number', { path: '/api/roads', body: road({ name: 42 }) }, { status: 400, fields: ['name'] }],
+  ['a name over 100 characters', { path: '/api/roads', body: road({ name: 'A'.repeat(101) }) }, { status: 400, fields: ['name'] }],
+  ['warnings that are not an array', { path: '/api/roads', body: road({ warnings: 'potholes' }) }, { status: 400, fields: ['warnings'] }],
+  ['a located warning off the map', { path: '/api/roads', body: road({ warnings: [{ type: 'potholes', lat: 95, lng: 0 }] }) }, { status: 400, fields: ['warnings[0]'] }],
+  ['a rating update with a score out of range', { method: 'PATCH', path: '/api/roads/1/ratings/1', headers: { 'X-Device-Id': 'device-a' }, body: { surface_condition: -1 } }, { status: 400, fields: ['surface_condition'] }],
+  ['a road update with a bad path', { method: 'PATCH', path: '/api/roads/1', headers: { 'X-Device-Id': 'device-a' }, body: { path: HILL_ROAD.slice(0, 1) } }, { status: 400, fields: ['path'] }],
+  ['an unknown report type', { path: '/api/roads/1/reports', headers: { 'X-Device-Id': 'device-a' }, body: { type: 'aliens' } }, { status: 400, fields: ['type'] }],
+  ['a report vote that is neither confirm nor clear', { path: '/api/roads/1/reports/1/votes', headers: { 'X-Device-Id': 'device-a' }, body: { vote: 'maybe' } }, { status: 400, fields: ['vote'] }],
+  ['ride points without timestamps', { path: '/api/rides', headers: { 'X-Device-Id': 'device-a' }, body: { points: NEW_ROAD } }, { status: 400, fields: ['points[0].timestamp'] }],
+  ['a duplicate check without a path', { path: '/api/roads/duplicates', body: { path: null } }, { status: 400, fields: ['path'] }],
+];
+
+const WRITE_TABLES = ['roads', 'road_ratings', 'road_reports', 'road_report_votes', 'rides'];
+const rowCounts = (fake) => Object.fromEntries(WRITE_TABLES.map((name) => [name, (fake.db[name] || []).length]));
+
+let adapters;
+
+before(async () => {
+  adapters = await startAdapters(createSeed());
+});
+
+after(() => adapters.close());
+
+CASES.forEach(([description, request, expected]) => {
+  test(`rejects ${description}`, async () => {
+    const call = { method: 'POST', ...request };
+    const fromExpress = await adapters.express(call);
+    const fromVercel = await adapters.vercel(call);
+
+    assert.equal(fromExpress.status, expected.status);
+    assert.deepEqual(fromVercel, fromExpress);
+
+    if (expected.message) {
+      assert.equal(fromExpress.body.message, expected.message);
+    }
+    if (expected.fields) {
+      assert.deepEqual(fromExpress.body.errors.map((error) => error.field), expected.fields);
+      fromExpress.body.errors.forEach((error) => assert.equal(typeof error.message, 'string'));
+    }
+  });
+});
+
+test('rejects a body over the size limit with 413', async () => {
+  const call = {
+    method: 'POST',
+    path: '/api/rides',
+    headers: { 'X-Device-Id': 'device-a' },
+    rawBody: JSON.stringify({ points: [], padding: 'x'.repeat(MAX_BODY_BYTES) }),
+  };
+  const fromExpress = await adapters.express(call);
+  const fromVercel = await adapters.vercel(call);
+
+  assert.equal(fromExpress.status, 413);
+  assert.deepEqual(fromVercel, fromExpress);
+});
+
+test('a body of another content type is ignored, not parsed', async () => {
+  const call = { method: 'POST', path: '/api/roads', headers: { 'Content-Type': 'text/plain' }, rawBody: JSON.stringify(road()) };
+  const fromExpress = await adapters.express(call);
+  const fromVercel = await adapters.vercel(call);
+
+  assert.equal(fromExpress.status, 400);
+  assert.deepEqual(fromVercel, fromExpress);
+});
+
+test('nothing was written by the rejected requests', () => {
+  const seeded = createSeed();
+  const expected = Object.fromEntries(WRITE_TABLES.map((name) => [name, (seeded[name] || []).length]));
+  assert.deepEqual(rowCounts(adapters.fakes.express), expected);
+  assert.deepEqual(rowCounts(adapters.fakes.vercel), expected);
+});
@@ -0,0 +1,144 @@
+/**
+ * Abusive text is refused at submit time; a rating that gets through is
+ * hidden once FLAGS_TO_HIDE devices flag it, until an admin reviews it
+ * through the token-protected /api/admin routes.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FLAGS_TO_HIDE, screenText, isAdminRequest } = require('../lib/moderation');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { HILL_ROAD, scores, createSeed } = require('./helpers/fixtures');
+
+const ADMIN_TOKEN = 'admin-secret';
+const admin = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+const device = (id) => ({ 'X-Device-Id': id });
+
+// Rating 3 is device-b's, on River Road; these devices flag it
+const FLAGGERS = ['device-a', 'device-c', 'device-d', 'device-e'].slice(0, FLAGS_TO_HIDE);
+
+const setup = () => {
+  const supabase = createFakeSupabase(createSeed());
+  return { supabase, call: createCaller(supabase, { adminToken: ADMIN_TOKEN }) };
+};
+
+const flagAll = async (call, devices = FLAGGERS) => {
+  const responses = [];
+  for (const id of devices) {
+    responses.push(await call('POST', '/api/ratings/3/report', { headers: device(id), body: { reason: 'abusive' } }));
+  }
+  return responses;
+};
+
+test('screenText refuses profanity, disguised or not, and spam', () => {
+  assert.equal(screenText('What a shit surface'), 'profanity');
+  assert.equal(screenText('f.u.c.k the potholes'), 'profanity');
+  assert.equal(screenText('Sh1t road'), 'profanity');
+  assert.equal(screenText('Visit www.example.com and cheap.xyz'), 'spam');
+  assert.equal(screenText('Greaaaaaaaaaaat'), 'spam');
+
+  assert.equal(screenText('Cock Bridge to Scunthorpe, see www.example.com'), null);
+  assert.equal(screenText(null), null);
+});
+
+test('abusive text is refused when it is submitted', async () => {
+  const { supabase, call } = setup();
+  const headers = device('device-c');
+
+  const road = await call('POST', '/api/roads', {
+    headers,
+    body: { path: [{ lat: 53, lng: -2 }, { lat: 53.01, lng: -2.01 }], name: 'Wanker Lane', ...scores(3) },
+  });
+  const rating = await call('POST', '/api/roads/2/ratings', { headers, body: { ...scores(3), comment: 'Total b1tch of a road' } });
+  const edit = await call('PATCH', '/api/roads/1/ratings/1', { headers: device('device-a'), body: { comment: 'shit' } });
+
+  assert.equal(road.status, 400);
+  assert.deepEqual(road.body.errors.map((error) => error.field), ['name']);
+  assert.equal(rating.status, 400);
+  assert.deepEqual(rating.body.errors.map((error) => error.field), ['comment']);
+  assert.equal(edit.status, 400);
+  assert.equal(supabase.db.roads.length, 3);
+  assert.equal(supabase.db.road_ratings.length, 4);
+  assert.equal(supabase.db.road_ratings[0].comment, 'Original submission');
+});
+
+test(`a rating is hidden once ${FLAGS_TO_HIDE} devices flag it`, async () => {
+  const { supabase, call } = setup();
+
+  const responses = await flagAll(call);
+
+  assert.deepEqual(responses.map((response) => response.body.hidden), [
+    ...Array(FLAGS_TO_HIDE - 1).fill(false),
+    true,
+  ]);
+  assert.equal(supabase.db.road_ratings.find((rating) => rating.id === 3).hidden, true);
+  const { body } = await call('GET', '/api/roads/2/ratings', { headers: device('device-a') });
+  assert.deepEqual(body.ratings, []);
+});
+
+test('flagging the same rating again from one device counts once', async () => {
+  const { supabase, call } = setup();
+
+  await flagAll(call, Array(FLAGS_TO_HIDE).fill('device-a'));
+
+  assert.equal(supabase.db.rating_flags.filter((flag) => flag.rating_id === 3).length, 1);
+  assert.equal(supabase.db.road_ratings.find((rating) => rating.id === 3).hidden, false);
+});
+
+test('a device cannot flag its own rating', async () => {
+  const { call } = setup();
+  const { status } = await call('POST', '/api/ratings/3/report', { headers: device('device-b'), body: {} });
+  assert.equal(status, 403);
+});
+
+test('isAdminRequest only accepts the configured token', () => {
+  assert.equal(isAdminRequest({ authorization: `Bearer ${ADMIN_TOKEN}` }, ADMIN_TOKEN), true);
+  assert.equal(isAdminRequest({ authorization: `bearer  ${ADMIN_TOKEN} ` }, ADMIN_TOKEN), true);
+  assert.equal(isAdminRequest({ authorization: 'Bearer admin' }, ADMIN_TOKEN), false);
+  assert.equal(isAdminRequest({ authorization: ADMIN_TOKEN }, ADMIN_TOKEN), false);
+  assert.equal(isAdminRequest({}, ADMIN_TOKEN), false);
+  assert.equal(isAdminRequest({ authorization: 'Bearer ' }, undefined), false);
+});
+
+test('admin routes need the admin token, and are off without one', async () => {
+  const { call } = setup();
+  const unconfigured = createCaller(createFakeSupabase(createSeed()));
+
+  for (const [method, path] of [['GET', '/api/admin/ratings'], ['POST', '/api/admin/ratings/3/approve'], ['DELETE', '/api/admin/ratings/3']]) {
+    assert.equal((await call(method, path)).status, 401, path);
+    assert.equal((await call(method, path, { headers: { Authorization: 'Bearer user-u1' } })).status, 401, path);
+    assert.equal((await unconfigured(method, path, { headers: admin })).status, 503, path);
+  }
+});
+
+test('admins see flagged ratings and can approve them', async () => {
+  const { supabase, call } = setup();
+  await flagAll(call);
+
+  const { body } = await call('GET', '/api/admin/ratings', { headers: admin });
+  // Rating 2 has one open flag in the fixtures
+  assert.deepEqual(body.ratings.map((rating) => [rating.id, rating.road_name, rating.flags.length]), [
+    [3, 'River Road', FLAGS_TO_HIDE],
+    [2, 'Hill Road', 1],
+  ]);
+
+  const approved = await call('POST', '/api/admin/ratings/3/approve', { headers: admin });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.rating.hidden, false);
+  assert.ok(supabase.db.rating_flags.filter((flag) => flag.rating_id === 3).every((flag) => flag.resolved_at));
+  assert.deepEqual((await call('GET', '/api/admin/ratings', { headers: admin })).body.ratings.map((rating) => rating.id), [2]);
+
+  // Flags after approval count afresh
+  const [again] = await flagAll(call, ['device-f']);
+  assert.equal(again.body.hidden, false);
+});
+
+test('admins can remove a rating for good', async () => {
+  const { supabase, call } = setup();
+  await flagAll(call);
+
+  assert.equal((await call('DELETE', '/api/admin/ratings/3', { headers: admin })).status, 200);
+  assert.equal((await call('DELETE', '/api/admin/ratings/3', { headers: admin })).status, 404);
+  assert.ok(!supabase.db.road_ratings.some((rating) => rating.id === 3));
+  assert.deepEqual((await call('GET', '/api/roads/1', { headers: device('device-a') })).body.path, HILL_ROAD);
+});
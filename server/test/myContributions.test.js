@@ -0,0 +1,65 @@
+/**
+ * /api/me lists what the caller submitted: the account's rows when signed
+ * in, else the device's anonymous rows. A caller with neither gets 401.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { createSeed } = require('./helpers/fixtures');
+
+const device = (id) => ({ 'X-Device-Id': id });
+
+// device-b's River Road and its rating were claimed by account u1
+const setup = () => {
+  const seed = createSeed();
+  seed.roads[1].user_id = 'u1';
+  seed.road_ratings[2].user_id = 'u1';
+  return createCaller(createFakeSupabase(seed));
+};
+
+test('anonymous callers get 401', async () => {
+  const call = setup();
+
+  for (const path of ['/api/me/roads', '/api/me/ratings']) {
+    const { status, body } = await call('GET', path);
+    assert.equal(status, 401, path);
+    assert.equal(body.error, 'X-Device-Id header is required');
+    assert.equal((await call('GET', `${path}?device_id=device-a`)).status, 200, path);
+    assert.equal((await call('GET', path, { headers: { Authorization: 'Bearer expired' } })).status, 401, path);
+  }
+});
+
+test('a device sees only its own anonymous roads and ratings', async () => {
+  const call = setup();
+
+  const roads = await call('GET', '/api/me/roads', { headers: device('device-b') });
+  const ratings = await call('GET', '/api/me/ratings', { headers: device('device-b') });
+
+  // River Road and rating 3 now belong to the account, not the device
+  assert.deepEqual(roads.body.map((road) => road.name), ['Valley Lane']);
+  assert.ok(roads.body.every((road) => road.is_own));
+  // Newest first, each with the road it rates
+  assert.deepEqual(ratings.body.ratings.map((rating) => [rating.id, rating.road.name]), [[2, 'Hill Road'], [4, 'Valley Lane']]);
+  assert.ok(ratings.body.ratings.every((rating) => rating.is_own));
+});
+
+test('a signed-in caller sees the account\'s rows from any device', async () => {
+  const call = setup();
+  const headers = { ...device('laptop'), Authorization: 'Bearer user-u1' };
+
+  const roads = await call('GET', '/api/me/roads', { headers });
+  const ratings = await call('GET', '/api/me/ratings', { headers });
+
+  assert.deepEqual(roads.body.map((road) => road.name), ['River Road']);
+  assert.deepEqual(ratings.body.ratings.map((rating) => rating.id), [3]);
+  assert.deepEqual((await call('GET', '/api/me/roads', { headers: { Authorization: 'Bearer user-u2' } })).body, []);
+});
+
+test('/api/me/roads takes the /api/roads listing params and refuses bad ones', async () => {
+  const call = setup();
+
+  const { body } = await call('GET', '/api/me/roads?sort=created_at&limit=1', { headers: device('device-a') });
+  assert.deepEqual(body.map((road) => road.name), ['Hill Road']);
+  assert.equal((await call('GET', '/api/me/roads?sort=nonsense', { headers: device('device-a') })).status, 400);
+});
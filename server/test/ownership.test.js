@@ -0,0 +1,133 @@
+/**
+ * The device id that submitted a road or rating is what lets an anonymous
+ * client change it, so responses never carry device or account ids; they say
+ * whether a row is the caller's with is_own instead.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { HILL_ROAD, RIDE_POINTS, scores, createSeed } = require('./helpers/fixtures');
+
+const device = (id) => ({ 'X-Device-Id': id });
+
+// Every key anywhere in a response body
+const keysOf = (value) => {
+  if (Array.isArray(value)) return value.flatMap(keysOf);
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => [key, ...keysOf(item)]);
+  }
+  return [];
+};
+
+const setup = () => {
+  const seed = createSeed();
+  seed.roads[1].user_id = 'u1';
+  seed.road_ratings[2].user_id = 'u1';
+  return createCaller(createFakeSupabase(seed));
+};
+
+test('no response carries device_id or user_id', async () => {
+  const call = setup();
+  const responses = [
+    await call('GET', '/api/roads', { headers: device('device-a') }),
+    await call('GET', '/api/roads?near=51.5,-0.1&radius_km=10', { headers: device('device-a') }),
+    await call('GET', '/api/roads/1', { headers: device('device-a') }),
+    await call('GET', '/api/roads/1/ratings', { headers: device('device-a') }),
+    await call('GET', '/api/roads/1/reports', { headers: device('device-a') }),
+    await call('GET', '/api/me/roads', { headers: device('device-b') }),
+    await call('GET', '/api/me/ratings', { headers: device('device-b') }),
+    await call('GET', '/api/rides/1', { headers: device('device-a') }),
+    await call('GET', '/api/rides/1/segments', { headers: device('device-a') }),
+    await call('POST', '/api/roads/duplicates', { body: { path: HILL_ROAD } }),
+    await call('POST', '/api/roads', { headers: device('device-c'), body: { path: HILL_ROAD, ...scores(3), device_id: 'device-c' } }),
+    await call('POST', '/api/roads', {
+      headers: device('device-c'),
+      body: { path: [{ lat: 53, lng: -2 }, { lat: 53.01, lng: -2.01 }], ...scores(3), device_id: 'device-c' },
+    }),
+    await call('POST', '/api/roads/2/ratings', { headers: device('device-c'), body: { ...scores(2), device_id: 'device-c' } }),
+    await call('PATCH', '/api/roads/1', { headers: device('device-a'), body: { name: 'Hill Road North' } }),
+    await call('PATCH', '/api/roads/1/ratings/1', { headers: device('device-a'), body: { scenery: 5 } }),
+    await call('POST', '/api/rides', {
+      headers: device('device-a'),
+      body: { points: RIDE_POINTS.map(({ lat, lng, time }) => ({ lat, lng, timestamp: time })) },
+    }),
+  ];
+
+  responses.forEach((response) => {
+    assert.ok(response.status < 300 || response.status === 409, `unexpected status ${response.status}`);
+    const keys = keysOf(response.body);
+    assert.ok(!keys.includes('device_id'), 'device_id leaked');
+    assert.ok(!keys.includes('user_id'), 'user_id leaked');
+  });
+});
+
+test('roads are marked is_own for the device or account that owns them', async () => {
+  const call = setup();
+  const isOwn = async (headers) => {
+    const { body } = await call('GET', '/api/roads?sort=created_at&order=asc', { headers });
+    return body.map((road) => road.is_own);
+  };
+
+  assert.deepEqual(await isOwn({}), [false, false, false]);
+  assert.deepEqual(await isOwn(device('device-a')), [true, false, false]);
+  // Road 2 was claimed by account u1, so its device no longer owns it
+  assert.deepEqual(await isOwn(device('device-b')), [false, false, true]);
+  assert.deepEqual(await isOwn({ ...device('device-b'), Authorization: 'Bearer user-u1' }), [false, true, true]);
+});
+
+test('a session that does not verify still reads public listings, as anonymous', async () => {
+  const call = setup();
+  const { status, body } = await call('GET', '/api/roads/1', {
+    headers: { ...device('device-a'), Authorization: 'Bearer expired' },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.is_own, true);
+});
+
+test('ratings and the caller\'s own rating are marked is_own', async () => {
+  const call = setup();
+  const { body } = await call('GET', '/api/roads/1/ratings', { headers: device('device-b') });
+
+  assert.deepEqual(body.ratings.map((rating) => [rating.id, rating.is_own]).sort(), [[1, false], [2, true]]);
+  assert.equal(body.my_rating.id, 2);
+  assert.equal(body.my_rating.is_own, true);
+});
+
+test('rows sent with only X-Device-Id belong to that device', async () => {
+  const supabase = createFakeSupabase(createSeed());
+  const call = createCaller(supabase);
+  const path = [{ lat: 53, lng: -2 }, { lat: 53.01, lng: -2.01 }];
+
+  const road = await call('POST', '/api/roads', { headers: device('device-c'), body: { path, ...scores(3) } });
+  const rating = await call('POST', '/api/roads/2/ratings', { headers: device('device-c'), body: scores(2) });
+
+  assert.equal(road.body.is_own, true);
+  assert.equal(rating.body.rating.is_own, true);
+  assert.equal(supabase.db.roads.find((row) => row.id === road.body.id).device_id, 'device-c');
+  assert.equal(supabase.db.road_ratings.find((row) => row.id === rating.body.rating.id).device_id, 'device-c');
+
+  const again = await call('POST', '/api/roads/2/ratings', { headers: device('device-c'), body: scores(4) });
+  assert.equal(again.body.updated, true);
+  assert.equal(again.body.rating.id, rating.body.rating.id);
+  assert.equal(
+    (await call('PATCH', `/api/roads/${road.body.id}`, { headers: device('device-c'), body: { name: 'Moor Road' } })).status,
+    200
+  );
+});
+
+test('a device_id in the body cannot charge a write to another device', async () => {
+  const supabase = createFakeSupabase(createSeed());
+  const call = createCaller(supabase);
+
+  const { status, body } = await call('POST', '/api/roads/1/ratings', {
+    headers: device('device-c'),
+    body: { ...scores(1), device_id: 'device-a' },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.updated, false);
+  assert.equal(supabase.db.road_ratings.find((row) => row.id === 1).twistiness, 4);
+  assert.equal(supabase.db.road_ratings.find((row) => row.id === body.rating.id).device_id, 'device-c');
+});
@@ -0,0 +1,64 @@
+/**
+ * Listing endpoints read summaries from road_rating_summaries through the
+ * road_listings view, so the number of queries they make must not depend on
+ * how many roads they return.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoutes } = require('../lib/routes');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { scores } = require('./helpers/fixtures');
+
+// N roads in a row along a meridian, each rated once by its own device
+const seedWithRoads = (count) => ({
+  roads: Array.from({ length: count }, (_, index) => ({
+    id: index + 1,
+    path: [{ lat: 51 + index * 0.01, lng: -0.1 }, { lat: 51.005 + index * 0.01, lng: -0.1 }],
+    name: `Road ${index + 1}`,
+    device_id: 'device-a',
+    user_id: null,
+    created_at: new Date(Date.UTC(2025, 0, 1, 0, index)).toISOString(),
+  })),
+  road_ratings: Array.from({ length: count }, (_, index) => ({
+    id: index + 1,
+    road_id: String(index + 1),
+    ...scores((index % 5) + 1),
+    warnings: index % 2 === 0 ? ['potholes'] : null,
+    device_id: 'device-a',
+    user_id: null,
+    hidden: false,
+    created_at: '2025-03-01T10:00:00.000Z',
+    updated_at: '2025-03-01T10:00:00.000Z',
+  })),
+});
+
+const REQUESTS = [
+  { method: 'GET', path: '/api/roads', request: { query: {} } },
+  { method: 'GET', path: '/api/roads', request: { query: { sort: 'score' } } },
+  { method: 'GET', path: '/api/roads', request: { query: { near: '51.1,-0.1', radius_km: '50' } } },
+  { method: 'GET', path: '/api/roads/export', request: { query: { format: 'geojson' } } },
+  { method: 'GET', path: '/api/me/roads', request: { query: {}, headers: { 'x-device-id': 'device-a' } } },
+  { method: 'GET', path: '/api/me/ratings', request: { query: {}, headers: { 'x-device-id': 'device-a' } } },
+];
+
+// Queries one request makes against a database holding `count` roads
+const countQueries = async (count, { method, path, request }) => {
+  const supabase = createFakeSupabase(seedWithRoads(count));
+  const route = createRoutes(supabase).find((candidate) => candidate.method === method && candidate.path === path);
+  const result = await route.handler({ params: {}, body: {}, headers: {}, ...request });
+  assert.equal(result.status, 200);
+  return supabase.queries;
+};
+
+const describeRequest = ({ method, path, request }) => {
+  const search = new URLSearchParams(request.query).toString();
+  return `${method} ${path}${search ? `?${search}` : ''}`;
+};
+
+REQUESTS.forEach((entry) => {
+  test(`${describeRequest(entry)} makes as many queries for 50 roads as for 1`, async () => {
+    const one = await countQueries(1, entry);
+    const fifty = await countQueries(50, entry);
+    assert.equal(fifty, one);
+  });
+});
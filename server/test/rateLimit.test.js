@@ -0,0 +1,113 @@
+/**
+ * Write routes are limited per client IP and per device id, in fixed
+ * windows, with counters in memory or in the rate_limits table. A store that
+ * fails lets requests through rather than taking writes down with it.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RATE_LIMITS, createMemoryStore, createTableStore, createRateLimiter } = require('../lib/rateLimit');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { createSeed } = require('./helpers/fixtures');
+
+const { windowMs, perIp, perDevice } = RATE_LIMITS.roads;
+// The start of a window, so a test's requests all fall inside it
+const WINDOW_START = Math.ceil(Date.UTC(2025, 5, 1) / windowMs) * windowMs;
+
+// A limited handler that counts how often it ran
+const limitedHandler = (store) => {
+  const handler = async () => {
+    handler.runs += 1;
+    return { status: 200, body: {} };
+  };
+  handler.runs = 0;
+  const rateLimited = createRateLimiter(store, { deviceId: (request) => request.headers['x-device-id'] || null });
+  return { handler, limited: rateLimited('roads', handler) };
+};
+
+const requestFrom = (ip, device) => ({ ip, headers: device ? { 'x-device-id': device } : {} });
+
+test('the memory store counts hits per key and starts again each window', async (t) => {
+  let now = WINDOW_START;
+  t.mock.method(Date, 'now', () => now);
+  const store = createMemoryStore();
+
+  assert.deepEqual(await store.hit('a', windowMs), { count: 1, resetAt: WINDOW_START + windowMs });
+  assert.equal((await store.hit('a', windowMs)).count, 2);
+  assert.equal((await store.hit('b', windowMs)).count, 1);
+
+  now = WINDOW_START + windowMs;
+  assert.deepEqual(await store.hit('a', windowMs), { count: 1, resetAt: WINDOW_START + 2 * windowMs });
+});
+
+test(`a device gets 429 with Retry-After after ${perDevice} requests`, async (t) => {
+  t.mock.method(Date, 'now', () => WINDOW_START + 10 * 60 * 1000);
+  const { handler, limited } = limitedHandler(createMemoryStore());
+
+  for (let i = 0; i < perDevice; i++) {
+    assert.equal((await limited(requestFrom('10.0.0.1', 'device-a'))).status, 200);
+  }
+  const refused = await limited(requestFrom('10.0.0.1', 'device-a'));
+
+  assert.equal(refused.status, 429);
+  assert.equal(refused.headers['Retry-After'], String((windowMs - 10 * 60 * 1000) / 1000));
+  assert.equal(refused.body.retry_after, (windowMs - 10 * 60 * 1000) / 1000);
+  assert.equal(handler.runs, perDevice);
+
+  // Another device behind the same address still has its own allowance
+  assert.equal((await limited(requestFrom('10.0.0.1', 'device-b'))).status, 200);
+});
+
+test(`an address gets 429 after ${perIp} requests, whatever device ids it sends`, async (t) => {
+  t.mock.method(Date, 'now', () => WINDOW_START);
+  const { handler, limited } = limitedHandler(createMemoryStore());
+
+  for (let i = 0; i < perIp; i++) {
+    assert.equal((await limited(requestFrom('10.0.0.1', `device-${i}`))).status, 200);
+  }
+
+  assert.equal((await limited(requestFrom('10.0.0.1', 'device-new'))).status, 429);
+  assert.equal((await limited(requestFrom('10.0.0.1'))).status, 429);
+  assert.equal((await limited(requestFrom('10.0.0.2', 'device-new'))).status, 200);
+  assert.equal(handler.runs, perIp + 1);
+});
+
+test('the table store shares counters through hit_rate_limit', async () => {
+  const supabase = createFakeSupabase({ rate_limits: [] });
+  const { limited } = limitedHandler(createTableStore(supabase));
+
+  for (let i = 0; i < perDevice; i++) {
+    await limited(requestFrom(`10.0.0.${i}`, 'device-a'));
+  }
+
+  assert.equal((await limited(requestFrom('10.0.1.1', 'device-a'))).status, 429);
+  assert.equal(supabase.db.rate_limits.find((row) => row.key === 'roads:device:device-a').count, perDevice + 1);
+});
+
+test('a failing store lets the request through', async (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const supabase = createFakeSupabase({}, {
+    rpcs: { hit_rate_limit: () => ({ data: null, error: { message: 'connection refused' } }) },
+  });
+  const { handler, limited } = limitedHandler(createTableStore(supabase));
+
+  assert.equal((await limited(requestFrom('10.0.0.1', 'device-a'))).status, 200);
+  assert.equal(handler.runs, 1);
+  assert.deepEqual(errors.mock.calls[0].arguments, ['Error checking rate limit:', 'connection refused']);
+});
+
+test('POST /api/roads is refused with 429 once a device is over its limit', async () => {
+  const supabase = createFakeSupabase(createSeed());
+  const call = createCaller(supabase);
+  const headers = { 'X-Device-Id': 'device-c' };
+
+  for (let i = 0; i < perDevice; i++) {
+    assert.equal((await call('POST', '/api/roads', { headers, body: {} })).status, 400);
+  }
+  const refused = await call('POST', '/api/roads', { headers, body: {} });
+
+  assert.equal(refused.status, 429);
+  assert.ok(Number(refused.headers['Retry-After']) >= 1);
+  // Other write routes have their own allowance
+  assert.equal((await call('POST', '/api/roads/duplicates', { headers, body: { path: [] } })).status, 400);
+});
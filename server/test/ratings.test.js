@@ -0,0 +1,39 @@
+/**
+ * Ratings hang off a road: listing or submitting them for a road id that is
+ * malformed or does not exist answers 404, and nothing is written.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { scores, createSeed } = require('./helpers/fixtures');
+
+const device = (id) => ({ 'X-Device-Id': id });
+
+const setup = () => {
+  const supabase = createFakeSupabase(createSeed());
+  return { supabase, call: createCaller(supabase) };
+};
+
+test('ratings of a missing or malformed road id are 404', async () => {
+  const { call } = setup();
+
+  for (const id of ['999', 'abc', '1.5']) {
+    const { status, body } = await call('GET', `/api/roads/${id}/ratings`, { headers: device('device-a') });
+    assert.equal(status, 404, id);
+    assert.deepEqual(body, { error: 'Road not found' });
+  }
+});
+
+test('rating a missing or malformed road id is 404 and saves nothing', async () => {
+  const { supabase, call } = setup();
+
+  for (const id of ['999', 'abc']) {
+    const { status } = await call('POST', `/api/roads/${id}/ratings`, { headers: device('device-c'), body: scores(4) });
+    assert.equal(status, 404, id);
+  }
+  assert.equal(supabase.db.road_ratings.length, 4);
+
+  // An invalid rating is still a 400 on a real road
+  assert.equal((await call('POST', '/api/roads/1/ratings', { headers: device('device-c'), body: {} })).status, 400);
+});
@@ -0,0 +1,119 @@
+/**
+ * Condition reports belong to the device or account that made them. Other
+ * devices confirm or clear them with one vote each; voting again replaces
+ * the earlier vote rather than counting twice.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { createSeed } = require('./helpers/fixtures');
+
+const device = (id) => ({ 'X-Device-Id': id });
+
+// Report 1 is device-b's roadworks on Hill Road
+const VOTES = '/api/roads/1/reports/1/votes';
+
+const setup = () => {
+  const supabase = createFakeSupabase(createSeed());
+  return { supabase, call: createCaller(supabase) };
+};
+
+test('reports on a road are listed with how the caller voted', async () => {
+  const { call } = setup();
+  await call('POST', VOTES, { headers: device('device-a'), body: { vote: 'confirm' } });
+
+  const anonymous = await call('GET', '/api/roads/1/reports');
+  const { body } = await call('GET', '/api/roads/1/reports', { headers: device('device-a') });
+
+  assert.deepEqual(anonymous.body.reports.map((report) => [report.id, report.active, report.my_vote]), [[1, true, undefined]]);
+  assert.equal(body.reports[0].my_vote, 'confirm');
+  assert.equal(body.reports[0].confirmations, 1);
+  assert.deepEqual((await call('GET', '/api/roads/2/reports')).body.reports, []);
+  assert.equal((await call('GET', '/api/roads/999/reports')).status, 404);
+  assert.equal((await call('GET', '/api/roads/abc/reports')).status, 404);
+});
+
+test('a report belongs to the X-Device-Id, not a device_id in the body', async () => {
+  const { supabase, call } = setup();
+
+  const { status, body } = await call('POST', '/api/roads/2/reports', {
+    headers: device('device-c'),
+    body: { type: 'closure', note: 'Bridge shut', device_id: 'device-a' },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.report.closes_road, true);
+  assert.equal(supabase.db.road_reports.find((report) => report.id === body.report.id).device_id, 'device-c');
+
+  // Only the reporter withdraws it with a single clear
+  const path = `/api/roads/2/reports/${body.report.id}/votes`;
+  assert.equal((await call('POST', path, { headers: device('device-a'), body: { vote: 'clear' } })).body.report.active, true);
+  assert.equal((await call('POST', path, { headers: device('device-c'), body: { vote: 'clear' } })).body.report.active, false);
+});
+
+test('anonymous callers cannot report or vote', async () => {
+  const { supabase, call } = setup();
+
+  const report = await call('POST', '/api/roads/1/reports', { body: { type: 'snow' } });
+  const vote = await call('POST', VOTES, { body: { vote: 'confirm' } });
+
+  assert.equal(report.status, 401);
+  assert.equal(vote.status, 401);
+  assert.equal((await call('POST', VOTES, { headers: { Authorization: 'Bearer expired' }, body: { vote: 'confirm' } })).status, 401);
+  assert.equal(supabase.db.road_reports.length, 1);
+  assert.deepEqual(supabase.db.road_report_votes, []);
+});
+
+test('bad reports are refused, and reports need a road that exists', async () => {
+  const { supabase, call } = setup();
+  const headers = device('device-c');
+
+  const badType = await call('POST', '/api/roads/1/reports', { headers, body: { type: 'aliens' } });
+  const abusive = await call('POST', '/api/roads/1/reports', { headers, body: { type: 'other', note: 'Shit everywhere' } });
+  const expired = await call('POST', '/api/roads/1/reports', { headers, body: { type: 'snow', expires_at: '2020-01-01T00:00:00Z' } });
+
+  assert.deepEqual(badType.body.errors.map((error) => error.field), ['type']);
+  assert.deepEqual(abusive.body.errors.map((error) => error.field), ['note']);
+  assert.deepEqual(expired.body.errors.map((error) => error.field), ['expires_at']);
+  assert.equal((await call('POST', '/api/roads/999/reports', { headers, body: { type: 'snow' } })).status, 404);
+  assert.equal((await call('POST', '/api/roads/abc/reports', { headers, body: { type: 'snow' } })).status, 404);
+  assert.equal(supabase.db.road_reports.length, 1);
+});
+
+test('voting again from one device replaces the earlier vote', async () => {
+  const { supabase, call } = setup();
+  const headers = device('device-a');
+
+  await call('POST', VOTES, { headers, body: { vote: 'clear' } });
+  const again = await call('POST', VOTES, { headers, body: { vote: 'clear' } });
+
+  // Two clears from one device do not clear the report
+  assert.equal(supabase.db.road_report_votes.length, 1);
+  assert.equal(again.body.report.clears, 1);
+  assert.equal(again.body.report.active, true);
+
+  const changed = await call('POST', VOTES, { headers, body: { vote: 'confirm' } });
+  assert.deepEqual(supabase.db.road_report_votes.map((vote) => [vote.device_id, vote.vote]), [['device-a', 'confirm']]);
+  assert.deepEqual([changed.body.report.confirmations, changed.body.report.clears, changed.body.report.my_vote], [1, 0, 'confirm']);
+});
+
+test('clears from two other devices resolve a report', async () => {
+  const { call } = setup();
+
+  await call('POST', VOTES, { headers: device('device-a'), body: { vote: 'clear' } });
+  const { body } = await call('POST', VOTES, { headers: device('device-c'), body: { vote: 'clear' } });
+
+  assert.equal(body.report.active, false);
+  assert.deepEqual((await call('GET', '/api/roads/1/reports')).body.reports, []);
+  assert.equal((await call('POST', VOTES, { headers: device('device-d'), body: { vote: 'confirm' } })).status, 409);
+});
+
+test('votes need a valid vote on a report of that road', async () => {
+  const { call } = setup();
+  const headers = device('device-a');
+
+  assert.equal((await call('POST', VOTES, { headers, body: { vote: 'maybe' } })).status, 400);
+  assert.equal((await call('POST', '/api/roads/2/reports/1/votes', { headers, body: { vote: 'confirm' } })).status, 404);
+  assert.equal((await call('POST', '/api/roads/1/reports/x/votes', { headers, body: { vote: 'confirm' } })).status, 404);
+});
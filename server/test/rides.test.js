@@ -0,0 +1,70 @@
+/**
+ * Rides are private to whoever recorded them: the account when signed in,
+ * else the device. Matching a ride to roads looks at a bounded sample of its
+ * points, however many were recorded.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_RIDE_POINTS, matchRideSegments } = require('../lib/rides');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { HILL_ROAD, RIDE_POINTS, createSeed } = require('./helpers/fixtures');
+
+const RIDE = { points: RIDE_POINTS.map(({ lat, lng, time }) => ({ lat, lng, timestamp: new Date(time).toISOString() })) };
+
+// count points evenly spaced from (lat, lng) northwards by step degrees
+const northwards = (count, { lat, lng }, step) => Array.from({ length: count }, (_, index) => ({ lat: lat + index * step, lng }));
+
+test('a ride recorded while signed in belongs to the account', async () => {
+  const call = createCaller(createFakeSupabase(createSeed()));
+  const { body } = await call('POST', '/api/rides', {
+    headers: { 'X-Device-Id': 'phone', Authorization: 'Bearer user-u1' },
+    body: RIDE,
+  });
+  const path = `/api/rides/${body.ride.id}`;
+
+  assert.equal((await call('GET', path, { headers: { 'X-Device-Id': 'laptop', Authorization: 'Bearer user-u1' } })).status, 200);
+  assert.equal((await call('GET', path, { headers: { 'X-Device-Id': 'phone' } })).status, 404);
+  assert.equal((await call('GET', path, { headers: { 'X-Device-Id': 'phone', Authorization: 'Bearer user-u2' } })).status, 404);
+
+  const { body: listed } = await call('GET', '/api/rides', { headers: { 'X-Device-Id': 'phone' } });
+  assert.ok(listed.rides.every((ride) => ride.id !== body.ride.id));
+});
+
+test('an anonymous ride belongs to the X-Device-Id, not a device_id in the body', async () => {
+  const call = createCaller(createFakeSupabase(createSeed()));
+  const { body } = await call('POST', '/api/rides', {
+    headers: { 'X-Device-Id': 'device-c' },
+    body: { ...RIDE, device_id: 'device-a' },
+  });
+  const path = `/api/rides/${body.ride.id}`;
+
+  assert.equal((await call('GET', path, { headers: { 'X-Device-Id': 'device-c' } })).status, 200);
+  assert.equal((await call('GET', path, { headers: { 'X-Device-Id': 'device-a' } })).status, 404);
+});
+
+test('a ride at the point limit is matched with indexes into the full ride', () => {
+  // Half a metre apart along Hill Road, then on to the north
+  const points = northwards(MAX_RIDE_POINTS, HILL_ROAD[0], 0.000005);
+  const [segment, ...others] = matchRideSegments(points, [{ id: 1, path: HILL_ROAD }]);
+
+  assert.equal(others.length, 0);
+  assert.equal(segment.start_index, 0);
+  assert.ok(Math.abs(points[segment.end_index].lat - HILL_ROAD[2].lat) < 0.001);
+  assert.ok(Math.abs(segment.distance_km - 1.11) < 0.05, `distance ${segment.distance_km}`);
+});
+
+test('a long ride is thinned without losing the roads it followed', () => {
+  // 100 km north in steps of about 5 m, crossing two roads far apart
+  const points = northwards(MAX_RIDE_POINTS, { lat: 51, lng: -1 }, 0.000045);
+  const south = { id: 1, path: [{ lat: 51.1, lng: -1 }, { lat: 51.11, lng: -1 }] };
+  const north = { id: 2, path: [{ lat: 51.8, lng: -1 }, { lat: 51.81, lng: -1 }] };
+
+  const segments = matchRideSegments(points, [north, south]);
+
+  assert.deepEqual(segments.map((segment) => segment.road.id), [1, 2]);
+  segments.forEach((segment) => {
+    assert.ok(segment.coverage >= 0.9);
+    assert.ok(Math.abs(segment.distance_km - 1.11) < 0.05, `distance ${segment.distance_km}`);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * A new road that mostly lies on an existing one is reported as a likely
+ * duplicate (409 with the candidates) until the client confirms it with
+ * allow_duplicate.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DUPLICATE_OVERLAP, pathCoverage, hausdorffDistance, findSimilarRoads } = require('../lib/similarity');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { HILL_ROAD, scores, createSeed } = require('./helpers/fixtures');
+
+// Hill Road runs 1.1 km north along -0.1; a degree of longitude there is about 69 km
+const shifted = (path, metresEast) => path.map(({ lat, lng }) => ({ lat, lng: lng + metresEast / 69400 }));
+const northFrom = (fromLat, toLat) => [{ lat: fromLat, lng: -0.1 }, { lat: toLat, lng: -0.1 }];
+
+test('a path counts as on a road within 50 m of it', () => {
+  assert.equal(pathCoverage(HILL_ROAD, HILL_ROAD), 1);
+  assert.equal(pathCoverage(shifted(HILL_ROAD, 40), HILL_ROAD), 1);
+  assert.equal(pathCoverage(shifted(HILL_ROAD, 60), HILL_ROAD), 0);
+});
+
+test('coverage is the share of the first path on the second', () => {
+  const longer = northFrom(51.5, 51.52);
+
+  assert.ok(Math.abs(pathCoverage(longer, HILL_ROAD) - 0.5) < 0.05);
+  assert.equal(pathCoverage(HILL_ROAD, longer), 1);
+});
+
+test(`roads the new path lies on for at least ${DUPLICATE_OVERLAP * 100}% are duplicates`, () => {
+  const roads = [{ id: 1, path: HILL_ROAD }];
+
+  assert.deepEqual(findSimilarRoads(northFrom(51.5, 51.5115), roads).map((match) => match.road.id), [1]);
+  assert.deepEqual(findSimilarRoads(northFrom(51.5, 51.514), roads), []);
+  assert.deepEqual(findSimilarRoads(shifted(HILL_ROAD, 60), roads), []);
+});
+
+test('Hausdorff distance is how far either path strays from the other', () => {
+  assert.equal(hausdorffDistance(HILL_ROAD, HILL_ROAD), 0);
+  assert.ok(Math.abs(hausdorffDistance(HILL_ROAD, shifted(HILL_ROAD, 40)) - 0.04) < 0.002);
+  // The extra 150 m past the end of Hill Road
+  assert.ok(Math.abs(hausdorffDistance(northFrom(51.5, 51.5115), HILL_ROAD) - 0.167) < 0.005);
+});
+
+test('equally covered candidates are ordered by Hausdorff distance', () => {
+  const roads = [
+    { id: 'wide', path: shifted(HILL_ROAD, 45) },
+    { id: 'close', path: shifted(HILL_ROAD, 10) },
+  ];
+
+  const matches = findSimilarRoads(HILL_ROAD, roads);
+  assert.deepEqual(matches.map((match) => match.road.id), ['close', 'wide']);
+  assert.ok(matches[0].hausdorff_km < matches[1].hausdorff_km);
+});
+
+test('POST /api/roads answers 409 with the candidates, and saves nothing', async () => {
+  const supabase = createFakeSupabase(createSeed());
+  const call = createCaller(supabase);
+
+  const { status, body } = await call('POST', '/api/roads', {
+    headers: { 'X-Device-Id': 'device-c' },
+    body: { path: shifted(HILL_ROAD, 20), name: 'Hill Road again', ...scores(3) },
+  });
+
+  assert.equal(status, 409);
+  assert.deepEqual(body.candidates.map((candidate) => candidate.id), [1]);
+  assert.equal(body.candidates[0].name, 'Hill Road');
+  assert.equal(body.candidates[0].match.overlap, 1);
+  assert.equal(body.candidates[0].match.existing_overlap, 1);
+  assert.ok(body.candidates[0].match.hausdorff_km < 0.03);
+  assert.equal(body.candidates[0].is_own, false);
+  assert.equal(supabase.db.roads.length, 3);
+});
+
+test('allow_duplicate saves the road anyway', async () => {
+  const supabase = createFakeSupabase(createSeed());
+  const call = createCaller(supabase);
+
+  const { status, body } = await call('POST', '/api/roads', {
+    headers: { 'X-Device-Id': 'device-c' },
+    body: { path: HILL_ROAD, ...scores(3), allow_duplicate: true },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.path.length, HILL_ROAD.length);
+  assert.equal(supabase.db.roads.length, 4);
+});
+
+test('POST /api/roads/duplicates lists candidates without saving', async () => {
+  const supabase = createFakeSupabase(createSeed());
+  const call = createCaller(supabase);
+
+  const onHill = await call('POST', '/api/roads/duplicates', { body: { path: HILL_ROAD } });
+  const elsewhere = await call('POST', '/api/roads/duplicates', { body: { path: shifted(HILL_ROAD, 500) } });
+
+  assert.deepEqual(onHill.body.candidates.map((candidate) => candidate.id), [1]);
+  assert.deepEqual(elsewhere.body.candidates, []);
+  assert.equal(supabase.db.roads.length, 3);
+});
@@ -0,0 +1,43 @@
+/**
+ * Monthly trends put a rating in the month its current scores were given.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ratingStats } = require('../lib/stats');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { scores, createSeed } = require('./helpers/fixtures');
+
+const rating = (score, createdAt, updatedAt) => ({ ...scores(score), created_at: createdAt, updated_at: updatedAt });
+
+test('a re-submitted rating counts in the month it was last submitted', () => {
+  const { monthly } = ratingStats([
+    rating(2, '2025-01-10T10:00:00.000Z', '2025-03-05T10:00:00.000Z'),
+    rating(4, '2025-01-20T10:00:00.000Z', '2025-01-20T10:00:00.000Z'),
+  ]);
+
+  assert.deepEqual(monthly.map(({ month, rating_count, avg_scenery }) => ({ month, rating_count, avg_scenery })), [
+    { month: '2025-01', rating_count: 1, avg_scenery: 4 },
+    { month: '2025-03', rating_count: 1, avg_scenery: 2 },
+  ]);
+});
+
+test('a rating without updated_at falls back to created_at', () => {
+  const { monthly } = ratingStats([rating(3, '2025-02-01T10:00:00.000Z', null)]);
+  assert.deepEqual(monthly.map((entry) => entry.month), ['2025-02']);
+});
+
+test('GET /api/roads/:id/stats moves an edited rating to the month of the edit', async () => {
+  const call = createCaller(createFakeSupabase(createSeed(), { now: () => new Date('2025-06-15T12:00:00.000Z') }));
+
+  const before = await call('GET', '/api/roads/1/stats');
+  assert.deepEqual(before.body.monthly.map((entry) => [entry.month, entry.rating_count]), [['2025-03', 2]]);
+
+  await call('PATCH', '/api/roads/1/ratings/1', { headers: { 'X-Device-Id': 'device-a' }, body: { scenery: 1 } });
+
+  const after = await call('GET', '/api/roads/1/stats');
+  assert.deepEqual(after.body.monthly.map((entry) => [entry.month, entry.rating_count, entry.avg_scenery]), [
+    ['2025-03', 1, 3],
+    ['2025-06', 1, 1],
+  ]);
+});
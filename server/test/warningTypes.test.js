@@ -0,0 +1,62 @@
+/**
+ * The warning_types table is the only list of warning types: what it holds
+ * is what the API serves and accepts, with no built-in fallback.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWarningTypeCache } = require('../lib/warningTypes');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { createCaller } = require('./helpers/routes');
+const { scores, createSeed } = require('./helpers/fixtures');
+
+test('GET /api/warning-types serves the table', async () => {
+  const seed = createSeed();
+  seed.warning_types.push({ key: 'ice', label: 'Ice', icon: '🧊', sort_order: 90, active: true });
+  const call = createCaller(createFakeSupabase(seed));
+
+  const { status, body } = await call('GET', '/api/warning-types');
+  assert.equal(status, 200);
+  assert.deepEqual(body.map((type) => type.key), ['speed_camera', 'potholes', 'gravel', 'closure', 'ice']);
+
+  const rated = await call('POST', '/api/roads/2/ratings', {
+    headers: { 'X-Device-Id': 'device-c' },
+    body: { ...scores(3), warnings: ['ice'], device_id: 'device-c' },
+  });
+  assert.equal(rated.status, 200);
+});
+
+test('types missing from the table are dropped from ratings', async () => {
+  const call = createCaller(createFakeSupabase(createSeed()));
+
+  // traffic is seeded by the migrations but not in these fixtures
+  const { status, body } = await call('POST', '/api/roads/2/ratings', {
+    headers: { 'X-Device-Id': 'device-c' },
+    body: { ...scores(3), warnings: ['traffic', 'gravel'], device_id: 'device-c' },
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(body.rating.warnings, ['gravel']);
+});
+
+test('an unreadable table fails the request instead of serving a built-in list', async () => {
+  const supabase = createFakeSupabase(createSeed());
+  const call = createCaller(supabase);
+  supabase.failNext('warning_types');
+
+  const { status } = await call('GET', '/api/warning-types');
+  assert.equal(status, 500);
+});
+
+test('a failed read falls back to the last list read', async () => {
+  const supabase = createFakeSupabase(createSeed());
+  const getWarningTypes = createWarningTypeCache(supabase);
+  const first = await getWarningTypes();
+
+  supabase.failNext('warning_types');
+  const realNow = Date.now;
+  Date.now = () => realNow() + 5 * 60 * 1000;
+  try {
+    assert.deepEqual(await getWarningTypes(), first);
+  } finally {
+    Date.now = realNow;
+  }
+});